@@ -20,22 +20,143 @@ module.exports = {
   MAX_HASHTAGS_PER_TWEET: 3,
   MAX_EMOJIS_PER_TWEET: 10,
   TWEET_CHAR_LIMIT: 280,
+  TWEET_URL_LENGTH: 23, // Every link is shortened to t.co
   
   // Thread Generation
   DEFAULT_STYLE: 'professional',
   DEFAULT_MAX_TWEETS: 5,
   DEFAULT_LANGUAGE: 'auto',
+  MAX_REWRITE_INSTRUCTION_LENGTH: 200,
+  MAX_THREAD_VARIANTS: 5,
+  THREAD_HOOKS: ['question', 'statistic', 'bold', 'story'],
+  VARIANT_SELECTION_TTL_MS: 60 * 60 * 1000, // 1 hour
+  SUMMARY_BUDGET_RATIO: 0.8, // Share of the thread's capacity a local summary may fill
+  MAX_EDITED_TWEET_LENGTH: 3000, // Longest post of any platform profile
+  MAX_HASHTAG_CANDIDATES: 10, // Scored hashtag suggestions returned with a thread
+
+  // Styles (built-in definitions live in config/styles/)
+  STYLES_DIR: 'styles', // Created and edited styles, under the data directory
+  MAX_CUSTOM_STYLES: 50,
+  MAX_STYLE_NAME_LENGTH: 40,
+  MAX_STYLE_ITEMS: 10, // Prefixes, emojis, CTAs or tips per language
+  MAX_STYLE_ITEM_LENGTH: 100,
+  MAX_STYLE_EMOJI_LENGTH: 16, // Room for ZWJ sequences and skin-tone modifiers
+  MAX_STYLE_TEXT_LENGTH: 500, // Structure summary and prompt guidance
+
+  // Brand voices
+  BRAND_VOICES_FILE: 'brand-voices.json',
+  BRAND_FORMALITY_LEVELS: ['casual', 'neutral', 'formal'],
+  MAX_BRAND_VOICES: 20,
+  MAX_BRAND_NAME_LENGTH: 50,
+  MAX_BRAND_DESCRIPTION_LENGTH: 500,
+  MAX_BRAND_WORDS: 30, // Preferred or banned words per voice
+  MAX_BRAND_WORD_LENGTH: 50,
+  MAX_BRAND_HASHTAGS: 5,
+  MAX_BRAND_CTA_LENGTH: 100,
+  MAX_BRAND_EXAMPLES: 5,
+
+  // Hashtag dictionary (built-in topics live in config/hashtags.json)
+  HASHTAG_DICTIONARY_FILE: 'hashtag-dictionary.json',
+  MAX_HASHTAG_TOPICS: 50, // Created topics, on top of the built-in ones
+  MAX_TOPIC_HASHTAGS: 20, // Tags per topic and language
+  MAX_TOPIC_KEYWORDS: 30, // Keywords per topic and language
+  MAX_TOPIC_KEYWORD_LENGTH: 50,
+  MAX_HASHTAG_LENGTH: 50,
+  MAX_ALWAYS_INCLUDE_HASHTAGS: 3, // Campaign tags every post carries
+  MAX_BLOCKED_HASHTAGS: 500,
   
   // Gemini Configuration
   DEFAULT_GEMINI_MODEL: 'gemini-pro',
   DEFAULT_GEMINI_TEMPERATURE: 0.0,
   DEFAULT_GEMINI_MAX_OUTPUT_TOKENS: 4096,
   DEFAULT_GEMINI_QUOTA_LIMIT: 100,
-  
+
+  // LLM Provider Configuration
+  LLM_PROVIDERS: ['gemini', 'openai', 'ollama'],
+  DEFAULT_LLM_PROVIDER: 'gemini',
+  DEFAULT_LLM_TEMPERATURE: 0.0,
+  DEFAULT_LLM_MAX_OUTPUT_TOKENS: 4096,
+  LLM_REQUEST_TIMEOUT_MS: 60000,
+  DEFAULT_OPENAI_BASE_URL: 'https://api.openai.com/v1',
+  DEFAULT_OPENAI_MODEL: 'gpt-4o-mini',
+  DEFAULT_OPENAI_QUOTA_LIMIT: 100,
+  DEFAULT_OLLAMA_BASE_URL: 'http://localhost:11434',
+  DEFAULT_OLLAMA_MODEL: 'llama3',
+  DEFAULT_OLLAMA_QUOTA_LIMIT: 1000,
+
+  // Quota Accounting
+  QUOTA_WINDOWS: ['hourly', 'daily'],
+  QUOTA_HISTORY_LENGTH: {
+    hourly: 48,
+    daily: 30
+  },
+  QUOTA_STATE_FILE: 'quota-state.json',
+
+  // History Search
+  HISTORY_INDEX_FILE: 'history-index.json',
+  PREFERENCES_FILE: 'userprefs.json',
+  HISTORY_SORT_FIELDS: ['relevance', 'date', 'updated', 'score', 'tweets'],
+  DEFAULT_HISTORY_PAGE_SIZE: 10,
+  MAX_HISTORY_PAGE_SIZE: 50,
+  MAX_HISTORY_QUERY_LENGTH: 200,
+
+  // History Organization
+  MAX_TAGS_PER_ENTRY: 10,
+  MAX_TAG_LENGTH: 30,
+  MAX_BULK_HISTORY_IDS: 100,
+
+  // Export
+  EXPORT_FORMATS: ['markdown', 'text', 'csv', 'html', 'posts-csv', 'posts-json'],
+  DEFAULT_EXPORT_FORMAT: 'markdown',
+
+  // Import
+  IMPORT_FORMATS: ['auto', 'text', 'json', 'csv'],
+  MAX_IMPORT_LENGTH: 200000,
+  MAX_IMPORTED_THREADS: 50,
+  MAX_IMPORTED_POSTS: 100,
+
+  // Scheduling
+  SCHEDULE_STATE_FILE: 'schedule.json',
+  PUBLISH_OUTBOX_DIR: 'outbox',
+  PUBLISHERS: ['filesystem', 'webhook', 'x'],
+  DEFAULT_PUBLISHER: 'filesystem',
+  DEFAULT_TIMEZONE: 'UTC',
+  SCHEDULE_STATUSES: ['pending', 'publishing', 'published', 'failed', 'cancelled'],
+  MAX_PUBLISH_ATTEMPTS: 3,
+  PUBLISH_RETRY_DELAY_MS: 60 * 1000, // Doubles after each failed attempt
+  SCHEDULER_MAX_SLEEP_MS: 60 * 60 * 1000, // The worker re-checks the queue at least hourly
+  PUBLISH_REQUEST_TIMEOUT_MS: 15000,
+  X_API_BASE_URL: 'https://api.twitter.com',
+  X_RATE_LIMIT_MAX_WAIT_MS: 60 * 1000, // Longer rate-limit waits hand the job back to the queue
+  X_RATE_LIMIT_DEFAULT_WAIT_MS: 15 * 60 * 1000, // X rate-limit windows are 15 minutes
+
+  // Asynchronous generation
+  GENERATION_CONCURRENCY: 2, // Generations running at once, synchronous or queued as jobs
+  MAX_QUEUED_GENERATIONS: 100, // Further requests are turned away with 503
+  GENERATION_JOB_STATUSES: ['queued', 'running', 'retrying', 'fallback', 'done', 'failed'],
+  GENERATION_JOB_TTL_MS: 60 * 60 * 1000, // Finished jobs can be polled for an hour
+  MAX_GENERATION_JOBS: 1000,
+  MAX_BATCH_ITEMS: 20,
+  BATCH_CONCURRENCY: 2, // Items of one batch in flight at once, within the shared pool
+
+  // Users and authentication
+  USERS_FILE: 'users.json',
+  USERS_DIR: 'users', // Per-user workspaces (history, index, preferences) under the data directory
+  USER_QUOTA_STATE_FILE: 'user-quota.json',
+  LOCAL_USER_ID: 'local', // Owner of everything while no users exist (single-user installs)
+  API_KEY_PREFIX: 'xtg_',
+  SESSION_COOKIE: 'xtg_session',
+  SESSION_TTL_MS: 7 * 24 * 60 * 60 * 1000,
+  DEFAULT_USER_DAILY_QUOTA: 50, // Generations per user per day, on top of the provider quota
+  MAX_USER_NAME_LENGTH: 50,
+  USER_ROLES: ['admin', 'member'], // Admins may also change the styles, brand voices and hashtags all users share
+  DEFAULT_USER_ROLE: 'member', // Except for the first user, who becomes an admin
+
   // Cleanup Configuration
   HISTORY_RETENTION_DAYS: 7,
   LOG_RETENTION_DAYS: 14,
   CLEANUP_INTERVAL_HOURS: 24,
+  CLEANUP_CONCURRENCY: 4, // History files checked at once per cleanup run
   
   // Security
   BODY_PARSER_LIMIT: '1mb',
@@ -43,6 +164,14 @@ module.exports = {
   // User Preferences
   MAX_STYLE_MEMORY: 5,
   MAX_LOCALSTORAGE_THREADS: 5,
+  ARABIC_HASHTAG_MODES: ['auto', 'always', 'never'], // auto follows the content's language
+  EMOJI_DENSITY: { // Emojis per post
+    none: 0,
+    minimal: 1,
+    moderate: 3,
+    rich: 5
+  },
+  MAX_PERSONAL_NOTE_LENGTH: 500,
   
   // UI Constants
   TEXTAREA_MIN_HEIGHT: 120,
@@ -51,6 +180,7 @@ module.exports = {
   // File Paths
   LOGS_DIR: 'logs',
   HISTORY_DIR: 'history',
+  DATA_DIR: 'data',
   SCHEMAS_DIR: 'schemas',
   PUBLIC_DIR: 'public',
   
@@ -60,6 +190,7 @@ module.exports = {
     UNAUTHORIZED: 401,
     FORBIDDEN: 403,
     NOT_FOUND: 404,
+    CONFLICT: 409,
     RATE_LIMIT: 429,
     INTERNAL_ERROR: 500,
     SERVICE_UNAVAILABLE: 503
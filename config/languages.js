@@ -15,7 +15,8 @@ const LANGUAGES = {
       sections: {
         input: '📝 الإدخال',
         output: '🧵 الخيط المولد',
-        history: '📚 الخيوط السابقة'
+        history: '📚 الخيوط السابقة',
+        scheduled: '⏰ المنشورات المجدولة'
       },
       
       // Form Labels
@@ -29,7 +30,19 @@ const LANGUAGES = {
         imageSuggestions: 'اقتراحات الصور',
         personalNote: 'ملاحظة شخصية (اختيارية)',
         personalNotePlaceholder: 'أضف ملاحظة شخصية لإلحاقها في نهاية خيطك...',
-        darkMode: '🌙 الوضع الليلي'
+        historySearchPlaceholder: 'ابحث في الخيوط بالنص أو #الهاشتاج...',
+        importContent: 'الخيط المنشور',
+        importPlaceholder: 'الصق خيطًا مرقّمًا (1/ ... 2/ ...) أو ملف JSON أو CSV مُصدَّرًا...',
+        importRehashtag: 'اقتراح هاشتاجات جديدة',
+        importSave: 'حفظ في السجل',
+        darkMode: '🌙 الوضع الليلي',
+        provider: 'مزود الذكاء الاصطناعي',
+        variants: 'عدد البدائل للمقارنة',
+        platform: 'المنصة المستهدفة',
+        emojiPreference: 'الرموز التعبيرية',
+        arabicHashtags: 'الهاشتاجات العربية',
+        autoAddCTA: 'دعوة للتفاعل',
+        brandVoice: 'صوت العلامة التجارية'
       },
       
       // Buttons
@@ -38,6 +51,16 @@ const LANGUAGES = {
         showHistory: '📚 عرض السجل',
         hideHistory: 'إخفاء السجل',
         refresh: 'تحديث',
+        highEngagement: '⭐ تفاعل مرتفع',
+        favorites: '★ المفضلة',
+        pinned: '📌 المثبتة',
+        deleteSelected: 'حذف المحدد',
+        exportSelected: 'تصدير المحدد',
+        importThread: '📥 استيراد خيط',
+        import: 'استيراد',
+        closeImport: 'إغلاق',
+        showImported: 'عرض',
+        restyle: '🎨 إعادة الصياغة',
         copy: 'نسخ',
         copyPlain: 'نسخ كنص عادي',
         preview: 'معاينة',
@@ -53,6 +76,20 @@ const LANGUAGES = {
         loading: 'جاري التحميل...',
         noHistory: 'لا توجد خيوط سابقة. أنشئ خيطك الأول لرؤيته هنا!',
         historyLoaded: 'تم تحميل الخيط من السجل! يمكنك تعديله وإعادة إنشاؤه.',
+        noHistoryMatches: 'لا توجد خيوط تطابق البحث أو عوامل التصفية.',
+        tagsPrompt: 'الوسوم (مفصولة بفواصل):',
+        confirmDelete: 'حذف الخيوط المحددة؟ لا يمكن التراجع عن ذلك.',
+        importEmpty: 'الصق خيطًا أو اختر ملفًا لاستيراده.',
+        importDone: 'تم الاستيراد بنجاح!',
+        lintClean: 'لا توجد مشكلات.',
+        restyleReady: 'تم تحميل نص الخيط. اختر أسلوبًا ثم أنشئ الخيط لإعادة صياغته.',
+        schedulePrompt: 'وقت النشر بتوقيتك المحلي (YYYY-MM-DD HH:mm)، أو اتركه فارغًا لاستخدام الوقت المقترح:',
+        scheduleDone: 'تمت جدولة الخيط!',
+        confirmCancelSchedule: 'إلغاء هذا المنشور المجدول؟',
+        noScheduled: 'لا توجد منشورات مجدولة.',
+        apiKeyPrompt: 'أدخل مفتاح API لتسجيل الدخول:',
+        signInFailed: 'تعذر تسجيل الدخول: المفتاح غير صالح أو ملغى.',
+        preferencesSaveFailed: 'تعذر حفظ تفضيلاتك.',
         characterCount: 'حرف'
       },
       
@@ -71,7 +108,8 @@ const LANGUAGES = {
       sections: {
         input: '📝 Input',
         output: '🧵 Generated Thread',
-        history: '📚 Recent Threads'
+        history: '📚 Recent Threads',
+        scheduled: '⏰ Scheduled Posts'
       },
       
       // Form Labels
@@ -85,7 +123,19 @@ const LANGUAGES = {
         imageSuggestions: 'Image Suggestions',
         personalNote: 'Personal Note (optional)',
         personalNotePlaceholder: 'Add a personal note to append at the end of your thread...',
-        darkMode: '🌙 Dark Mode'
+        historySearchPlaceholder: 'Search threads by text or #hashtag...',
+        importContent: 'Published thread',
+        importPlaceholder: 'Paste a numbered thread (1/ ... 2/ ...), an exported JSON file or CSV...',
+        importRehashtag: 'Suggest new hashtags',
+        importSave: 'Save to history',
+        darkMode: '🌙 Dark Mode',
+        provider: 'AI Provider',
+        variants: 'Variants to Compare',
+        platform: 'Target Platform',
+        emojiPreference: 'Emojis',
+        arabicHashtags: 'Arabic Hashtags',
+        autoAddCTA: 'Call to Action',
+        brandVoice: 'Brand Voice'
       },
       
       // Buttons
@@ -94,6 +144,16 @@ const LANGUAGES = {
         showHistory: '📚 Show History',
         hideHistory: 'Hide History',
         refresh: 'Refresh',
+        highEngagement: '⭐ High engagement',
+        favorites: '★ Favorites',
+        pinned: '📌 Pinned',
+        deleteSelected: 'Delete Selected',
+        exportSelected: 'Export Selected',
+        importThread: '📥 Import Thread',
+        import: 'Import',
+        closeImport: 'Close',
+        showImported: 'Show',
+        restyle: '🎨 Restyle',
         copy: 'Copy',
         copyPlain: 'Copy as Plain Text',
         preview: 'Preview',
@@ -109,6 +169,20 @@ const LANGUAGES = {
         loading: 'Loading...',
         noHistory: 'No threads found. Generate your first thread to see it here!',
         historyLoaded: 'Thread loaded from history! You can modify and regenerate it.',
+        noHistoryMatches: 'No threads match your search or filters.',
+        tagsPrompt: 'Tags (comma-separated):',
+        confirmDelete: 'Delete the selected threads? This cannot be undone.',
+        importEmpty: 'Paste a thread or choose a file to import.',
+        importDone: 'Import complete!',
+        lintClean: 'No issues found.',
+        restyleReady: 'Thread text loaded. Pick a style and generate to restyle it.',
+        schedulePrompt: 'Publish time in your local time (YYYY-MM-DD HH:mm), or leave empty for the recommended time:',
+        scheduleDone: 'Thread scheduled!',
+        confirmCancelSchedule: 'Cancel this scheduled post?',
+        noScheduled: 'No posts scheduled.',
+        apiKeyPrompt: 'Enter your API key to sign in:',
+        signInFailed: 'Could not sign in: the key is invalid or revoked.',
+        preferencesSaveFailed: 'Could not save your preferences.',
         characterCount: 'characters'
       },
       
@@ -145,6 +219,7 @@ const LANGUAGES = {
         generate: '/api/generate-thread',
         health: '/api/health',
         history: '/api/history',
+        schedule: '/api/schedule',
         stats: '/api/stats'
       },
       
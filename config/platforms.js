@@ -0,0 +1,130 @@
+/**
+ * Output platform profiles
+ * Each profile describes how long a post may be, how the platform counts it,
+ * how posts are numbered and how many hashtags and posts a thread should carry
+ */
+
+const CONSTANTS = require('./constants');
+
+const PLATFORM_PROFILES = {
+  x: {
+    id: 'x',
+    name: 'X (Twitter)',
+    postLabel: 'tweet',
+    charLimit: CONSTANTS.TWEET_CHAR_LIMIT,
+    counting: 'weighted', // URLs = 23, emoji and CJK = 2
+    urlLength: CONSTANTS.TWEET_URL_LENGTH,
+    countingRules: 'every URL counts as 23, each emoji and each CJK character counts as 2',
+    maxPosts: CONSTANTS.MAX_TWEETS_PER_THREAD,
+    numbering: { position: 'suffix', format: '({i}/{n})' },
+    hashtags: { maxPerPost: 4, camelCase: false }
+  },
+  bluesky: {
+    id: 'bluesky',
+    name: 'Bluesky',
+    postLabel: 'post',
+    charLimit: 300,
+    counting: 'graphemes',
+    urlLength: null, // Links count at their full length
+    countingRules: 'every grapheme (including each emoji) counts as 1 and links count at their full length',
+    maxPosts: 15,
+    numbering: { position: 'prefix', format: '{i}/{n}' },
+    hashtags: { maxPerPost: 3, camelCase: false }
+  },
+  mastodon: {
+    id: 'mastodon',
+    name: 'Mastodon',
+    postLabel: 'toot',
+    charLimit: 500,
+    counting: 'graphemes',
+    urlLength: 23,
+    countingRules: 'every URL counts as 23 and every other grapheme counts as 1',
+    maxPosts: 15,
+    numbering: { position: 'suffix', format: '{i}/{n}' },
+    hashtags: { maxPerPost: 5, camelCase: true } // CamelCase tags are read correctly by screen readers
+  },
+  threads: {
+    id: 'threads',
+    name: 'Threads',
+    postLabel: 'post',
+    charLimit: 500,
+    counting: 'graphemes',
+    urlLength: null,
+    countingRules: 'every grapheme (including each emoji) counts as 1 and links count at their full length',
+    maxPosts: 10,
+    numbering: { position: 'suffix', format: '({i}/{n})' },
+    hashtags: { maxPerPost: 1, camelCase: false } // Threads only links a single topic tag per post
+  },
+  linkedin: {
+    id: 'linkedin',
+    name: 'LinkedIn',
+    postLabel: 'post',
+    charLimit: 3000,
+    counting: 'graphemes',
+    urlLength: null,
+    countingRules: 'every grapheme counts as 1 and links count at their full length',
+    maxPosts: 1, // LinkedIn has no threads; everything goes into one post
+    numbering: { position: 'none', format: '' },
+    hashtags: { maxPerPost: 5, camelCase: true }
+  }
+};
+
+const PLATFORM_IDS = Object.keys(PLATFORM_PROFILES);
+
+const DEFAULT_PLATFORM = 'x';
+
+/**
+ * Get a platform profile
+ * @param {string} platformId - Platform id (defaults to X)
+ * @returns {Object} Platform profile
+ */
+function getPlatformProfile(platformId) {
+  return PLATFORM_PROFILES[platformId] || PLATFORM_PROFILES[DEFAULT_PLATFORM];
+}
+
+/**
+ * Add thread numbering to a post in the platform's style
+ * @param {string} text - Post text
+ * @param {Object} profile - Platform profile
+ * @param {number} index - Zero-based post index
+ * @param {number} total - Total posts
+ * @returns {string} Numbered post text
+ */
+function formatPostNumber(text, profile, index, total) {
+  const { position, format } = profile.numbering;
+
+  if (total <= 1 || position === 'none') {
+    return text;
+  }
+
+  const number = format.replace('{i}', index + 1).replace('{n}', total);
+  return position === 'prefix' ? `${number} ${text}` : `${text} ${number}`;
+}
+
+/**
+ * Separate thread numbering ("(2/5)", "2/5") from tweet text
+ * @param {string} text - Post text
+ * @returns {Object} Body text, numbering (null when absent) and where it sat
+ */
+function splitPostNumber(text) {
+  const trailing = text.match(/\s+(\(\d+\/\d+\)|\d+\/\d+)\s*$/);
+  if (trailing) {
+    return { body: text.slice(0, trailing.index).trim(), numbering: trailing[1], position: 'suffix' };
+  }
+
+  const leading = text.match(/^\s*(\(\d+\/\d+\)|\d+\/\d+)\s+/);
+  if (leading) {
+    return { body: text.slice(leading[0].length).trim(), numbering: leading[1], position: 'prefix' };
+  }
+
+  return { body: text.trim(), numbering: null, position: null };
+}
+
+module.exports = {
+  PLATFORM_PROFILES,
+  PLATFORM_IDS,
+  DEFAULT_PLATFORM,
+  getPlatformProfile,
+  formatPostNumber,
+  splitPostNumber
+};
@@ -0,0 +1,267 @@
+/**
+ * Thread styles
+ * Each style is a JSON definition: name, tweet prefixes, emoji pool, CTA pool, structure summary,
+ * prompt guidance and engagement weight, with text in English and Arabic. Built-in styles ship in
+ * config/styles/; styles created or edited through the API are saved to the data directory and
+ * take precedence over the built-in definition with the same id
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CONSTANTS = require('./constants');
+const { createJsonWriter } = require('../utils/jsonFile');
+
+const STYLE_ID_PATTERN = /^[a-z][a-z0-9-]{1,39}$/;
+const STYLE_LANGUAGES = ['en', 'ar'];
+const BILINGUAL_FIELDS = ['name', 'prefixes', 'ctas', 'structure', 'prompt', 'tips'];
+
+let defaultRegistry = null;
+
+/**
+ * Create an error carrying an HTTP status
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} Error
+ */
+function createStyleError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Read every style definition in a directory
+ * Files that are not valid JSON or carry no usable id are skipped
+ * @param {string} dir - Directory of <id>.json files
+ * @returns {Object} Definitions by id
+ */
+function readStyleDir(dir) {
+  const styles = {};
+  let files;
+
+  try {
+    files = fs.readdirSync(dir).filter((file) => file.endsWith('.json')).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return styles;
+    }
+    throw error;
+  }
+
+  files.forEach((file) => {
+    try {
+      const style = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      if (style && STYLE_ID_PATTERN.test(style.id) && `${style.id}.json` === file) {
+        styles[style.id] = style;
+      }
+    } catch (error) {
+      // Skip unreadable definitions; the remaining styles stay usable
+    }
+  });
+
+  return styles;
+}
+
+/**
+ * Apply changes to a style definition
+ * Bilingual fields are merged per language, so an edit can change the Arabic text alone
+ * @param {Object} style - Current definition
+ * @param {Object} changes - Validated fields (see validateStyleDefinition)
+ * @returns {Object} New definition
+ */
+function mergeStyle(style, changes) {
+  const merged = { ...style };
+
+  Object.keys(changes).forEach((field) => {
+    merged[field] = BILINGUAL_FIELDS.includes(field) && style[field]
+      ? { ...style[field], ...changes[field] }
+      : changes[field];
+  });
+
+  return merged;
+}
+
+/**
+ * Create a style registry
+ * @param {Object} options - Registry options
+ * @param {string} options.builtinDir - Directory of the built-in definitions
+ * @param {string} options.customDir - Directory where created and edited styles are saved
+ * @returns {Object} Registry with has, ids, get, list, create, update, remove and flush methods
+ */
+function createStyleRegistry({ builtinDir, customDir }) {
+  const builtin = readStyleDir(builtinDir);
+  const custom = readStyleDir(customDir);
+  const writer = createJsonWriter();
+
+  /**
+   * Queue a change to a custom style file
+   * @param {string} id - Style id
+   * @param {Object|null} style - Definition to write, or null to delete the file
+   * @returns {Promise} Resolves when written
+   */
+  function persist(id, style) {
+    const filePath = path.join(customDir, `${id}.json`);
+    return style ? writer.write(filePath, style) : writer.remove(filePath);
+  }
+
+  /**
+   * Describe a style for listings
+   * @param {string} id - Style id
+   * @returns {Object} Definition with builtin and customized flags
+   */
+  function describe(id) {
+    return {
+      ...(custom[id] || builtin[id]),
+      builtin: Boolean(builtin[id]),
+      customized: Boolean(builtin[id] && custom[id])
+    };
+  }
+
+  const registry = {
+    has(id) {
+      const owns = (styles) => Object.prototype.hasOwnProperty.call(styles, id);
+      return owns(custom) || owns(builtin);
+    },
+
+    /**
+     * List style ids, built-in styles first
+     * @returns {Array<string>} Style ids
+     */
+    ids() {
+      return [...new Set([...Object.keys(builtin), ...Object.keys(custom).sort()])];
+    },
+
+    /**
+     * Get a style definition
+     * @param {string} id - Style id
+     * @returns {Object|null} Definition, or null for unknown ids
+     */
+    get(id) {
+      return registry.has(id) ? custom[id] || builtin[id] : null;
+    },
+
+    list() {
+      return registry.ids().map(describe);
+    },
+
+    /**
+     * Add a style
+     * @param {Object} definition - Validated complete definition
+     * @returns {Promise<Object>} Created style; rejects with status 409 when the id is taken
+     */
+    create(definition) {
+      if (registry.has(definition.id)) {
+        return Promise.reject(createStyleError(
+          `Style already exists: ${definition.id}`,
+          CONSTANTS.ERROR_CODES.CONFLICT
+        ));
+      }
+      if (Object.keys(custom).filter((id) => !builtin[id]).length >= CONSTANTS.MAX_CUSTOM_STYLES) {
+        return Promise.reject(createStyleError(
+          `At most ${CONSTANTS.MAX_CUSTOM_STYLES} custom styles can be created`,
+          CONSTANTS.ERROR_CODES.CONFLICT
+        ));
+      }
+
+      custom[definition.id] = definition;
+      return persist(definition.id, definition).then(() => describe(definition.id));
+    },
+
+    /**
+     * Edit a style; editing a built-in style saves a customized copy of it
+     * @param {string} id - Style id
+     * @param {Object} changes - Validated fields to change
+     * @returns {Promise<Object>} Updated style; rejects with status 404 for unknown ids
+     */
+    update(id, changes) {
+      if (!registry.has(id)) {
+        return Promise.reject(createStyleError(`Style not found: ${id}`, CONSTANTS.ERROR_CODES.NOT_FOUND));
+      }
+
+      custom[id] = mergeStyle(registry.get(id), changes);
+      return persist(id, custom[id]).then(() => describe(id));
+    },
+
+    /**
+     * Delete a custom style, or undo the edits to a built-in one
+     * @param {string} id - Style id
+     * @returns {Promise<Object|null>} The built-in definition now in use, or null when the style is gone;
+     *   rejects with 404 for unknown ids and 409 for built-in styles that were never edited
+     */
+    remove(id) {
+      if (!registry.has(id)) {
+        return Promise.reject(createStyleError(`Style not found: ${id}`, CONSTANTS.ERROR_CODES.NOT_FOUND));
+      }
+      if (!custom[id]) {
+        return Promise.reject(createStyleError(
+          `Built-in styles cannot be deleted: ${id}`,
+          CONSTANTS.ERROR_CODES.CONFLICT
+        ));
+      }
+
+      delete custom[id];
+      return persist(id, null).then(() => (builtin[id] ? describe(id) : null));
+    },
+
+    flush() {
+      return writer.flush();
+    }
+  };
+
+  return registry;
+}
+
+/**
+ * Get the process-wide style registry
+ * @returns {Object} Style registry
+ */
+function getStyleRegistry() {
+  if (!defaultRegistry) {
+    defaultRegistry = createStyleRegistry({
+      builtinDir: path.join(__dirname, 'styles'),
+      customDir: process.env.STYLES_DIR || path.join(__dirname, '..', CONSTANTS.DATA_DIR, CONSTANTS.STYLES_DIR)
+    });
+  }
+  return defaultRegistry;
+}
+
+/**
+ * Get a style definition from the process-wide registry
+ * @param {string} id - Style id
+ * @returns {Object|null} Definition, or null for unknown ids
+ */
+function getStyle(id) {
+  return getStyleRegistry().get(id);
+}
+
+/**
+ * List the ids of all available styles
+ * @returns {Array<string>} Style ids
+ */
+function getStyleIds() {
+  return getStyleRegistry().ids();
+}
+
+/**
+ * Pick the text of a bilingual style field
+ * @param {Object} field - Field with en and ar values
+ * @param {string} language - 'ar' or 'en'
+ * @returns {*} Value in that language, falling back to English
+ */
+function localize(field, language) {
+  if (!field) {
+    return undefined;
+  }
+  return field[language] !== undefined ? field[language] : field.en;
+}
+
+module.exports = {
+  STYLE_ID_PATTERN,
+  STYLE_LANGUAGES,
+  BILINGUAL_FIELDS,
+  createStyleRegistry,
+  getStyleRegistry,
+  getStyle,
+  getStyleIds,
+  localize
+};
@@ -52,7 +52,8 @@ class LanguageManager {
                 sections: {
                     input: '📝 الإدخال',
                     output: '🧵 الخيط المولد',
-                    history: '📚 الخيوط السابقة'
+                    history: '📚 الخيوط السابقة',
+                    scheduled: '⏰ المنشورات المجدولة'
                 },
                 
                 form: {
@@ -65,7 +66,19 @@ class LanguageManager {
                     imageSuggestions: 'اقتراحات الصور',
                     personalNote: 'ملاحظة شخصية (اختيارية)',
                     personalNotePlaceholder: 'أضف ملاحظة شخصية لإلحاقها في نهاية خيطك...',
-                    darkMode: '🌙 الوضع الليلي'
+                    historySearchPlaceholder: 'ابحث في الخيوط بالنص أو #الهاشتاج...',
+                    importContent: 'الخيط المنشور',
+                    importPlaceholder: 'الصق خيطًا مرقّمًا (1/ ... 2/ ...) أو ملف JSON أو CSV مُصدَّرًا...',
+                    importRehashtag: 'اقتراح هاشتاجات جديدة',
+                    importSave: 'حفظ في السجل',
+                    darkMode: '🌙 الوضع الليلي',
+                    provider: 'مزود الذكاء الاصطناعي',
+                    variants: 'عدد البدائل للمقارنة',
+                    platform: 'المنصة المستهدفة',
+                    emojiPreference: 'الرموز التعبيرية',
+                    arabicHashtags: 'الهاشتاجات العربية',
+                    autoAddCTA: 'دعوة للتفاعل',
+                    brandVoice: 'صوت العلامة التجارية'
                 },
                 
                 buttons: {
@@ -73,6 +86,16 @@ class LanguageManager {
                     showHistory: '📚 عرض السجل',
                     hideHistory: 'إخفاء السجل',
                     refresh: 'تحديث',
+                    highEngagement: '⭐ تفاعل مرتفع',
+                    favorites: '★ المفضلة',
+                    pinned: '📌 المثبتة',
+                    deleteSelected: 'حذف المحدد',
+                    exportSelected: 'تصدير المحدد',
+                    importThread: '📥 استيراد خيط',
+                    import: 'استيراد',
+                    closeImport: 'إغلاق',
+                    showImported: 'عرض',
+                    restyle: '🎨 إعادة الصياغة',
                     copy: 'نسخ',
                     copyPlain: 'نسخ كنص عادي',
                     preview: 'معاينة',
@@ -87,8 +110,25 @@ class LanguageManager {
                     copied: 'تم النسخ إلى الحافظة',
                     copyError: 'فشل في النسخ إلى الحافظة',
                     loading: 'جاري التحميل...',
+                    rewritePrompt: 'كيف تريد تغيير التغريدة؟ (مثلًا "أقصر") اتركه فارغًا لإعادة الصياغة.',
+                    dialogOk: 'موافق',
+                    dialogCancel: 'إلغاء',
                     noHistory: 'لا توجد خيوط سابقة. أنشئ خيطك الأول لرؤيته هنا!',
                     historyLoaded: 'تم تحميل الخيط من السجل! يمكنك تعديله وإعادة إنشاؤه.',
+                    noHistoryMatches: 'لا توجد خيوط تطابق البحث أو عوامل التصفية.',
+                    tagsPrompt: 'الوسوم (مفصولة بفواصل):',
+                    confirmDelete: 'حذف الخيوط المحددة؟ لا يمكن التراجع عن ذلك.',
+                    importEmpty: 'الصق خيطًا أو اختر ملفًا لاستيراده.',
+                    importDone: 'تم الاستيراد بنجاح!',
+                    lintClean: 'لا توجد مشكلات.',
+                    restyleReady: 'تم تحميل نص الخيط. اختر أسلوبًا ثم أنشئ الخيط لإعادة صياغته.',
+                    schedulePrompt: 'وقت النشر بتوقيتك المحلي (YYYY-MM-DD HH:mm)، أو اتركه فارغًا للوقت المقترح:',
+                    scheduleDone: 'تمت جدولة الخيط!',
+                    confirmCancelSchedule: 'إلغاء هذا المنشور المجدول؟',
+                    noScheduled: 'لا توجد منشورات مجدولة.',
+                    apiKeyPrompt: 'أدخل مفتاح API لتسجيل الدخول:',
+                    signInFailed: 'تعذر تسجيل الدخول: المفتاح غير صالح أو ملغى.',
+                    preferencesSaveFailed: 'تعذر حفظ تفضيلاتك.',
                     characterCount: 'حرف',
                     outputPlaceholder: 'سيظهر خيطك المولد هنا...'
                 },
@@ -108,7 +148,8 @@ class LanguageManager {
                 sections: {
                     input: '📝 Input',
                     output: '🧵 Generated Thread',
-                    history: '📚 Recent Threads'
+                    history: '📚 Recent Threads',
+                    scheduled: '⏰ Scheduled Posts'
                 },
                 
                 form: {
@@ -121,7 +162,19 @@ class LanguageManager {
                     imageSuggestions: 'Image Suggestions',
                     personalNote: 'Personal Note (optional)',
                     personalNotePlaceholder: 'Add a personal note to append at the end of your thread...',
-                    darkMode: '🌙 Dark Mode'
+                    historySearchPlaceholder: 'Search threads by text or #hashtag...',
+                    importContent: 'Published thread',
+                    importPlaceholder: 'Paste a numbered thread (1/ ... 2/ ...), an exported JSON file or CSV...',
+                    importRehashtag: 'Suggest new hashtags',
+                    importSave: 'Save to history',
+                    darkMode: '🌙 Dark Mode',
+                    provider: 'AI Provider',
+                    variants: 'Variants to Compare',
+                    platform: 'Target Platform',
+                    emojiPreference: 'Emojis',
+                    arabicHashtags: 'Arabic Hashtags',
+                    autoAddCTA: 'Call to Action',
+                    brandVoice: 'Brand Voice'
                 },
                 
                 buttons: {
@@ -129,6 +182,16 @@ class LanguageManager {
                     showHistory: '📚 Show History',
                     hideHistory: 'Hide History',
                     refresh: 'Refresh',
+                    highEngagement: '⭐ High engagement',
+                    favorites: '★ Favorites',
+                    pinned: '📌 Pinned',
+                    deleteSelected: 'Delete Selected',
+                    exportSelected: 'Export Selected',
+                    importThread: '📥 Import Thread',
+                    import: 'Import',
+                    closeImport: 'Close',
+                    showImported: 'Show',
+                    restyle: '🎨 Restyle',
                     copy: 'Copy',
                     copyPlain: 'Copy as Plain Text',
                     preview: 'Preview',
@@ -143,8 +206,25 @@ class LanguageManager {
                     copied: 'Copied to clipboard',
                     copyError: 'Failed to copy to clipboard',
                     loading: 'Loading...',
+                    rewritePrompt: 'How should this tweet change? (e.g. "shorter") Leave empty to rephrase.',
+                    dialogOk: 'OK',
+                    dialogCancel: 'Cancel',
                     noHistory: 'No threads found. Generate your first thread to see it here!',
                     historyLoaded: 'Thread loaded from history! You can modify and regenerate it.',
+                    noHistoryMatches: 'No threads match your search or filters.',
+                    tagsPrompt: 'Tags (comma-separated):',
+                    confirmDelete: 'Delete the selected threads? This cannot be undone.',
+                    importEmpty: 'Paste a thread or choose a file to import.',
+                    importDone: 'Import complete!',
+                    lintClean: 'No issues found.',
+                    restyleReady: 'Thread text loaded. Pick a style and generate to restyle it.',
+                    schedulePrompt: 'Publish time (YYYY-MM-DD HH:mm, local time), or leave empty for the best time:',
+                    scheduleDone: 'Thread scheduled!',
+                    confirmCancelSchedule: 'Cancel this scheduled post?',
+                    noScheduled: 'No posts scheduled.',
+                    apiKeyPrompt: 'Enter your API key to sign in:',
+                    signInFailed: 'Could not sign in: the key is invalid or revoked.',
+                    preferencesSaveFailed: 'Could not save your preferences.',
                     characterCount: 'characters',
                     outputPlaceholder: 'Your generated thread will appear here...'
                 },
@@ -242,6 +322,9 @@ class LanguageManager {
         if (outputTitle) outputTitle.textContent = this.getText('sections.output');
         if (historyTitle) historyTitle.textContent = this.getText('sections.history');
 
+        const scheduledTitle = document.getElementById('scheduledTitle');
+        if (scheduledTitle) scheduledTitle.textContent = this.getText('sections.scheduled');
+
         // Update form labels
         this.updateFormLabels();
         
@@ -270,7 +353,17 @@ class LanguageManager {
             'label[for="includeHashtags"]': 'form.includeHashtags',
             'label[for="includeImages"]': 'form.imageSuggestions',
             'label[for="personalNote"]': 'form.personalNote',
-            'label[for="darkMode"]': 'form.darkMode'
+            'label[for="darkMode"]': 'form.darkMode',
+            'label[for="provider"]': 'form.provider',
+            'label[for="variants"]': 'form.variants',
+            'label[for="platform"]': 'form.platform',
+            'label[for="emojiPreference"]': 'form.emojiPreference',
+            'label[for="arabicHashtags"]': 'form.arabicHashtags',
+            'label[for="autoAddCTA"]': 'form.autoAddCTA',
+            'label[for="brandVoice"]': 'form.brandVoice',
+            'label[for="importContent"]': 'form.importContent',
+            'label[for="importRehashtag"]': 'form.importRehashtag',
+            'label[for="importSave"]': 'form.importSave'
         };
 
         Object.entries(labelMappings).forEach(([selector, textPath]) => {
@@ -289,7 +382,15 @@ class LanguageManager {
             '#generateBtn': 'buttons.generate',
             '#showHistoryBtn': 'buttons.showHistory',
             '#hideHistoryBtn': 'buttons.hideHistory',
-            '#refreshHistoryBtn': 'buttons.refresh'
+            '#refreshHistoryBtn': 'buttons.refresh',
+            '.history-chip[data-filter="minScore"]': 'buttons.highEngagement',
+            '.history-chip[data-filter="favorite"]': 'buttons.favorites',
+            '.history-chip[data-filter="pinned"]': 'buttons.pinned',
+            '#deleteSelectedHistoryBtn': 'buttons.deleteSelected',
+            '#exportSelectedHistoryBtn': 'buttons.exportSelected',
+            '#showImportBtn': 'buttons.importThread',
+            '#importBtn': 'buttons.import',
+            '#hideImportBtn': 'buttons.closeImport'
         };
 
         Object.entries(buttonMappings).forEach(([selector, textPath]) => {
@@ -320,6 +421,16 @@ class LanguageManager {
         if (personalNote) {
             personalNote.placeholder = this.getText('form.personalNotePlaceholder');
         }
+
+        const historySearch = document.getElementById('historySearch');
+        if (historySearch) {
+            historySearch.placeholder = this.getText('form.historySearchPlaceholder');
+        }
+
+        const importContent = document.getElementById('importContent');
+        if (importContent) {
+            importContent.placeholder = this.getText('form.importPlaceholder');
+        }
         
         if (textCounter && textCounter.textContent.includes('characters')) {
             const count = textCounter.textContent.match(/\d+/)?.[0] || '0';
@@ -14,18 +14,38 @@ class ThreadGenerator {
         this.showHistoryBtn = document.getElementById('showHistoryBtn');
         this.hideHistoryBtn = document.getElementById('hideHistoryBtn');
         this.refreshHistoryBtn = document.getElementById('refreshHistoryBtn');
+        this.deleteSelectedHistoryBtn = document.getElementById('deleteSelectedHistoryBtn');
+        this.exportSelectedHistoryBtn = document.getElementById('exportSelectedHistoryBtn');
+        this.historyExportFormat = document.getElementById('historyExportFormat');
         this.historySection = document.getElementById('historySection');
         this.historyList = document.getElementById('historyList');
+        this.historySearch = document.getElementById('historySearch');
+        this.historySort = document.getElementById('historySort');
+        this.scheduledList = document.getElementById('scheduledList');
+        this.historyFilters = {};
+        this.historySearchTimer = null;
+        this.showImportBtn = document.getElementById('showImportBtn');
+        this.importSection = document.getElementById('importSection');
+        this.importContent = document.getElementById('importContent');
+        this.importResults = document.getElementById('importResults');
+        this.importedThreads = [];
         
         this.currentThread = null;
+        this.variantSet = null;
+        this.platforms = {};
+        this.countingRules = null;
+        this.activePlatform = 'x';
         this.maxInputLength = 10000;
-        this.userPrefs = this.loadUserPreferences();
+        this.userPrefs = this.getDefaultPreferences();
+        this.preferenceSaveTimer = null;
         this.savedThreads = this.loadSavedThreads();
         
         this.initializeEventListeners();
         this.loadFormPreferences();
         this.checkServiceHealth();
-        this.loadUserStats(); // Load user stats to pre-select preferred style
+        this.ensureSignedIn().then(() => Promise.all([this.loadStyles(), this.loadBrandVoices()]))
+            .then(() => this.loadUserPreferences());
+        this.loadPlatforms();
         setInterval(() => this.checkServiceHealth(), 30000);
     }
 
@@ -41,6 +61,10 @@ class ThreadGenerator {
             this.textArea.style.height = this.textArea.scrollHeight + 'px';
         });
 
+        document.getElementById('platform')?.addEventListener('change', () => {
+            this.applyPlatformLimits();
+        });
+
         document.addEventListener('click', (e) => {
             if (e.target.matches('.copy-btn')) {
                 this.copyToClipboard(e.target.dataset.content, e.target.dataset.type);
@@ -51,6 +75,52 @@ class ThreadGenerator {
             if (e.target.matches('.preview-btn')) {
                 this.showPreviewModal();
             }
+            if (e.target.matches('.rewrite-btn')) {
+                this.rewriteTweet(parseInt(e.target.dataset.index, 10), e.target);
+            }
+            if (e.target.matches('.choose-variant-btn')) {
+                this.chooseVariant(e.target.dataset.variant, e.target);
+            }
+            if (e.target.matches('.history-chip')) {
+                this.toggleHistoryFilter(e.target);
+            }
+            if (e.target.matches('.history-favorite-btn, .history-pin-btn')) {
+                this.updateHistoryEntry(e.target.dataset.threadId, {
+                    [e.target.dataset.flag]: e.target.dataset.active !== 'true'
+                });
+            }
+            if (e.target.matches('.history-tags-btn')) {
+                this.editHistoryTags(e.target.dataset.threadId, e.target.dataset.tags);
+            }
+            if (e.target.matches('.history-export-btn')) {
+                this.exportHistoryEntries([e.target.dataset.threadId]);
+            }
+            if (e.target.matches('.history-delete-btn')) {
+                this.deleteHistoryEntries([e.target.dataset.threadId]);
+            }
+            if (e.target.matches('.history-schedule-btn')) {
+                this.scheduleHistoryEntry(e.target.dataset.threadId);
+            }
+            if (e.target.matches('.scheduled-move-btn')) {
+                this.rescheduleJob(e.target.dataset.jobId, e.target.dataset.localTime);
+            }
+            if (e.target.matches('.scheduled-cancel-btn')) {
+                this.cancelScheduledJob(e.target.dataset.jobId);
+            }
+            if (e.target.matches('.history-select')) {
+                this.updateHistorySelection();
+            }
+            if (e.target.matches('.import-show-btn')) {
+                this.showImportedThread(parseInt(e.target.dataset.index, 10));
+            }
+            if (e.target.matches('.import-restyle-btn')) {
+                this.restyleImportedThread(parseInt(e.target.dataset.index, 10));
+            }
+            // Controls inside an item act on it; anywhere else opens it
+            const historyItem = e.target.closest('.history-item');
+            if (historyItem && !e.target.closest('.history-actions, .history-select, .history-chip')) {
+                this.loadHistoryItem(historyItem.dataset.threadId);
+            }
         });
 
         // Dark mode toggle
@@ -66,18 +136,30 @@ class ThreadGenerator {
         if (personalNoteField) {
             personalNoteField.addEventListener('input', (e) => {
                 this.userPrefs.personalNote = e.target.value;
-                this.saveUserPreferences();
+                // Save once typing pauses rather than on every keystroke
+                clearTimeout(this.preferenceSaveTimer);
+                this.preferenceSaveTimer = setTimeout(() => {
+                    this.saveUserPreferences({ personalNote: this.userPrefs.personalNote });
+                }, 500);
             });
         }
 
-        // Style selection tracking
-        const styleSelect = document.getElementById('style');
-        if (styleSelect) {
-            styleSelect.addEventListener('change', (e) => {
-                this.userPrefs.lastUsedStyle = e.target.value;
-                this.saveUserPreferences();
-            });
-        }
+        // Output preferences are kept on the server and applied to every generation
+        document.getElementById('maxTweets')?.addEventListener('change', (e) => {
+            const maxTweets = parseInt(e.target.value, 10);
+            if (maxTweets >= 1) {
+                this.saveUserPreferences({ defaultMaxTweets: maxTweets });
+            }
+        });
+        document.getElementById('emojiPreference')?.addEventListener('change', (e) => {
+            this.saveUserPreferences({ emojiPreference: e.target.value });
+        });
+        document.getElementById('arabicHashtags')?.addEventListener('change', (e) => {
+            this.saveUserPreferences({ arabicHashtags: e.target.value });
+        });
+        document.getElementById('autoAddCTA')?.addEventListener('change', (e) => {
+            this.saveUserPreferences({ autoAddCTA: e.target.checked });
+        });
 
         // History functionality
         if (this.showHistoryBtn) {
@@ -97,6 +179,51 @@ class ThreadGenerator {
                 this.loadHistory();
             });
         }
+
+        // Search as you type, once typing pauses
+        if (this.historySearch) {
+            this.historySearch.addEventListener('input', () => {
+                clearTimeout(this.historySearchTimer);
+                this.historySearchTimer = setTimeout(() => this.loadHistory(), 300);
+            });
+        }
+
+        if (this.historySort) {
+            this.historySort.addEventListener('change', () => {
+                this.loadHistory();
+            });
+        }
+
+        if (this.deleteSelectedHistoryBtn) {
+            this.deleteSelectedHistoryBtn.addEventListener('click', () => {
+                this.deleteHistoryEntries(this.getSelectedHistoryIds());
+            });
+        }
+
+        if (this.exportSelectedHistoryBtn) {
+            this.exportSelectedHistoryBtn.addEventListener('click', () => {
+                this.exportHistoryEntries(this.getSelectedHistoryIds());
+            });
+        }
+
+        // Thread import
+        if (this.showImportBtn) {
+            this.showImportBtn.addEventListener('click', () => {
+                this.showImport();
+            });
+        }
+
+        document.getElementById('hideImportBtn')?.addEventListener('click', () => {
+            this.hideImport();
+        });
+
+        document.getElementById('importBtn')?.addEventListener('click', () => {
+            this.importThreads();
+        });
+
+        document.getElementById('importFile')?.addEventListener('change', (e) => {
+            this.readImportFile(e.target.files[0]);
+        });
     }
 
     updateCharacterCounter() {
@@ -114,6 +241,38 @@ class ThreadGenerator {
         }
     }
 
+    async ensureSignedIn() {
+        try {
+            const response = await fetch('/api/auth/me');
+            if (response.status !== 401) {
+                return;
+            }
+
+            // Once the server has users, the browser signs in with an API key and keeps a session cookie
+            const promptText = window.languageManager
+                ? window.languageManager.getText('messages.apiKeyPrompt')
+                : 'Enter your API key to sign in:';
+            const apiKey = await this.askUser(promptText, { input: true, secret: true });
+            if (!apiKey) {
+                return;
+            }
+
+            const login = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ apiKey: apiKey.trim() })
+            });
+            if (!login.ok) {
+                const failedMessage = window.languageManager
+                    ? window.languageManager.getText('messages.signInFailed')
+                    : 'Could not sign in: the key is invalid or revoked.';
+                this.showError(failedMessage);
+            }
+        } catch (error) {
+            console.log('Could not check sign-in status:', error.message);
+        }
+    }
+
     async checkServiceHealth() {
         try {
             const response = await fetch('/api/health');
@@ -140,31 +299,119 @@ class ThreadGenerator {
         }
     }
 
-    async loadUserStats() {
+    // Preferences live on the server so they follow the user across browsers
+    async loadUserPreferences() {
         try {
-            const response = await fetch('/api/stats');
+            const response = await fetch('/api/preferences');
             if (!response.ok) {
-                throw new Error('Failed to fetch user stats');
+                throw new Error('Failed to fetch preferences');
             }
-            
-            const stats = await response.json();
-            const userPrefs = stats.user_preferences;
-            
-            if (userPrefs && userPrefs.most_used_style) {
-                // Pre-select the most used style in the dropdown
-                const styleSelect = document.getElementById('style');
-                if (styleSelect && userPrefs.most_used_style !== 'educational') {
-                    // Only change if it's different from default
-                    styleSelect.value = userPrefs.most_used_style;
-                    
-                    // Update user preferences to reflect this
-                    this.userPrefs.preferredStyle = userPrefs.most_used_style;
-                    this.saveUserPreferences();
-                }
+
+            const { preferences } = await response.json();
+            this.userPrefs = { ...this.getDefaultPreferences(), ...preferences };
+            this.loadFormPreferences();
+        } catch (error) {
+            console.log('Could not load preferences, using defaults:', error.message);
+        }
+    }
+
+    // Styles are defined on the server, so custom ones show up without a page change
+    async loadStyles() {
+        try {
+            const response = await fetch('/api/styles');
+            if (!response.ok) {
+                throw new Error('Failed to fetch styles');
+            }
+
+            const { styles } = await response.json();
+            const language = window.languageManager ? window.languageManager.currentLanguage : 'en';
+            const styleName = (style) => style.name[language] || style.name.en;
+
+            const styleSelect = document.getElementById('style');
+            if (styleSelect) {
+                const selected = styleSelect.value;
+                styleSelect.replaceChildren(...styles.map((style) => new Option(styleName(style), style.id)));
+                if (styles.some((style) => style.id === selected)) styleSelect.value = selected;
+            }
+
+            const chips = document.getElementById('historyChips');
+            if (chips) {
+                chips.querySelectorAll('.history-chip[data-filter="style"]').forEach((chip) => chip.remove());
+                chips.prepend(...styles.map((style) => {
+                    const chip = document.createElement('button');
+                    chip.type = 'button';
+                    chip.className = 'history-chip';
+                    chip.dataset.filter = 'style';
+                    chip.dataset.value = style.id;
+                    chip.textContent = styleName(style);
+                    return chip;
+                }));
+            }
+        } catch (error) {
+            console.log('Could not load styles, keeping the built-in list:', error.message);
+        }
+    }
+
+    async loadBrandVoices() {
+        try {
+            const response = await fetch('/api/brand-voices');
+            if (!response.ok) {
+                throw new Error('Failed to fetch brand voices');
+            }
+
+            const { brandVoices } = await response.json();
+            const brandSelect = document.getElementById('brandVoice');
+            if (brandSelect) {
+                brandSelect.append(...brandVoices.map((voice) => new Option(voice.name, voice.id)));
+            }
+        } catch (error) {
+            console.log('Could not load brand voices:', error.message);
+        }
+    }
+
+    async loadPlatforms() {
+        try {
+            const response = await fetch('/api/platforms');
+            if (!response.ok) {
+                throw new Error('Failed to fetch platforms');
             }
+
+            const { platforms, counting_rules: rules } = await response.json();
+            platforms.forEach((profile) => {
+                this.platforms[profile.id] = profile;
+            });
+            this.countingRules = {
+                url: new RegExp(rules.url.source, rules.url.flags),
+                urlTrailing: new RegExp(rules.url_trailing.source, rules.url_trailing.flags),
+                emoji: new RegExp(rules.emoji.source, rules.emoji.flags),
+                lightRanges: rules.light_ranges
+            };
+            this.applyPlatformLimits();
         } catch (error) {
-            console.log('Could not load user stats for style pre-selection:', error.message);
-            // This is not critical, so we just log and continue
+            console.log('Could not load platform profiles, counting graphemes:', error.message);
+        }
+    }
+
+    getPlatformProfile(platformId = this.activePlatform) {
+        return this.platforms[platformId] || this.platforms.x || {
+            id: 'x',
+            charLimit: 280,
+            counting: 'weighted',
+            urlLength: 23,
+            maxPosts: 20
+        };
+    }
+
+    // Keep the Max Tweets input within what the selected platform allows
+    applyPlatformLimits() {
+        const platformSelect = document.getElementById('platform');
+        const maxTweetsInput = document.getElementById('maxTweets');
+        if (!platformSelect || !maxTweetsInput) return;
+
+        const profile = this.getPlatformProfile(platformSelect.value);
+        maxTweetsInput.max = profile.maxPosts;
+        if (parseInt(maxTweetsInput.value, 10) > profile.maxPosts) {
+            maxTweetsInput.value = profile.maxPosts;
         }
     }
 
@@ -176,35 +423,40 @@ class ThreadGenerator {
             data.includeHashtags = document.getElementById('includeHashtags').checked;
             data.includeImages = document.getElementById('includeImages').checked;
             data.maxTweets = parseInt(data.maxTweets);
+            data.variants = parseInt(data.variants, 10) || 1;
+
+            // Let the server pick its configured provider unless one is chosen
+            if (!data.provider) {
+                delete data.provider;
+            }
+            if (!data.brandVoice) {
+                delete data.brandVoice;
+            }
 
             if (!data.text.trim()) {
                 this.showError('Please enter some content to generate a thread.');
                 return;
             }
 
-            // Track style usage
-            if (data.style) {
-                this.updateStyleMemory(data.style);
-            }
-
             // Add personal note to data if exists
             if (this.userPrefs.personalNote) {
                 data.personalNote = this.userPrefs.personalNote;
             }
 
-            this.setLoadingState(true);
+            // Variants are compared side by side instead of streamed
+            if (data.variants > 1) {
+                this.setLoadingState(true);
+                await this.generateVariants(data);
+                return;
+            }
+            delete data.variants;
 
-            const response = await fetch('/api/generate-thread', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(data)
-            });
+            this.activePlatform = data.platform || 'x';
 
-            const result = await response.json();
+            // Tweets are rendered as they stream in, so the spinner stays hidden
+            this.setLoadingState(true, false);
 
-            if (!response.ok) {
-                throw new Error(result.error || 'Failed to generate thread');
-            }
+            const result = await this.streamThread(data);
 
             if (result.error) {
                 this.showError(`Generation failed: ${result.error}`);
@@ -221,8 +473,221 @@ class ThreadGenerator {
         }
     }
 
+    async streamThread(data) {
+        const response = await fetch('/api/generate-thread/stream', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(result.error || 'Failed to generate thread');
+        }
+
+        const stream = { tweets: [], meta: null, error: null };
+        this.beginStreamingView();
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const rawEvents = buffer.split('\n\n');
+            buffer = rawEvents.pop();
+
+            rawEvents.forEach((rawEvent) => {
+                const parsed = this.parseStreamEvent(rawEvent);
+                if (parsed) {
+                    this.handleStreamEvent(stream, parsed.event, parsed.data);
+                }
+            });
+        }
+
+        if (stream.error) {
+            return { error: stream.error };
+        }
+        if (!stream.meta) {
+            throw new Error('Stream ended before the thread was complete');
+        }
+
+        return { ...stream.meta, thread: stream.tweets };
+    }
+
+    parseStreamEvent(rawEvent) {
+        let event = 'message';
+        let data = '';
+
+        rawEvent.split('\n').forEach((line) => {
+            if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                data += line.slice(5).trim();
+            }
+        });
+
+        if (!data) return null;
+
+        try {
+            return { event, data: JSON.parse(data) };
+        } catch (error) {
+            console.warn('Ignoring malformed stream event:', rawEvent);
+            return null;
+        }
+    }
+
+    handleStreamEvent(stream, event, data) {
+        switch (event) {
+            case 'start':
+                this.updateStreamStatus(`Generating with ${data.provider}...`);
+                break;
+            case 'retry':
+                this.updateStreamStatus(`Retrying (attempt ${data.attempt}) in ${Math.round(data.delayMs / 1000)}s...`);
+                break;
+            case 'fallback':
+                this.updateStreamStatus(`Using local generator (${data.reason})...`);
+                break;
+            case 'tweet':
+                stream.tweets.push(data.tweet);
+                this.appendStreamedTweet(data.tweet);
+                break;
+            case 'metadata':
+                stream.meta = data;
+                break;
+            case 'error':
+                stream.error = data.details || data.error;
+                break;
+            default:
+                break;
+        }
+    }
+
+    beginStreamingView() {
+        this.output.innerHTML = `
+            <div class="metadata stream-status" id="streamStatus">Connecting...</div>
+            <div class="thread-preview" id="streamPreview"></div>
+        `;
+    }
+
+    updateStreamStatus(message) {
+        const status = document.getElementById('streamStatus');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    appendStreamedTweet(tweet) {
+        const preview = document.getElementById('streamPreview');
+        if (!preview) return;
+
+        preview.insertAdjacentHTML('beforeend', this.renderTweet(tweet, this.isRTLText(tweet.text)));
+        this.updateStreamStatus(`Received ${tweet.index} tweet${tweet.index === 1 ? '' : 's'}...`);
+    }
+
+    isRTLText(text) {
+        const letters = (text || '').replace(/[\s\d\p{P}\p{S}]/gu, '');
+        if (!letters.length) return false;
+        const arabic = (letters.match(/[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF]/g) || []).length;
+        return (arabic / letters.length) * 100 > 30;
+    }
+
+    async generateVariants(data) {
+        const response = await fetch('/api/generate-thread', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to generate variants');
+        }
+
+        this.currentThread = null;
+        this.variantSet = result;
+        this.displayVariants(result);
+    }
+
+    displayVariants(variantSet) {
+        const { variants, recommended_variant: recommendedVariant } = variantSet;
+
+        let html = `
+            <div class="success">
+                <strong>${variants.length} variants generated.</strong>
+                Compare them and pick the one to keep — only the winner is saved to history.
+            </div>
+            <div class="variant-grid">
+        `;
+
+        variants.forEach((variant) => {
+            const isRecommended = variant.variant_id === recommendedVariant;
+            const isRTL = variant.metadata?.direction === 'rtl';
+            this.activePlatform = variant.metadata?.platform || 'x';
+
+            html += `
+                <div class="variant-card ${isRecommended ? 'recommended' : ''}">
+                    <div class="variant-header">
+                        <strong>${variant.variant_id} · ${variant.label}</strong>
+                        ${isRecommended ? '<span class="variant-badge">⭐ Recommended</span>' : ''}
+                    </div>
+                    <div class="variant-stats">
+                        <span><strong>Score:</strong> ${variant.estimated_engagement_score.toFixed(1)}/10</span>
+                        <span><strong>Tweets:</strong> ${variant.thread.length}</span>
+                        <span><strong>Style:</strong> ${variant.params.style}</span>
+                    </div>
+                    ${variant.thread.map((tweet) => this.renderTweet(tweet, isRTL)).join('')}
+                    <button type="button" class="btn btn-primary choose-variant-btn"
+                        data-variant="${variant.variant_id}">
+                        🏆 Pick Variant ${variant.variant_id}
+                    </button>
+                </div>
+            `;
+        });
+
+        html += '</div>';
+        this.output.innerHTML = html;
+    }
+
+    async chooseVariant(variantId, button) {
+        if (!this.variantSet) {
+            this.showError('No variants to choose from');
+            return;
+        }
+
+        button.disabled = true;
+
+        try {
+            const response = await fetch(`/api/generate-thread/variants/${this.variantSet.variant_set_id}/select`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ variantId })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to save variant');
+            }
+
+            this.variantSet = null;
+            this.currentThread = result.thread;
+            this.displayThread(result.thread);
+            this.showSuccess(`Variant ${variantId} (${result.variant.label}) saved to history`);
+        } catch (error) {
+            button.disabled = false;
+            this.showError(`Failed to save variant: ${error.message}`);
+        }
+    }
+
     displayThread(threadData) {
         const { metadata, thread, thread_summary, estimated_engagement_score } = threadData;
+        this.activePlatform = metadata.platform || 'x';
+        // Why each hashtag was suggested, shown as the tag's tooltip
+        this.hashtagReasons = new Map((metadata.hashtag_candidates || [])
+            .map((candidate) => [candidate.tag.toLowerCase(), `${candidate.reason} (score ${candidate.score})`]));
         
         let html = `
             <div class="metadata">
@@ -242,34 +707,179 @@ class ThreadGenerator {
         `;
 
         if (thread_summary) {
-            html += `<div class="success"><strong>Structure:</strong> ${thread_summary}</div>`;
+            html += `<div class="success"><strong>Structure:</strong> ${this.escapeHtml(thread_summary)}</div>`;
         }
 
         html += '<div class="thread-preview">';
         
         thread.forEach((tweet) => {
-            const isRTL = metadata.direction === 'rtl';
-            const charCountClass = tweet.char_count > 280 ? 'error' : 
-                                 tweet.char_count > 260 ? 'warning' : '';
-
-            html += `
-                <div class="tweet ${isRTL ? 'rtl' : ''}">
-                    <div class="tweet-header">
-                        <span>Tweet ${tweet.index}</span>
-                        <span class="char-count ${charCountClass}">${tweet.char_count}/280</span>
-                    </div>
-                    <div class="tweet-content">${this.formatTweetText(tweet.text)}</div>
-                    ${tweet.hashtags?.length ? `<div class="hashtags">${tweet.hashtags.join(' ')}</div>` : ''}
-                    ${tweet.emoji_suggestions?.length ? `<div class="emojis">${tweet.emoji_suggestions.join(' ')}</div>` : ''}
-                    ${tweet.cta ? `<div class="tweet-meta"><strong>CTA:</strong> ${tweet.cta}</div>` : ''}
-                </div>
-            `;
+            html += this.renderTweet(tweet, metadata.direction === 'rtl', true);
         });
 
         html += `</div>${this.generateActionButtons()}`;
         this.output.innerHTML = html;
     }
 
+    renderTweet(tweet, isRTL, showActions = false) {
+        const charCount = this.getTweetLength(tweet);
+        const { charLimit } = this.getPlatformProfile();
+        let charCountClass = '';
+        if (charCount > charLimit) {
+            charCountClass = 'error';
+        } else if (charCount > charLimit - 20) {
+            charCountClass = 'warning';
+        }
+
+        return `
+            <div class="tweet ${isRTL ? 'rtl' : ''}">
+                <div class="tweet-header">
+                    <span>Tweet ${tweet.index}</span>
+                    <span class="tweet-header-actions">
+                        ${showActions ? `
+                            <button type="button" class="rewrite-btn" data-index="${tweet.index}"
+                                title="Rewrite this tweet only">🔄 Rewrite</button>
+                        ` : ''}
+                        <span class="char-count ${charCountClass}">${charCount}/${charLimit}</span>
+                    </span>
+                </div>
+                <div class="tweet-content">${this.formatTweetText(tweet.text)}</div>
+                ${tweet.hashtags?.length ? `<div class="hashtags">${this.renderHashtags(tweet.hashtags)}</div>` : ''}
+                ${tweet.emoji_suggestions?.length
+                    ? `<div class="emojis">${tweet.emoji_suggestions.join(' ')}</div>`
+                    : ''}
+                ${tweet.cta ? `<div class="tweet-meta"><strong>CTA:</strong> ${this.escapeHtml(tweet.cta)}</div>` : ''}
+                ${tweet.warnings?.length ? `<div class="tweet-warnings">⚠️ ${tweet.warnings.join(' · ')}</div>` : ''}
+            </div>
+        `;
+    }
+
+    renderHashtags(hashtags) {
+        return hashtags.map((tag) => {
+            const reason = this.hashtagReasons && this.hashtagReasons.get(tag.toLowerCase());
+            if (!reason) {
+                return `<span class="hashtag">${tag}</span>`;
+            }
+            const title = reason.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+            return `<span class="hashtag" title="${title}">${tag}</span>`;
+        }).join(' ');
+    }
+
+    async rewriteTweet(tweetIndex, button) {
+        if (!this.currentThread || !this.currentThread.thread) {
+            this.showError('No thread to rewrite');
+            return;
+        }
+
+        const promptText = window.languageManager
+            ? window.languageManager.getText('messages.rewritePrompt')
+            : 'How should this tweet change? (e.g. "shorter", "add example", "more formal") Leave empty to rephrase.';
+        const instruction = await this.askUser(promptText, { input: true });
+        if (instruction === null) {
+            return;
+        }
+
+        const provider = document.getElementById('provider')?.value;
+        const payload = {
+            thread: this.currentThread.thread,
+            tweetIndex,
+            instruction: instruction.trim(),
+            style: this.currentThread.metadata?.style_requested,
+            platform: this.currentThread.metadata?.platform
+        };
+        if (this.currentThread.metadata?.brand_voice) {
+            payload.brandVoice = this.currentThread.metadata.brand_voice;
+        }
+        if (provider) {
+            payload.provider = provider;
+        }
+
+        button.disabled = true;
+        button.textContent = '⏳ Rewriting...';
+
+        try {
+            const response = await fetch('/api/rewrite-tweet', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to rewrite tweet');
+            }
+
+            this.currentThread.thread[tweetIndex - 1] = result.tweet;
+            this.displayThread(this.currentThread);
+            this.showSuccess(`Tweet ${tweetIndex} rewritten`);
+        } catch (error) {
+            button.disabled = false;
+            button.textContent = '🔄 Rewrite';
+
+            // Keep the thread on screen; only flag the failed rewrite
+            const errorDiv = document.createElement('div');
+            errorDiv.className = 'error';
+            errorDiv.textContent = `Failed to rewrite tweet: ${error.message}`;
+            this.output.insertBefore(errorDiv, this.output.firstChild);
+            setTimeout(() => errorDiv.remove(), 5000);
+        }
+    }
+
+    // Counts with the rules of utils/charCounter.js served by /api/platforms: X counts URLs
+    // as 23, emoji and CJK as 2; other platforms count graphemes and weigh links by their profile
+    getTweetLength(tweet) {
+        let fullText = tweet.text || '';
+        const hashtagText = (tweet.hashtags || []).join(' ');
+
+        if (hashtagText && !fullText.includes(hashtagText)) {
+            fullText += ` ${hashtagText}`;
+        }
+        if (tweet.cta && !fullText.includes(tweet.cta)) {
+            fullText += ` ${tweet.cta}`;
+        }
+
+        return this.getWeightedLength(fullText, this.getPlatformProfile());
+    }
+
+    getWeightedLength(text, profile = this.getPlatformProfile()) {
+        if (!text) return 0;
+
+        const rules = this.countingRules;
+        const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+        // Without the rules every grapheme counts as 1
+        if (!rules) {
+            return [...segmenter.segment(text.normalize('NFC'))].length;
+        }
+
+        let weight = 0;
+        const normalized = text.normalize('NFC').replace(rules.url, (url) => {
+            // Trailing punctuation (and an unmatched closing parenthesis) is not part of the link
+            let link = url.replace(rules.urlTrailing, '');
+            if (link.endsWith(')') && !link.includes('(')) {
+                link = link.slice(0, -1);
+            }
+            weight += profile.urlLength || [...segmenter.segment(link)].length;
+            return url.slice(link.length);
+        });
+
+        for (const { segment } of segmenter.segment(normalized)) {
+            if (profile.counting !== 'weighted') {
+                weight += 1;
+                continue;
+            }
+            if (rules.emoji.test(segment)) {
+                weight += 2;
+                continue;
+            }
+            for (const char of segment) {
+                const codePoint = char.codePointAt(0);
+                weight += rules.lightRanges.some(([min, max]) => codePoint >= min && codePoint <= max) ? 1 : 2;
+            }
+        }
+
+        return weight;
+    }
+
     generateActionButtons() {
         return `
             <div class="action-buttons">
@@ -292,8 +902,18 @@ class ThreadGenerator {
         `;
     }
 
+    // Imported threads carry text from outside the app, so escape it before it goes into element content
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
     formatTweetText(text) {
-        return text.replace(/\n/g, '<br>').replace(/(#\w+)/g, '<span style="color: #1da1f2;">$1</span>');
+        return this.escapeHtml(text)
+            .replace(/\n/g, '<br>')
+            .replace(/(#\w+)/g, '<span style="color: #1da1f2;">$1</span>');
     }
 
     async copyToClipboard(type, label) {
@@ -318,12 +938,68 @@ class ThreadGenerator {
         }
     }
 
-    setLoadingState(loading) {
+    setLoadingState(loading, showSpinner = true) {
         this.generateBtn.disabled = loading;
-        this.loading.style.display = loading ? 'block' : 'none';
+        this.loading.style.display = loading && showSpinner ? 'block' : 'none';
         this.generateBtn.textContent = loading ? 'Generating...' : '🚀 Generate Thread';
     }
 
+    // Asks in an in-page dialog rather than with the browser's blocking prompt and confirm boxes.
+    // Resolves to the text entered (null when cancelled) with input, otherwise to whether the user agreed
+    askUser(message, { input = false, defaultValue = '', secret = false } = {}) {
+        const { languageManager } = window;
+        const label = (key, fallback) => (languageManager ? languageManager.getText(`messages.${key}`) : fallback);
+
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'preview-modal';
+            modal.innerHTML = `
+                <form class="modal-content">
+                    <div class="modal-body">
+                        <p class="dialog-message"></p>
+                        ${input ? `<input class="dialog-input" type="${secret ? 'password' : 'text'}">` : ''}
+                    </div>
+                    <div class="dialog-actions">
+                        <button type="button" class="btn btn-secondary dialog-cancel"></button>
+                        <button type="submit" class="btn btn-info dialog-ok"></button>
+                    </div>
+                </form>
+            `;
+            modal.querySelector('.dialog-message').textContent = message;
+            modal.querySelector('.dialog-cancel').textContent = label('dialogCancel', 'Cancel');
+            modal.querySelector('.dialog-ok').textContent = label('dialogOk', 'OK');
+            const field = modal.querySelector('.dialog-input');
+            if (field) {
+                field.value = defaultValue;
+            }
+
+            const close = (answer) => {
+                modal.remove();
+                resolve(answer);
+            };
+            const cancel = () => close(input ? null : false);
+
+            modal.querySelector('form').addEventListener('submit', (e) => {
+                e.preventDefault();
+                close(input ? field.value : true);
+            });
+            modal.querySelector('.dialog-cancel').addEventListener('click', cancel);
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    cancel();
+                }
+            });
+            modal.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    cancel();
+                }
+            });
+
+            document.body.appendChild(modal);
+            (field || modal.querySelector('.dialog-ok')).focus();
+        });
+    }
+
     showError(message) {
         const localizedMessage = window.languageManager ? 
             window.languageManager.getText('messages.error') : message;
@@ -363,67 +1039,62 @@ class ThreadGenerator {
      }
 
     // User Preferences Management
-    loadUserPreferences() {
-        const defaultPrefs = {
+    getDefaultPreferences() {
+        return {
             preferredStyle: 'educational',
-            alwaysUseArabicHashtags: true,
-            emojiPreference: ['💡', '📚', '✨'],
+            arabicHashtags: 'auto',
+            emojiPreference: 'moderate',
             autoAddCTA: true,
-            darkMode: false,
-            styleMemory: {
-                educational: 0,
-                technical: 0,
-                concise: 0,
-                engaging: 0,
-                professional: 0
-            },
-            lastUsedLanguage: 'auto',
             defaultMaxTweets: 5,
+            darkMode: false,
             personalNote: '',
             autoSaveToLocalStorage: true
         };
-        
-        const saved = localStorage.getItem('threadgen_userprefs');
-        return saved ? { ...defaultPrefs, ...JSON.parse(saved) } : defaultPrefs;
     }
 
-    saveUserPreferences() {
-        localStorage.setItem('threadgen_userprefs', JSON.stringify(this.userPrefs));
+    async saveUserPreferences(changes) {
+        Object.assign(this.userPrefs, changes);
+
+        try {
+            const response = await fetch('/api/preferences', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(changes)
+            });
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.error || `HTTP ${response.status}`);
+            }
+        } catch (error) {
+            const failedMessage = window.languageManager
+                ? window.languageManager.getText('messages.preferencesSaveFailed')
+                : 'Could not save your preferences.';
+            console.log('Could not save preferences:', error.message);
+            this.showError(failedMessage);
+        }
     }
 
     loadFormPreferences() {
         // Set form defaults from preferences
         const styleSelect = document.getElementById('style');
-        const languageSelect = document.getElementById('language');
         const maxTweetsInput = document.getElementById('maxTweets');
         const personalNoteField = document.getElementById('personalNote');
         const darkModeToggle = document.getElementById('darkMode');
+        const emojiSelect = document.getElementById('emojiPreference');
+        const arabicHashtagsSelect = document.getElementById('arabicHashtags');
+        const ctaToggle = document.getElementById('autoAddCTA');
         
         if (styleSelect) styleSelect.value = this.userPrefs.preferredStyle;
-        if (languageSelect) languageSelect.value = this.userPrefs.lastUsedLanguage;
         if (maxTweetsInput) maxTweetsInput.value = this.userPrefs.defaultMaxTweets;
         if (personalNoteField) personalNoteField.value = this.userPrefs.personalNote;
         if (darkModeToggle) darkModeToggle.checked = this.userPrefs.darkMode;
+        if (emojiSelect) emojiSelect.value = this.userPrefs.emojiPreference;
+        if (arabicHashtagsSelect) arabicHashtagsSelect.value = this.userPrefs.arabicHashtags;
+        if (ctaToggle) ctaToggle.checked = this.userPrefs.autoAddCTA;
         
         // Apply dark mode if enabled
-        if (this.userPrefs.darkMode) {
-            document.body.classList.add('dark-mode');
-        }
-    }
-
-    updateStyleMemory(style) {
-        this.userPrefs.styleMemory[style]++;
-        
-        // Check if style used 5 times in a row
-        const otherStyles = Object.keys(this.userPrefs.styleMemory).filter(s => s !== style);
-        const allOthersZero = otherStyles.every(s => this.userPrefs.styleMemory[s] === 0);
-        
-        if (this.userPrefs.styleMemory[style] >= 5 && allOthersZero) {
-            this.showSuccess(`Style "${style}" suggested as your preferred choice!`);
-            this.userPrefs.preferredStyle = style;
-        }
-        
-        this.saveUserPreferences();
+        document.body.classList.toggle('dark-mode', this.userPrefs.darkMode);
+        this.applyPlatformLimits();
     }
 
     // LocalStorage Thread Management
@@ -526,19 +1197,18 @@ class ThreadGenerator {
             <div class="tweet-preview">
                 <div class="tweet-header">
                     <strong>Tweet ${index + 1}/${this.currentThread.thread.length}</strong>
-                    <span class="char-count">${tweet.char_count}/280</span>
+                    <span class="char-count">${this.getTweetLength(tweet)}/${this.getPlatformProfile().charLimit}</span>
                 </div>
                 <div class="tweet-content">${this.formatTweetText(tweet.text)}</div>
                 ${tweet.hashtags?.length ? `<div class="tweet-hashtags">${tweet.hashtags.join(' ')}</div>` : ''}
-                ${tweet.cta ? `<div class="tweet-cta">${tweet.cta}</div>` : ''}
+                ${tweet.cta ? `<div class="tweet-cta">${this.escapeHtml(tweet.cta)}</div>` : ''}
             </div>
         `).join('');
      }
 
     // Dark Mode Toggle
     toggleDarkMode(enabled) {
-        this.userPrefs.darkMode = enabled;
-        this.saveUserPreferences();
+        this.saveUserPreferences({ darkMode: enabled });
         
         if (enabled) {
             document.body.classList.add('dark-mode');
@@ -552,11 +1222,6 @@ class ThreadGenerator {
         const formData = new FormData(this.form);
         const data = Object.fromEntries(formData.entries());
         
-        // Track style usage
-        if (data.style) {
-            this.updateStyleMemory(data.style);
-        }
-        
         // Add personal note to data if exists
         if (this.userPrefs.personalNote) {
             data.personalNote = this.userPrefs.personalNote;
@@ -584,7 +1249,7 @@ class ThreadGenerator {
         try {
             this.historyList.innerHTML = '<p style="text-align: center; color: #666; padding: 20px;">Loading history...</p>';
             
-            const response = await fetch('/api/history?limit=5');
+            const response = await fetch(`/api/history?${this.buildHistoryQuery()}`);
             if (!response.ok) {
                 throw new Error('Failed to fetch history');
             }
@@ -595,13 +1260,60 @@ class ThreadGenerator {
             console.error('Error loading history:', error);
             this.historyList.innerHTML = '<p class="history-empty">Failed to load history. Please try again.</p>';
         }
+
+        await this.loadScheduledJobs();
+    }
+
+    buildHistoryQuery() {
+        const params = new URLSearchParams({ limit: 20 });
+        const query = this.historySearch?.value.trim();
+        if (query) {
+            params.set('q', query);
+        }
+        if (this.historySort?.value) {
+            params.set('sort', this.historySort.value);
+        }
+
+        // Chips of the same kind combine with OR, different kinds with AND
+        Object.entries(this.historyFilters).forEach(([filter, values]) => {
+            if (values.length > 0) {
+                params.set(filter, values.join(','));
+            }
+        });
+
+        return params.toString();
+    }
+
+    toggleHistoryFilter(chip) {
+        const { filter, value } = chip.dataset;
+        const values = this.historyFilters[filter] || [];
+
+        if (['minScore', 'favorite', 'pinned'].includes(filter)) {
+            // A threshold or a flag, not a list: one chip at a time
+            this.historyFilters[filter] = values.includes(value) ? [] : [value];
+        } else {
+            this.historyFilters[filter] = values.includes(value)
+                ? values.filter((v) => v !== value)
+                : [...values, value];
+        }
+
+        document.querySelectorAll(`.history-chip[data-filter="${filter}"]`).forEach((button) => {
+            button.classList.toggle('active', this.historyFilters[filter].includes(button.dataset.value));
+        });
+        this.loadHistory();
     }
 
     displayHistory(historyItems) {
         if (!historyItems || historyItems.length === 0) {
-            const noHistoryMessage = window.languageManager ? 
-                window.languageManager.getText('messages.noHistory') : 
-                'No threads found. Generate your first thread to see it here!';
+            const filtered = Boolean(this.historySearch?.value.trim())
+                || Object.values(this.historyFilters).some((values) => values.length > 0);
+            const { languageManager } = window;
+            const fallbackMessage = filtered
+                ? 'No threads match your search or filters.'
+                : 'No threads found. Generate your first thread to see it here!';
+            const noHistoryMessage = languageManager
+                ? languageManager.getText(filtered ? 'messages.noHistoryMatches' : 'messages.noHistory')
+                : fallbackMessage;
             this.historyList.innerHTML = `<p class="history-empty">${noHistoryMessage}</p>`;
             return;
         }
@@ -609,28 +1321,309 @@ class ThreadGenerator {
         const historyHTML = historyItems.map(item => {
             const date = new Date(item.timestamp).toLocaleDateString();
             const time = new Date(item.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-            const preview = this.getThreadPreview(item.thread);
+            const preview = this.getThreadPreview([{ text: item.preview || '' }]);
             const language = item.metadata?.language || 'auto';
             const style = item.metadata?.style_requested || 'educational';
-            const tweetCount = item.thread?.length || 0;
+            const tweetCount = item.tweet_count || 0;
+            const score = typeof item.engagement_score === 'number' ? `<span>⭐ ${item.engagement_score}</span>` : '';
+            const tags = (item.hashtags || []).slice(0, 5).join(' ');
+            const activeLabels = this.historyFilters.tags || [];
+            const labels = (item.tags || []).map((tag) => `
+                <button type="button" class="history-chip${activeLabels.includes(tag) ? ' active' : ''}"
+                    data-filter="tags" data-value="${tag}">🏷️ ${tag}</button>
+            `).join('');
             
             return `
-                <div class="history-item" data-thread-id="${item.id}" onclick="threadGenerator.loadHistoryItem('${item.id}')">
+                <div class="history-item${item.pinned ? ' pinned' : ''}" data-thread-id="${item.id}">
                     <div class="history-header">
-                        <strong>${style.charAt(0).toUpperCase() + style.slice(1)} Thread</strong>
+                        <span class="history-title">
+                            <input type="checkbox" class="history-select" data-thread-id="${item.id}">
+                            <strong>
+                                ${item.pinned ? '📌 ' : ''}${style.charAt(0).toUpperCase() + style.slice(1)} Thread
+                            </strong>
+                        </span>
                         <span class="history-meta">${date} at ${time}</span>
                     </div>
+                    <div class="history-actions">
+                        <button type="button" class="history-favorite-btn" data-thread-id="${item.id}"
+                            data-flag="favorite" data-active="${item.favorite === true}"
+                            title="Favorite">${item.favorite ? '★' : '☆'}</button>
+                        <button type="button" class="history-pin-btn${item.pinned ? ' active' : ''}"
+                            data-thread-id="${item.id}" data-flag="pinned" data-active="${item.pinned === true}"
+                            title="Pin (kept past the retention period)">📌</button>
+                        <button type="button" class="history-tags-btn" data-thread-id="${item.id}"
+                            data-tags="${(item.tags || []).join(', ')}" title="Edit tags">🏷️</button>
+                        <button type="button" class="history-export-btn" data-thread-id="${item.id}"
+                            title="Export">⬇️</button>
+                        <button type="button" class="history-schedule-btn" data-thread-id="${item.id}"
+                            title="Schedule">⏰</button>
+                        <button type="button" class="history-delete-btn" data-thread-id="${item.id}"
+                            title="Delete">🗑️</button>
+                    </div>
                     <div class="history-preview">${preview}</div>
                     <div class="history-stats">
                         <span>📊 ${tweetCount} tweets</span>
                         <span>🌐 ${language.toUpperCase()}</span>
                         <span>📝 ${style}</span>
+                        ${score}
                     </div>
+                    ${tags ? `<div class="history-tags">${tags}</div>` : ''}
+                    ${labels ? `<div class="history-labels">${labels}</div>` : ''}
                 </div>
             `;
         }).join('');
 
         this.historyList.innerHTML = historyHTML;
+        this.updateHistorySelection();
+    }
+
+    getSelectedHistoryIds() {
+        return [...document.querySelectorAll('.history-select:checked')].map((box) => box.dataset.threadId);
+    }
+
+    updateHistorySelection() {
+        const count = this.getSelectedHistoryIds().length;
+        [this.deleteSelectedHistoryBtn, this.exportSelectedHistoryBtn].forEach((button) => {
+            if (button) {
+                button.disabled = count === 0;
+            }
+        });
+    }
+
+    async exportHistoryEntries(threadIds) {
+        if (threadIds.length === 0) {
+            return;
+        }
+
+        const format = this.historyExportFormat?.value || 'markdown';
+
+        try {
+            // One thread downloads as a file, several as a ZIP archive
+            const response = threadIds.length === 1
+                ? await fetch(`/api/history/${threadIds[0]}/export?format=${encodeURIComponent(format)}`)
+                : await fetch('/api/history/export', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ids: threadIds, format })
+                });
+
+            if (!response.ok) {
+                const result = await response.json();
+                throw new Error(result.error || 'Export failed');
+            }
+
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const filename = disposition.match(/filename="?([^";]+)"?/)?.[1] || `thread-export-${Date.now()}`;
+            const url = URL.createObjectURL(await response.blob());
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            a.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            this.showError(`Failed to export: ${error.message}`);
+        }
+    }
+
+    async updateHistoryEntry(threadId, changes) {
+        try {
+            const response = await fetch(`/api/history/${threadId}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(changes)
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to update thread');
+            }
+
+            await this.loadHistory();
+        } catch (error) {
+            this.showError(`Failed to update thread: ${error.message}`);
+        }
+    }
+
+    async editHistoryTags(threadId, currentTags) {
+        const promptText = window.languageManager
+            ? window.languageManager.getText('messages.tagsPrompt')
+            : 'Tags (comma-separated):';
+        const input = await this.askUser(promptText, { input: true, defaultValue: currentTags || '' });
+        if (input === null) {
+            return;
+        }
+
+        const tags = input.split(',').map((tag) => tag.trim()).filter(Boolean);
+        this.updateHistoryEntry(threadId, { tags });
+    }
+
+    async deleteHistoryEntries(threadIds) {
+        if (threadIds.length === 0) {
+            return;
+        }
+
+        const confirmText = window.languageManager
+            ? window.languageManager.getText('messages.confirmDelete')
+            : 'Delete the selected threads? This cannot be undone.';
+        if (!await this.askUser(`${confirmText} (${threadIds.length})`)) {
+            return;
+        }
+
+        try {
+            const response = threadIds.length === 1
+                ? await fetch(`/api/history/${threadIds[0]}`, { method: 'DELETE' })
+                : await fetch('/api/history/bulk-delete', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ids: threadIds })
+                });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to delete threads');
+            }
+
+            this.showSuccess(`Deleted ${result.deleted.length} thread(s)`);
+            await this.loadHistory();
+        } catch (error) {
+            this.showError(`Failed to delete threads: ${error.message}`);
+        }
+    }
+
+    getTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    }
+
+    async loadScheduledJobs() {
+        if (!this.scheduledList) {
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/schedule');
+            if (!response.ok) {
+                throw new Error('Failed to fetch scheduled posts');
+            }
+
+            const data = await response.json();
+            this.displayScheduledJobs(data.jobs.filter((job) => job.status !== 'cancelled'));
+        } catch (error) {
+            console.error('Error loading scheduled posts:', error);
+            this.scheduledList.innerHTML = '';
+        }
+    }
+
+    displayScheduledJobs(jobs) {
+        if (jobs.length === 0) {
+            const noScheduledMessage = window.languageManager
+                ? window.languageManager.getText('messages.noScheduled')
+                : 'No posts scheduled.';
+            this.scheduledList.innerHTML = `<p class="history-empty">${noScheduledMessage}</p>`;
+            return;
+        }
+
+        const statusIcons = {
+            pending: '🕒',
+            publishing: '📤',
+            published: '✅',
+            failed: '⚠️'
+        };
+        this.scheduledList.innerHTML = jobs.map((job) => {
+            const open = job.status === 'pending' || job.status === 'failed';
+            const time = new Date(job.publish_at).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+            return `
+                <div class="scheduled-job" data-job-id="${job.id}">
+                    <span>${statusIcons[job.status] || ''} ${job.status}</span>
+                    <span class="scheduled-time">${time} <small>(${job.local_time} ${job.timezone})</small></span>
+                    <span>📤 ${job.publisher}</span>
+                    ${open ? `
+                        <button type="button" class="scheduled-move-btn" data-job-id="${job.id}"
+                            data-local-time="${job.local_time.replace('T', ' ')}" title="Reschedule">⏰</button>
+                        <button type="button" class="scheduled-cancel-btn" data-job-id="${job.id}"
+                            title="Cancel">✖</button>
+                    ` : ''}
+                    ${job.error ? `<span class="scheduled-error">${job.error.replace(/</g, '&lt;')}</span>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    async promptPublishTime(currentTime) {
+        const promptText = window.languageManager
+            ? window.languageManager.getText('messages.schedulePrompt')
+            : 'Publish time in your local time (YYYY-MM-DD HH:mm), or leave empty for the recommended time:';
+        const input = await this.askUser(promptText, { input: true, defaultValue: currentTime || '' });
+        return input === null ? null : input.trim();
+    }
+
+    async sendScheduleRequest(url, method, body) {
+        const response = await fetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.details?.errors?.join('; ') || result.error || 'Request failed');
+        }
+        return result.job;
+    }
+
+    async scheduleHistoryEntry(threadId) {
+        const publishAt = await this.promptPublishTime();
+        if (publishAt === null) {
+            return;
+        }
+
+        try {
+            // Times are sent without an offset so the server reads them in the browser's time zone
+            await this.sendScheduleRequest('/api/schedule', 'POST', {
+                historyId: threadId,
+                publishAt: publishAt || undefined,
+                timezone: this.getTimeZone()
+            });
+
+            const successMessage = window.languageManager
+                ? window.languageManager.getText('messages.scheduleDone')
+                : 'Thread scheduled!';
+            this.showSuccess(successMessage);
+            await this.loadScheduledJobs();
+        } catch (error) {
+            this.showError(`Failed to schedule thread: ${error.message}`);
+        }
+    }
+
+    async rescheduleJob(jobId, currentTime) {
+        const publishAt = await this.promptPublishTime(currentTime);
+        if (!publishAt) {
+            return;
+        }
+
+        try {
+            // The prompt shows the job's local time, so the job keeps its time zone
+            await this.sendScheduleRequest(`/api/schedule/${jobId}`, 'PATCH', { publishAt });
+            await this.loadScheduledJobs();
+        } catch (error) {
+            this.showError(`Failed to reschedule: ${error.message}`);
+        }
+    }
+
+    async cancelScheduledJob(jobId) {
+        const confirmText = window.languageManager
+            ? window.languageManager.getText('messages.confirmCancelSchedule')
+            : 'Cancel this scheduled post?';
+        if (!await this.askUser(confirmText)) {
+            return;
+        }
+
+        try {
+            await this.sendScheduleRequest(`/api/schedule/${jobId}`, 'DELETE');
+            await this.loadScheduledJobs();
+        } catch (error) {
+            this.showError(`Failed to cancel: ${error.message}`);
+        }
     }
 
     getThreadPreview(thread) {
@@ -709,6 +1702,7 @@ class ThreadGenerator {
         document.getElementById('text').value = originalText;
         document.getElementById('language').value = metadata.language || 'auto';
         document.getElementById('style').value = metadata.style_requested || 'educational';
+        document.getElementById('platform').value = metadata.platform || 'x';
         document.getElementById('maxTweets').value = metadata.max_tweets_requested || thread.length || 5;
         
         // Update character counter
@@ -718,6 +1712,145 @@ class ThreadGenerator {
         this.textArea.style.height = 'auto';
         this.textArea.style.height = this.textArea.scrollHeight + 'px';
     }
+
+    // Thread Import Methods
+    showImport() {
+        this.importSection.style.display = 'block';
+        this.importSection.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    hideImport() {
+        this.importSection.style.display = 'none';
+    }
+
+    async readImportFile(file) {
+        if (!file) {
+            return;
+        }
+
+        this.importContent.value = await file.text();
+        const format = {
+            json: 'json',
+            csv: 'csv',
+            txt: 'text',
+            md: 'text'
+        }[file.name.split('.').pop().toLowerCase()];
+        if (format) {
+            document.getElementById('importFormat').value = format;
+        }
+    }
+
+    async importThreads() {
+        const content = this.importContent.value;
+        if (!content.trim()) {
+            this.showError(window.languageManager
+                ? window.languageManager.getText('messages.importEmpty')
+                : 'Paste a thread or choose a file to import.');
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/import', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    content,
+                    format: document.getElementById('importFormat').value,
+                    platform: document.getElementById('platform').value,
+                    rehashtag: document.getElementById('importRehashtag').checked,
+                    save: document.getElementById('importSave').checked
+                })
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Import failed');
+            }
+
+            this.importedThreads = result.threads;
+            this.displayImportResults();
+            this.showImportedThread(0);
+            this.showSuccess(window.languageManager
+                ? window.languageManager.getText('messages.importDone')
+                : 'Import complete!');
+        } catch (error) {
+            console.error('Error importing thread:', error);
+            this.showError(`Failed to import: ${error.message}`);
+        }
+    }
+
+    displayImportResults() {
+        const getText = (path, fallback) => (window.languageManager ? window.languageManager.getText(path) : fallback);
+        this.importResults.innerHTML = '';
+
+        // Built with DOM nodes: summaries and lint messages quote the imported text
+        this.importedThreads.forEach((imported, index) => {
+            const result = document.createElement('div');
+            result.className = 'import-result';
+
+            const title = document.createElement('strong');
+            title.textContent = `${imported.thread.thread_summary} · ${imported.thread.thread.length} tweets`;
+            result.appendChild(title);
+
+            const lint = document.createElement('ul');
+            lint.className = 'import-lint';
+            const issues = imported.lint.length > 0
+                ? imported.lint.map((issue) => (issue.tweet ? `${issue.tweet}: ${issue.message}` : issue.message))
+                : [getText('messages.lintClean', 'No issues found.')];
+            issues.forEach((message) => {
+                const item = document.createElement('li');
+                item.textContent = message;
+                lint.appendChild(item);
+            });
+            result.appendChild(lint);
+
+            [
+                ['import-show-btn', 'buttons.showImported', 'Show'],
+                ['import-restyle-btn', 'buttons.restyle', '🎨 Restyle']
+            ].forEach(([className, path, fallback]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = `btn btn-secondary ${className}`;
+                button.dataset.index = index;
+                button.textContent = getText(path, fallback);
+                result.appendChild(button);
+            });
+
+            this.importResults.appendChild(result);
+        });
+    }
+
+    showImportedThread(index) {
+        const imported = this.importedThreads[index];
+        if (!imported) {
+            return;
+        }
+
+        this.currentThread = imported.thread;
+        this.displayThread(imported.thread);
+    }
+
+    restyleImportedThread(index) {
+        const imported = this.importedThreads[index];
+        if (!imported) {
+            return;
+        }
+
+        // The imported text becomes the source for a fresh generation in another style
+        this.textArea.value = imported.source_text;
+        document.getElementById('platform').value = imported.thread.metadata.platform || 'x';
+        this.applyPlatformLimits();
+        this.updateCharacterCounter();
+        this.textArea.style.height = 'auto';
+        this.textArea.style.height = `${this.textArea.scrollHeight}px`;
+
+        this.hideImport();
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+        document.getElementById('style').focus();
+        this.showSuccess(window.languageManager
+            ? window.languageManager.getText('messages.restyleReady')
+            : 'Thread text loaded. Pick a style and generate to restyle it.');
+    }
 }
 
 // Initialize when DOM is loaded
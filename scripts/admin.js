@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/**
+ * Admin command for users and API keys
+ * Usage: npm run admin -- <command> [arguments]
+ * Writes the users file the server reads (data/users.json or USERS_FILE); a running server
+ * picks up new users, keys and revocations on its next request
+ */
+
+require('dotenv').config();
+const { getDefaultUserStore } = require('../services/userStore');
+
+const USAGE = `Usage: npm run admin -- <command> [arguments]
+
+Commands:
+  users:add <name> [--quota <n>|unlimited]   Create a user (default quota: USER_DAILY_QUOTA or 50 a day)
+            [--role admin|member]             The first user is an admin, later ones members
+  users:list                                  List users, their roles and daily quotas
+  users:quota <user> <n>|unlimited            Change a user's daily generation quota
+  users:role <user> admin|member              Change a user's role; only admins may change styles,
+                                              brand voices and hashtags
+  keys:create <user> [--label <label>]        Issue an API key; it is shown only once
+  keys:list [user]                            List API keys (never the keys themselves)
+  keys:revoke <keyId>                         Revoke an API key and end its sessions
+
+<user> is a user name or id.`;
+
+/**
+ * Split arguments into positional values and --options
+ * @param {Array<string>} args - Command arguments
+ * @returns {Object} {positional, options}
+ */
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i += 1) {
+    if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[i + 1];
+      i += 1;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  return { positional, options };
+}
+
+/**
+ * Read a quota argument
+ * @param {string} value - Number of generations per day, or "unlimited"
+ * @returns {number|null|undefined} Quota (null for unlimited, undefined when not given)
+ */
+function parseQuota(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === 'unlimited') {
+    return null;
+  }
+  return Number(value);
+}
+
+/**
+ * Describe a quota for display
+ * @param {number|null} quota - Daily quota
+ * @returns {string} Quota text
+ */
+function formatQuota(quota) {
+  return quota === null ? 'unlimited' : `${quota}/day`;
+}
+
+/**
+ * Run one admin command
+ * @param {Array<string>} argv - Command name followed by its arguments
+ * @param {Object} context - {store, print}; defaults to the process-wide store and console.log
+ * @returns {Promise<number>} Exit code
+ */
+async function runAdminCommand(argv, context = {}) {
+  const store = context.store || getDefaultUserStore();
+  const print = context.print || console.log;
+  const [command, ...rest] = argv;
+  const { positional, options } = parseArgs(rest);
+
+  try {
+    switch (command) {
+      case 'users:add': {
+        const user = store.addUser({ name: positional[0], dailyQuota: parseQuota(options.quota), role: options.role });
+        print(`Created ${user.role} ${user.name} (${user.id}), quota ${formatQuota(user.daily_quota)}`);
+        print(`Issue a key with: npm run admin -- keys:create ${user.name}`);
+        break;
+      }
+
+      case 'users:list': {
+        const users = store.listUsers();
+        if (users.length === 0) {
+          print('No users yet: the server runs as a single-user install without authentication');
+        }
+        users.forEach((user) => {
+          print(`${user.id}  ${user.name}  ${user.role}  ${formatQuota(user.daily_quota)}  created ${user.created_at}`);
+        });
+        break;
+      }
+
+      case 'users:quota': {
+        if (positional[1] === undefined) {
+          throw new Error('Give the new quota: a number of generations per day or "unlimited"');
+        }
+        const user = store.setDailyQuota(positional[0], parseQuota(positional[1]));
+        print(`Quota of ${user.name} is now ${formatQuota(user.daily_quota)}`);
+        break;
+      }
+
+      case 'users:role': {
+        const user = store.setRole(positional[0], positional[1]);
+        print(`${user.name} is now ${user.role === 'admin' ? 'an admin' : 'a member'}`);
+        break;
+      }
+
+      case 'keys:create': {
+        const { key, secret } = store.createKey(positional[0], { label: options.label });
+        // A key that was never written would not work, so only show it once it is stored
+        await store.flush();
+        print(`Created key ${key.id}${key.label ? ` (${key.label})` : ''}. Store it now; it cannot be shown again:`);
+        print(secret);
+        break;
+      }
+
+      case 'keys:list': {
+        const keys = store.listKeys(positional[0]);
+        keys.forEach((key) => {
+          const status = key.revoked_at ? `revoked ${key.revoked_at}` : 'active';
+          print(`${key.id}  ${key.user_id}  ${key.label || '-'}  ${status}  created ${key.created_at}`);
+        });
+        break;
+      }
+
+      case 'keys:revoke': {
+        const key = store.revokeKey(positional[0]);
+        print(`Revoked key ${key.id}`);
+        break;
+      }
+
+      default:
+        print(USAGE);
+        return command ? 1 : 0;
+    }
+
+    await store.flush();
+    return 0;
+  } catch (error) {
+    print(`Error: ${error.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  runAdminCommand(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  runAdminCommand
+};
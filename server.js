@@ -14,71 +14,62 @@ const fs = require('fs').promises;
 
 // Import configuration constants
 const CONSTANTS = require('./config/constants');
+const { PLATFORM_PROFILES } = require('./config/platforms');
+const { getStyleRegistry } = require('./config/styles');
 
 // Import services and utilities
 const geminiService = require('./services/geminiService');
-const { validateParameters, securityCheck, extractMetadata } = require('./utils/inputSanitizer');
-
-// Load user preferences
-let userPrefs = {};
-try {
-  const prefsData = require('./userprefs.json');
-  userPrefs = prefsData;
-} catch (error) {
-  // Use default preferences if file doesn't exist or is invalid
-  userPrefs = {
-    preferredStyle: 'educational',
-    alwaysUseArabicHashtags: false,
-    emojiPreference: 'moderate',
-    autoAddCTA: true,
-    recentStyles: ['educational'],
-    styleFrequency: {
-      educational: 0,
-      professional: 0,
-      engaging: 0,
-      technical: 0,
-      casual: 0
-    }
-  };
-}
+const {
+  applyThreadEdit,
+  getVersions,
+  recordVersion,
+  diffThreads
+} = require('./services/threadEditor');
+const { exportThread } = require('./services/threadExporter');
+const { importThreads } = require('./services/threadImporter');
+const { createScheduler } = require('./services/scheduler');
+const { createGenerationJobs } = require('./services/generationJobs');
+const { listPublishers, resolvePublisherName } = require('./services/publishers');
+const { getDefaultUserStore } = require('./services/userStore');
+const { getDefaultBrandVoiceStore } = require('./services/brandVoices');
+const { getHashtagDictionary } = require('./services/hashtagDictionary');
+const { createAuthenticator } = require('./services/auth');
+const { getWorkspace } = require('./services/workspaces');
+const { createQuotaTracker, createQuotaStore } = require('./services/quotaTracker');
+const {
+  validateParameters,
+  validateRewriteParameters,
+  validateThreadEdit,
+  validateHistoryQuery,
+  validateHistoryUpdate,
+  validateHistoryIds,
+  validateExportOptions,
+  validateImportParameters,
+  validateBatchRequest,
+  validateScheduleRequest,
+  validateScheduleQuery,
+  validatePreferences,
+  validateStyleDefinition,
+  validateBrandVoice,
+  validateHashtagTopic,
+  validateHashtagList,
+  extractMetadata
+} = require('./utils/inputSanitizer');
+const { getCountingRules } = require('./utils/charCounter');
+const { initEventStream, sendEvent } = require('./utils/sse');
+const { createZipArchive } = require('./utils/zipArchive');
+const { nextOccurrence } = require('./utils/timezone');
+const { createConcurrencyPool } = require('./utils/concurrencyPool');
 
 /**
- * Update user preferences and save to file
+ * Count a generation's style in the user's preferences
+ * @param {Object} workspace - User workspace
  * @param {string} style - The style that was used
  */
-async function updateUserPreferences(style) {
+async function updateUserPreferences(workspace, style) {
   try {
-    // Update style frequency
-    if (!userPrefs.styleFrequency) {
-      userPrefs.styleFrequency = {};
-    }
-    userPrefs.styleFrequency[style] = (userPrefs.styleFrequency[style] || 0) + 1;
-    
-    // Update recent styles (keep last 10)
-    if (!userPrefs.recentStyles) {
-      userPrefs.recentStyles = [];
-    }
-    userPrefs.recentStyles.unshift(style);
-    userPrefs.recentStyles = [...new Set(userPrefs.recentStyles)].slice(0, 10);
-    
-    // Update preferred style if this one is used frequently
-    const styleFreq = userPrefs.styleFrequency;
-    const mostUsedStyle = Object.keys(styleFreq).reduce((a, b) => 
-      styleFreq[a] > styleFreq[b] ? a : b, style
-    );
-    
-    if (styleFreq[mostUsedStyle] >= 3) {
-      userPrefs.preferredStyle = mostUsedStyle;
-    }
-    
-    // Update timestamp
-    userPrefs.lastUpdated = new Date().toISOString();
-    
-    // Save to file
-    const prefsPath = path.join(__dirname, 'userprefs.json');
-    await fs.writeFile(prefsPath, JSON.stringify(userPrefs, null, 2));
-    
-    logger.info('User preferences updated', { style, mostUsedStyle });
+    const mostUsedStyle = await workspace.preferences.recordStyle(style);
+    logger.info('User preferences updated', { userId: workspace.userId, style, mostUsedStyle });
   } catch (error) {
     logger.error('Failed to update user preferences', { error, style });
   }
@@ -88,6 +79,12 @@ async function updateUserPreferences(style) {
 const app = express();
 const PORT = process.env.PORT || CONSTANTS.DEFAULT_PORT;
 
+// Thread variants waiting for the editor to pick a winner, keyed by variant set id
+const pendingVariants = new Map();
+
+// Pending writes per history entry, so concurrent edits apply one after another
+const historyLocks = new Map();
+
 // Configure logger
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || CONSTANTS.DEFAULT_LOG_LEVEL,
@@ -121,6 +118,42 @@ const logger = winston.createLogger({
   }
 })();
 
+// Users sign in with API keys issued by the admin command; without users everything runs as the local user
+const userStore = getDefaultUserStore();
+const authenticator = createAuthenticator({
+  userStore,
+  required: process.env.AUTH_REQUIRED === 'true',
+  sessionTtlMs: parseInt(process.env.SESSION_TTL_MS, 10) || CONSTANTS.SESSION_TTL_MS
+});
+
+// Per-user generation counts, limited by each user's daily quota on top of the provider quota
+const userQuotaStore = createQuotaStore(process.env.USER_QUOTA_STATE_FILE
+  || path.join(__dirname, CONSTANTS.DATA_DIR, CONSTANTS.USER_QUOTA_STATE_FILE));
+
+// Publishing schedule: queued threads survive restarts and publish at their time
+const scheduler = createScheduler({
+  filePath: process.env.SCHEDULE_STATE_FILE || path.join(__dirname, CONSTANTS.DATA_DIR, CONSTANTS.SCHEDULE_STATE_FILE),
+  loadEntry: (historyId, job) => loadHistoryEntry(getJobWorkspace(job), historyId),
+  onPublished: recordPublication,
+  logger
+});
+scheduler.start();
+
+// Generations share one bounded pool so bursts of requests queue instead of piling onto the provider
+const generationQueueLimit = parseInt(process.env.GENERATION_QUEUE_LIMIT, 10);
+const generationPool = createConcurrencyPool({
+  limit: parseInt(process.env.GENERATION_CONCURRENCY, 10) || CONSTANTS.GENERATION_CONCURRENCY,
+  maxQueued: generationQueueLimit >= 0 ? generationQueueLimit : CONSTANTS.MAX_QUEUED_GENERATIONS
+});
+const generationJobs = createGenerationJobs({
+  pool: generationPool,
+  generate: (input, hooks) => runWithUserQuota(
+    input.user,
+    input.validation.sanitized.variants,
+    () => runGeneration(input.workspace, input.validation, input.requestId, hooks)
+  )
+});
+
 // Cleanup function for old logs and history
 async function cleanupOldFiles() {
   try {
@@ -139,17 +172,16 @@ async function cleanupOldFiles() {
       }
     }
 
-    // Clean old history files
-    const historyFiles = await fs.readdir(CONSTANTS.HISTORY_DIR).catch(() => []);
-    for (const file of historyFiles) {
-      if (!file.endsWith('.json')) continue;
-      const filePath = path.join(CONSTANTS.HISTORY_DIR, file);
-      const stats = await fs.stat(filePath).catch(() => null);
-      if (stats && (now - stats.mtime.getTime()) > historyRetentionMs) {
-        await fs.unlink(filePath);
-        logger.info('Cleaned old history file', { file });
-      }
-    }
+    // Clean old history files in every workspace (pinned and scheduled entries are kept)
+    const cleanupPool = createConcurrencyPool({ limit: CONSTANTS.CLEANUP_CONCURRENCY });
+    const userIds = [CONSTANTS.LOCAL_USER_ID, ...userStore.listUsers().map((user) => user.id)];
+    await Promise.all(userIds.map(async (userId) => {
+      const workspace = getWorkspace(userId);
+      const historyFiles = await fs.readdir(workspace.historyDir).catch(() => []);
+      await Promise.all(historyFiles
+        .filter((file) => file.endsWith('.json'))
+        .map((file) => cleanupPool.run(() => removeExpiredHistoryFile(workspace, file, now - historyRetentionMs))));
+    }));
   } catch (error) {
     logger.error('Cleanup failed', { error: error.message });
   }
@@ -177,8 +209,8 @@ app.use(helmet({
 // CORS configuration
 const corsOptions = {
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
   credentials: false
 };
 app.use(cors(corsOptions));
@@ -193,6 +225,8 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // Polling a generation job is cheap and should not use up the allowance for starting them
+  skip: (req) => req.method === 'GET' && req.path.startsWith('/jobs/')
 });
 app.use('/api/', limiter);
 
@@ -238,6 +272,44 @@ app.use((req, res, next) => {
 // Serve static files
 app.use(express.static('public'));
 
+// Authentication: every API request runs as a user (the local one until users exist) in that user's workspace
+const PUBLIC_API_PATHS = ['/health', '/platforms', '/auth/login', '/auth/logout'];
+app.use('/api/', (req, res, next) => {
+  if (PUBLIC_API_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  try {
+    const { user, method } = authenticator.authenticate(req);
+    req.user = user;
+    req.authMethod = method;
+    req.workspace = getWorkspace(user.id);
+    next();
+  } catch (error) {
+    if (error.status !== CONSTANTS.ERROR_CODES.UNAUTHORIZED) {
+      return next(error);
+    }
+    logger.warn('Unauthenticated API request', { method: req.method, url: req.originalUrl, ip: req.ip });
+    res.set('WWW-Authenticate', 'Bearer');
+    res.status(error.status).json({ error: error.message });
+  }
+});
+
+// Styles, brand voices and the hashtag dictionary are shared by every user: all may read them, only admins change them
+const requireAdmin = (req, res, next) => {
+  if (req.user.role === 'admin') {
+    return next();
+  }
+  logger.warn('Non-admin tried to change shared settings', {
+    userId: req.user.id,
+    method: req.method,
+    url: req.originalUrl
+  });
+  res.status(CONSTANTS.ERROR_CODES.FORBIDDEN).json({
+    error: 'Only admins can change styles, brand voices and hashtags'
+  });
+};
+
 // API Routes
 
 /**
@@ -251,74 +323,425 @@ app.post('/api/generate-thread', async (req, res) => {
     logger.info('Thread generation request', { requestId, body: req.body });
 
     // Validate and sanitize input
-    const validation = validateParameters(req.body);
-    
-    if (validation.error) {
-      logger.warn('Invalid parameters', { requestId });
-      return res.status(validation.code || 400).json({
-        error: validation.error,
-        details: validation.details
-      });
+    const { validation, status, payload } = validateGenerationRequest(req.body, requestId, req.workspace);
+    if (!validation) {
+      return res.status(status).json(payload);
     }
 
-    // Check input size
-    if (validation.sanitized.text.length > (parseInt(process.env.MAX_INPUT_LENGTH) || 10000)) {
-      logger.warn('Input too large', { requestId, length: validation.sanitized.text.length, maxLength: parseInt(process.env.MAX_INPUT_LENGTH) || 10000 });
-      return res.status(413).json({
-        error: 'Input text too large',
-        maxLength: parseInt(process.env.MAX_INPUT_LENGTH) || 10000,
-        actualLength: validation.sanitized.text.length
-      });
+    const quotaError = reserveUserQuota(req.user, validation.sanitized.variants);
+    if (quotaError) {
+      return res.status(quotaError.status).json(quotaError.payload);
     }
 
     // Extract metadata for logging
     const metadata = extractMetadata(validation.sanitized.text);
     logger.info('Input metadata', { requestId, metadata });
 
-    // Generate thread
-    const result = await geminiService.generateThread(
-      validation.sanitized.text,
-      validation.sanitized
+    const outcome = await runWithUserQuota(
+      req.user,
+      validation.sanitized.variants,
+      () => generationPool.run(() => runGeneration(req.workspace, validation, requestId))
     );
+    res.status(outcome.status).json(outcome.payload);
+
+  } catch (error) {
+    if (error.status === 503) {
+      return res.status(503).json({ error: error.message });
+    }
+    logger.error('Unexpected error in thread generation', { requestId, error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An unexpected error occurred while generating the thread'
+    });
+  }
+});
+
+/**
+ * POST /api/generate-thread/stream
+ * Generate a thread and stream progress as Server-Sent Events
+ * Events: start, retry, fallback, tweet, metadata, done, error
+ */
+app.post('/api/generate-thread/stream', async (req, res) => {
+  const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+  let clientClosed = false;
+  let reserved = false;
+
+  try {
+    logger.info('Streaming thread generation request', { requestId, body: req.body });
+
+    // Validation errors are returned as regular JSON before the stream opens
+    const { validation, status, payload } = validateGenerationRequest(req.body, requestId, req.workspace);
+    if (!validation) {
+      return res.status(status).json(payload);
+    }
+
+    if (validation.sanitized.variants > 1) {
+      return res.status(400).json({
+        error: 'variants are not supported when streaming; use POST /api/generate-thread'
+      });
+    }
+
+    if (!generationPool.canAccept()) {
+      return res.status(503).json({
+        error: 'Too many generations in progress, please try again shortly'
+      });
+    }
+
+    const quotaError = reserveUserQuota(req.user);
+    if (quotaError) {
+      return res.status(quotaError.status).json(quotaError.payload);
+    }
+    reserved = true;
+
+    initEventStream(res);
+    res.on('close', () => {
+      clientClosed = true;
+    });
+
+    const result = await generationPool.run(() => geminiService.generateThread(
+      validation.sanitized.text,
+      validation.sanitized,
+      {
+        onProgress: (event, data) => {
+          if (!clientClosed) sendEvent(res, event, data);
+        },
+        // Each tweet goes out as soon as generation has checked its length
+        onTweet: (tweet, lengthCheck) => {
+          if (clientClosed) return;
+          sendEvent(res, 'tweet', {
+            tweet,
+            validation: {
+              isValid: lengthCheck.isValid,
+              charCount: lengthCheck.charCount,
+              remaining: lengthCheck.remaining,
+              maxLength: lengthCheck.maxLength
+            }
+          });
+        }
+      }
+    ));
 
-    // Check for errors
     if (result.error) {
-      logger.error('Thread generation failed', { requestId, error: result.error });
-      return res.status(500).json({
-        error: 'Thread generation failed',
-        details: result.error
+      logger.error('Streaming thread generation failed', { requestId, error: result.error });
+      releaseUserQuota(req.user);
+      sendEvent(res, 'error', { error: 'Thread generation failed', details: result.error });
+      return res.end();
+    }
+
+    const { thread, ...threadMetadata } = result;
+    sendEvent(res, 'metadata', threadMetadata);
+
+    await finalizeGeneration(req.workspace, result, validation, requestId);
+
+    sendEvent(res, 'done', { requestId, tweets: thread.length });
+    res.end();
+  } catch (error) {
+    logger.error('Unexpected error in streaming thread generation', { requestId, error });
+    if (reserved) {
+      releaseUserQuota(req.user);
+    }
+    if (res.headersSent) {
+      sendEvent(res, 'error', { error: 'Internal server error' });
+      res.end();
+    } else {
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'An unexpected error occurred while generating the thread'
+      });
+    }
+  }
+});
+
+/**
+ * POST /api/generate-batch
+ * Generate threads for several articles: { items: [{ text, style, language, maxTweets, ... }], defaults }.
+ * Items run a few at a time through the shared generation pool, each falls back on its own,
+ * and successful items are saved to history under one batch id
+ */
+app.post('/api/generate-batch', async (req, res) => {
+  const batchId = `batch-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 6)}`;
+
+  try {
+    const validation = validateBatchRequest(req.body);
+    if (validation.error) {
+      return res.status(validation.code).json({
+        error: validation.error,
+        details: validation.details
       });
     }
 
-    // Save to history if successful
+    const { items } = validation.sanitized;
+    logger.info('Batch generation request', { batchId, items: items.length });
+
+    // Every item counts against the user's quota, so a batch that does not fit is turned away whole;
+    // items that turn out invalid or fail are given back once the batch has run
+    const quotaError = reserveUserQuota(req.user, items.length);
+    if (quotaError) {
+      return res.status(quotaError.status).json(quotaError.payload);
+    }
+
+    // A batch feeds the shared pool a few items at a time so it cannot crowd out other requests
+    const batchPool = createConcurrencyPool({ limit: CONSTANTS.BATCH_CONCURRENCY });
+    const results = await Promise.all(items.map((item, index) => batchPool.run(
+      () => generateBatchItem(req.workspace, item, index, batchId)
+    )));
+    releaseUserQuota(req.user, results.filter((result) => result.status !== 'done').length);
+
+    const count = (status) => results.filter((result) => result.status === status).length;
+    const summary = {
+      total: results.length,
+      succeeded: count('done'),
+      fallback: results.filter((result) => result.generated_via === 'fallback').length,
+      failed: count('failed'),
+      invalid: count('invalid')
+    };
+    logger.info('Batch generation finished', { batchId, ...summary });
+
+    res.json({
+      batch_id: batchId,
+      summary,
+      items: results,
+      quota: geminiService.getQuotaInfo(),
+      user_quota: getUserQuota(req.user).getInfo()
+    });
+  } catch (error) {
+    logger.error('Unexpected error in batch generation', { batchId, error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An unexpected error occurred while generating the batch'
+    });
+  }
+});
+
+/**
+ * POST /api/jobs
+ * Queue a generation with the same body as /api/generate-thread and return its job id at once.
+ * Poll GET /api/jobs/:id for the status and result
+ */
+app.post('/api/jobs', (req, res) => {
+  const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+
+  try {
+    logger.info('Generation job request', { requestId, body: req.body });
+
+    const { validation, status, payload } = validateGenerationRequest(req.body, requestId, req.workspace);
+    if (!validation) {
+      return res.status(status).json(payload);
+    }
+
+    const quotaError = reserveUserQuota(req.user, validation.sanitized.variants);
+    if (quotaError) {
+      return res.status(quotaError.status).json(quotaError.payload);
+    }
+
+    let job;
     try {
-      await saveToHistory(result, requestId);
-    } catch (historyError) {
-      logger.warn('Failed to save to history', { requestId, error: historyError.message });
-      // Don't fail the request for history issues
+      job = generationJobs.submit(requestId, {
+        user: req.user,
+        workspace: req.workspace,
+        validation,
+        requestId
+      }, req.user.id);
+    } catch (error) {
+      releaseUserQuota(req.user, validation.sanitized.variants);
+      throw error;
+    }
+    logger.info('Generation job queued', { requestId, pool: generationPool.getStats() });
+
+    res.status(202)
+      .location(`/api/jobs/${job.id}`)
+      .json({
+        job_id: job.id,
+        status: job.status,
+        status_url: `/api/jobs/${job.id}`
+      });
+  } catch (error) {
+    if (error.status === 503) {
+      return res.status(503).json({ error: error.message });
     }
+    logger.error('Failed to queue generation job', { requestId, error });
+    res.status(500).json({ error: 'Failed to queue generation job' });
+  }
+});
 
-    // Update user preferences
-    await updateUserPreferences(validation.sanitized.style);
+/**
+ * GET /api/jobs/:id
+ * Report a generation job: queued, running, retrying, fallback, done or failed, with the
+ * result once done. Finished jobs are kept for an hour
+ */
+app.get('/api/jobs/:id', (req, res) => {
+  const job = generationJobs.get(req.params.id);
+  if (!job || job.user_id !== req.user.id) {
+    return res.status(404).json({
+      error: 'Job not found or expired'
+    });
+  }
 
-    // Log success and warnings
-    if (validation.warnings.length > 0) {
-      logger.info('Thread generated with warnings', { requestId, warnings: validation.warnings });
-    } else {
-      logger.info('Thread generated successfully', { requestId });
+  res.json(job);
+});
+
+/**
+ * POST /api/generate-thread/variants/:setId/select
+ * Pick the winning variant of a multi-variant request and save it to history
+ */
+app.post('/api/generate-thread/variants/:setId/select', async (req, res) => {
+  const { setId } = req.params;
+  const { variantId } = req.body;
+
+  try {
+    const pending = pendingVariants.get(setId);
+    // Another user's set is treated like a missing one; expired sets are dropped when new ones arrive
+    if (!pending || pending.userId !== req.user.id || pending.expiresAt < Date.now()) {
+      return res.status(404).json({
+        error: 'Variant set not found or expired'
+      });
+    }
+
+    const variant = pending.variants.find((candidate) => candidate.variant_id === variantId);
+    if (!variant) {
+      return res.status(400).json({
+        error: 'Unknown variantId',
+        available: pending.variants.map((candidate) => candidate.variant_id)
+      });
     }
 
-    res.json(result);
+    const {
+      variant_id: id,
+      label,
+      strategy,
+      params,
+      ...thread
+    } = variant;
+    const historyId = await saveToHistory(req.workspace, thread, setId, {
+      variant: {
+        id,
+        label,
+        strategy,
+        params,
+        compared_with: pending.variants.length - 1
+      }
+    });
+    pendingVariants.delete(setId);
+
+    await updateUserPreferences(req.workspace, params.style);
+    logger.info('Thread variant selected', { setId, variantId });
 
+    res.json({
+      historyId,
+      variant: { id, label, strategy },
+      thread
+    });
   } catch (error) {
-    logger.error('Unexpected error in thread generation', { requestId, error });
+    logger.error('Failed to select thread variant', { setId, error });
+    res.status(500).json({
+      error: 'Failed to save selected variant'
+    });
+  }
+});
+
+/**
+ * POST /api/rewrite-tweet
+ * Rewrite a single tweet of a thread (inline or from history) without regenerating the rest
+ */
+app.post('/api/rewrite-tweet', async (req, res) => {
+  const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+
+  try {
+    logger.info('Tweet rewrite request', { requestId, historyId: req.body.historyId, tweetIndex: req.body.tweetIndex });
+
+    const validation = validateRewriteParameters(req.body);
+    if (validation.error) {
+      logger.warn('Invalid rewrite parameters', { requestId });
+      return res.status(validation.code || 400).json({
+        error: validation.error,
+        details: validation.details
+      });
+    }
+
+    const {
+      historyId,
+      tweetIndex,
+      instruction,
+      provider
+    } = validation.sanitized;
+    let { thread, style, platform } = validation.sanitized;
+
+    const brandVoice = resolveBrandVoice(validation.sanitized.brandVoice);
+    if (brandVoice.payload) {
+      return res.status(brandVoice.status).json(brandVoice.payload);
+    }
+    let { voice } = brandVoice;
+
+    if (historyId) {
+      const entry = await loadHistoryEntry(req.workspace, historyId);
+      if (!entry) {
+        return res.status(404).json({
+          error: 'Thread not found in history'
+        });
+      }
+      const savedThread = entry.thread || {};
+      thread = savedThread.thread || [];
+      style = style || (savedThread.metadata && savedThread.metadata.style_requested);
+      platform = platform || (savedThread.metadata && savedThread.metadata.platform);
+      // A saved thread keeps its brand voice unless the profile has been deleted since
+      const savedVoice = savedThread.metadata && savedThread.metadata.brand_voice;
+      voice = voice || (savedVoice && getDefaultBrandVoiceStore().get(savedVoice)) || null;
+    }
+
+    if (tweetIndex > thread.length) {
+      return res.status(400).json({
+        error: `tweetIndex cannot exceed thread length (${thread.length})`
+      });
+    }
+
+    const quotaError = reserveUserQuota(req.user);
+    if (quotaError) {
+      return res.status(quotaError.status).json(quotaError.payload);
+    }
+
+    let result;
+    try {
+      result = await geminiService.rewriteTweet(thread, tweetIndex - 1, {
+        instruction,
+        style: style || CONSTANTS.DEFAULT_STYLE,
+        provider,
+        platform,
+        preferences: req.workspace.preferences.get(),
+        brandVoice: voice
+      });
+    } catch (error) {
+      releaseUserQuota(req.user);
+      throw error;
+    }
+
+    logger.info('Tweet rewrite completed', { requestId, generatedVia: result.generated_via });
+
+    res.json({
+      ...result,
+      tweetIndex,
+      ...(historyId && { historyId })
+    });
+  } catch (error) {
+    logger.error('Unexpected error in tweet rewrite', { requestId, error });
     res.status(500).json({
       error: 'Internal server error',
-      message: 'An unexpected error occurred while generating the thread'
+      message: 'An unexpected error occurred while rewriting the tweet'
     });
   }
 });
 
+/**
+ * GET /api/platforms
+ * List output platform profiles (limits, counting rules, numbering, hashtags)
+ * and the patterns weighted counting uses, so the web interface counts like the server
+ */
+app.get('/api/platforms', (req, res) => {
+  res.json({
+    platforms: Object.values(PLATFORM_PROFILES),
+    counting_rules: getCountingRules()
+  });
+});
+
 /**
  * GET /api/health
  * Get service health status
@@ -335,8 +758,10 @@ app.get('/api/health', async (req, res) => {
       memory: process.memoryUsage(),
       gemini: {
         ...geminiStatus,
-        quota: quotaInfo
+        quota: quotaInfo,
+        quota_history: geminiService.getQuotaHistory()
       },
+      providers: geminiService.getProvidersStatus(),
       environment: {
         node_version: process.version,
         platform: process.platform,
@@ -347,7 +772,7 @@ app.get('/api/health', async (req, res) => {
     // Check if any critical services are down
     if (!geminiStatus.available && process.env.FALLBACK_ENABLED !== 'true') {
       health.status = 'degraded';
-      health.warnings = ['Gemini service unavailable and fallback disabled'];
+      health.warnings = [`${geminiStatus.provider} provider unavailable and fallback disabled`];
     }
 
     const statusCode = health.status === 'healthy' ? 200 : 503;
@@ -364,122 +789,1041 @@ app.get('/api/health', async (req, res) => {
 });
 
 /**
- * GET /api/history
- * Get list of previously generated threads
+ * POST /api/auth/login
+ * Open a browser session with an API key: { apiKey }. The session travels in an HttpOnly cookie
  */
-app.get('/api/history', async (req, res) => {
+app.post('/api/auth/login', (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = Math.min(parseInt(req.query.limit) || 10, 50); // Max 50 per page
-    const offset = (page - 1) * limit;
-
-    // Read history files
-    const historyDir = path.join(__dirname, 'history');
-    const files = await fs.readdir(historyDir).catch(() => []);
-    
-    // Sort by creation time (newest first)
-    const sortedFiles = files
-      .filter(f => f.endsWith('.json'))
-      .sort((a, b) => {
-        const aTime = a.split('-')[0];
-        const bTime = b.split('-')[0];
-        return parseInt(bTime) - parseInt(aTime);
-      });
-
-    // Paginate
-    const paginatedFiles = sortedFiles.slice(offset, offset + limit);
-    
-    // Load file metadata
-    const history = await Promise.all(
-      paginatedFiles.map(async (filename) => {
-        try {
-          const filePath = path.join(historyDir, filename);
-          const content = await fs.readFile(filePath, 'utf8');
-          const data = JSON.parse(content);
-          
-          return {
-            id: filename.replace('.json', ''),
-            timestamp: data.timestamp,
-            metadata: data.thread?.metadata || {},
-            summary: data.thread?.thread_summary || 'No summary available',
-            tweet_count: data.thread?.thread?.length || 0,
-            filename
-          };
-        } catch (error) {
-          logger.warn('Failed to read history file', { filename, error: error.message });
-          return null;
-        }
-      })
-    );
-
-    // Filter out failed reads
-    const validHistory = history.filter(h => h !== null);
-
-    res.json({
-      history: validHistory,
-      pagination: {
-        page,
-        limit,
-        total: sortedFiles.length,
-        pages: Math.ceil(sortedFiles.length / limit),
-        hasNext: offset + limit < sortedFiles.length,
-        hasPrev: page > 1
-      }
+    const session = authenticator.login(req.body.apiKey);
+    res.cookie(CONSTANTS.SESSION_COOKIE, session.token, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: req.secure,
+      path: '/',
+      expires: new Date(session.expires_at)
     });
 
+    logger.info('User signed in', { userId: session.user.id });
+    res.json({ user: session.user, expires_at: session.expires_at });
   } catch (error) {
-    logger.error('Failed to get history', { error });
-    res.status(500).json({
-      error: 'Failed to retrieve history',
-      details: error.message
-    });
+    if (!error.status) {
+      logger.error('Failed to sign in', { error });
+    }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to sign in' });
   }
 });
 
 /**
- * GET /api/history/:id
- * Get specific thread from history
+ * POST /api/auth/logout
+ * End the browser session
  */
-app.get('/api/history/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    // Validate ID format (security)
-    if (!/^[a-zA-Z0-9-_]+$/.test(id)) {
-      return res.status(400).json({
-        error: 'Invalid history ID format'
-      });
-    }
-
-    const filePath = path.join(__dirname, 'history', `${id}.json`);
-    const content = await fs.readFile(filePath, 'utf8');
-    const data = JSON.parse(content);
+app.post('/api/auth/logout', (req, res) => {
+  authenticator.logout(req);
+  res.clearCookie(CONSTANTS.SESSION_COOKIE, { path: '/' });
+  res.json({ signed_out: true });
+});
 
-    res.json(data);
+/**
+ * GET /api/auth/me
+ * Describe the signed-in user, how the request was authenticated and their generation quota
+ */
+app.get('/api/auth/me', (req, res) => {
+  res.json({
+    user: req.user,
+    auth: {
+      enabled: authenticator.isEnabled(),
+      method: req.authMethod
+    },
+    quota: getUserQuota(req.user).getInfo()
+  });
+});
 
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      res.status(404).json({
-        error: 'Thread not found in history'
-      });
-    } else {
-      logger.error('Failed to get history item', { id: req.params.id, error });
-      res.status(500).json({
-        error: 'Failed to retrieve thread from history'
-      });
-    }
-  }
+/**
+ * GET /api/preferences
+ * Get the signed-in user's preferences
+ */
+app.get('/api/preferences', (req, res) => {
+  res.json({ preferences: req.workspace.preferences.get() });
 });
 
 /**
- * GET /api/stats
- * Get usage statistics
+ * PUT /api/preferences
+ * Change some of the signed-in user's preferences: { preferredStyle, arabicHashtags, emojiPreference,
+ * autoAddCTA, defaultMaxTweets, darkMode, personalNote, autoSaveToLocalStorage }
+ */
+app.put('/api/preferences', async (req, res) => {
+  try {
+    const validation = validatePreferences(req.body);
+    if (validation.error) {
+      return res.status(validation.code).json({ error: validation.error, details: validation.details });
+    }
+
+    const preferences = await req.workspace.preferences.update(validation.sanitized);
+    logger.info('User preferences changed', { userId: req.user.id, fields: Object.keys(validation.sanitized) });
+    res.json({ preferences });
+  } catch (error) {
+    logger.error('Failed to save preferences', { userId: req.user.id, error: error.message });
+    res.status(500).json({ error: 'Failed to save preferences' });
+  }
+});
+
+/**
+ * GET /api/styles
+ * List thread styles, built-in and custom, with their prefixes, emoji and CTA pools,
+ * structure summary, prompt guidance and engagement weight
+ */
+app.get('/api/styles', (req, res) => {
+  res.json({ styles: getStyleRegistry().list() });
+});
+
+/**
+ * GET /api/styles/:id
+ * Get one style definition
+ */
+app.get('/api/styles/:id', (req, res) => {
+  const style = getStyleRegistry().list().find((candidate) => candidate.id === req.params.id);
+  if (!style) {
+    return res.status(CONSTANTS.ERROR_CODES.NOT_FOUND).json({ error: `Style not found: ${req.params.id}` });
+  }
+  res.json({ style });
+});
+
+/**
+ * POST /api/styles
+ * Create a style: { id, name, prefixes, emojis, ctas, structure, prompt, engagementWeight, tips? },
+ * text fields given as { en, ar }
+ */
+app.post('/api/styles', requireAdmin, async (req, res) => {
+  try {
+    const validation = validateStyleDefinition(req.body);
+    if (validation.error) {
+      return res.status(validation.code).json({ error: validation.error, details: validation.details });
+    }
+
+    const style = await getStyleRegistry().create(validation.sanitized);
+    logger.info('Style created', { styleId: style.id, userId: req.user.id });
+    res.status(201).json({ style });
+  } catch (error) {
+    if (!error.status) {
+      logger.error('Failed to create style', { error: error.message });
+    }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create style' });
+  }
+});
+
+/**
+ * PATCH /api/styles/:id
+ * Change fields of a style; text fields can be changed one language at a time.
+ * Editing a built-in style saves a customized copy that DELETE reverts
+ */
+app.patch('/api/styles/:id', requireAdmin, async (req, res) => {
+  try {
+    const validation = validateStyleDefinition(req.body, { partial: true });
+    if (validation.error) {
+      return res.status(validation.code).json({ error: validation.error, details: validation.details });
+    }
+
+    const style = await getStyleRegistry().update(req.params.id, validation.sanitized);
+    logger.info('Style changed', { styleId: style.id, userId: req.user.id, fields: Object.keys(validation.sanitized) });
+    res.json({ style });
+  } catch (error) {
+    if (!error.status) {
+      logger.error('Failed to change style', { styleId: req.params.id, error: error.message });
+    }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to change style' });
+  }
+});
+
+/**
+ * DELETE /api/styles/:id
+ * Delete a custom style, or revert a customized built-in style to its shipped definition
+ */
+app.delete('/api/styles/:id', requireAdmin, async (req, res) => {
+  try {
+    const style = await getStyleRegistry().remove(req.params.id);
+    logger.info(style ? 'Style reverted' : 'Style deleted', { styleId: req.params.id, userId: req.user.id });
+    res.json({ deleted: !style, style });
+  } catch (error) {
+    if (!error.status) {
+      logger.error('Failed to delete style', { styleId: req.params.id, error: error.message });
+    }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to delete style' });
+  }
+});
+
+/**
+ * GET /api/brand-voices
+ * List brand voice profiles
+ */
+app.get('/api/brand-voices', (req, res) => {
+  res.json({ brandVoices: getDefaultBrandVoiceStore().list() });
+});
+
+/**
+ * GET /api/brand-voices/:id
+ * Get one brand voice profile
+ */
+app.get('/api/brand-voices/:id', (req, res) => {
+  const brandVoice = getDefaultBrandVoiceStore().get(req.params.id);
+  if (!brandVoice) {
+    return res.status(CONSTANTS.ERROR_CODES.NOT_FOUND).json({ error: `Brand voice not found: ${req.params.id}` });
+  }
+  res.json({ brandVoice });
+});
+
+/**
+ * POST /api/brand-voices
+ * Create a brand voice profile: { id, name, description, preferredWords, bannedWords, formality,
+ * emojiPolicy, signatureCTA, mandatoryHashtags, examples }
+ */
+app.post('/api/brand-voices', requireAdmin, async (req, res) => {
+  try {
+    const validation = validateBrandVoice(req.body);
+    if (validation.error) {
+      return res.status(validation.code).json({ error: validation.error, details: validation.details });
+    }
+
+    const brandVoice = await getDefaultBrandVoiceStore().create(validation.sanitized);
+    logger.info('Brand voice created', { brandVoiceId: brandVoice.id, userId: req.user.id });
+    res.status(201).json({ brandVoice });
+  } catch (error) {
+    if (!error.status) {
+      logger.error('Failed to create brand voice', { error: error.message });
+    }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create brand voice' });
+  }
+});
+
+/**
+ * PATCH /api/brand-voices/:id
+ * Change fields of a brand voice profile
+ */
+app.patch('/api/brand-voices/:id', requireAdmin, async (req, res) => {
+  try {
+    const validation = validateBrandVoice(req.body, { partial: true });
+    if (validation.error) {
+      return res.status(validation.code).json({ error: validation.error, details: validation.details });
+    }
+
+    const brandVoice = await getDefaultBrandVoiceStore().update(req.params.id, validation.sanitized);
+    logger.info('Brand voice changed', {
+      brandVoiceId: brandVoice.id,
+      userId: req.user.id,
+      fields: Object.keys(validation.sanitized)
+    });
+    res.json({ brandVoice });
+  } catch (error) {
+    if (!error.status) {
+      logger.error('Failed to change brand voice', { brandVoiceId: req.params.id, error: error.message });
+    }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to change brand voice' });
+  }
+});
+
+/**
+ * DELETE /api/brand-voices/:id
+ * Delete a brand voice profile; threads already generated with it keep its id in their metadata
+ */
+app.delete('/api/brand-voices/:id', requireAdmin, async (req, res) => {
+  try {
+    await getDefaultBrandVoiceStore().remove(req.params.id);
+    logger.info('Brand voice deleted', { brandVoiceId: req.params.id, userId: req.user.id });
+    res.json({ deleted: true });
+  } catch (error) {
+    if (!error.status) {
+      logger.error('Failed to delete brand voice', { brandVoiceId: req.params.id, error: error.message });
+    }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to delete brand voice' });
+  }
+});
+
+/**
+ * GET /api/hashtags
+ * Get the hashtag dictionary: topics (built-in and created, with their tags and keywords in
+ * English and Arabic), the always-include hashtags and the blocklist
+ */
+app.get('/api/hashtags', (req, res) => {
+  const dictionary = getHashtagDictionary();
+  res.json({
+    topics: dictionary.listTopics(),
+    alwaysInclude: dictionary.getAlwaysInclude(),
+    blocklist: dictionary.getBlocklist()
+  });
+});
+
+/**
+ * GET /api/hashtags/topics/:id
+ * Get one hashtag topic
+ */
+app.get('/api/hashtags/topics/:id', (req, res) => {
+  const topic = getHashtagDictionary().listTopics().find((candidate) => candidate.id === req.params.id);
+  if (!topic) {
+    return res.status(CONSTANTS.ERROR_CODES.NOT_FOUND).json({ error: `Hashtag topic not found: ${req.params.id}` });
+  }
+  res.json({ topic });
+});
+
+/**
+ * POST /api/hashtags/topics
+ * Create a hashtag topic: { id, tags, keywords? }, both given as { en, ar } lists
+ */
+app.post('/api/hashtags/topics', requireAdmin, async (req, res) => {
+  try {
+    const validation = validateHashtagTopic(req.body);
+    if (validation.error) {
+      return res.status(validation.code).json({ error: validation.error, details: validation.details });
+    }
+
+    const topic = await getHashtagDictionary().createTopic(validation.sanitized);
+    logger.info('Hashtag topic created', { topicId: topic.id, userId: req.user.id });
+    res.status(201).json({ topic });
+  } catch (error) {
+    if (!error.status) {
+      logger.error('Failed to create hashtag topic', { error: error.message });
+    }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create hashtag topic' });
+  }
+});
+
+/**
+ * PATCH /api/hashtags/topics/:id
+ * Change the tags or keywords of a topic, one language at a time if need be.
+ * Editing a built-in topic saves a customized copy that DELETE reverts
+ */
+app.patch('/api/hashtags/topics/:id', requireAdmin, async (req, res) => {
+  try {
+    const validation = validateHashtagTopic(req.body, { partial: true });
+    if (validation.error) {
+      return res.status(validation.code).json({ error: validation.error, details: validation.details });
+    }
+
+    const topic = await getHashtagDictionary().updateTopic(req.params.id, validation.sanitized);
+    logger.info('Hashtag topic changed', {
+      topicId: topic.id,
+      userId: req.user.id,
+      fields: Object.keys(validation.sanitized)
+    });
+    res.json({ topic });
+  } catch (error) {
+    if (!error.status) {
+      logger.error('Failed to change hashtag topic', { topicId: req.params.id, error: error.message });
+    }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to change hashtag topic' });
+  }
+});
+
+/**
+ * DELETE /api/hashtags/topics/:id
+ * Delete a created topic, or revert a customized built-in topic to its shipped definition
+ */
+app.delete('/api/hashtags/topics/:id', requireAdmin, async (req, res) => {
+  try {
+    const topic = await getHashtagDictionary().removeTopic(req.params.id);
+    logger.info(topic ? 'Hashtag topic reverted' : 'Hashtag topic deleted', {
+      topicId: req.params.id,
+      userId: req.user.id
+    });
+    res.json({ deleted: !topic, topic });
+  } catch (error) {
+    if (!error.status) {
+      logger.error('Failed to delete hashtag topic', { topicId: req.params.id, error: error.message });
+    }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to delete hashtag topic' });
+  }
+});
+
+/**
+ * PUT /api/hashtags/always-include
+ * Replace the campaign hashtags every generated post carries: { hashtags }
+ */
+app.put('/api/hashtags/always-include', requireAdmin, async (req, res) => {
+  try {
+    const validation = validateHashtagList(req.body, CONSTANTS.MAX_ALWAYS_INCLUDE_HASHTAGS);
+    if (validation.error) {
+      return res.status(validation.code).json({ error: validation.error, details: validation.details });
+    }
+
+    const alwaysInclude = await getHashtagDictionary().setAlwaysInclude(validation.sanitized.hashtags);
+    logger.info('Always-include hashtags changed', { count: alwaysInclude.length, userId: req.user.id });
+    res.json({ alwaysInclude });
+  } catch (error) {
+    logger.error('Failed to change always-include hashtags', { error: error.message });
+    res.status(500).json({ error: 'Failed to change always-include hashtags' });
+  }
+});
+
+/**
+ * PUT /api/hashtags/blocklist
+ * Replace the hashtags that must never be emitted, whatever their spelling: { hashtags }.
+ * Blocked tags win over topic, always-include and brand voice hashtags
+ */
+app.put('/api/hashtags/blocklist', requireAdmin, async (req, res) => {
+  try {
+    const validation = validateHashtagList(req.body, CONSTANTS.MAX_BLOCKED_HASHTAGS);
+    if (validation.error) {
+      return res.status(validation.code).json({ error: validation.error, details: validation.details });
+    }
+
+    const blocklist = await getHashtagDictionary().setBlocklist(validation.sanitized.hashtags);
+    logger.info('Hashtag blocklist changed', { count: blocklist.length, userId: req.user.id });
+    res.json({ blocklist });
+  } catch (error) {
+    logger.error('Failed to change hashtag blocklist', { error: error.message });
+    res.status(500).json({ error: 'Failed to change hashtag blocklist' });
+  }
+});
+
+/**
+ * GET /api/history
+ * Search, filter and sort previously generated threads
+ * Query: q, style, language, direction, platform, hashtags, tags, favorite, pinned, batchId,
+ * minScore, maxScore, from, to, sort (relevance|date|updated|score|tweets), order, page, limit
+ */
+app.get('/api/history', async (req, res) => {
+  try {
+    const validation = validateHistoryQuery(req.query);
+    if (validation.error) {
+      return res.status(validation.code).json({ error: validation.error, details: validation.details });
+    }
+
+    const query = validation.sanitized;
+    const historyIndex = req.workspace.index;
+
+    // Picks up entries written outside this process and forgets deleted ones
+    await historyIndex.sync();
+    const { results, total } = historyIndex.search(query);
+
+    const history = results.map((record) => ({
+      ...record,
+      summary: record.summary || 'No summary available',
+      filename: `${record.id}.json`
+    }));
+
+    res.json({
+      history,
+      pagination: {
+        page: query.page,
+        limit: query.limit,
+        total,
+        pages: Math.ceil(total / query.limit),
+        hasNext: query.page * query.limit < total,
+        hasPrev: query.page > 1
+      },
+      query: {
+        q: query.q,
+        style: query.style,
+        language: query.language,
+        direction: query.direction,
+        platform: query.platform,
+        hashtags: query.hashtags,
+        tags: query.tags,
+        favorite: query.favorite,
+        pinned: query.pinned,
+        minScore: query.minScore,
+        maxScore: query.maxScore,
+        sort: query.sort || (query.q ? 'relevance' : 'date'),
+        order: query.order
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to get history', { error });
+    res.status(500).json({
+      error: 'Failed to retrieve history',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/history/:id
+ * Get specific thread from history
+ */
+app.get('/api/history/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Validate ID format (security)
+    if (!isValidHistoryId(id)) {
+      return res.status(400).json({
+        error: 'Invalid history ID format'
+      });
+    }
+
+    const data = await loadHistoryEntry(req.workspace, id);
+    if (!data) {
+      return res.status(404).json({
+        error: 'Thread not found in history'
+      });
+    }
+
+    res.json(data);
+
+  } catch (error) {
+    logger.error('Failed to get history item', { id: req.params.id, error });
+    res.status(500).json({
+      error: 'Failed to retrieve thread from history'
+    });
+  }
+});
+
+/**
+ * PATCH /api/history/:id
+ * Set the tags, favorite or pinned flag of a saved thread
+ * Pinned entries are exempt from the retention cleanup
+ */
+app.patch('/api/history/:id', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!isValidHistoryId(id)) {
+      return res.status(400).json({ error: 'Invalid history ID format' });
+    }
+
+    const validation = validateHistoryUpdate(req.body);
+    if (validation.error) {
+      return res.status(validation.code).json({ error: validation.error, details: validation.details });
+    }
+
+    const entry = await withHistoryLock(req.workspace, id, async () => {
+      const current = await loadHistoryEntry(req.workspace, id);
+      if (!current) return null;
+
+      const updated = { ...current, ...validation.sanitized };
+      await writeHistoryEntry(req.workspace, id, updated);
+      return updated;
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Thread not found in history' });
+    }
+
+    logger.info('History entry updated', { id, fields: Object.keys(validation.sanitized) });
+    res.json({
+      historyId: id,
+      tags: entry.tags || [],
+      favorite: entry.favorite === true,
+      pinned: entry.pinned === true
+    });
+  } catch (error) {
+    logger.error('Failed to update history entry', { id, error });
+    res.status(500).json({ error: 'Failed to update history entry' });
+  }
+});
+
+/**
+ * DELETE /api/history/:id
+ * Delete a saved thread
+ */
+app.delete('/api/history/:id', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!isValidHistoryId(id)) {
+      return res.status(400).json({ error: 'Invalid history ID format' });
+    }
+
+    if (!await deleteHistoryEntry(req.workspace, id)) {
+      return res.status(404).json({ error: 'Thread not found in history' });
+    }
+
+    logger.info('History entry deleted', { id });
+    res.json({ deleted: [id] });
+  } catch (error) {
+    logger.error('Failed to delete history entry', { id, error });
+    res.status(500).json({ error: 'Failed to delete history entry' });
+  }
+});
+
+/**
+ * POST /api/history/bulk-delete
+ * Delete several saved threads: { ids: [...] }
+ */
+app.post('/api/history/bulk-delete', async (req, res) => {
+  try {
+    const validation = validateHistoryIds(req.body);
+    if (validation.error) {
+      return res.status(validation.code).json({ error: validation.error, details: validation.details });
+    }
+
+    const { ids } = validation.sanitized;
+    const removed = await Promise.all(ids.map((id) => deleteHistoryEntry(req.workspace, id)));
+    const deleted = ids.filter((id, i) => removed[i]);
+    const notFound = ids.filter((id, i) => !removed[i]);
+
+    logger.info('History entries deleted', { deleted: deleted.length, notFound: notFound.length });
+    res.json({ deleted, not_found: notFound });
+  } catch (error) {
+    logger.error('Failed to delete history entries', { error });
+    res.status(500).json({ error: 'Failed to delete history entries' });
+  }
+});
+
+/**
+ * GET /api/history/:id/export?format=
+ * Download a saved thread as markdown, text, csv, html, posts-csv or posts-json
+ * (posts formats accept an optional scheduledAt)
+ */
+app.get('/api/history/:id/export', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!isValidHistoryId(id)) {
+      return res.status(400).json({ error: 'Invalid history ID format' });
+    }
+
+    const validation = validateExportOptions(req.query);
+    if (validation.error) {
+      return res.status(validation.code).json({ error: validation.error, details: validation.details });
+    }
+
+    const entry = await loadHistoryEntry(req.workspace, id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Thread not found in history' });
+    }
+
+    const { format, scheduledAt } = validation.sanitized;
+    const file = exportThread(id, entry, format, { scheduledAt });
+
+    logger.info('Thread exported', { id, format });
+    res.set('Content-Type', file.contentType);
+    res.attachment(file.filename);
+    res.send(file.content);
+  } catch (error) {
+    logger.error('Failed to export thread', { id, error });
+    res.status(500).json({ error: 'Failed to export thread' });
+  }
+});
+
+/**
+ * POST /api/history/export
+ * Download several saved threads in one format as a ZIP archive: { ids, format, scheduledAt }
+ */
+app.post('/api/history/export', async (req, res) => {
+  try {
+    const idsValidation = validateHistoryIds(req.body);
+    const optionsValidation = validateExportOptions(req.body);
+    const errors = [idsValidation, optionsValidation]
+      .filter((validation) => validation.error)
+      .flatMap((validation) => validation.details.errors);
+
+    if (errors.length > 0) {
+      return res.status(CONSTANTS.ERROR_CODES.VALIDATION_ERROR).json({ error: errors.join('; '), details: { errors } });
+    }
+
+    const { format, scheduledAt } = optionsValidation.sanitized;
+    const { ids } = idsValidation.sanitized;
+    const entries = await Promise.all(ids.map((id) => loadHistoryEntry(req.workspace, id)));
+    const files = [];
+    const notFound = [];
+
+    entries.forEach((entry, i) => {
+      if (entry) {
+        const file = exportThread(ids[i], entry, format, { scheduledAt });
+        files.push({ name: file.filename, content: file.content });
+      } else {
+        notFound.push(ids[i]);
+      }
+    });
+
+    if (files.length === 0) {
+      return res.status(404).json({
+        error: 'None of the threads were found in history',
+        details: { not_found: notFound }
+      });
+    }
+
+    // The manifest records what the archive holds and which ids were skipped
+    files.push({
+      name: 'manifest.json',
+      content: JSON.stringify({
+        format,
+        exported_at: new Date().toISOString(),
+        files: files.map((file) => file.name),
+        not_found: notFound
+      }, null, 2)
+    });
+
+    logger.info('Threads exported', { format, count: files.length - 1, notFound: notFound.length });
+    res.set('Content-Type', 'application/zip');
+    res.attachment(`threads-${format}-${Date.now()}.zip`);
+    res.send(createZipArchive(files));
+  } catch (error) {
+    logger.error('Failed to export threads', { error });
+    res.status(500).json({ error: 'Failed to export threads' });
+  }
+});
+
+/**
+ * POST /api/import
+ * Parse already-published threads (numbered text, exported JSON or CSV) into the internal
+ * thread structure, lint them and optionally re-hashtag them or save them to history
+ */
+app.post('/api/import', async (req, res) => {
+  const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+
+  try {
+    const validation = validateImportParameters(req.body);
+    if (validation.error) {
+      logger.warn('Invalid import parameters', { requestId });
+      return res.status(validation.code).json({
+        error: validation.error,
+        details: validation.details
+      });
+    }
+
+    const { content, save, ...options } = validation.sanitized;
+    let imported;
+    try {
+      imported = importThreads(content, options);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    if (save) {
+      const historyIds = await Promise.all(imported.threads.map((item, i) => saveToHistory(
+        req.workspace,
+        item.thread,
+        `${requestId}-${i + 1}`,
+        { generated_via: 'imported' }
+      )));
+      historyIds.forEach((historyId, i) => {
+        imported.threads[i].historyId = historyId;
+      });
+    }
+
+    logger.info('Threads imported', {
+      requestId,
+      format: imported.format,
+      count: imported.threads.length,
+      saved: save
+    });
+    res.json(imported);
+  } catch (error) {
+    logger.error('Unexpected error in thread import', { requestId, error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An unexpected error occurred while importing threads'
+    });
+  }
+});
+
+/**
+ * GET /api/publishers
+ * List the adapters scheduled threads can be published through
+ */
+app.get('/api/publishers', (req, res) => {
+  res.json({
+    publishers: listPublishers().map((publisher) => publisher.getStatus()),
+    default: resolvePublisherName()
+  });
+});
+
+/**
+ * POST /api/schedule
+ * Queue a saved thread for publishing: { historyId, publishAt, timezone, publisher, dryRun }.
+ * Without publishAt the thread goes out at its next recommended best_time
+ */
+app.post('/api/schedule', async (req, res) => {
+  try {
+    const validation = validateScheduleRequest(req.body, { requireHistoryId: true });
+    if (validation.error) {
+      return res.status(validation.code).json({
+        error: validation.error,
+        details: validation.details
+      });
+    }
+
+    const {
+      historyId,
+      timezone,
+      publisher,
+      dryRun
+    } = validation.sanitized;
+    const entry = await loadHistoryEntry(req.workspace, historyId);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Thread not found in history'
+      });
+    }
+
+    const recommendations = (entry.thread && entry.thread.publishing_recommendations) || {};
+    const publishAt = validation.sanitized.publishAt || nextOccurrence(recommendations.best_time, Date.now());
+    if (!publishAt) {
+      return res.status(400).json({
+        error: 'publishAt is required: the thread has no recommended publishing time'
+      });
+    }
+
+    const job = scheduler.schedule({
+      historyId,
+      publishAt,
+      timezone,
+      publisher,
+      dryRun,
+      userId: req.user.id
+    });
+    logger.info('Thread scheduled', {
+      jobId: job.id,
+      historyId,
+      publishAt: job.publish_at,
+      publisher: job.publisher,
+      dryRun
+    });
+    res.status(201).json({ job });
+  } catch (error) {
+    logger.error('Failed to schedule thread', { error });
+    res.status(500).json({ error: 'Failed to schedule thread' });
+  }
+});
+
+/**
+ * GET /api/schedule
+ * List scheduled jobs by publish time, optionally filtered by ?status= and ?historyId=
+ */
+app.get('/api/schedule', (req, res) => {
+  const validation = validateScheduleQuery(req.query);
+  if (validation.error) {
+    return res.status(validation.code).json({
+      error: validation.error,
+      details: validation.details
+    });
+  }
+
+  res.json({ jobs: scheduler.list(validation.sanitized).filter((job) => ownsJob(req.user, job)) });
+});
+
+/**
+ * GET /api/schedule/:id
+ * Get one scheduled job, including the published post ids once it has run
+ */
+app.get('/api/schedule/:id', (req, res) => {
+  try {
+    res.json({ job: getOwnScheduledJob(req) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/schedule/:id
+ * Move a pending or failed job to a new time: { publishAt, timezone }.
+ * Times without an offset are read in the job's time zone unless a new one is given
+ */
+app.patch('/api/schedule/:id', (req, res) => {
+  try {
+    const current = getOwnScheduledJob(req);
+    const validation = validateScheduleRequest(req.body, { requirePublishAt: true, timezone: current.timezone });
+    if (validation.error) {
+      return res.status(validation.code).json({
+        error: validation.error,
+        details: validation.details
+      });
+    }
+
+    const job = scheduler.reschedule(req.params.id, validation.sanitized);
+    logger.info('Scheduled thread moved', { jobId: job.id, publishAt: job.publish_at });
+    res.json({ job });
+  } catch (error) {
+    if (!error.status) {
+      logger.error('Failed to reschedule thread', { error });
+    }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to reschedule thread' });
+  }
+});
+
+/**
+ * DELETE /api/schedule/:id
+ * Cancel a pending or failed job
+ */
+app.delete('/api/schedule/:id', (req, res) => {
+  try {
+    getOwnScheduledJob(req);
+    const job = scheduler.cancel(req.params.id);
+    logger.info('Scheduled thread cancelled', { jobId: job.id });
+    res.json({ job });
+  } catch (error) {
+    if (!error.status) {
+      logger.error('Failed to cancel scheduled thread', { error });
+    }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to cancel scheduled thread' });
+  }
+});
+
+/**
+ * PATCH /api/history/:id/tweets/:index
+ * Replace the text of one tweet and save it as a new version
+ */
+app.patch('/api/history/:id/tweets/:index', (req, res) => saveHistoryEdit(req, res, 'edit'));
+
+/**
+ * POST /api/history/:id/reorder
+ * Reorder tweets ({order: [3, 1, 2]}) and save it as a new version
+ */
+app.post('/api/history/:id/reorder', (req, res) => saveHistoryEdit(req, res, 'reorder'));
+
+/**
+ * POST /api/history/:id/tweets/:index/split
+ * Split a tweet in two (at an optional body offset) and save it as a new version
+ */
+app.post('/api/history/:id/tweets/:index/split', (req, res) => saveHistoryEdit(req, res, 'split'));
+
+/**
+ * POST /api/history/:id/tweets/:index/merge
+ * Merge a tweet with the next one and save it as a new version
+ */
+app.post('/api/history/:id/tweets/:index/merge', (req, res) => saveHistoryEdit(req, res, 'merge'));
+
+/**
+ * GET /api/history/:id/versions
+ * List the saved versions of a thread (newest last, without their tweets)
+ */
+app.get('/api/history/:id/versions', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidHistoryId(id)) {
+      return res.status(400).json({ error: 'Invalid history ID format' });
+    }
+
+    const entry = await loadHistoryEntry(req.workspace, id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Thread not found in history' });
+    }
+
+    const versions = getVersions(entry);
+    res.json({
+      historyId: id,
+      current_version: entry.current_version || 1,
+      versions: versions.map(({ thread, ...version }) => ({ ...version, tweet_count: thread.length }))
+    });
+  } catch (error) {
+    logger.error('Failed to list thread versions', { id: req.params.id, error });
+    res.status(500).json({ error: 'Failed to retrieve thread versions' });
+  }
+});
+
+/**
+ * GET /api/history/:id/versions/:version
+ * Get one saved version of a thread
+ */
+app.get('/api/history/:id/versions/:version', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidHistoryId(id)) {
+      return res.status(400).json({ error: 'Invalid history ID format' });
+    }
+
+    const entry = await loadHistoryEntry(req.workspace, id);
+    const version = entry && getVersions(entry).find((v) => v.version === parseInt(req.params.version, 10));
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json({ historyId: id, ...version });
+  } catch (error) {
+    logger.error('Failed to get thread version', { id: req.params.id, error });
+    res.status(500).json({ error: 'Failed to retrieve thread version' });
+  }
+});
+
+/**
+ * GET /api/history/:id/diff?from=1&to=2
+ * Diff two versions tweet by tweet (defaults to the previous and current version)
+ */
+app.get('/api/history/:id/diff', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidHistoryId(id)) {
+      return res.status(400).json({ error: 'Invalid history ID format' });
+    }
+
+    const entry = await loadHistoryEntry(req.workspace, id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Thread not found in history' });
+    }
+
+    const versions = getVersions(entry);
+    const latest = versions[versions.length - 1].version;
+    const to = parseInt(req.query.to, 10) || latest;
+    const from = parseInt(req.query.from, 10) || Math.max(1, to - 1);
+    const fromVersion = versions.find((v) => v.version === from);
+    const toVersion = versions.find((v) => v.version === to);
+
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json({
+      historyId: id,
+      from,
+      to,
+      ...diffThreads(fromVersion.thread, toVersion.thread)
+    });
+  } catch (error) {
+    logger.error('Failed to diff thread versions', { id: req.params.id, error });
+    res.status(500).json({ error: 'Failed to diff thread versions' });
+  }
+});
+
+/**
+ * POST /api/history/:id/versions/:version/restore
+ * Restore an old version by saving its tweets as a new version
+ */
+app.post('/api/history/:id/versions/:version/restore', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!isValidHistoryId(id)) {
+      return res.status(400).json({ error: 'Invalid history ID format' });
+    }
+
+    const validation = validateThreadEdit('restore', req.body);
+    if (validation.error) {
+      return res.status(validation.code).json({ error: validation.error, details: validation.details });
+    }
+
+    const versionNumber = parseInt(req.params.version, 10);
+    const entry = await withHistoryLock(req.workspace, id, async () => {
+      const current = await loadHistoryEntry(req.workspace, id);
+      const version = current && getVersions(current).find((v) => v.version === versionNumber);
+      if (!version) return null;
+
+      const updated = recordVersion(current, version.thread, {
+        author: req.user.name,
+        summary: `Restored version ${versionNumber}`,
+        restoredFrom: versionNumber
+      });
+      await writeHistoryEntry(req.workspace, id, updated);
+      return updated;
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    logger.info('Thread version restored', { id, restoredFrom: versionNumber, version: entry.current_version });
+    res.json({
+      historyId: id,
+      version: entry.current_version,
+      summary: `Restored version ${versionNumber}`,
+      thread: entry.thread
+    });
+  } catch (error) {
+    logger.error('Failed to restore thread version', { id, error });
+    res.status(500).json({ error: 'Failed to restore thread version' });
+  }
+});
+
+/**
+ * GET /api/stats
+ * Get usage statistics for the signed-in user
  */
 app.get('/api/stats', async (req, res) => {
   try {
     const quotaInfo = geminiService.getQuotaInfo();
-    const historyDir = path.join(__dirname, 'history');
-    const files = await fs.readdir(historyDir).catch(() => []);
+    const files = await fs.readdir(req.workspace.historyDir).catch(() => []);
+    const userPrefs = req.workspace.preferences.get();
     
     // Find most frequently used style
     const styleFreq = userPrefs.styleFrequency || {};
@@ -490,7 +1834,10 @@ app.get('/api/stats', async (req, res) => {
     const stats = {
       total_threads_generated: files.filter(f => f.endsWith('.json')).length,
       quota_usage: quotaInfo,
+      quota_history: geminiService.getQuotaHistory(),
+      user_quota: getUserQuota(req.user).getInfo(),
       service_uptime: process.uptime(),
+      generation: generationJobs.getStats(),
       last_updated: new Date().toISOString(),
       user_preferences: {
         most_used_style: mostUsedStyle,
@@ -537,29 +1884,368 @@ app.use((req, res) => {
   });
 });
 
+/**
+ * Validate and size-check a thread generation request body
+ * @param {Object} body - Request body
+ * @param {string} requestId - Request identifier
+ * @param {Object} workspace - Workspace of the requesting user, whose preferences fill in the defaults
+ * @returns {Object} { validation } on success, otherwise { status, payload } describing the error response
+ */
+function validateGenerationRequest(body, requestId, workspace) {
+  const validation = validateParameters(body, workspace.preferences.get());
+
+  if (validation.error) {
+    logger.warn('Invalid parameters', { requestId });
+    return {
+      status: validation.code || 400,
+      payload: {
+        error: validation.error,
+        details: validation.details
+      }
+    };
+  }
+
+  // Check input size
+  const maxLength = parseInt(process.env.MAX_INPUT_LENGTH, 10) || 10000;
+  if (validation.sanitized.text.length > maxLength) {
+    logger.warn('Input too large', { requestId, length: validation.sanitized.text.length, maxLength });
+    return {
+      status: 413,
+      payload: {
+        error: 'Input text too large',
+        maxLength,
+        actualLength: validation.sanitized.text.length
+      }
+    };
+  }
+
+  // Generators receive the brand voice profile itself rather than its id
+  const brandVoice = resolveBrandVoice(validation.sanitized.brandVoice);
+  if (brandVoice.payload) {
+    return brandVoice;
+  }
+  validation.sanitized.brandVoice = brandVoice.voice;
+
+  return { validation };
+}
+
+/**
+ * Look up the brand voice profile a request names
+ * @param {string|null} id - Validated brand voice id
+ * @returns {Object} {voice} (null without an id), or {status, payload} for an unknown id
+ */
+function resolveBrandVoice(id) {
+  if (!id) {
+    return { voice: null };
+  }
+
+  const voice = getDefaultBrandVoiceStore().get(id);
+  if (!voice) {
+    const message = `Unknown brand voice: ${id}`;
+    return {
+      status: CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      payload: { error: message, details: { errors: [message] } }
+    };
+  }
+  return { voice };
+}
+
+/**
+ * Get a user's generation quota tracker
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Quota tracker limited to the user's daily quota (unlimited when null)
+ */
+function getUserQuota(user) {
+  return createQuotaTracker(`user:${user.id}`, { daily: user.daily_quota }, { store: userQuotaStore });
+}
+
+/**
+ * Count generations against a user's daily quota
+ * The generations are reserved up front so concurrent requests cannot overrun the quota; whatever does
+ * not produce a thread is given back with releaseUserQuota
+ * @param {Object} user - Authenticated user
+ * @param {number} count - Generations the request will run
+ * @returns {Object|null} null when they fit, otherwise { status, payload } describing the 429 response
+ */
+function reserveUserQuota(user, count = 1) {
+  const quota = getUserQuota(user);
+  const info = quota.getInfo();
+  if (info.remaining !== null && info.remaining < count) {
+    logger.warn('User quota exceeded', { userId: user.id, requested: count, remaining: info.remaining });
+    return {
+      status: CONSTANTS.ERROR_CODES.RATE_LIMIT,
+      payload: {
+        error: 'Daily generation quota exceeded',
+        quota: info
+      }
+    };
+  }
+
+  for (let i = 0; i < count; i += 1) {
+    quota.consume();
+  }
+  return null;
+}
+
+/**
+ * Give back generations reserved against a user's quota that were turned away or failed
+ * @param {Object} user - Authenticated user
+ * @param {number} count - Generations to give back
+ */
+function releaseUserQuota(user, count = 1) {
+  if (count > 0) {
+    getUserQuota(user).release(count);
+  }
+}
+
+/**
+ * Run generations reserved with reserveUserQuota, giving the quota back unless they succeed
+ * @param {Object} user - Authenticated user
+ * @param {number} count - Generations reserved
+ * @param {Function} generate - Resolves to { status, payload } describing the response
+ * @returns {Promise<Object>} The generation's { status, payload }
+ */
+async function runWithUserQuota(user, count, generate) {
+  let outcome;
+  try {
+    outcome = await generate();
+  } catch (error) {
+    releaseUserQuota(user, count);
+    throw error;
+  }
+
+  if (outcome.status >= 400) {
+    releaseUserQuota(user, count);
+  }
+  return outcome;
+}
+
+/**
+ * Check whether a scheduled job belongs to a user (jobs from before users existed belong to the local user)
+ * @param {Object} user - Authenticated user
+ * @param {Object} job - Scheduled job
+ * @returns {boolean} True when the user owns the job
+ */
+function ownsJob(user, job) {
+  return (job.user_id || CONSTANTS.LOCAL_USER_ID) === user.id;
+}
+
+/**
+ * Get the workspace holding a scheduled job's thread
+ * @param {Object} job - Scheduled job
+ * @returns {Object} Workspace
+ */
+function getJobWorkspace(job) {
+  return getWorkspace(job.user_id || CONSTANTS.LOCAL_USER_ID);
+}
+
+/**
+ * Get the scheduled job named in the request, if the signed-in user owns it
+ * @param {Object} req - Express request (:id)
+ * @returns {Object} Job; throws a 404 error for unknown jobs and other users' jobs
+ */
+function getOwnScheduledJob(req) {
+  const job = scheduler.get(req.params.id);
+  if (!ownsJob(req.user, job)) {
+    const error = new Error('Scheduled job not found');
+    error.status = CONSTANTS.ERROR_CODES.NOT_FOUND;
+    throw error;
+  }
+  return job;
+}
+
+/**
+ * Generate a thread (or a set of variants) for a validated request and save it
+ * @param {Object} workspace - Workspace of the requesting user
+ * @param {Object} validation - Validated request parameters
+ * @param {string} requestId - Request identifier
+ * @param {Object} hooks - Optional progress callbacks passed to geminiService.generateThread
+ * @returns {Promise<Object>} { status, payload } describing the response
+ */
+async function runGeneration(workspace, validation, requestId, hooks = {}) {
+  // Several variants are held back until the editor picks one
+  if (validation.sanitized.variants > 1) {
+    const variantResult = await geminiService.generateThreadVariants(
+      validation.sanitized.text,
+      validation.sanitized,
+      validation.sanitized.variants
+    );
+
+    if (variantResult.error) {
+      logger.error('Thread variant generation failed', { requestId, error: variantResult.error });
+      return {
+        status: 500,
+        payload: {
+          error: 'Thread generation failed',
+          details: variantResult.error
+        }
+      };
+    }
+
+    const expiresAt = storePendingVariants(requestId, variantResult.variants, workspace.userId);
+    logger.info('Thread variants ready for selection', { requestId, count: variantResult.variants.length });
+
+    return {
+      status: 200,
+      payload: {
+        variant_set_id: requestId,
+        expires_at: new Date(expiresAt).toISOString(),
+        ...variantResult
+      }
+    };
+  }
+
+  // Generate thread
+  const result = await geminiService.generateThread(
+    validation.sanitized.text,
+    validation.sanitized,
+    hooks
+  );
+
+  // Check for errors
+  if (result.error) {
+    logger.error('Thread generation failed', { requestId, error: result.error });
+    return {
+      status: 500,
+      payload: {
+        error: 'Thread generation failed',
+        details: result.error
+      }
+    };
+  }
+
+  await finalizeGeneration(workspace, result, validation, requestId);
+  return { status: 200, payload: result };
+}
+
+/**
+ * Generate one item of a batch and save it to history under the batch id
+ * @param {Object} workspace - Workspace of the requesting user
+ * @param {Object} item - Generation request body for this item
+ * @param {number} index - Position of the item in the batch
+ * @param {string} batchId - Batch identifier
+ * @returns {Promise<Object>} Item result with status done, failed or invalid
+ */
+async function generateBatchItem(workspace, item, index, batchId) {
+  const requestId = `${batchId}-${index + 1}`;
+  const { validation, payload } = validateGenerationRequest(item, requestId, workspace);
+  if (!validation) {
+    return {
+      index,
+      status: 'invalid',
+      error: payload.error,
+      details: payload.details || null
+    };
+  }
+
+  if (validation.sanitized.variants > 1) {
+    return {
+      index,
+      status: 'invalid',
+      error: 'variants are not supported in batches',
+      details: null
+    };
+  }
+
+  // Each item falls back on its own; once the provider's quota runs out the rest go straight to local generation
+  let fallbackReason = null;
+  try {
+    const result = await generationPool.run(() => geminiService.generateThread(
+      validation.sanitized.text,
+      validation.sanitized,
+      {
+        onProgress: (event, data) => {
+          if (event === 'fallback') fallbackReason = data.reason;
+        }
+      }
+    ));
+
+    if (result.error) {
+      logger.warn('Batch item failed', { batchId, index, error: result.error });
+      return {
+        index,
+        status: 'failed',
+        error: 'Thread generation failed',
+        details: result.error
+      };
+    }
+
+    const historyId = await finalizeGeneration(workspace, result, validation, requestId, { batch_id: batchId });
+    return {
+      index,
+      status: 'done',
+      history_id: historyId,
+      generated_via: fallbackReason ? 'fallback' : 'llm',
+      ...(fallbackReason && { fallback_reason: fallbackReason }),
+      thread: result
+    };
+  } catch (error) {
+    logger.error('Unexpected error in batch item', { batchId, index, error: error.message });
+    return {
+      index,
+      status: 'failed',
+      error: error.message,
+      details: null
+    };
+  }
+}
+
+/**
+ * Persist a generated thread and record usage after a successful generation
+ * @param {Object} workspace - Workspace of the requesting user
+ * @param {Object} result - Generated thread
+ * @param {Object} validation - Validated request parameters
+ * @param {string} requestId - Request identifier
+ * @param {Object} extra - Additional history entry fields (e.g. the batch id)
+ * @returns {Promise<string|null>} History entry id, or null when saving failed
+ */
+async function finalizeGeneration(workspace, result, validation, requestId, extra = {}) {
+  // Save to history if successful
+  let historyId = null;
+  try {
+    historyId = await saveToHistory(workspace, result, requestId, extra);
+  } catch (historyError) {
+    logger.warn('Failed to save to history', { requestId, error: historyError.message });
+    // Don't fail the request for history issues
+  }
+
+  // Update user preferences
+  await updateUserPreferences(workspace, validation.sanitized.style);
+
+  // Log success and warnings
+  if (validation.warnings.length > 0) {
+    logger.info('Thread generated with warnings', { requestId, warnings: validation.warnings });
+  } else {
+    logger.info('Thread generated successfully', { requestId });
+  }
+
+  return historyId;
+}
+
 /**
  * Save generated thread to history
+ * @param {Object} workspace - Workspace whose history receives the thread
  * @param {Object} thread - Generated thread object
  * @param {string} requestId - Request identifier
+ * @param {Object} extra - Additional entry fields (e.g. the selected variant)
+ * @returns {string} History entry id
  */
-async function saveToHistory(thread, requestId) {
+async function saveToHistory(workspace, thread, requestId, extra = {}) {
   try {
-    const historyDir = path.join(__dirname, CONSTANTS.HISTORY_DIR);
-    await fs.mkdir(historyDir, { recursive: true });
-
     const timestamp = new Date().toISOString();
-    const filename = `${Date.now()}-${requestId}.json`;
-    const filePath = path.join(historyDir, filename);
+    const id = `${Date.now()}-${requestId}`;
 
     const historyEntry = {
-      id: `${Date.now()}-${requestId}`,
+      id,
       timestamp,
       thread,
-      generated_via: thread.error ? 'failed' : 'success'
+      generated_via: thread.error ? 'failed' : 'success',
+      ...extra
     };
 
-    await fs.writeFile(filePath, JSON.stringify(historyEntry, null, 2));
-    logger.info('Thread saved to history', { filename, requestId });
+    await writeHistoryEntry(workspace, id, historyEntry);
+    logger.info('Thread saved to history', { id, requestId, userId: workspace.userId });
+    return id;
 
   } catch (error) {
     logger.error('Failed to save to history', { requestId, error });
@@ -567,6 +2253,214 @@ async function saveToHistory(thread, requestId) {
   }
 }
 
+/**
+ * Apply an edit to a saved thread and record it as a new version
+ * @param {Object} req - Express request (:id, optional :index, edit body)
+ * @param {Object} res - Express response
+ * @param {string} type - Edit operation: edit, reorder, split or merge
+ */
+async function saveHistoryEdit(req, res, type) {
+  const { id } = req.params;
+
+  try {
+    if (!isValidHistoryId(id)) {
+      return res.status(400).json({ error: 'Invalid history ID format' });
+    }
+
+    const validation = validateThreadEdit(type, req.body);
+    if (validation.error) {
+      return res.status(validation.code).json({ error: validation.error, details: validation.details });
+    }
+
+    const operation = { ...validation.sanitized, index: parseInt(req.params.index, 10) };
+
+    let summary;
+    const entry = await withHistoryLock(req.workspace, id, async () => {
+      const current = await loadHistoryEntry(req.workspace, id);
+      if (!current) return null;
+
+      const metadata = current.thread.metadata || {};
+      const edit = applyThreadEdit(current.thread.thread || [], operation, metadata.platform);
+      summary = edit.summary;
+
+      const updated = recordVersion(current, edit.tweets, { author: req.user.name, summary });
+      await writeHistoryEntry(req.workspace, id, updated);
+      return updated;
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Thread not found in history' });
+    }
+
+    logger.info('Thread edited', { id, type, version: entry.current_version });
+    res.json({
+      historyId: id,
+      version: entry.current_version,
+      summary,
+      thread: entry.thread
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Failed to edit thread', { id, type, error });
+    res.status(500).json({ error: 'Failed to save thread edit' });
+  }
+}
+
+/**
+ * Check a history id for a safe file name
+ * @param {string} id - History entry id
+ * @returns {boolean} True when the id only has letters, numbers, dashes and underscores
+ */
+function isValidHistoryId(id) {
+  return /^[a-zA-Z0-9-_]+$/.test(id);
+}
+
+/**
+ * Write a history entry to disk
+ * @param {Object} workspace - Workspace holding the entry
+ * @param {string} id - History entry id (the file name; entries saved before ids were
+ *   computed once may carry a slightly different id field)
+ * @param {Object} entry - History entry
+ */
+async function writeHistoryEntry(workspace, id, entry) {
+  await fs.mkdir(workspace.historyDir, { recursive: true });
+  await fs.writeFile(path.join(workspace.historyDir, `${id}.json`), JSON.stringify(entry, null, 2));
+  await workspace.index.upsert(id, entry);
+}
+
+/**
+ * Delete a history entry and drop it from the search index
+ * @param {Object} workspace - Workspace holding the entry
+ * @param {string} id - History entry id
+ * @returns {Promise<boolean>} False when the entry did not exist
+ */
+function deleteHistoryEntry(workspace, id) {
+  return withHistoryLock(workspace, id, async () => {
+    try {
+      await fs.unlink(path.join(workspace.historyDir, `${id}.json`));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+
+    await workspace.index.remove(id);
+    return true;
+  });
+}
+
+/**
+ * Delete a history file last changed before the cutoff, unless it is pinned or scheduled
+ * @param {Object} workspace - Workspace holding the entry
+ * @param {string} file - History file name
+ * @param {number} cutoff - Timestamp in milliseconds
+ * @returns {Promise} Resolves once the file has been checked
+ */
+async function removeExpiredHistoryFile(workspace, file, cutoff) {
+  const filePath = path.join(workspace.historyDir, file);
+  const stats = await fs.stat(filePath).catch(() => null);
+  if (!stats || stats.mtime.getTime() >= cutoff) {
+    return;
+  }
+
+  const id = file.replace('.json', '');
+  const entry = await loadHistoryEntry(workspace, id).catch(() => null);
+  if (entry && (entry.pinned || scheduler.list({ historyId: id, status: 'pending' }).length > 0)) {
+    return;
+  }
+
+  await fs.unlink(filePath);
+  await workspace.index.remove(id);
+  logger.info('Cleaned old history file', { userId: workspace.userId, file });
+}
+
+/**
+ * Run a read-modify-write task on a history entry after earlier ones finish
+ * @param {Object} workspace - Workspace holding the entry
+ * @param {string} id - History entry id
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} Task result
+ */
+function withHistoryLock(workspace, id, task) {
+  const lockKey = `${workspace.userId}/${id}`;
+  const previous = historyLocks.get(lockKey) || Promise.resolve();
+  const run = previous.catch(() => {}).then(task);
+  historyLocks.set(lockKey, run);
+
+  run.catch(() => {}).then(() => {
+    if (historyLocks.get(lockKey) === run) {
+      historyLocks.delete(lockKey);
+    }
+  });
+  return run;
+}
+
+/**
+ * Keep generated variants until one is selected
+ * @param {string} setId - Variant set identifier (the request id)
+ * @param {Array<Object>} variants - Generated variants
+ * @param {string} userId - User who requested them, the only one who may pick
+ * @returns {number} Expiry timestamp in milliseconds
+ */
+function storePendingVariants(setId, variants, userId) {
+  const now = Date.now();
+
+  // Drop sets nobody picked from
+  for (const [id, pending] of pendingVariants) {
+    if (pending.expiresAt < now) {
+      pendingVariants.delete(id);
+    }
+  }
+
+  const expiresAt = now + CONSTANTS.VARIANT_SELECTION_TTL_MS;
+  pendingVariants.set(setId, { variants, expiresAt, userId });
+  return expiresAt;
+}
+
+/**
+ * Store the ids of a published thread's posts on its history entry
+ * @param {Object} job - Published scheduler job
+ */
+function recordPublication(job) {
+  const workspace = getJobWorkspace(job);
+  return withHistoryLock(workspace, job.history_id, async () => {
+    const entry = await loadHistoryEntry(workspace, job.history_id);
+    if (!entry) {
+      return;
+    }
+
+    entry.publications = [...(entry.publications || []), {
+      job_id: job.id,
+      publisher: job.publisher,
+      published_at: job.published_at,
+      posts: job.result.posts
+    }];
+    await writeHistoryEntry(workspace, job.history_id, entry);
+  });
+}
+
+/**
+ * Load a history entry by id
+ * @param {Object} workspace - Workspace holding the entry
+ * @param {string} id - History entry id (already validated)
+ * @returns {Object|null} History entry, or null when it does not exist
+ */
+async function loadHistoryEntry(workspace, id) {
+  try {
+    const filePath = path.join(workspace.historyDir, `${id}.json`);
+    const content = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
@@ -578,13 +2472,17 @@ process.on('SIGINT', () => {
   process.exit(0);
 });
 
-// Start server
-app.listen(PORT, () => {
-  logger.info(`Server started on port ${PORT}`, {
-    environment: process.env.NODE_ENV,
-    gemini_enabled: process.env.GEMINI_ENABLED,
-    fallback_enabled: process.env.FALLBACK_ENABLED
+// Start server (tests load the app without listening)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logger.info(`Server started on port ${PORT}`, {
+      environment: process.env.NODE_ENV,
+      gemini_enabled: process.env.GEMINI_ENABLED,
+      llm_provider: process.env.LLM_PROVIDER || CONSTANTS.DEFAULT_LLM_PROVIDER,
+      fallback_enabled: process.env.FALLBACK_ENABLED,
+      auth_enabled: authenticator.isEnabled()
+    });
   });
-});
+}
 
 module.exports = app;
\ No newline at end of file
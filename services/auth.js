@@ -0,0 +1,173 @@
+/**
+ * Request authentication
+ * Identifies the user behind a request from an API key (Authorization: Bearer or X-API-Key)
+ * or a browser session opened with one. Until the first user is created, and unless
+ * AUTH_REQUIRED is set, every request belongs to the local user of a single-user install
+ */
+
+const crypto = require('crypto');
+const CONSTANTS = require('../config/constants');
+const { hashSecret } = require('./userStore');
+
+const LOCAL_USER = Object.freeze({
+  id: CONSTANTS.LOCAL_USER_ID,
+  name: CONSTANTS.LOCAL_USER_ID,
+  daily_quota: null,
+  role: 'admin'
+});
+
+/**
+ * Create an authentication error
+ * @param {string} message - Error message
+ * @returns {Error} Error with a 401 status
+ */
+function createAuthError(message) {
+  const error = new Error(message);
+  error.status = CONSTANTS.ERROR_CODES.UNAUTHORIZED;
+  return error;
+}
+
+/**
+ * Read one cookie from a request
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value
+ */
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator > 0 && part.slice(0, separator).trim() === name) {
+      return decodeURIComponent(part.slice(separator + 1).trim());
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the API key a request carries
+ * @param {Object} req - Express request
+ * @returns {string|null} API key
+ */
+function readApiKey(req) {
+  const authorization = req.headers.authorization || '';
+  if (/^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, '').trim();
+  }
+  return req.headers['x-api-key'] || null;
+}
+
+/**
+ * Create an authenticator
+ * @param {Object} options - Authenticator options
+ * @param {Object} options.userStore - User store from services/userStore
+ * @param {boolean} options.required - Require credentials even while no users exist
+ * @param {number} options.sessionTtlMs - Session lifetime
+ * @param {Function} options.now - Clock override (defaults to Date.now)
+ * @returns {Object} Authenticator
+ */
+function createAuthenticator(options) {
+  const { userStore } = options;
+  const required = options.required === true;
+  const sessionTtlMs = options.sessionTtlMs || CONSTANTS.SESSION_TTL_MS;
+  const now = options.now || Date.now;
+
+  // Sessions live in memory, keyed by the hash of their token; a restart signs everyone out
+  const sessions = new Map();
+
+  /**
+   * Forget expired sessions
+   */
+  function pruneSessions() {
+    const timestamp = now();
+    for (const [tokenHash, session] of sessions) {
+      if (session.expires_at <= timestamp) {
+        sessions.delete(tokenHash);
+      }
+    }
+  }
+
+  /**
+   * Check whether requests need credentials
+   * @returns {boolean} True once users exist or when AUTH_REQUIRED is set
+   */
+  function isEnabled() {
+    return required || userStore.hasUsers();
+  }
+
+  /**
+   * Identify the user behind a request
+   * @param {Object} req - Express request
+   * @returns {Object} {user, method: 'api_key' | 'session' | 'local'}; throws a 401 error
+   *   for missing, unknown or revoked credentials
+   */
+  function authenticate(req) {
+    if (!isEnabled()) {
+      return { user: LOCAL_USER, method: 'local' };
+    }
+
+    const apiKey = readApiKey(req);
+    if (apiKey) {
+      const match = userStore.verifyKey(apiKey);
+      if (!match) {
+        throw createAuthError('Invalid or revoked API key');
+      }
+      return { user: match.user, method: 'api_key' };
+    }
+
+    const token = readCookie(req, CONSTANTS.SESSION_COOKIE);
+    if (token) {
+      pruneSessions();
+      const session = sessions.get(hashSecret(token));
+      const match = session && userStore.getActiveKey(session.key_id);
+      if (!match) {
+        throw createAuthError('Session expired, please sign in again');
+      }
+      return { user: match.user, method: 'session' };
+    }
+
+    throw createAuthError('Authentication required: send an API key or sign in');
+  }
+
+  /**
+   * Open a browser session with an API key
+   * @param {string} apiKey - API key
+   * @returns {Object} {token, user, expires_at}; throws a 401 error for unknown or revoked keys
+   */
+  function login(apiKey) {
+    const match = userStore.verifyKey(apiKey);
+    if (!match) {
+      throw createAuthError('Invalid or revoked API key');
+    }
+
+    pruneSessions();
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = now() + sessionTtlMs;
+    sessions.set(hashSecret(token), { user_id: match.user.id, key_id: match.key.id, expires_at: expiresAt });
+
+    return { token, user: match.user, expires_at: new Date(expiresAt).toISOString() };
+  }
+
+  /**
+   * End the session a request carries, if any
+   * @param {Object} req - Express request
+   */
+  function logout(req) {
+    const token = readCookie(req, CONSTANTS.SESSION_COOKIE);
+    if (token) {
+      sessions.delete(hashSecret(token));
+    }
+  }
+
+  return {
+    isEnabled,
+    authenticate,
+    login,
+    logout
+  };
+}
+
+module.exports = {
+  createAuthenticator,
+  LOCAL_USER
+};
@@ -0,0 +1,342 @@
+/**
+ * Brand voice profiles
+ * A profile describes how one brand account writes: a description, preferred and banned words,
+ * formality, an emoji policy, a signature CTA, hashtags every post must carry and example posts.
+ * Profiles are kept in a JSON file; a generation request names the profile it writes for, which
+ * is described to the LLM and enforced on the generated thread, LLM or fallback
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CONSTANTS = require('../config/constants');
+const { getCharCount, truncateSmart, validateTweetLength } = require('../utils/charCounter');
+const { stripEmojis, normalizeHashtag } = require('../utils/dedupe');
+const { createJsonWriter } = require('../utils/jsonFile');
+const { applyPlatformHashtagRules, getAlwaysIncludeHashtags } = require('./hashtagGenerator');
+const { getHashtagDictionary } = require('./hashtagDictionary');
+
+const DEFAULT_VOICE = {
+  description: null,
+  preferredWords: [],
+  bannedWords: [],
+  formality: 'neutral',
+  emojiPolicy: 'moderate',
+  signatureCTA: null,
+  mandatoryHashtags: [],
+  examples: []
+};
+
+const FORMALITY_DESCRIPTIONS = {
+  casual: 'casual and conversational; contractions are welcome',
+  neutral: 'neutral and clear',
+  formal: 'formal; no slang, contractions or exclamation marks'
+};
+
+// Wording a formal voice should not use
+const INFORMAL_PATTERN = /\b(gonna|wanna|gotta|kinda|lol|omg|awesome|stuff)\b|\b\w+n't\b|!{2,}/i;
+
+let defaultStore = null;
+
+/**
+ * Create an error carrying an HTTP status
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} Error
+ */
+function createBrandVoiceError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Create a brand voice store backed by a JSON file
+ * @param {string} filePath - Location of the profiles file
+ * @returns {Object} Store with list, get, create, update, remove and flush methods
+ */
+function createBrandVoiceStore(filePath) {
+  let state;
+
+  try {
+    state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    // Start without profiles if the file doesn't exist or is invalid
+    state = { voices: [] };
+  }
+
+  const writer = createJsonWriter();
+
+  /**
+   * Persist the profiles
+   * @returns {Promise} Resolves when written
+   */
+  function save() {
+    return writer.write(filePath, state);
+  }
+
+  /**
+   * Find a profile's position
+   * @param {string} id - Profile id
+   * @returns {number} Index in state.voices; throws a 404 error when missing
+   */
+  function indexOf(id) {
+    const index = state.voices.findIndex((voice) => voice.id === id);
+    if (index === -1) {
+      throw createBrandVoiceError(`Brand voice not found: ${id}`, CONSTANTS.ERROR_CODES.NOT_FOUND);
+    }
+    return index;
+  }
+
+  return {
+    list() {
+      return state.voices.map((voice) => ({ ...voice }));
+    },
+
+    /**
+     * Get a profile
+     * @param {string} id - Profile id
+     * @returns {Object|null} Profile, or null for unknown ids
+     */
+    get(id) {
+      const voice = state.voices.find((candidate) => candidate.id === id);
+      return voice ? { ...voice } : null;
+    },
+
+    /**
+     * Add a profile
+     * @param {Object} definition - Validated profile (see validateBrandVoice); missing fields get defaults
+     * @returns {Promise<Object>} Created profile; rejects with 409 when the id is taken or the limit is reached
+     */
+    create(definition) {
+      if (state.voices.some((voice) => voice.id === definition.id)) {
+        return Promise.reject(createBrandVoiceError(
+          `Brand voice already exists: ${definition.id}`,
+          CONSTANTS.ERROR_CODES.CONFLICT
+        ));
+      }
+      if (state.voices.length >= CONSTANTS.MAX_BRAND_VOICES) {
+        return Promise.reject(createBrandVoiceError(
+          `At most ${CONSTANTS.MAX_BRAND_VOICES} brand voices can be created`,
+          CONSTANTS.ERROR_CODES.CONFLICT
+        ));
+      }
+
+      const now = new Date().toISOString();
+      const voice = {
+        ...JSON.parse(JSON.stringify(DEFAULT_VOICE)),
+        ...definition,
+        created_at: now,
+        updated_at: now
+      };
+      state.voices.push(voice);
+      return save().then(() => ({ ...voice }));
+    },
+
+    /**
+     * Change a profile
+     * @param {string} id - Profile id
+     * @param {Object} changes - Validated fields to change
+     * @returns {Promise<Object>} Updated profile; rejects with 404 for unknown ids
+     */
+    update(id, changes) {
+      try {
+        const voice = state.voices[indexOf(id)];
+        Object.assign(voice, changes, { updated_at: new Date().toISOString() });
+        return save().then(() => ({ ...voice }));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    },
+
+    /**
+     * Delete a profile
+     * @param {string} id - Profile id
+     * @returns {Promise} Resolves when saved; rejects with 404 for unknown ids
+     */
+    remove(id) {
+      try {
+        state.voices.splice(indexOf(id), 1);
+        return save();
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    },
+
+    flush() {
+      return writer.flush();
+    }
+  };
+}
+
+/**
+ * Get the process-wide brand voice store
+ * @returns {Object} Brand voice store
+ */
+function getDefaultBrandVoiceStore() {
+  if (!defaultStore) {
+    const filePath = process.env.BRAND_VOICES_FILE
+      || path.join(__dirname, '..', CONSTANTS.DATA_DIR, CONSTANTS.BRAND_VOICES_FILE);
+    defaultStore = createBrandVoiceStore(filePath);
+  }
+  return defaultStore;
+}
+
+/**
+ * Combine the user's emoji preference with a brand's emoji policy
+ * The brand's policy is a ceiling: the sparser of the two applies
+ * @param {Object} preferences - Generation preferences ({emojiPreference})
+ * @param {Object|null} voice - Brand voice profile
+ * @returns {string} Emoji density level (see CONSTANTS.EMOJI_DENSITY)
+ */
+function resolveEmojiPreference(preferences = {}, voice = null) {
+  const density = CONSTANTS.EMOJI_DENSITY;
+  const level = density[preferences.emojiPreference] !== undefined ? preferences.emojiPreference : 'moderate';
+
+  return voice && density[voice.emojiPolicy] < density[level] ? voice.emojiPolicy : level;
+}
+
+/**
+ * Describe a brand voice for the LLM prompt
+ * @param {Object} voice - Brand voice profile
+ * @param {Object} options - Prompt context
+ * @param {string} options.postLabel - What the platform calls a post
+ * @param {boolean} options.withCTA - Whether the thread ends with a call-to-action
+ * @param {boolean} options.withHashtags - Whether the model writes the hashtags (rewrites add them afterwards)
+ * @returns {string} Prompt section
+ */
+function describeBrandVoice(voice, { postLabel, withCTA, withHashtags = true }) {
+  const lines = [`BRAND VOICE (${voice.name})${voice.description ? `: ${voice.description}` : ''}`];
+
+  lines.push(`- Tone: ${FORMALITY_DESCRIPTIONS[voice.formality] || FORMALITY_DESCRIPTIONS.neutral}`);
+  if (voice.preferredWords.length > 0) {
+    lines.push(`- Prefer these words where they fit: ${voice.preferredWords.join(', ')}`);
+  }
+  if (voice.bannedWords.length > 0) {
+    lines.push(`- Never use these words: ${voice.bannedWords.join(', ')}`);
+  }
+  if (voice.signatureCTA && withCTA) {
+    lines.push(`- Use exactly this call-to-action in the final ${postLabel}: "${voice.signatureCTA}"`);
+  }
+  if (voice.mandatoryHashtags.length > 0 && withHashtags) {
+    lines.push(`- Put these hashtags in every ${postLabel}: ${voice.mandatoryHashtags.join(' ')}`);
+  }
+  if (voice.examples.length > 0) {
+    lines.push(`- Example ${postLabel}s in this voice:`);
+    voice.examples.forEach((example) => lines.push(`  "${example}"`));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Find the words of a list that occur in text
+ * Matching ignores case and punctuation and only counts whole words (or phrases)
+ * @param {string} text - Text to search
+ * @param {Array<string>} words - Words or phrases
+ * @returns {Array<string>} Words found
+ */
+function findWords(text, words) {
+  const normalize = (value) => ` ${value.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()} `;
+  const haystack = normalize(text);
+  return words.filter((word) => haystack.includes(normalize(word)));
+}
+
+/**
+ * Enforce a brand voice on a generated thread
+ * Mandatory hashtags (unless blocked), the signature CTA and the emoji policy are applied; banned words and
+ * wording that does not fit the voice's formality are reported in each tweet's warnings. Where the platform
+ * caps hashtags per post, the campaign's always-include hashtags win over mandatory ones
+ * @param {Object} result - Generation result ({ metadata, thread, ... })
+ * @param {Object|null} voice - Brand voice profile; the result is returned unchanged without one
+ * @param {Object} options - Generation context
+ * @param {Object} options.profile - Platform profile
+ * @param {Object} options.preferences - Generation preferences ({emojiPreference, autoAddCTA})
+ * @returns {Object} Result with the voice applied and metadata.brand_voice set
+ */
+function applyBrandVoice(result, voice, { profile, preferences = {} }) {
+  if (!voice || !result || !Array.isArray(result.thread)) {
+    return result;
+  }
+
+  const emojiLimit = CONSTANTS.EMOJI_DENSITY[resolveEmojiPreference(preferences, voice)];
+  const { maxPerPost } = profile.hashtags;
+  // The hashtag blocklist overrides the brand's mandatory hashtags, and the campaign's always-include
+  // hashtags come before them when a post cannot carry both
+  const dictionary = getHashtagDictionary();
+  const pinnedKeys = new Set(getAlwaysIncludeHashtags().map(normalizeHashtag));
+  const mandatory = voice.mandatoryHashtags
+    .filter((tag) => !dictionary.isBlocked(tag) && !pinnedKeys.has(normalizeHashtag(tag)));
+  const lastIndex = result.thread.length - 1;
+
+  const thread = result.thread.map((tweet, index) => {
+    const warnings = [...(tweet.warnings || [])];
+    const warn = (message) => {
+      if (!warnings.includes(message)) {
+        warnings.push(message);
+      }
+    };
+
+    let text = emojiLimit === 0 ? stripEmojis(tweet.text) : tweet.text;
+    let { cta } = tweet;
+    if (index === lastIndex && voice.signatureCTA && preferences.autoAddCTA !== false) {
+      cta = voice.signatureCTA;
+    }
+    if (cta && emojiLimit === 0) {
+      cta = stripEmojis(cta);
+    }
+
+    // Posts generated without hashtags carry no always-include tags, and none are added here
+    const pinned = (tweet.hashtags || []).filter((tag) => pinnedKeys.has(normalizeHashtag(tag)));
+    const room = Math.max(maxPerPost - pinned.length, 0);
+    const required = mandatory.slice(0, room);
+    const taken = new Set([...pinned, ...required].map(normalizeHashtag));
+    const hashtags = [
+      ...pinned,
+      ...required,
+      ...(tweet.hashtags || []).filter((tag) => !taken.has(normalizeHashtag(tag)))
+    ];
+    if (mandatory.length > room) {
+      warn(pinned.length > 0
+        ? `Only ${room} of the brand's mandatory hashtags fit ${profile.name}'s limit per post `
+          + 'after the campaign\'s always-include hashtags'
+        : `Only ${room} of the brand's mandatory hashtags fit ${profile.name}'s limit per post`);
+    }
+
+    const banned = findWords(`${text} ${cta || ''}`, voice.bannedWords);
+    if (banned.length > 0) {
+      warn(`Uses banned words: ${banned.join(', ')}`);
+    }
+    if (voice.formality === 'formal' && INFORMAL_PATTERN.test(text)) {
+      warn('Informal wording for a formal brand voice');
+    }
+
+    if (!validateTweetLength(text, hashtags, cta, profile.id).isValid) {
+      text = truncateSmart(text, profile.charLimit, hashtags, cta, profile.id);
+      warn('Tweet truncated to fit character limit');
+    }
+
+    return {
+      ...tweet,
+      text,
+      char_count: text === tweet.text ? tweet.char_count : getCharCount(text, [], '', profile.id),
+      hashtags,
+      emoji_suggestions: (tweet.emoji_suggestions || []).slice(0, emojiLimit),
+      cta,
+      warnings
+    };
+  });
+
+  return {
+    ...result,
+    metadata: { ...result.metadata, brand_voice: voice.id },
+    thread: applyPlatformHashtagRules(thread, profile)
+  };
+}
+
+module.exports = {
+  createBrandVoiceStore,
+  getDefaultBrandVoiceStore,
+  resolveEmojiPreference,
+  describeBrandVoice,
+  applyBrandVoice
+};
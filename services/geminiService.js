@@ -1,19 +1,41 @@
 /**
  * Gemini AI service with retry logic and error handling
  * Provides intelligent thread generation with fallback capabilities
+ * across pluggable LLM providers (Gemini, OpenAI-compatible, Ollama)
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const Ajv = require('ajv');
 const winston = require('winston');
-const { generateFallbackThread } = require('./localTemplates');
-const { generateThreadHashtags } = require('./hashtagGenerator');
+const { generateFallbackThread, rewriteTweetLocally, calculateEngagementScore } = require('./localTemplates');
+const {
+  generateThreadHashtags,
+  generateTweetHashtags,
+  applyAlwaysIncludeHashtags,
+  removeBlockedHashtags,
+  getArabicHashtagOptions,
+  applyPlatformHashtagRules,
+  rankHashtagCandidates
+} = require('./hashtagGenerator');
+const { getCharCount, truncateSmart, validateTweetLength } = require('../utils/charCounter');
+const { detectLanguagePercentages } = require('../utils/langDetect');
+const { getProvider, listProviders } = require('./providers');
+const { resolveEmojiPreference, describeBrandVoice, applyBrandVoice } = require('./brandVoices');
 const CONSTANTS = require('../config/constants');
+const { getPlatformProfile } = require('../config/platforms');
+const { getStyle, getStyleIds, localize } = require('../config/styles');
 
 // Load and compile JSON schema
 const threadSchema = require('../schemas/threadSchema.json');
 const ajv = new Ajv();
-const validateThreadSchema = ajv.compile(threadSchema);
+const threadValidators = new Map();
+
+// Prompt wording for each opening hook
+const HOOK_DESCRIPTIONS = {
+  question: 'thought-provoking question',
+  statistic: 'striking number or statistic',
+  bold: 'bold, contrarian statement',
+  story: 'short personal story'
+};
 
 // Configure logger
 const logger = winston.createLogger({
@@ -29,165 +51,451 @@ const logger = winston.createLogger({
   ]
 });
 
-// Initialize Gemini AI
-let genAI = null;
-let model = null;
-let quotaUsed = 0;
-let quotaLimit = parseInt(process.env.GEMINI_QUOTA_LIMIT) || CONSTANTS.DEFAULT_GEMINI_QUOTA_LIMIT;
-
 /**
- * Initialize Gemini AI service
+ * Initialize every registered LLM provider
+ * @returns {Object} Initialization result keyed by provider name
  */
-function initializeGemini() {
-  const apiKey = process.env.GEMINI_API_KEY;
-  const isEnabled = process.env.GEMINI_ENABLED === 'true';
-  
-  if (!isEnabled || !apiKey) {
-    logger.info('Gemini API is disabled or API key not provided');
-    return false;
-  }
+function initializeProviders() {
+  const results = {};
 
-  try {
-    genAI = new GoogleGenerativeAI(apiKey);
-    model = genAI.getGenerativeModel({ 
-      model: process.env.GEMINI_MODEL || CONSTANTS.DEFAULT_GEMINI_MODEL,
-      generationConfig: {
-        temperature: parseFloat(process.env.GEMINI_TEMPERATURE) || CONSTANTS.DEFAULT_GEMINI_TEMPERATURE,
-        maxOutputTokens: parseInt(process.env.GEMINI_MAX_OUTPUT_TOKENS) || CONSTANTS.DEFAULT_GEMINI_MAX_OUTPUT_TOKENS,
-      }
-    });
-    
-    logger.info('Gemini AI service initialized successfully');
-    return { success: true };
-  } catch (error) {
-    logger.error('Failed to initialize Gemini AI:', error);
-    return { error: 'Failed to initialize Gemini AI service', code: CONSTANTS.ERROR_CODES.INTERNAL_ERROR };
+  for (const provider of listProviders()) {
+    const result = provider.initialize();
+    results[provider.name] = result;
+
+    if (!result) {
+      logger.info(`${provider.name} provider is disabled or not configured`);
+    } else if (result.error) {
+      logger.error(`Failed to initialize ${provider.name} provider:`, result.details);
+    } else {
+      logger.info(`${provider.name} provider initialized successfully`);
+    }
   }
+
+  return results;
 }
 
 /**
- * Check if Gemini service is available and within quota
+ * Check if a provider is available and within quota
+ * @param {string} providerName - Provider name (defaults to the configured provider)
  * @returns {Object} Service status
  */
-function getServiceStatus() {
-  const isEnabled = process.env.GEMINI_ENABLED === 'true';
-  const hasApiKey = !!process.env.GEMINI_API_KEY;
-  const withinQuota = quotaUsed < quotaLimit;
-  const isInitialized = !!model;
+function getServiceStatus(providerName) {
+  return getProvider(providerName).getStatus();
+}
 
-  return {
-    enabled: isEnabled,
-    configured: hasApiKey,
-    initialized: isInitialized,
-    quota_used: quotaUsed,
-    quota_limit: quotaLimit,
-    within_quota: withinQuota,
-    available: isEnabled && hasApiKey && isInitialized && withinQuota
-  };
+/**
+ * Get status for every registered provider
+ * @returns {Object} Provider statuses keyed by name
+ */
+function getProvidersStatus() {
+  return listProviders().reduce((statuses, provider) => {
+    statuses[provider.name] = provider.getStatus();
+    return statuses;
+  }, {});
 }
 
 /**
- * Generate thread using Gemini AI with retry logic
+ * Generate thread using the selected LLM provider with retry logic
  * @param {string} text - Input text
- * @param {Object} params - Generation parameters
+ * @param {Object} params - Generation parameters (params.provider selects the backend)
+ * @param {Object} hooks - Optional callbacks
+ * @param {Function} hooks.onProgress - Receives (event, data) for start, retry and fallback events
+ * @param {Function} hooks.onTweet - Receives (tweet, validation) for each finished tweet before the result returns
  * @returns {Object} Generated thread or fallback result
  */
-async function generateThread(text, params = {}) {
+async function generateThread(text, params = {}, hooks = {}) {
   const requestId = generateRequestId();
   const startTime = Date.now();
+  const provider = getProvider(params.provider);
 
-  logger.info('Thread generation request started', { requestId, params });
+  logger.info('Thread generation request started', { requestId, provider: provider.name, params });
+  emitProgress(hooks, 'start', { provider: provider.name });
 
   try {
     // Check service availability
-    const status = getServiceStatus();
+    const status = provider.getStatus();
     if (!status.available) {
-      logger.warn('Gemini service not available, using fallback', { 
+      logger.warn('LLM provider not available, using fallback', {
         requestId, 
+        provider: provider.name,
         reason: getUnavailableReason(status) 
       });
-      return await useFallback(text, params, requestId, 'service_unavailable');
+      return await useFallback(text, params, requestId, 'service_unavailable', hooks);
     }
 
-    // Generate thread using Gemini
-    const result = await callGeminiWithRetry(text, params, requestId);
+    // Generate thread using the provider
+    const result = await callProviderWithRetry(provider, {
+      prompt: buildPrompt(text, params),
+      parse: (responseText) => parseModelResponse(
+        responseText,
+        requestId,
+        getPlatformProfile(params.platform),
+        params.preferences && params.preferences.arabicHashtags
+      )
+    }, requestId, hooks);
+    provider.recordGeneration(result.success);
     
     if (result.success) {
-      logger.info('Thread generated successfully via Gemini', { 
+      logger.info('Thread generated successfully via LLM provider', {
         requestId, 
+        provider: provider.name,
         duration: Date.now() - startTime 
       });
-      return result.data;
+      const profile = getPlatformProfile(params.platform);
+      const thread = applyBrandVoice(result.data, params.brandVoice, { profile, preferences: params.preferences });
+      emitTweets(hooks, thread, profile);
+      return thread;
     } else {
-      logger.warn('Gemini generation failed, using fallback', { 
+      logger.warn('LLM generation failed, using fallback', {
         requestId, 
+        provider: provider.name,
         error: result.error 
       });
-      return await useFallback(text, params, requestId, result.error);
+      return await useFallback(text, params, requestId, result.error, hooks);
     }
 
   } catch (error) {
     logger.error('Unexpected error in thread generation', { requestId, error });
-    return await useFallback(text, params, requestId, 'unexpected_error');
+    return useFallback(text, params, requestId, 'unexpected_error', hooks);
   }
 }
 
 /**
- * Call Gemini API with retry logic
+ * Generate several alternative threads for the same input
+ * Variants differ by opening hook, style or tweet count so editors can compare them
  * @param {string} text - Input text
- * @param {Object} params - Generation parameters
+ * @param {Object} params - Generation parameters (the first variant uses them unchanged)
+ * @param {number} count - Number of variants to generate
+ * @returns {Object} Variants with their scores and the recommended variant id
+ */
+async function generateThreadVariants(text, params = {}, count = 2) {
+  const requestId = generateRequestId();
+  const plans = planVariants(params, count);
+  const variants = [];
+
+  logger.info('Thread variants request started', { requestId, count: plans.length });
+
+  // Variants run one after another so quota checks stay accurate
+  for (const plan of plans) {
+    const result = await generateThread(text, plan.params);
+
+    if (result.error) {
+      logger.warn('Thread variant failed', { requestId, variant: plan.id, error: result.error });
+      continue;
+    }
+
+    if (typeof result.estimated_engagement_score !== 'number') {
+      result.estimated_engagement_score = calculateEngagementScore(
+        result.thread,
+        detectLanguagePercentages(text),
+        plan.params.style,
+        plan.params.hook
+      );
+    }
+
+    variants.push({
+      variant_id: plan.id,
+      label: plan.label,
+      strategy: plan.strategy,
+      params: {
+        style: plan.params.style,
+        maxTweets: plan.params.maxTweets,
+        hook: plan.params.hook || null
+      },
+      ...result
+    });
+  }
+
+  if (variants.length === 0) {
+    return { error: 'All thread variants failed' };
+  }
+
+  const recommended = variants.reduce((best, variant) => (
+    variant.estimated_engagement_score > best.estimated_engagement_score ? variant : best
+  ));
+
+  logger.info('Thread variants generated', {
+    requestId,
+    generated: variants.length,
+    recommended: recommended.variant_id
+  });
+
+  return {
+    variants,
+    recommended_variant: recommended.variant_id
+  };
+}
+
+/**
+ * Plan the parameters of each variant
+ * The first variant is the request as sent; the others rotate through hook, style and length changes
+ * @param {Object} params - Requested generation parameters
+ * @param {number} count - Number of variants
+ * @returns {Array<Object>} Variant plans ({ id, label, strategy, params })
+ */
+function planVariants(params, count) {
+  const style = params.style || CONSTANTS.DEFAULT_STYLE;
+  const maxTweets = params.maxTweets || CONSTANTS.DEFAULT_MAX_TWEETS;
+  const maxAllowed = Math.min(
+    parseInt(process.env.MAX_TWEETS_PER_THREAD, 10) || CONSTANTS.MAX_TWEETS_PER_THREAD,
+    getPlatformProfile(params.platform).maxPosts
+  );
+  const strategies = ['hook', 'style', 'length'];
+
+  const hooks = CONSTANTS.THREAD_HOOKS.filter((hook) => hook !== params.hook);
+  const styles = getStyleIds().filter((candidate) => candidate !== style);
+  const lengths = [
+    Math.max(1, Math.ceil(maxTweets * 0.6)),
+    Math.min(maxAllowed, maxTweets + 2)
+  ].filter((length) => length !== maxTweets);
+
+  const plans = [{
+    id: 'A',
+    label: 'As requested',
+    strategy: 'requested',
+    params: { ...params }
+  }];
+
+  for (let i = 1; i < count; i += 1) {
+    const round = Math.floor((i - 1) / strategies.length);
+    let strategy = strategies[(i - 1) % strategies.length];
+    if (strategy === 'length' && lengths.length === 0) {
+      strategy = 'hook';
+    }
+
+    const id = String.fromCharCode(65 + i);
+    let plan;
+
+    if (strategy === 'hook') {
+      const hook = hooks[round % hooks.length];
+      plan = { label: `${capitalize(hook)} hook`, params: { ...params, hook } };
+    } else if (strategy === 'style') {
+      const variantStyle = styles[round % styles.length];
+      plan = { label: `${capitalize(variantStyle)} style`, params: { ...params, style: variantStyle } };
+    } else {
+      const variantLength = lengths[round % lengths.length];
+      plan = { label: `${variantLength} tweets`, params: { ...params, maxTweets: variantLength } };
+    }
+
+    plans.push({ id, strategy, ...plan });
+  }
+
+  return plans;
+}
+
+/**
+ * Rewrite a single tweet of an existing thread without touching the others
+ * @param {Array<Object>} thread - Thread tweets
+ * @param {number} position - Zero-based position of the tweet to rewrite
+ * @param {Object} options - Rewrite options
+ * @param {string} options.instruction - Optional instruction ("shorter", "add example", "more formal")
+ * @param {string} options.style - Writing style of the thread
+ * @param {string} options.provider - LLM provider name
+ * @param {Object} options.preferences - User preferences: arabicHashtags, emojiPreference, autoAddCTA
+ * @param {Object} options.brandVoice - Brand voice profile the replacement must follow
+ * @returns {Object} Replacement tweet with generation source
+ */
+async function rewriteTweet(thread, position, options = {}) {
+  const requestId = generateRequestId();
+  const provider = getProvider(options.provider);
+
+  logger.info('Tweet rewrite request started', {
+    requestId,
+    provider: provider.name,
+    position,
+    instruction: options.instruction || null
+  });
+
+  let rewritten = null;
+  let generatedVia = 'fallback';
+  let fallbackReason = null;
+
+  try {
+    const status = provider.getStatus();
+
+    if (status.available) {
+      const result = await callProviderWithRetry(provider, {
+        prompt: buildRewritePrompt(thread, position, options),
+        parse: (responseText) => parseRewriteResponse(responseText, requestId, getPlatformProfile(options.platform))
+      }, requestId);
+      provider.recordGeneration(result.success);
+
+      if (result.success) {
+        rewritten = result.data;
+        generatedVia = 'llm';
+      } else {
+        fallbackReason = result.error;
+      }
+    } else {
+      fallbackReason = getUnavailableReason(status);
+    }
+  } catch (error) {
+    logger.error('Unexpected error in tweet rewrite', { requestId, error });
+    fallbackReason = 'unexpected_error';
+  }
+
+  if (!rewritten) {
+    logger.info('Using local tweet rewrite', { requestId, reason: fallbackReason });
+    rewritten = rewriteTweetLocally(thread, position, options.instruction, options);
+  }
+
+  const tweet = finalizeRewrittenTweet(thread, position, rewritten, {
+    profile: getPlatformProfile(options.platform),
+    preferences: options.preferences,
+    brandVoice: options.brandVoice
+  });
+
+  logger.info('Tweet rewritten', {
+    requestId,
+    provider: provider.name,
+    position,
+    generatedVia
+  });
+
+  return {
+    tweet,
+    generated_via: generatedVia,
+    provider: provider.name,
+    ...(fallbackReason && { fallback_reason: fallbackReason })
+  };
+}
+
+/**
+ * Merge rewritten text into the original tweet, re-running hashtags and length checks
+ * Blocked hashtags are kept out of the text and the tags, and the user's hashtag, emoji and
+ * CTA preferences and the brand voice apply, as in generated threads
+ * @param {Array<Object>} thread - Thread tweets
+ * @param {number} position - Zero-based position of the rewritten tweet
+ * @param {Object} rewritten - Rewritten fields (text, emoji_suggestions)
+ * @param {Object} context - Rewrite context
+ * @param {Object} context.profile - Platform profile
+ * @param {Object} context.preferences - {arabicHashtags, emojiPreference, autoAddCTA}
+ * @param {Object|null} context.brandVoice - Brand voice profile
+ * @returns {Object} Replacement tweet
+ */
+function finalizeRewrittenTweet(thread, position, rewritten, { profile, preferences = {}, brandVoice = null }) {
+  const original = thread[position];
+
+  // Hashtags already used by the neighbours stay reserved for them
+  const usedHashtags = new Set();
+  thread.forEach((tweet, index) => {
+    if (index !== position) {
+      (tweet.hashtags || []).forEach((tag) => usedHashtags.add(tag));
+    }
+  });
+
+  const text = removeBlockedHashtags(rewritten.text);
+  const hashtags = generateTweetHashtags(text, {
+    maxHashtags: position === thread.length - 1 ? 4 : 3,
+    englishRatio: 0.7,
+    includeThreadHashtag: position === 0,
+    ...getArabicHashtagOptions(preferences.arabicHashtags)
+  }, usedHashtags);
+  const emojiLimit = CONSTANTS.EMOJI_DENSITY[resolveEmojiPreference(preferences)];
+
+  const tweet = {
+    ...original,
+    index: original.index || position + 1,
+    text,
+    hashtags,
+    emoji_suggestions: (rewritten.emoji_suggestions || original.emoji_suggestions || []).slice(0, emojiLimit),
+    cta: preferences.autoAddCTA === false ? null : original.cta || null,
+    warnings: []
+  };
+
+  const [hashtagged] = applyPlatformHashtagRules(applyAlwaysIncludeHashtags([tweet]), profile);
+
+  // The voice sees the tweet in its place, so the signature CTA still goes only on the last post
+  const platformTweet = brandVoice
+    ? applyBrandVoice({
+      thread: thread.map((other, index) => (index === position ? hashtagged : other))
+    }, brandVoice, { profile, preferences }).thread[position]
+    : hashtagged;
+
+  const validation = validateTweetLength(platformTweet.text, platformTweet.hashtags, platformTweet.cta, profile.id);
+  if (!validation.isValid) {
+    const { text: fullText, hashtags: tags, cta } = platformTweet;
+    platformTweet.text = truncateSmart(fullText, profile.charLimit, tags, cta, profile.id);
+    platformTweet.warnings.push('Tweet truncated to fit character limit');
+  }
+  platformTweet.char_count = getCharCount(platformTweet.text, platformTweet.hashtags, platformTweet.cta, profile.id);
+
+  return platformTweet;
+}
+
+/**
+ * Call an LLM provider with retry logic
+ * @param {Object} provider - Provider from the registry
+ * @param {Object} call - Prompt and response parser for this call
+ * @param {string} call.prompt - Prompt sent to the provider
+ * @param {Function} call.parse - Turns raw output into { success, data } or { success: false, error }
  * @param {string} requestId - Request identifier
+ * @param {Object} hooks - Optional progress callbacks
  * @returns {Object} Result with success flag and data/error
  */
-async function callGeminiWithRetry(text, params, requestId, attempt = 1) {
+async function callProviderWithRetry(provider, call, requestId, hooks = {}, attempt = 1) {
   const maxRetries = 3;
   const baseDelay = 1000; // 1 second
 
   try {
     // Check quota before making request
-    if (quotaUsed >= quotaLimit) {
+    if (!provider.hasQuota()) {
       return { success: false, error: 'quota_exceeded' };
     }
 
-    // Increment quota usage
-    quotaUsed++;
+    // Every API call counts against the quota; retries are tracked separately
+    provider.consumeQuota({ retry: attempt > 1 });
 
-    // Generate prompt
-    const prompt = buildPrompt(text, params);
-    
-    logger.debug('Calling Gemini API', { requestId, attempt, prompt: prompt.substring(0, 200) + '...' });
+    logger.debug('Calling LLM provider', {
+      requestId,
+      provider: provider.name,
+      attempt,
+      prompt: `${call.prompt.substring(0, 200)}...`
+    });
 
     // Make API call
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const responseText = response.text();
+    const responseText = await provider.generate(call.prompt);
 
-    logger.debug('Gemini API response received', { requestId, attempt });
+    logger.debug('LLM provider response received', { requestId, provider: provider.name, attempt });
 
     // Parse and validate response
-    const parsedResult = parseGeminiResponse(responseText, requestId);
+    const parsedResult = call.parse(responseText);
     
     if (parsedResult.success) {
       return parsedResult;
     } else if (attempt < maxRetries) {
       // Retry on parse failure
-      logger.warn('Retrying Gemini call due to parse failure', { requestId, attempt });
-      await delay(baseDelay * Math.pow(2, attempt - 1));
-      return await callGeminiWithRetry(text, params, requestId, attempt + 1);
+      const delayMs = baseDelay * 2 ** (attempt - 1);
+      logger.warn('Retrying LLM call due to parse failure', { requestId, provider: provider.name, attempt });
+      emitProgress(hooks, 'retry', { attempt: attempt + 1, delayMs, reason: parsedResult.error });
+
+      await delay(delayMs);
+      return await callProviderWithRetry(provider, call, requestId, hooks, attempt + 1);
     } else {
       return parsedResult;
     }
 
   } catch (error) {
-    logger.error('Gemini API call failed', { requestId, attempt, error: error.message });
+    logger.error('LLM provider call failed', {
+      requestId,
+      provider: provider.name,
+      attempt,
+      error: error.message
+    });
 
     if (attempt < maxRetries) {
       // Exponential backoff retry
       const delayMs = baseDelay * Math.pow(2, attempt - 1);
-      logger.info('Retrying Gemini call', { requestId, attempt: attempt + 1, delayMs });
+      logger.info('Retrying LLM call', {
+        requestId,
+        provider: provider.name,
+        attempt: attempt + 1,
+        delayMs
+      });
+      emitProgress(hooks, 'retry', { attempt: attempt + 1, delayMs, reason: 'api_call_failed' });
       
       await delay(delayMs);
-      return await callGeminiWithRetry(text, params, requestId, attempt + 1);
+      return callProviderWithRetry(provider, call, requestId, hooks, attempt + 1);
     } else {
       return { success: false, error: 'api_call_failed', details: error.message };
     }
@@ -195,7 +503,7 @@ async function callGeminiWithRetry(text, params, requestId, attempt = 1) {
 }
 
 /**
- * Build prompt for Gemini API
+ * Build prompt for the LLM provider
  * @param {string} text - Input text
  * @param {Object} params - Generation parameters
  * @returns {string} Formatted prompt
@@ -206,14 +514,45 @@ function buildPrompt(text, params) {
     style = 'educational',
     maxTweets = 5,
     includeHashtags = true,
-    includeImages = false
+    includeImages = false,
+    hook = null,
+    preferences = {},
+    brandVoice = null
   } = params;
 
-  const systemMessage = `You are a personal assistant specialized in converting long-form content into engaging Twitter threads. You MUST respond with valid JSON that follows the exact schema provided. If unable to generate a proper thread, return {"error": "reason"}.
+  const profile = getPlatformProfile(params.platform);
+  const { charLimit, postLabel } = profile;
+  const hashtagLimit = Math.min(3, profile.hashtags.maxPerPost);
+  const { hashtagInstruction, emojiInstruction, ctaInstruction } = describePreferences({
+    ...preferences,
+    emojiPreference: resolveEmojiPreference(preferences, brandVoice)
+  }, postLabel);
+  const numberingFormat = profile.numbering.format.replace('{i}', '1').replace('{n}', maxTweets);
+  const numberingExample = profile.numbering.position === 'none'
+    ? 'Do not number the posts'
+    : `Number posts as "${numberingFormat}" at the ${profile.numbering.position === 'prefix' ? 'start' : 'end'}`;
+  const hookInstruction = hook
+    ? `\n12. Open the first ${postLabel} with a ${HOOK_DESCRIPTIONS[hook] || hook} hook`
+    : '';
+  const styleDefinition = getStyle(style);
+  const styleLanguage = language === 'ar' ? 'ar' : 'en';
+  const styleGuidance = styleDefinition
+    ? `\n\nSTYLE (${localize(styleDefinition.name, 'en')}): ${localize(styleDefinition.prompt, styleLanguage)}
+Structure: ${localize(styleDefinition.structure, styleLanguage)}`
+    : '';
+  const brandGuidance = brandVoice
+    ? `\n\n${describeBrandVoice(brandVoice, { postLabel, withCTA: preferences.autoAddCTA !== false })}`
+    : '';
+
+  const systemMessage = `You are a personal assistant specialized in converting long-form content into engaging \
+${profile.name} threads. You MUST respond with valid JSON that follows the exact schema provided. \
+If unable to generate a proper thread, return {"error": "reason"}.
 
 CRITICAL REQUIREMENTS:
-- Each tweet MUST be ≤280 characters including hashtags and emojis
-- Thread MUST contain exactly ${maxTweets} tweets
+- Each ${postLabel} MUST be ≤${charLimit} characters including hashtags and emojis, \
+counted the way ${profile.name} counts them:
+  ${profile.countingRules}
+- Thread MUST contain exactly ${maxTweets} ${postLabel}s
 - Response MUST be valid JSON following the schema
 - Support both Arabic (RTL) and English (LTR) content
 - Detect language and set appropriate direction metadata`;
@@ -225,20 +564,23 @@ PARAMETERS: ${JSON.stringify({
     style,
     maxTweets,
     includeHashtags,
-    includeImages
-  })}
+    includeImages,
+    platform: profile.id,
+    ...(hook && { hook })
+  })}${styleGuidance}${brandGuidance}
 
 INSTRUCTIONS:
 1. Analyze the input text for language, tone, and key concepts
-2. Create exactly ${maxTweets} engaging tweets that tell a complete story
-3. Each tweet should contain one main idea with supporting details
-4. Include relevant hashtags (max 3 per tweet) if includeHashtags is true
-5. Add appropriate emojis for engagement
-6. Ensure character count ≤ 280 for each tweet
+2. Create exactly ${maxTweets} engaging ${postLabel}s that tell a complete story
+3. Each ${postLabel} should contain one main idea with supporting details
+4. Include relevant hashtags (max ${hashtagLimit} per ${postLabel}) if includeHashtags is true${hashtagInstruction}
+5. ${emojiInstruction}
+6. Ensure character count ≤ ${charLimit} for each ${postLabel} (put it in the "char_count" field of each "thread" item)
 7. Set direction to "rtl" if Arabic content > 30%, otherwise "ltr"
-8. Include a call-to-action in the final tweet
+8. ${ctaInstruction}
 9. Generate metadata with detected language and tone
 10. Provide thread summary and engagement score
+11. ${numberingExample}${hookInstruction}
 
 RESPOND WITH VALID JSON ONLY - NO OTHER TEXT OR FORMATTING.`;
 
@@ -246,31 +588,87 @@ RESPOND WITH VALID JSON ONLY - NO OTHER TEXT OR FORMATTING.`;
 }
 
 /**
- * Parse and validate Gemini response
- * @param {string} responseText - Raw response from Gemini
+ * Turn the user's output preferences into prompt instructions
+ * @param {Object} preferences - {arabicHashtags, emojiPreference, autoAddCTA}
+ * @param {string} postLabel - What the platform calls a post
+ * @returns {Object} {hashtagInstruction, emojiInstruction, ctaInstruction}
+ */
+function describePreferences(preferences, postLabel) {
+  const hashtagInstructions = {
+    always: '; always include Arabic hashtags alongside English ones',
+    never: '; use English hashtags only, never Arabic ones'
+  };
+  const emojiLimit = CONSTANTS.EMOJI_DENSITY[preferences.emojiPreference] ?? CONSTANTS.EMOJI_DENSITY.moderate;
+
+  let emojiInstruction = 'Add appropriate emojis for engagement';
+  if (emojiLimit === 0) {
+    emojiInstruction = 'Do not use emojis: keep them out of the text and leave "emoji_suggestions" empty';
+  } else if (emojiLimit < CONSTANTS.EMOJI_DENSITY.moderate) {
+    emojiInstruction = `Use emojis sparingly, at most ${emojiLimit} per ${postLabel}`;
+  } else if (emojiLimit > CONSTANTS.EMOJI_DENSITY.moderate) {
+    emojiInstruction = `Use emojis generously, up to ${emojiLimit} per ${postLabel}`;
+  }
+
+  return {
+    hashtagInstruction: hashtagInstructions[preferences.arabicHashtags] || '',
+    emojiInstruction,
+    ctaInstruction: preferences.autoAddCTA === false
+      ? `Do not add a call-to-action; set "cta" to null in every ${postLabel}`
+      : `Include a call-to-action in the final ${postLabel}`
+  };
+}
+
+/**
+ * Build prompt for rewriting one tweet in context
+ * @param {Array<Object>} thread - Thread tweets
+ * @param {number} position - Zero-based position of the tweet to rewrite
+ * @param {Object} options - Rewrite options (instruction, style)
+ * @returns {string} Formatted prompt
+ */
+function buildRewritePrompt(thread, position, options) {
+  const { instruction = '', style = 'educational', brandVoice = null } = options;
+  const profile = getPlatformProfile(options.platform);
+  // Hashtags and the CTA are added after the rewrite, so the voice only guides the wording
+  const brandGuidance = brandVoice
+    ? `\n\n${describeBrandVoice(brandVoice, { postLabel: profile.postLabel, withCTA: false, withHashtags: false })}`
+    : '';
+  const previous = position > 0 ? thread[position - 1].text : '(none - this is the first tweet)';
+  const next = position < thread.length - 1 ? thread[position + 1].text : '(none - this is the last tweet)';
+
+  return `You are a personal assistant that improves individual tweets inside an existing Twitter thread. \
+You MUST respond with valid JSON only.
+
+CRITICAL REQUIREMENTS:
+- Rewrite ONLY the current tweet; it must still flow from the previous tweet into the next one
+- Keep the same language and text direction as the current tweet
+- Keep any thread numbering such as "(2/5)"
+- The rewritten text MUST be ≤${profile.charLimit - 40} characters (${profile.countingRules}) so hashtags still fit
+- Do not include hashtags in the text
+
+STYLE: ${style}
+INSTRUCTION: ${instruction || 'Rephrase the tweet so it is clearer and more engaging'}${brandGuidance}
+
+PREVIOUS_TWEET: ${previous}
+CURRENT_TWEET (${position + 1}/${thread.length}): ${thread[position].text}
+NEXT_TWEET: ${next}
+
+RESPOND WITH JSON OF THE FORM {"text": "...", "emoji_suggestions": ["..."]} - NO OTHER TEXT OR FORMATTING.`;
+}
+
+/**
+ * Parse and validate an LLM response
+ * @param {string} responseText - Raw response from the provider
  * @param {string} requestId - Request identifier
+ * @param {Object} profile - Platform profile the thread targets
+ * @param {string} arabicHashtags - The user's Arabic hashtag preference (auto, always or never)
  * @returns {Object} Parsed and validated result
  */
-function parseGeminiResponse(responseText, requestId) {
+function parseModelResponse(responseText, requestId, profile = getPlatformProfile(), arabicHashtags = 'auto') {
   try {
-    // Clean response text (remove markdown formatting if present)
-    let cleanText = responseText.trim();
-    
-    // Remove markdown code blocks
-    cleanText = cleanText.replace(/```json\s*\n?/g, '');
-    cleanText = cleanText.replace(/```\s*\n?/g, '');
-    cleanText = cleanText.replace(/^```|```$/g, '');
-    
-    // Try to find JSON content
-    const jsonMatch = cleanText.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      cleanText = jsonMatch[0];
-    }
+    const parsedData = parseJsonResponse(responseText);
 
-    // Parse JSON
-    const parsedData = JSON.parse(cleanText);
-
-    // Validate against schema
+    // Validate against the platform's schema
+    const validateThreadSchema = getThreadValidator(profile);
     const isValid = validateThreadSchema(parsedData);
     
     if (!isValid) {
@@ -286,19 +684,29 @@ function parseGeminiResponse(responseText, requestId) {
     }
 
     // Additional validation checks
-    const validationResult = performAdditionalValidation(parsedData, requestId);
+    const validationResult = performAdditionalValidation(parsedData, requestId, profile);
     if (!validationResult.success) {
       return validationResult;
     }
 
     // Apply dynamic hashtag generation
     if (parsedData.thread && Array.isArray(parsedData.thread)) {
-      parsedData.thread = generateThreadHashtags(parsedData.thread, {
+      const candidates = rankHashtagCandidates(parsedData.thread.map((tweet) => tweet.text));
+      parsedData.thread = applyPlatformHashtagRules(generateThreadHashtags(parsedData.thread, {
+        candidates,
+        platform: profile.id,
         maxHashtags: 4,
-        englishRatio: 0.7
-      });
+        englishRatio: 0.7,
+        ...getArabicHashtagOptions(arabicHashtags)
+      }), profile);
+      if (parsedData.metadata) {
+        parsedData.metadata.platform = profile.id;
+        if (candidates.length > 0) {
+          parsedData.metadata.hashtag_candidates = candidates.slice(0, CONSTANTS.MAX_HASHTAG_CANDIDATES);
+        }
+      }
       
-      logger.info('Dynamic hashtags applied to Gemini thread', { 
+      logger.info('Dynamic hashtags applied to LLM thread', {
         requestId, 
         tweetCount: parsedData.thread.length 
       });
@@ -307,18 +715,107 @@ function parseGeminiResponse(responseText, requestId) {
     return { success: true, data: parsedData };
 
   } catch (error) {
-    logger.error('Failed to parse Gemini response', { requestId, error: error.message });
+    logger.error('Failed to parse LLM response', { requestId, error: error.message });
     return { success: false, error: 'json_parse_failed', details: error.message };
   }
 }
 
+/**
+ * Get (and cache) a schema validator tightened to a platform's limits
+ * @param {Object} profile - Platform profile
+ * @returns {Function} Compiled Ajv validator
+ */
+function getThreadValidator(profile) {
+  if (!threadValidators.has(profile.id)) {
+    const schema = JSON.parse(JSON.stringify(threadSchema));
+    const tweetSchema = schema.properties.thread.items.properties;
+
+    schema.properties.thread.maxItems = profile.maxPosts;
+    schema.properties.metadata.properties.max_tweets_requested.maximum = Math.max(
+      profile.maxPosts,
+      CONSTANTS.MAX_TWEETS_PER_THREAD
+    );
+    tweetSchema.char_count.maximum = profile.charLimit;
+    // Raw text may be longer than the limit when links are counted at a fixed length
+    tweetSchema.text.maxLength = profile.charLimit * 4;
+
+    threadValidators.set(profile.id, ajv.compile(schema));
+  }
+
+  return threadValidators.get(profile.id);
+}
+
+/**
+ * Parse a rewritten tweet returned by the LLM
+ * @param {string} responseText - Raw response from the provider
+ * @param {string} requestId - Request identifier
+ * @param {Object} profile - Platform profile the thread targets
+ * @returns {Object} Parsed result
+ */
+function parseRewriteResponse(responseText, requestId, profile = getPlatformProfile()) {
+  try {
+    const parsedData = parseJsonResponse(responseText);
+    const text = typeof parsedData.text === 'string' ? parsedData.text.trim() : '';
+
+    if (!text) {
+      return { success: false, error: 'validation_failed', details: ['Rewritten tweet is empty'] };
+    }
+
+    const charCount = getCharCount(text, [], '', profile.id);
+    if (charCount > profile.charLimit) {
+      logger.warn('Rewritten tweet exceeds character limit', { requestId, charCount, platform: profile.id });
+      return {
+        success: false,
+        error: 'validation_failed',
+        details: [`Rewritten tweet exceeds ${profile.charLimit} character limit`]
+      };
+    }
+
+    const emojiSuggestions = Array.isArray(parsedData.emoji_suggestions)
+      ? parsedData.emoji_suggestions
+        .filter((emoji) => typeof emoji === 'string')
+        .slice(0, CONSTANTS.MAX_EMOJIS_PER_TWEET)
+      : [];
+
+    return { success: true, data: { text, emoji_suggestions: emojiSuggestions } };
+  } catch (error) {
+    logger.error('Failed to parse rewrite response', { requestId, error: error.message });
+    return { success: false, error: 'json_parse_failed', details: error.message };
+  }
+}
+
+/**
+ * Extract and parse the JSON object from raw model output
+ * @param {string} responseText - Raw response from the provider
+ * @returns {Object} Parsed JSON
+ * @throws {SyntaxError} When no valid JSON object is present
+ */
+function parseJsonResponse(responseText) {
+  // Clean response text (remove markdown formatting if present)
+  let cleanText = responseText.trim();
+
+  // Remove markdown code blocks
+  cleanText = cleanText.replace(/```json\s*\n?/g, '');
+  cleanText = cleanText.replace(/```\s*\n?/g, '');
+  cleanText = cleanText.replace(/^```|```$/g, '');
+
+  // Try to find JSON content
+  const jsonMatch = cleanText.match(/\{[\s\S]*\}/);
+  if (jsonMatch) {
+    cleanText = jsonMatch[0];
+  }
+
+  return JSON.parse(cleanText);
+}
+
 /**
  * Perform additional validation beyond schema
  * @param {Object} data - Parsed thread data
  * @param {string} requestId - Request identifier
+ * @param {Object} profile - Platform profile whose limits apply
  * @returns {Object} Validation result
  */
-function performAdditionalValidation(data, requestId) {
+function performAdditionalValidation(data, requestId, profile = getPlatformProfile()) {
   const errors = [];
 
   // Check if error response
@@ -335,14 +832,14 @@ function performAdditionalValidation(data, requestId) {
       errors.push('Tweet count mismatch between metadata and thread');
     }
 
-    // Check character limits
+    // Check character limits using the platform's counting rules (X: URLs = 23, emoji/CJK = 2)
     data.thread.forEach((tweet, index) => {
-      if (tweet.char_count > 280) {
-        errors.push(`Tweet ${index + 1} exceeds 280 character limit (${tweet.char_count})`);
+      const actualCount = getCharCount(tweet.text, [], '', profile.id);
+      if (actualCount > profile.charLimit) {
+        errors.push(`Tweet ${index + 1} exceeds ${profile.charLimit} character limit (${actualCount})`);
       }
       
-      // Verify actual character count
-      const actualCount = tweet.text.length;
+      // Verify reported character count
       if (Math.abs(actualCount - tweet.char_count) > 5) {
         errors.push(`Tweet ${index + 1} character count mismatch (reported: ${tweet.char_count}, actual: ${actualCount})`);
       }
@@ -363,20 +860,29 @@ function performAdditionalValidation(data, requestId) {
  * @param {Object} params - Generation parameters
  * @param {string} requestId - Request identifier
  * @param {string} reason - Reason for fallback
+ * @param {Object} hooks - Optional progress callbacks
  * @returns {Object} Fallback result
  */
-async function useFallback(text, params, requestId, reason) {
+async function useFallback(text, params, requestId, reason, hooks = {}) {
   logger.info('Using fallback generation', { requestId, reason });
+  emitProgress(hooks, 'fallback', { reason });
 
   try {
-    const fallbackResult = generateFallbackThread(text, params);
+    let fallbackResult = generateFallbackThread(text, params);
     
     // Apply dynamic hashtag generation to fallback result
     if (fallbackResult.thread && Array.isArray(fallbackResult.thread)) {
-      fallbackResult.thread = generateThreadHashtags(fallbackResult.thread, {
+      const profile = getPlatformProfile(params.platform);
+      fallbackResult.thread = applyPlatformHashtagRules(generateThreadHashtags(fallbackResult.thread, {
+        platform: profile.id,
         maxHashtags: 4,
-        englishRatio: 0.7
-      });
+        englishRatio: 0.7,
+        ...getArabicHashtagOptions(params.preferences && params.preferences.arabicHashtags)
+      }), profile);
+
+      // The regenerated hashtags replace the brand's mandatory ones, so the voice is applied again
+      fallbackResult = applyBrandVoice(fallbackResult, params.brandVoice, { profile, preferences: params.preferences });
+      emitTweets(hooks, fallbackResult, profile);
       
       logger.info('Dynamic hashtags applied to fallback thread', { 
         requestId, 
@@ -397,7 +903,7 @@ async function useFallback(text, params, requestId, reason) {
   } catch (error) {
     logger.error('Fallback generation failed', { requestId, error });
     return {
-      error: 'Both Gemini and fallback generation failed'
+      error: 'Both LLM and fallback generation failed'
     };
   }
 }
@@ -415,6 +921,54 @@ function getUnavailableReason(status) {
   return 'unknown';
 }
 
+/**
+ * Report a progress event to the caller without letting listener errors break generation
+ * @param {Object} hooks - Optional progress callbacks
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+function emitProgress(hooks, event, data) {
+  if (!hooks || typeof hooks.onProgress !== 'function') {
+    return;
+  }
+
+  try {
+    hooks.onProgress(event, data);
+  } catch (error) {
+    logger.warn('Progress listener failed', { event, error: error.message });
+  }
+}
+
+/**
+ * Hand each finished tweet to the caller with its length check, so streams can
+ * send tweets as soon as generation settles them
+ * @param {Object} hooks - Optional progress callbacks
+ * @param {Object} result - Generated thread
+ * @param {Object} profile - Platform profile whose counting rules apply
+ */
+function emitTweets(hooks, result, profile) {
+  if (!hooks || typeof hooks.onTweet !== 'function' || !Array.isArray(result.thread)) {
+    return;
+  }
+
+  result.thread.forEach((tweet) => {
+    try {
+      hooks.onTweet(tweet, validateTweetLength(tweet.text, tweet.hashtags, tweet.cta, profile.id));
+    } catch (error) {
+      logger.warn('Tweet listener failed', { index: tweet.index, error: error.message });
+    }
+  });
+}
+
+/**
+ * Capitalize the first letter of a word
+ * @param {string} word - Word to capitalize
+ * @returns {string} Capitalized word
+ */
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
 /**
  * Generate unique request ID
  * @returns {string} Request ID
@@ -434,32 +988,44 @@ function delay(ms) {
 
 /**
  * Reset quota usage (for testing or daily reset)
+ * @param {string} providerName - Provider to reset (all providers when omitted)
  */
-function resetQuota() {
-  quotaUsed = 0;
-  logger.info('Quota usage reset');
+function resetQuota(providerName) {
+  const providers = providerName ? [getProvider(providerName)] : listProviders();
+  providers.forEach((provider) => provider.resetQuota());
+  logger.info('Quota usage reset', { providers: providers.map((p) => p.name) });
 }
 
 /**
  * Get current quota usage
+ * @param {string} providerName - Provider name (defaults to the configured provider)
  * @returns {Object} Quota information
  */
-function getQuotaInfo() {
-  return {
-    used: quotaUsed,
-    limit: quotaLimit,
-    remaining: quotaLimit - quotaUsed,
-    percentage: (quotaUsed / quotaLimit) * 100
-  };
+function getQuotaInfo(providerName) {
+  return getProvider(providerName).getQuotaInfo();
+}
+
+/**
+ * Get archived quota windows
+ * @param {string} providerName - Provider name (defaults to the configured provider)
+ * @returns {Object} Past hourly and daily windows, newest first
+ */
+function getQuotaHistory(providerName) {
+  return getProvider(providerName).getQuotaHistory();
 }
 
-// Initialize service on module load
-initializeGemini();
+// Initialize providers on module load
+initializeProviders();
 
 module.exports = {
   generateThread,
+  generateThreadVariants,
+  rewriteTweet,
   getServiceStatus,
+  getProvidersStatus,
   getQuotaInfo,
+  getQuotaHistory,
   resetQuota,
-  initializeGemini
-};
\ No newline at end of file
+  initializeProviders,
+  buildPrompt
+};
@@ -0,0 +1,186 @@
+/**
+ * Asynchronous generation jobs
+ * Accepts generation requests at once, runs them through the shared concurrency pool and keeps
+ * their status and result in memory so clients can poll instead of holding a request open
+ */
+
+const CONSTANTS = require('../config/constants');
+
+/**
+ * Create a generation job manager
+ * @param {Object} options - Manager options
+ * @param {Object} options.pool - Concurrency pool from utils/concurrencyPool
+ * @param {Function} options.generate - Runs one generation: (input, hooks) resolves to {status, payload},
+ *   the HTTP status and body the synchronous endpoint would have sent
+ * @param {number} options.ttlMs - How long finished jobs are kept
+ * @param {number} options.maxJobs - Most jobs kept at once; the oldest finished jobs go first
+ * @param {Function} options.now - Clock override (defaults to Date.now)
+ * @returns {Object} Job manager
+ */
+function createGenerationJobs(options) {
+  const { pool, generate } = options;
+  const ttlMs = options.ttlMs || CONSTANTS.GENERATION_JOB_TTL_MS;
+  const maxJobs = options.maxJobs || CONSTANTS.MAX_GENERATION_JOBS;
+  const now = options.now || Date.now;
+  const jobs = new Map();
+
+  /**
+   * Apply changes to a job and stamp the update time
+   * @param {Object} job - Job
+   * @param {Object} changes - Fields to set
+   */
+  function update(job, changes) {
+    Object.assign(job, changes, { updated_at: new Date(now()).toISOString() });
+  }
+
+  /**
+   * Check whether a job has finished
+   * @param {Object} job - Job
+   * @returns {boolean} True for done and failed jobs
+   */
+  function isFinished(job) {
+    return job.status === 'done' || job.status === 'failed';
+  }
+
+  /**
+   * Drop expired jobs, then the oldest finished ones while over the limit
+   */
+  function prune() {
+    const cutoff = now() - ttlMs;
+    for (const [id, job] of jobs) {
+      if (isFinished(job) && Date.parse(job.finished_at) < cutoff) {
+        jobs.delete(id);
+      }
+    }
+
+    // Map iteration follows insertion order, so the first finished jobs are the oldest
+    for (const [id, job] of jobs) {
+      if (jobs.size <= maxJobs) {
+        break;
+      }
+      if (isFinished(job)) {
+        jobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Track a generation's retries and fallback while it runs
+   * @param {Object} job - Job
+   * @returns {Object} Hooks for geminiService.generateThread
+   */
+  function createHooks(job) {
+    return {
+      onProgress(event, data) {
+        if (event === 'retry') {
+          update(job, { status: 'retrying', retries: job.retries + 1 });
+        } else if (event === 'fallback') {
+          update(job, { status: 'fallback', fallback_reason: data.reason || null });
+        }
+      }
+    };
+  }
+
+  /**
+   * Run a queued job once the pool has a free slot
+   * @param {Object} job - Job
+   * @param {Object} input - Generation input
+   * @returns {Promise} Resolves when the job has finished
+   */
+  function execute(job, input) {
+    return pool.run(async () => {
+      update(job, { status: 'running', started_at: new Date(now()).toISOString() });
+
+      const outcome = await generate(input, createHooks(job));
+      const finishedAt = new Date(now()).toISOString();
+      if (outcome.status >= 400) {
+        update(job, {
+          status: 'failed',
+          finished_at: finishedAt,
+          error: outcome.payload.error,
+          details: outcome.payload.details || null
+        });
+      } else {
+        update(job, { status: 'done', finished_at: finishedAt, result: outcome.payload });
+      }
+    }).catch((error) => {
+      update(job, {
+        status: 'failed',
+        finished_at: new Date(now()).toISOString(),
+        error: error.message || 'Thread generation failed'
+      });
+    });
+  }
+
+  /**
+   * Queue a generation
+   * @param {string} id - Job id (the request id)
+   * @param {Object} input - Generation input passed to generate
+   * @param {string} userId - Owner of the job, only they may poll it
+   * @returns {Object} Queued job
+   */
+  function submit(id, input, userId = null) {
+    prune();
+    if (!pool.canAccept()) {
+      const error = new Error('Too many generations in progress, please try again shortly');
+      error.status = 503;
+      throw error;
+    }
+
+    const timestamp = new Date(now()).toISOString();
+    const job = {
+      id,
+      user_id: userId,
+      status: 'queued',
+      created_at: timestamp,
+      updated_at: timestamp,
+      started_at: null,
+      finished_at: null,
+      retries: 0,
+      fallback_reason: null,
+      result: null,
+      error: null,
+      details: null
+    };
+    jobs.set(id, job);
+
+    execute(job, input);
+    return { ...job };
+  }
+
+  /**
+   * Get a job
+   * @param {string} id - Job id
+   * @returns {Object|null} Job, or null when unknown or expired
+   */
+  function get(id) {
+    prune();
+    const job = jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  /**
+   * Count jobs by status
+   * @returns {Object} Counts keyed by status, plus the pool's load
+   */
+  function getStats() {
+    const counts = CONSTANTS.GENERATION_JOB_STATUSES.reduce((totals, status) => {
+      totals[status] = 0;
+      return totals;
+    }, {});
+    jobs.forEach((job) => {
+      counts[job.status] += 1;
+    });
+    return { jobs: counts, pool: pool.getStats() };
+  }
+
+  return {
+    submit,
+    get,
+    getStats
+  };
+}
+
+module.exports = {
+  createGenerationJobs
+};
@@ -0,0 +1,313 @@
+/**
+ * Hashtag dictionary
+ * Topics pair hashtags with the keywords that reveal a post is about the topic, each in English
+ * and Arabic. Built-in topics ship in config/hashtags.json; topics created or edited through the
+ * API are saved to a JSON file in the data directory together with the campaign's always-include
+ * hashtags and the blocklist of hashtags that must never be emitted
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CONSTANTS = require('../config/constants');
+const { normalizeArabic } = require('../utils/tokenizer');
+const { normalizeHashtag } = require('../utils/dedupe');
+const { createJsonWriter } = require('../utils/jsonFile');
+
+const BILINGUAL_FIELDS = ['tags', 'keywords'];
+
+// The topic whose tags fill posts no other topic matches
+const GENERAL_TOPIC = 'general';
+
+// Conjunctions, prepositions and the article an Arabic keyword may carry: والتعلم, بالتعلم, للتعلم
+const ARABIC_KEYWORD_PREFIX = '(?:[وف]?(?:[بك]?ال|لل|[بكل]))?';
+
+let defaultDictionary = null;
+
+/**
+ * Create an error carrying an HTTP status
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} Error
+ */
+function createDictionaryError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Build the pattern that finds a topic's keywords in text
+ * Keywords match whole words in any case; Arabic keywords also match with an attached article,
+ * conjunction or preposition and whatever their hamza and diacritics (see normalizeArabic)
+ * @param {Object} keywords - Keywords {en, ar}
+ * @returns {RegExp|null} Pattern, or null for a topic without keywords
+ */
+function buildKeywordPattern(keywords = {}) {
+  const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const english = (keywords.en || []).map((keyword) => keyword.trim().split(/\s+/).map(escape).join('\\s+'));
+  const arabic = (keywords.ar || []).map((keyword) => normalizeArabic(keyword).trim().split(/\s+/)
+    .map((word) => `${ARABIC_KEYWORD_PREFIX}${escape(word)}`)
+    .join('\\s+'));
+  const alternatives = [...english, ...arabic].filter(Boolean);
+
+  return alternatives.length > 0
+    ? new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}_])`, 'iu')
+    : null;
+}
+
+/**
+ * Apply changes to a topic
+ * Tags and keywords are merged per language, so an edit can change the Arabic list alone
+ * @param {Object} topic - Current topic
+ * @param {Object} changes - Validated fields (see validateHashtagTopic)
+ * @returns {Object} New topic
+ */
+function mergeTopic(topic, changes) {
+  const merged = { ...topic };
+
+  Object.keys(changes).forEach((field) => {
+    merged[field] = BILINGUAL_FIELDS.includes(field) && topic[field]
+      ? { ...topic[field], ...changes[field] }
+      : changes[field];
+  });
+
+  return merged;
+}
+
+/**
+ * Create a hashtag dictionary
+ * @param {Object} options - Dictionary options
+ * @param {string} options.builtinFile - JSON file of the built-in topics
+ * @param {string} options.filePath - Location of the created and edited topics and hashtag lists
+ * @returns {Object} Dictionary with topic (ids, getTopic, listTopics, createTopic, updateTopic,
+ *   removeTopic, keywordPatterns), hashtag list (getAlwaysInclude, setAlwaysInclude, getBlocklist,
+ *   setBlocklist, isBlocked) and flush methods
+ */
+function createHashtagDictionary({ builtinFile, filePath }) {
+  const builtin = {};
+  JSON.parse(fs.readFileSync(builtinFile, 'utf8')).topics.forEach((topic) => {
+    builtin[topic.id] = topic;
+  });
+
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    // Start from the built-in topics if the file doesn't exist or is invalid
+    state = {};
+  }
+  state = {
+    topics: {},
+    alwaysInclude: [],
+    blocklist: [],
+    ...state
+  };
+
+  const writer = createJsonWriter();
+  let patterns = null;
+  let blockedKeys = null;
+
+  /**
+   * Persist the dictionary
+   * @returns {Promise} Resolves when written
+   */
+  function save() {
+    patterns = null;
+    blockedKeys = null;
+    return writer.write(filePath, state);
+  }
+
+  const has = (id) => Object.prototype.hasOwnProperty.call(state.topics, id)
+    || Object.prototype.hasOwnProperty.call(builtin, id);
+
+  /**
+   * Describe a topic for listings
+   * @param {string} id - Topic id
+   * @returns {Object} Topic with builtin and customized flags
+   */
+  function describe(id) {
+    return {
+      ...(state.topics[id] || builtin[id]),
+      builtin: Boolean(builtin[id]),
+      customized: Boolean(builtin[id] && state.topics[id])
+    };
+  }
+
+  const dictionary = {
+    /**
+     * List topic ids, built-in topics first
+     * @returns {Array<string>} Topic ids
+     */
+    ids() {
+      return [...new Set([...Object.keys(builtin), ...Object.keys(state.topics).sort()])];
+    },
+
+    /**
+     * Get a topic
+     * @param {string} id - Topic id
+     * @returns {Object|null} Topic {id, tags, keywords}, or null for unknown ids
+     */
+    getTopic(id) {
+      return has(id) ? state.topics[id] || builtin[id] : null;
+    },
+
+    listTopics() {
+      return dictionary.ids().map(describe);
+    },
+
+    /**
+     * Add a topic
+     * @param {Object} definition - Validated topic; a language left out gets no tags or keywords
+     * @returns {Promise<Object>} Created topic; rejects with status 409 when the id is taken or the limit is reached
+     */
+    createTopic(definition) {
+      if (has(definition.id)) {
+        return Promise.reject(createDictionaryError(
+          `Hashtag topic already exists: ${definition.id}`,
+          CONSTANTS.ERROR_CODES.CONFLICT
+        ));
+      }
+      if (Object.keys(state.topics).filter((id) => !builtin[id]).length >= CONSTANTS.MAX_HASHTAG_TOPICS) {
+        return Promise.reject(createDictionaryError(
+          `At most ${CONSTANTS.MAX_HASHTAG_TOPICS} hashtag topics can be created`,
+          CONSTANTS.ERROR_CODES.CONFLICT
+        ));
+      }
+
+      state.topics[definition.id] = mergeTopic({
+        id: definition.id,
+        tags: { en: [], ar: [] },
+        keywords: { en: [], ar: [] }
+      }, definition);
+      return save().then(() => describe(definition.id));
+    },
+
+    /**
+     * Edit a topic; editing a built-in topic saves a customized copy of it
+     * @param {string} id - Topic id
+     * @param {Object} changes - Validated fields to change
+     * @returns {Promise<Object>} Updated topic; rejects with status 404 for unknown ids
+     */
+    updateTopic(id, changes) {
+      if (!has(id)) {
+        return Promise.reject(createDictionaryError(
+          `Hashtag topic not found: ${id}`,
+          CONSTANTS.ERROR_CODES.NOT_FOUND
+        ));
+      }
+
+      state.topics[id] = mergeTopic(dictionary.getTopic(id), changes);
+      return save().then(() => describe(id));
+    },
+
+    /**
+     * Delete a created topic, or undo the edits to a built-in one
+     * @param {string} id - Topic id
+     * @returns {Promise<Object|null>} The built-in topic now in use, or null when the topic is gone;
+     *   rejects with 404 for unknown ids and 409 for built-in topics that were never edited
+     */
+    removeTopic(id) {
+      if (!has(id)) {
+        return Promise.reject(createDictionaryError(
+          `Hashtag topic not found: ${id}`,
+          CONSTANTS.ERROR_CODES.NOT_FOUND
+        ));
+      }
+      if (!state.topics[id]) {
+        return Promise.reject(createDictionaryError(
+          `Built-in hashtag topics cannot be deleted: ${id}`,
+          CONSTANTS.ERROR_CODES.CONFLICT
+        ));
+      }
+
+      delete state.topics[id];
+      return save().then(() => (builtin[id] ? describe(id) : null));
+    },
+
+    /**
+     * Get the keyword pattern of every topic that has keywords
+     * @returns {Object} Patterns by topic id; match them against normalizeArabic(text)
+     */
+    keywordPatterns() {
+      if (!patterns) {
+        patterns = {};
+        dictionary.ids().forEach((id) => {
+          const pattern = buildKeywordPattern(dictionary.getTopic(id).keywords);
+          if (pattern) {
+            patterns[id] = pattern;
+          }
+        });
+      }
+      return patterns;
+    },
+
+    getAlwaysInclude() {
+      return [...state.alwaysInclude];
+    },
+
+    /**
+     * Replace the hashtags every generated thread carries
+     * @param {Array<string>} hashtags - Validated hashtags
+     * @returns {Promise<Array<string>>} Saved hashtags
+     */
+    setAlwaysInclude(hashtags) {
+      state.alwaysInclude = [...hashtags];
+      return save().then(() => dictionary.getAlwaysInclude());
+    },
+
+    getBlocklist() {
+      return [...state.blocklist];
+    },
+
+    /**
+     * Replace the hashtags that must never be emitted
+     * @param {Array<string>} hashtags - Validated hashtags
+     * @returns {Promise<Array<string>>} Saved hashtags
+     */
+    setBlocklist(hashtags) {
+      state.blocklist = [...hashtags];
+      return save().then(() => dictionary.getBlocklist());
+    },
+
+    /**
+     * Check a hashtag against the blocklist
+     * Spelling variants of a blocked tag are blocked too (see normalizeHashtag)
+     * @param {string} tag - Hashtag
+     * @returns {boolean} True when the tag must not be emitted
+     */
+    isBlocked(tag) {
+      if (!blockedKeys) {
+        blockedKeys = new Set(state.blocklist.map(normalizeHashtag));
+      }
+      return blockedKeys.has(normalizeHashtag(tag));
+    },
+
+    flush() {
+      return writer.flush();
+    }
+  };
+
+  return dictionary;
+}
+
+/**
+ * Get the process-wide hashtag dictionary
+ * @returns {Object} Hashtag dictionary
+ */
+function getHashtagDictionary() {
+  if (!defaultDictionary) {
+    defaultDictionary = createHashtagDictionary({
+      builtinFile: path.join(__dirname, '..', 'config', 'hashtags.json'),
+      filePath: process.env.HASHTAG_DICTIONARY_FILE
+        || path.join(__dirname, '..', CONSTANTS.DATA_DIR, CONSTANTS.HASHTAG_DICTIONARY_FILE)
+    });
+  }
+  return defaultDictionary;
+}
+
+module.exports = {
+  GENERAL_TOPIC,
+  buildKeywordPattern,
+  createHashtagDictionary,
+  getHashtagDictionary
+};
@@ -1,103 +1,24 @@
 /**
  * Smart hashtag generator for Twitter threads
- * Generates dynamic, content-relevant hashtags with English/Arabic hybrid approach
+ * Generates dynamic, content-relevant hashtags with English/Arabic hybrid approach; topics,
+ * campaign tags and blocked tags come from the hashtag dictionary (see hashtagDictionary.js)
  */
 
 const { detectLanguagePercentages } = require('../utils/langDetect');
+const { extractKeywords } = require('../utils/keywords');
+const { normalizeArabic } = require('../utils/tokenizer');
+const { getCharCount } = require('../utils/charCounter');
+const {
+  cleanHashtag,
+  normalizeHashtag,
+  dedupeHashtags,
+  isValidHashtag
+} = require('../utils/dedupe');
+const { getHashtagDictionary, GENERAL_TOPIC } = require('./hashtagDictionary');
 
-/**
- * Topic-based hashtag dictionary with trending and searchable hashtags
- */
-const HASHTAG_DICTIONARY = {
-  // AI & Technology
-  ai: {
-    english: ['#AI', '#MachineLearning', '#DeepLearning', '#NeuralNetworks', '#ArtificialIntelligence', '#MLOps', '#DataScience', '#TechTrends'],
-    arabic: ['#ذكاء_اصطناعي', '#تعلم_آلي', '#تقنية', '#ابتكار']
-  },
-  
-  // Programming & Development
-  programming: {
-    english: ['#Programming', '#Coding', '#WebDev', '#JavaScript', '#Python', '#React', '#NodeJS', '#FullStack'],
-    arabic: ['#برمجة', '#تطوير', '#مطور', '#كود']
-  },
-  
-  // Writing & Content
-  writing: {
-    english: ['#Writing', '#ContentCreation', '#Storytelling', '#Copywriting', '#BlogWriting', '#CreativeWriting', '#WritingTips'],
-    arabic: ['#كتابة', '#محتوى', '#قصص', '#إبداع']
-  },
-  
-  // Education & Learning
-  education: {
-    english: ['#Education', '#Learning', '#OnlineLearning', '#Skills', '#Knowledge', '#StudyTips', '#PersonalGrowth'],
-    arabic: ['#تعليم', '#تعلم', '#مهارات', '#معرفة']
-  },
-  
-  // Business & Entrepreneurship
-  business: {
-    english: ['#Business', '#Entrepreneurship', '#Startup', '#Leadership', '#Marketing', '#Strategy', '#Innovation'],
-    arabic: ['#أعمال', '#ريادة', '#قيادة', '#تسويق']
-  },
-  
-  // Productivity & Self-improvement
-  productivity: {
-    english: ['#Productivity', '#TimeManagement', '#Efficiency', '#WorkLife', '#SelfImprovement', '#Mindset', '#Goals'],
-    arabic: ['#إنتاجية', '#تطوير_الذات', '#أهداف', '#نجاح']
-  },
-  
-  // Technology & Innovation
-  technology: {
-    english: ['#Technology', '#Innovation', '#DigitalTransformation', '#TechNews', '#Future', '#Automation', '#CloudComputing'],
-    arabic: ['#تقنية', '#ابتكار', '#تحول_رقمي', '#مستقبل']
-  },
-  
-  // Design & Creativity
-  design: {
-    english: ['#Design', '#UXDesign', '#UIDesign', '#CreativeDesign', '#GraphicDesign', '#UserExperience', '#DesignThinking'],
-    arabic: ['#تصميم', '#إبداع', '#فن', '#جرافيك']
-  },
-  
-  // Finance & Investment
-  finance: {
-    english: ['#Finance', '#Investment', '#Trading', '#Cryptocurrency', '#FinTech', '#PersonalFinance', '#WealthBuilding'],
-    arabic: ['#مالية', '#استثمار', '#تداول', '#ثروة']
-  },
-  
-  // Health & Wellness
-  health: {
-    english: ['#Health', '#Wellness', '#Fitness', '#MentalHealth', '#Nutrition', '#HealthyLifestyle', '#SelfCare'],
-    arabic: ['#صحة', '#لياقة', '#عافية', '#تغذية']
-  },
-  
-  // Social Media & Digital Marketing
-  social: {
-    english: ['#SocialMedia', '#DigitalMarketing', '#ContentStrategy', '#Branding', '#Influence', '#OnlinePresence'],
-    arabic: ['#وسائل_التواصل', '#تسويق_رقمي', '#علامة_تجارية', '#تأثير']
-  },
-  
-  // General/Fallback
-  general: {
-    english: ['#Tips', '#Insights', '#Thoughts', '#Wisdom', '#Experience', '#Advice', '#Perspective'],
-    arabic: ['#نصائح', '#خبرة', '#حكمة', '#رأي']
-  }
-};
-
-/**
- * Keyword patterns for topic detection
- */
-const KEYWORD_PATTERNS = {
-  ai: /\b(ai|artificial intelligence|machine learning|deep learning|neural|algorithm|automation|chatgpt|gpt|llm|ذكاء اصطناعي|تعلم آلي)\b/i,
-  programming: /\b(programming|coding|developer|javascript|python|react|node|html|css|api|database|برمجة|مطور|كود)\b/i,
-  writing: /\b(writing|content|story|blog|article|copywriting|author|publish|كتابة|محتوى|قصة|مقال)\b/i,
-  education: /\b(education|learning|study|course|tutorial|knowledge|skill|teach|تعليم|تعلم|دراسة|مهارة)\b/i,
-  business: /\b(business|startup|entrepreneur|company|marketing|sales|strategy|أعمال|شركة|تسويق|استراتيجية)\b/i,
-  productivity: /\b(productivity|efficiency|time management|goal|habit|focus|workflow|إنتاجية|هدف|عادة)\b/i,
-  technology: /\b(technology|tech|innovation|digital|cloud|software|hardware|تقنية|ابتكار|رقمي)\b/i,
-  design: /\b(design|ux|ui|creative|visual|graphic|interface|تصميم|إبداع|واجهة)\b/i,
-  finance: /\b(finance|investment|trading|money|crypto|bitcoin|financial|مالية|استثمار|تداول|مال)\b/i,
-  health: /\b(health|fitness|wellness|nutrition|mental health|exercise|صحة|لياقة|تغذية)\b/i,
-  social: /\b(social media|marketing|brand|influence|twitter|instagram|وسائل التواصل|تسويق|علامة تجارية)\b/i
-};
+const MAX_SYNTHESIZED_LENGTH = 30; // Characters after the #
+const MAX_KEYWORDS = 20; // Key phrases considered per thread
+const TOPIC_TAG_DECAY = 0.1; // Score lost per place further down a topic's tag list
 
 /**
  * Thread-level hashtags to avoid repetition
@@ -114,27 +35,141 @@ const THREAD_HASHTAGS = {
  */
 function detectTopics(text) {
   if (!text || typeof text !== 'string') {
-    return ['general'];
+    return [GENERAL_TOPIC];
   }
 
-  const topics = [];
-  const lowerText = text.toLowerCase();
+  const normalizedText = normalizeArabic(text);
+  const topics = Object.entries(getHashtagDictionary().keywordPatterns())
+    .filter(([, pattern]) => pattern.test(normalizedText))
+    .map(([topic]) => topic);
+
+  // If no topics detected, use general
+  return topics.length > 0 ? topics : [GENERAL_TOPIC];
+}
+
+/**
+ * Turn a key phrase into a hashtag
+ * English phrases become CamelCase tags (#MachineLearning) and Arabic phrases are joined
+ * with underscores (#الذكاء_الاصطناعي)
+ * @param {Object} keyword - Key phrase {words, arabic} (see extractKeywords)
+ * @returns {string|null} Hashtag, or null when the phrase can't make a valid, short tag
+ */
+function phraseToHashtag({ words, arabic }) {
+  const parts = words.flatMap((word) => word.split(/['’-]/));
+  const tag = arabic
+    ? cleanHashtag(words.join(' '))
+    : `#${parts.map((part) => part.charAt(0).toUpperCase() + part.slice(1)).join('')}`;
+
+  return isValidHashtag(tag) && tag.length - 1 <= MAX_SYNTHESIZED_LENGTH ? tag : null;
+}
 
-  // Check each keyword pattern
-  for (const [topic, pattern] of Object.entries(KEYWORD_PATTERNS)) {
-    if (pattern.test(lowerText)) {
-      topics.push(topic);
+/**
+ * Turn the key phrases of a text into new hashtags
+ * @param {string} text - Tweet or thread text
+ * @returns {Object} Hashtags {english, arabic}, most salient first
+ */
+function synthesizeHashtags(text) {
+  const keywords = extractKeywords([text], { limit: MAX_KEYWORDS })
+    .map((keyword) => ({ ...keyword, tag: phraseToHashtag(keyword) }))
+    .filter((keyword) => keyword.tag);
+
+  return {
+    english: keywords.filter((keyword) => !keyword.arabic).map((keyword) => keyword.tag),
+    arabic: keywords.filter((keyword) => keyword.arabic).map((keyword) => keyword.tag)
+  };
+}
+
+/**
+ * Rank candidate hashtags for a thread
+ * Key phrases extracted from the whole thread become hashtags scored by their salience, and
+ * the dictionary tags of the topics the posts mention are scored by the share of posts that
+ * mention them (earlier tags of a topic first). A tag found both ways combines the scores.
+ * Each candidate carries the reason it was suggested; blocked tags are left out
+ * @param {Array<string>} texts - Post texts
+ * @returns {Array<Object>} Candidates {tag, language ('en' or 'ar'), score (0-1), sources, reason, posts
+ *   (1-based)}, best first
+ */
+function rankHashtagCandidates(texts) {
+  const dictionary = getHashtagDictionary();
+  const candidates = new Map();
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+  const add = (tag, evidence) => {
+    if (dictionary.isBlocked(tag)) {
+      return;
     }
-  }
+    const key = normalizeHashtag(tag);
+    const existing = candidates.get(key);
+    if (!existing) {
+      candidates.set(key, {
+        tag,
+        language: evidence.language,
+        score: evidence.score,
+        sources: [evidence.source],
+        reason: evidence.reason,
+        posts: evidence.posts
+      });
+      return;
+    }
+    if (!existing.sources.includes(evidence.source)) {
+      existing.score = 1 - (1 - existing.score) * (1 - evidence.score);
+      existing.sources.push(evidence.source);
+      existing.reason = `${existing.reason}; ${evidence.reason}`;
+      existing.posts = [...new Set([...existing.posts, ...evidence.posts])].sort((a, b) => a - b);
+    }
+  };
 
-  // If no topics detected, use general
-  return topics.length > 0 ? topics : ['general'];
+  extractKeywords(texts, { limit: MAX_KEYWORDS }).forEach((keyword) => {
+    const tag = phraseToHashtag(keyword);
+    // A single word met once says little about the thread, acronyms aside
+    const telling = keyword.words.length > 1 || keyword.count > 1 || /^[A-Z]{2,}$/.test(keyword.phrase);
+    if (tag && telling) {
+      add(tag, {
+        language: keyword.arabic ? 'ar' : 'en',
+        score: keyword.score,
+        source: 'keyword',
+        reason: `Key phrase "${keyword.phrase}" `
+          + `(${plural(keyword.count, 'mention')} in ${plural(keyword.posts.length, 'post')})`,
+        posts: keyword.posts
+      });
+    }
+  });
+
+  const postTopics = texts.map(detectTopics);
+  Object.keys(dictionary.keywordPatterns()).forEach((topic) => {
+    const posts = postTopics
+      .map((topics, index) => (topics.includes(topic) ? index + 1 : null))
+      .filter(Boolean);
+    if (posts.length === 0) {
+      return;
+    }
+
+    const strength = posts.length / texts.length;
+    const reason = `Topic "${topic}" mentioned in ${posts.length} of ${plural(texts.length, 'post')}`;
+    const { tags } = dictionary.getTopic(topic);
+    ['en', 'ar'].forEach((language) => {
+      (tags[language] || []).forEach((tag, rank) => add(tag, {
+        language,
+        score: strength * Math.max(1 - rank * TOPIC_TAG_DECAY, TOPIC_TAG_DECAY),
+        source: 'topic',
+        reason,
+        posts
+      }));
+    });
+  });
+
+  return [...candidates.values()]
+    .map((candidate) => ({ ...candidate, score: Math.round(candidate.score * 100) / 100 }))
+    .sort((a, b) => b.score - a.score);
 }
 
 /**
  * Generate hashtags for a single tweet
+ * Candidates found in the tweet come first, then the rest of the thread's, each best first;
+ * tags already used in the thread or blocked are skipped, whatever their spelling (see normalizeHashtag)
  * @param {string} text - Tweet text
- * @param {Object} options - Generation options
+ * @param {Object} options - Generation options; candidates (see rankHashtagCandidates, ranked
+ *   from the tweet alone when missing) and postIndex (1-based position of the tweet)
  * @param {Set} usedHashtags - Set of already used hashtags in the thread
  * @returns {Array<string>} Array of hashtags
  */
@@ -143,85 +178,134 @@ function generateTweetHashtags(text, options = {}, usedHashtags = new Set()) {
     maxHashtags = 4,
     englishRatio = 0.7,
     includeThreadHashtag = false,
-    forceArabic = false
+    forceArabic = false,
+    excludeArabic = false,
+    candidates = rankHashtagCandidates([text]),
+    postIndex = 1
   } = options;
 
-  // Detect language and topics
+  // Detect language
   const langAnalysis = detectLanguagePercentages(text);
-  const topics = detectTopics(text);
-  const isArabicContent = langAnalysis.arabic > 30;
+  const isArabicContent = langAnalysis.arabic > 30 && !excludeArabic;
+  const dictionary = getHashtagDictionary();
+  const usedKeys = new Set([...usedHashtags].map(normalizeHashtag));
+  const isUsed = (tag) => usedKeys.has(normalizeHashtag(tag)) || dictionary.isBlocked(tag);
+  const pool = (language) => {
+    const ofLanguage = candidates.filter((candidate) => candidate.language === language);
+    return dedupeHashtags([
+      ...ofLanguage.filter((candidate) => candidate.posts.includes(postIndex)),
+      ...ofLanguage.filter((candidate) => !candidate.posts.includes(postIndex))
+    ].map((candidate) => candidate.tag)).filter((tag) => !isUsed(tag));
+  };
 
   const hashtags = [];
-  const englishCount = Math.ceil(maxHashtags * englishRatio);
+  const englishCount = excludeArabic ? maxHashtags : Math.ceil(maxHashtags * englishRatio);
   const arabicCount = maxHashtags - englishCount;
 
   // Add English hashtags
-  const englishHashtags = [];
-  for (const topic of topics) {
-    if (HASHTAG_DICTIONARY[topic] && HASHTAG_DICTIONARY[topic].english) {
-      englishHashtags.push(...HASHTAG_DICTIONARY[topic].english);
-    }
-  }
-
-  // Remove duplicates and filter used hashtags
-  const availableEnglish = [...new Set(englishHashtags)]
-    .filter(tag => !usedHashtags.has(tag))
-    .slice(0, englishCount);
-
-  hashtags.push(...availableEnglish);
+  hashtags.push(...pool('en').slice(0, englishCount));
 
   // Add Arabic hashtags if content is Arabic or forced
-  if ((isArabicContent || forceArabic) && arabicCount > 0) {
-    const arabicHashtags = [];
-    for (const topic of topics) {
-      if (HASHTAG_DICTIONARY[topic] && HASHTAG_DICTIONARY[topic].arabic) {
-        arabicHashtags.push(...HASHTAG_DICTIONARY[topic].arabic);
-      }
-    }
-
-    const availableArabic = [...new Set(arabicHashtags)]
-      .filter(tag => !usedHashtags.has(tag))
-      .slice(0, arabicCount);
+  const allowArabic = isArabicContent || forceArabic;
+  if (allowArabic && arabicCount > 0) {
+    const availableArabic = pool('ar').slice(0, arabicCount);
 
-    hashtags.push(...availableArabic);
+    // Arabic content leads with its Arabic tags so the per-post cap trims English ones first
+    if (isArabicContent) {
+      hashtags.unshift(...availableArabic);
+    } else {
+      hashtags.push(...availableArabic);
+    }
   }
 
+  // Slots one language could not fill go to the other language's remaining candidates
+  const spare = [...pool('en'), ...(allowArabic ? pool('ar') : [])].filter((tag) => !hashtags.includes(tag));
+  hashtags.push(...spare.slice(0, Math.max(0, maxHashtags - hashtags.length - (includeThreadHashtag ? 1 : 0))));
+
   // Add thread hashtag if requested and it's the first tweet
   if (includeThreadHashtag) {
     const threadHashtag = isArabicContent ? 
       THREAD_HASHTAGS.arabic[0] : 
       THREAD_HASHTAGS.english[0];
     
-    if (!usedHashtags.has(threadHashtag)) {
+    if (!isUsed(threadHashtag)) {
       hashtags.unshift(threadHashtag);
     }
   }
 
   // Fill remaining slots with general hashtags if needed
+  const general = dictionary.getTopic(GENERAL_TOPIC);
   while (hashtags.length < maxHashtags) {
-    const generalHashtags = isArabicContent ? 
-      HASHTAG_DICTIONARY.general.arabic : 
-      HASHTAG_DICTIONARY.general.english;
+    const generalHashtags = (general && general.tags[isArabicContent ? 'ar' : 'en']) || [];
     
-    const available = generalHashtags.filter(tag => 
-      !hashtags.includes(tag) && !usedHashtags.has(tag)
-    );
+    const available = generalHashtags.filter((tag) => !hashtags.includes(tag) && !isUsed(tag));
     
     if (available.length === 0) break;
     
     hashtags.push(available[0]);
   }
 
-  // Mark hashtags as used
-  hashtags.forEach(tag => usedHashtags.add(tag));
+  // Mark the hashtags kept as used
+  const selected = hashtags.slice(0, maxHashtags);
+  selected.forEach((tag) => usedHashtags.add(tag));
+
+  return selected;
+}
+
+/**
+ * Remove blocked hashtags written into a post's text
+ * @param {string} text - Post text
+ * @param {Object} dictionary - Hashtag dictionary (the process-wide one by default)
+ * @returns {string} Text without blocked hashtags (unchanged when it had none)
+ */
+function removeBlockedHashtags(text, dictionary = getHashtagDictionary()) {
+  const kept = text.replace(/(?<![\p{L}\p{N}_&])#[\p{L}\p{N}_]+/gu, (tag) => (dictionary.isBlocked(tag) ? '' : tag));
+
+  return kept === text ? text : kept.replace(/[ \t]{2,}/g, ' ').replace(/[ \t]+$/gm, '').trim();
+}
+
+/**
+ * Get the campaign's always-include hashtags that are not blocked
+ * @param {Object} dictionary - Hashtag dictionary
+ * @returns {Array<string>} Hashtags
+ */
+function getPinnedHashtags(dictionary) {
+  return dictionary.getAlwaysInclude().filter((tag) => !dictionary.isBlocked(tag));
+}
+
+/**
+ * Get the campaign's always-include hashtags, leaving out blocked ones
+ * @returns {Array<string>} Hashtags in the order every post carries them
+ */
+function getAlwaysIncludeHashtags() {
+  return getPinnedHashtags(getHashtagDictionary());
+}
+
+/**
+ * Lead every post's hashtags with the campaign's always-include hashtags
+ * @param {Array} thread - Thread with hashtags
+ * @returns {Array} Updated thread
+ */
+function applyAlwaysIncludeHashtags(thread) {
+  const pinned = getAlwaysIncludeHashtags();
+  if (!Array.isArray(thread) || pinned.length === 0) {
+    return thread;
+  }
 
-  return hashtags.slice(0, maxHashtags);
+  const pinnedKeys = new Set(pinned.map(normalizeHashtag));
+  return thread.map((tweet) => ({
+    ...tweet,
+    hashtags: [...pinned, ...(tweet.hashtags || []).filter((tag) => !pinnedKeys.has(normalizeHashtag(tag)))]
+  }));
 }
 
 /**
  * Generate hashtags for an entire thread
+ * Every post leads with the campaign's always-include tags; blocked tags are never emitted,
+ * whether as hashtags or in the post text
  * @param {Array} thread - Array of tweet objects
- * @param {Object} options - Generation options
+ * @param {Object} options - Generation options; candidates are ranked from the thread when not given,
+ *   and platform counts the length of posts whose text loses a blocked tag
  * @returns {Array} Updated thread with hashtags
  */
 function generateThreadHashtags(thread, options = {}) {
@@ -229,23 +313,86 @@ function generateThreadHashtags(thread, options = {}) {
     return thread;
   }
 
-  const usedHashtags = new Set();
+  const dictionary = getHashtagDictionary();
+  const pinned = getPinnedHashtags(dictionary);
+  const usedHashtags = new Set(pinned);
+  const candidates = options.candidates || rankHashtagCandidates(thread.map((tweet) => tweet.text || ''));
   const updatedThread = thread.map((tweet, index) => {
+    const maxHashtags = index === thread.length - 1 ? 4 : 3; // Last tweet can have more hashtags
     const tweetOptions = {
       ...options,
+      candidates,
+      postIndex: index + 1,
       includeThreadHashtag: index === 0, // Only first tweet gets thread hashtag
-      maxHashtags: index === thread.length - 1 ? 4 : 3 // Last tweet can have more hashtags
+      maxHashtags: Math.max(maxHashtags - pinned.length, 0)
     };
 
-    const hashtags = generateTweetHashtags(tweet.text || '', tweetOptions, usedHashtags);
+    const text = removeBlockedHashtags(tweet.text || '', dictionary);
+    const hashtags = generateTweetHashtags(text, tweetOptions, usedHashtags);
     
     return {
       ...tweet,
-      hashtags: hashtags
+      text,
+      char_count: text === (tweet.text || '') ? tweet.char_count : getCharCount(text, [], '', options.platform),
+      hashtags
     };
   });
 
-  return updatedThread;
+  return applyAlwaysIncludeHashtags(updatedThread);
+}
+
+/**
+ * Translate the Arabic hashtag preference into generator options
+ * @param {string} mode - 'auto' (follow the content's language), 'always' or 'never'
+ * @returns {Object} Options for generateThreadHashtags
+ */
+function getArabicHashtagOptions(mode = 'auto') {
+  if (mode === 'always') {
+    // Half the slots, so posts with three tags get an Arabic one too
+    return { forceArabic: true, englishRatio: 0.5 };
+  }
+  if (mode === 'never') {
+    return { excludeArabic: true };
+  }
+  return {};
+}
+
+/**
+ * Apply a platform's hashtag conventions to a thread
+ * Caps the tags per post and, where the platform prefers it, rewrites Latin tags in CamelCase.
+ * Tags are kept in order, so the always-include tags that lead a post are the last to go; a post
+ * that cannot fit all of them is warned about
+ * @param {Array} thread - Thread with hashtags
+ * @param {Object} profile - Platform profile (see config/platforms.js)
+ * @returns {Array} Updated thread
+ */
+function applyPlatformHashtagRules(thread, profile) {
+  if (!Array.isArray(thread) || !profile) {
+    return thread;
+  }
+
+  const { maxPerPost, camelCase } = profile.hashtags;
+  const pinnedKeys = new Set(getAlwaysIncludeHashtags().map(normalizeHashtag));
+
+  return thread.map((tweet) => {
+    const allHashtags = tweet.hashtags || [];
+    let hashtags = allHashtags.slice(0, maxPerPost);
+    let { warnings } = tweet;
+
+    if (allHashtags.slice(maxPerPost).some((tag) => pinnedKeys.has(normalizeHashtag(tag)))) {
+      const kept = hashtags.filter((tag) => pinnedKeys.has(normalizeHashtag(tag))).length;
+      const message = `Only ${kept} of the campaign's always-include hashtags fit ${profile.name}'s limit per post`;
+      warnings = (warnings || []).includes(message) ? warnings : [...(warnings || []), message];
+    }
+
+    if (camelCase) {
+      hashtags = hashtags.map((tag) => (/^#[a-zA-Z0-9_]+$/.test(tag)
+        ? `#${tag.slice(1).split('_').map((part) => part.charAt(0).toUpperCase() + part.slice(1)).join('')}`
+        : tag));
+    }
+
+    return warnings ? { ...tweet, hashtags, warnings } : { ...tweet, hashtags };
+  });
 }
 
 /**
@@ -279,7 +426,13 @@ function getHashtagStats(thread) {
 module.exports = {
   generateTweetHashtags,
   generateThreadHashtags,
+  applyAlwaysIncludeHashtags,
+  getAlwaysIncludeHashtags,
+  removeBlockedHashtags,
+  getArabicHashtagOptions,
+  applyPlatformHashtagRules,
   detectTopics,
-  getHashtagStats,
-  HASHTAG_DICTIONARY
+  synthesizeHashtags,
+  rankHashtagCandidates,
+  getHashtagStats
 };
\ No newline at end of file
@@ -0,0 +1,283 @@
+/**
+ * Persistent search index over generation history
+ * Keeps one small record per history entry (text, hashtags, tags, flags, style,
+ * language, direction, platform, engagement score and dates) in a JSON file, so the
+ * history list can be searched, filtered and sorted without reading every entry
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeArabic } = require('../utils/tokenizer');
+const CONSTANTS = require('../config/constants');
+const { splitPostNumber } = require('../config/platforms');
+const { createJsonWriter } = require('../utils/jsonFile');
+
+const INDEX_VERSION = 3;
+
+let defaultIndex = null;
+
+/**
+ * Normalize text for matching: lowercase, unified Arabic letter forms
+ * (including taa marbuta, which is often typed as haa) and single spaces
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeForSearch(text) {
+  return normalizeArabic((text || '').toLowerCase())
+    .replace(/ة/g, 'ه')
+    .replace(/#/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build the index record of a history entry
+ * @param {string} id - History entry id
+ * @param {Object} entry - History entry
+ * @returns {Object} Index record
+ */
+function buildIndexRecord(id, entry) {
+  const result = entry.thread || {};
+  const tweets = Array.isArray(result.thread) ? result.thread : [];
+  const hashtags = [...new Set(tweets.flatMap((tweet) => tweet.hashtags || []).map((tag) => tag.toLowerCase()))];
+  const text = tweets.map((tweet) => tweet.text).join('\n');
+
+  return {
+    id,
+    timestamp: entry.timestamp,
+    updated_at: entry.updated_at || entry.timestamp,
+    metadata: result.metadata || {},
+    summary: result.thread_summary || '',
+    preview: tweets.length > 0 ? splitPostNumber(tweets[0].text).body : '',
+    hashtags,
+    tags: entry.tags || [],
+    favorite: entry.favorite === true,
+    pinned: entry.pinned === true,
+    engagement_score: typeof result.estimated_engagement_score === 'number' ? result.estimated_engagement_score : null,
+    tweet_count: tweets.length,
+    generated_via: entry.generated_via,
+    batch_id: entry.batch_id || null,
+    search_text: normalizeForSearch([
+      text,
+      result.thread_summary,
+      hashtags.join(' '),
+      (entry.tags || []).join(' ')
+    ].join('\n'))
+  };
+}
+
+/**
+ * Count how often each query term occurs in a record
+ * @param {Object} record - Index record
+ * @param {Array<string>} terms - Normalized query terms
+ * @returns {number} Relevance score (0 when any term is missing)
+ */
+function scoreRecord(record, terms) {
+  let score = 0;
+
+  for (const term of terms) {
+    const occurrences = record.search_text.split(term).length - 1;
+    if (occurrences === 0) {
+      return 0;
+    }
+    // Hashtag and summary hits say more about the thread than a passing mention
+    const tagBonus = record.hashtags.some((tag) => normalizeForSearch(tag) === term) ? 3 : 0;
+    const summaryBonus = normalizeForSearch(record.summary).includes(term) ? 2 : 0;
+    score += occurrences + tagBonus + summaryBonus;
+  }
+
+  return score;
+}
+
+/**
+ * Check a record against the query filters
+ * @param {Object} record - Index record
+ * @param {Object} filters - Sanitized filters
+ * @returns {boolean} True when the record matches every filter
+ */
+function matchesFilters(record, filters) {
+  const { metadata } = record;
+  const createdAt = new Date(record.timestamp).getTime();
+
+  if (filters.style.length > 0 && !filters.style.includes(metadata.style_requested)) return false;
+  if (filters.language.length > 0 && !filters.language.includes(metadata.language)) return false;
+  if (filters.direction.length > 0 && !filters.direction.includes(metadata.direction)) return false;
+  if (filters.platform.length > 0 && !filters.platform.includes(metadata.platform || 'x')) return false;
+  if (filters.hashtags.length > 0 && !filters.hashtags.every((tag) => record.hashtags.includes(tag))) return false;
+  if (filters.tags.length > 0 && !filters.tags.every((tag) => record.tags.includes(tag))) return false;
+  if (filters.favorite !== null && record.favorite !== filters.favorite) return false;
+  if (filters.pinned !== null && record.pinned !== filters.pinned) return false;
+  if (filters.batchId && record.batch_id !== filters.batchId) return false;
+  const score = record.engagement_score;
+  if (filters.minScore !== null && (score === null || score < filters.minScore)) return false;
+  if (filters.maxScore !== null && (score === null || score > filters.maxScore)) return false;
+  if (filters.from !== null && createdAt < filters.from) return false;
+  if (filters.to !== null && createdAt > filters.to) return false;
+
+  return true;
+}
+
+/**
+ * Create a history index backed by a JSON file
+ * @param {string} historyDir - Directory holding history entries
+ * @param {string} filePath - Location of the index file
+ * @returns {Object} Index with sync, upsert, remove, search and flush methods
+ */
+function createHistoryIndex(historyDir, filePath) {
+  let records = {};
+
+  try {
+    const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (state.version === INDEX_VERSION && state.records) {
+      records = state.records;
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn('Could not read history index, rebuilding:', error.message);
+    }
+  }
+
+  const writer = createJsonWriter({ space: 0 });
+
+  /**
+   * Persist the index
+   * The index can always be rebuilt, so a failed write is logged and reported by flush()
+   * @returns {Promise} Resolves when written
+   */
+  function save() {
+    return writer.write(filePath, { version: INDEX_VERSION, records }).catch((error) => {
+      console.warn('Could not persist history index:', error.message);
+    });
+  }
+
+  return {
+    /**
+     * Reconcile the index with the history directory: (re)index files that are
+     * new or changed since they were indexed and forget entries whose files are gone
+     * Only changed files are read; the rest cost one stat each
+     * @returns {Promise<number>} Number of records added, updated or removed
+     */
+    async sync() {
+      const files = await fs.promises.readdir(historyDir).catch(() => []);
+      const ids = new Set(files.filter((file) => file.endsWith('.json')).map((file) => file.slice(0, -5)));
+      let changes = 0;
+
+      for (const id of Object.keys(records)) {
+        if (!ids.has(id)) {
+          delete records[id];
+          changes += 1;
+        }
+      }
+
+      for (const id of ids) {
+        const entryPath = path.join(historyDir, `${id}.json`);
+        try {
+          const stats = await fs.promises.stat(entryPath);
+          if (records[id] && records[id].mtime === stats.mtimeMs) continue;
+
+          const entry = JSON.parse(await fs.promises.readFile(entryPath, 'utf8'));
+          records[id] = { ...buildIndexRecord(id, entry), mtime: stats.mtimeMs };
+          changes += 1;
+        } catch (error) {
+          console.warn('Could not index history entry:', id, error.message);
+        }
+      }
+
+      if (changes > 0) {
+        await save();
+      }
+      return changes;
+    },
+
+    /**
+     * Index an entry that was just written to the history directory
+     * @param {string} id - History entry id
+     * @param {Object} entry - History entry
+     * @returns {Promise} Resolves when the index is persisted
+     */
+    async upsert(id, entry) {
+      const stats = await fs.promises.stat(path.join(historyDir, `${id}.json`)).catch(() => null);
+      records[id] = { ...buildIndexRecord(id, entry), mtime: stats ? stats.mtimeMs : null };
+      return save();
+    },
+
+    /**
+     * Drop a deleted entry from the index
+     * @param {string} id - History entry id
+     * @returns {Promise} Resolves when the index is persisted
+     */
+    remove(id) {
+      if (!records[id]) {
+        return Promise.resolve();
+      }
+      delete records[id];
+      return save();
+    },
+
+    /**
+     * Search, filter, sort and paginate the index
+     * @param {Object} query - Sanitized query (see validateHistoryQuery)
+     * @returns {Object} {results, total}
+     */
+    search(query) {
+      const terms = normalizeForSearch(query.q).split(' ').filter(Boolean);
+      const sort = query.sort || (terms.length > 0 ? 'relevance' : 'date');
+      const direction = query.order === 'asc' ? 1 : -1;
+
+      const matches = Object.values(records)
+        .filter((record) => matchesFilters(record, query))
+        .map((record) => ({ record, relevance: terms.length > 0 ? scoreRecord(record, terms) : 0 }))
+        .filter((match) => terms.length === 0 || match.relevance > 0);
+
+      const sortValue = {
+        relevance: (match) => match.relevance,
+        date: (match) => new Date(match.record.timestamp).getTime(),
+        updated: (match) => new Date(match.record.updated_at).getTime(),
+        score: (match) => (match.record.engagement_score === null ? -1 : match.record.engagement_score),
+        tweets: (match) => match.record.tweet_count
+      }[sort];
+
+      // The default listing keeps pinned entries on top
+      const pinnedFirst = !query.sort && terms.length === 0;
+
+      matches.sort((a, b) => (pinnedFirst ? Number(b.record.pinned) - Number(a.record.pinned) : 0)
+        || (sortValue(a) - sortValue(b)) * direction
+        || new Date(b.record.timestamp).getTime() - new Date(a.record.timestamp).getTime());
+
+      const offset = (query.page - 1) * query.limit;
+      return {
+        total: matches.length,
+        results: matches.slice(offset, offset + query.limit).map(({ record, relevance }) => {
+          const visible = { ...record };
+          delete visible.search_text;
+          delete visible.mtime;
+          return terms.length > 0 ? { ...visible, relevance } : visible;
+        })
+      };
+    },
+
+    flush() {
+      return writer.flush();
+    }
+  };
+}
+
+/**
+ * Get the process-wide history index
+ * @returns {Object} History index
+ */
+function getDefaultIndex() {
+  if (!defaultIndex) {
+    const filePath = process.env.HISTORY_INDEX_FILE
+      || path.join(__dirname, '..', CONSTANTS.DATA_DIR, CONSTANTS.HISTORY_INDEX_FILE);
+    defaultIndex = createHistoryIndex(path.join(__dirname, '..', CONSTANTS.HISTORY_DIR), filePath);
+  }
+  return defaultIndex;
+}
+
+module.exports = {
+  createHistoryIndex,
+  getDefaultIndex,
+  buildIndexRecord,
+  normalizeForSearch
+};
@@ -3,11 +3,27 @@
  * Provides thread generation when Gemini API is unavailable or disabled
  */
 
-const { getCharCount, truncateSmart, validateTweetLength } = require('../utils/charCounter');
+const {
+  getCharCount,
+  getWeightedLength,
+  truncateSmart,
+  validateTweetLength
+} = require('../utils/charCounter');
 const { detectLanguagePercentages, getLanguageCode, detectTextDirection } = require('../utils/langDetect');
-const { dedupeHashtagsAndEmojis } = require('../utils/dedupe');
-const { generateThreadHashtags } = require('./hashtagGenerator');
+const { dedupeHashtagsAndEmojis, stripEmojis } = require('../utils/dedupe');
+const {
+  generateThreadHashtags,
+  applyAlwaysIncludeHashtags,
+  getArabicHashtagOptions,
+  applyPlatformHashtagRules,
+  rankHashtagCandidates
+} = require('./hashtagGenerator');
+const { resolveEmojiPreference, applyBrandVoice } = require('./brandVoices');
 const CONSTANTS = require('../config/constants');
+const { getPlatformProfile, formatPostNumber, splitPostNumber } = require('../config/platforms');
+const { getStyle, localize } = require('../config/styles');
+const { isMarkdown, parseMarkdownOutline, renderBlock } = require('../utils/markdownParser');
+const { summarizeText } = require('../utils/summarizer');
 
 /**
  * Generate fallback thread using local templates and logic
@@ -22,54 +38,91 @@ function generateFallbackThread(text, params = {}) {
       style = CONSTANTS.DEFAULT_STYLE,
       maxTweets = CONSTANTS.DEFAULT_MAX_TWEETS,
       includeHashtags = true,
-      includeImages = false
+      includeImages = false,
+      hook = null,
+      preferences = {},
+      brandVoice = null
     } = params;
+    const emojiLimit = CONSTANTS.EMOJI_DENSITY[resolveEmojiPreference(preferences, brandVoice)];
+    const addCTA = preferences.autoAddCTA !== false;
+
+    // Platform limits decide post length, numbering and thread length
+    const profile = getPlatformProfile(params.platform);
+    const postCount = Math.min(maxTweets, profile.maxPosts);
 
     // Analyze input text
     const langAnalysis = detectLanguagePercentages(text);
     const detectedLanguage = getLanguageCode(text);
     const direction = detectTextDirection(text);
 
-    // Segment text into logical chunks
-    const segments = segmentText(text, maxTweets);
+    // Condense articles that can't fit the thread, so it covers the whole text
+    // rather than its beginning and end (Markdown is split by its outline instead)
+    const summary = isMarkdown(text) ? null : summarizeForThread(text, postCount, profile);
+
+    // Segment text into logical chunks (a summary is packed sentence by sentence)
+    const segments = summary
+      ? combineSmallSegments(summary.sentences, postCount).map((segment) => ({ text: segment, code: null }))
+      : segmentText(text, postCount);
 
     // Generate tweets from segments
     let tweets = segments.map((segment, index) => {
-      const tweetText = generateTweetText(segment, style, index, segments.length, langAnalysis);
+      const tweetText = generateTweetText(segment.text, style, index, segments.length, langAnalysis, hook, profile, {
+        withEmoji: emojiLimit > 0
+      });
+
+      // Code can't be read as tweet text, so it always becomes a screenshot suggestion
+      let imageSuggestion = null;
+      if (segment.code) {
+        imageSuggestion = generateCodeImageSuggestion(segment.code);
+      } else if (includeImages) {
+        imageSuggestion = generateImageSuggestion(segment.text, style);
+      }
       
       return {
         index: index + 1,
         text: tweetText,
-        char_count: getCharCount(tweetText),
+        char_count: getCharCount(tweetText, [], '', profile.id),
         warnings: [],
         hashtags: [], // Will be filled by dynamic hashtag generator
-        emoji_suggestions: generateEmojis(segment, style, index),
-        cta: index === segments.length - 1 ? generateCTA(style, langAnalysis) : null,
-        image_suggestion: includeImages ? generateImageSuggestion(segment, style) : null
+        emoji_suggestions: generateEmojis(segment.text, style, index, emojiLimit),
+        cta: addCTA && index === segments.length - 1 ? generateCTA(style, langAnalysis, emojiLimit > 0) : null,
+        image_suggestion: imageSuggestion
       };
     });
 
     // Ensure exact tweet count
-    tweets = ensureExactTweetCount(tweets, maxTweets);
+    tweets = ensureExactTweetCount(tweets, postCount);
 
     // Apply dynamic hashtag generation if requested
+    const hashtagCandidates = includeHashtags ? rankHashtagCandidates(tweets.map((tweet) => tweet.text)) : [];
     if (includeHashtags) {
       tweets = generateThreadHashtags(tweets, {
+        candidates: hashtagCandidates,
+        platform: profile.id,
         maxHashtags: 4,
-        englishRatio: 0.7
+        englishRatio: 0.7,
+        ...getArabicHashtagOptions(preferences.arabicHashtags)
       });
     }
 
-    // Deduplicate hashtags and emojis
+    // Deduplicate hashtags and emojis, then apply the platform's hashtag conventions; balancing
+    // spreads the tags across the thread, so the always-include ones are put back in each post
     tweets = dedupeHashtagsAndEmojis(tweets);
+    if (includeHashtags) {
+      tweets = applyAlwaysIncludeHashtags(tweets);
+    }
+    tweets = applyPlatformHashtagRules(tweets, profile);
+
+    // Emojis found in the text count towards the user's emoji density too
+    tweets = tweets.map((tweet) => ({ ...tweet, emoji_suggestions: tweet.emoji_suggestions.slice(0, emojiLimit) }));
 
     // Validate and fix character counts
     tweets = tweets.map(tweet => {
-      const validation = validateTweetLength(tweet.text, tweet.hashtags, tweet.cta);
+      const validation = validateTweetLength(tweet.text, tweet.hashtags, tweet.cta, profile.id);
       
       if (!validation.isValid) {
-        tweet.text = truncateSmart(tweet.text, 280, tweet.hashtags, tweet.cta);
-        tweet.char_count = getCharCount(tweet.text, tweet.hashtags, tweet.cta);
+        tweet.text = truncateSmart(tweet.text, profile.charLimit, tweet.hashtags, tweet.cta, profile.id);
+        tweet.char_count = getCharCount(tweet.text, tweet.hashtags, tweet.cta, profile.id);
         tweet.warnings.push('Tweet truncated to fit character limit');
       }
 
@@ -83,21 +136,32 @@ function generateFallbackThread(text, params = {}) {
       tone_detected: detectTone(text, style),
       max_tweets_requested: maxTweets,
       tweets_generated: tweets.length,
-      direction
+      direction,
+      platform: profile.id
     };
+    if (summary) {
+      metadata.summarization = {
+        method: 'textrank',
+        sentences_total: summary.sentences_total,
+        sentences_selected: summary.sentences_selected
+      };
+    }
+    if (hashtagCandidates.length > 0) {
+      metadata.hashtag_candidates = hashtagCandidates.slice(0, CONSTANTS.MAX_HASHTAG_CANDIDATES);
+    }
 
     // Generate summary and recommendations
-    const threadSummary = generateThreadSummary(tweets, style);
-    const engagementScore = calculateEngagementScore(tweets, langAnalysis, style);
+    const threadSummary = generateThreadSummary(tweets, style, langAnalysis.dominant_language);
+    const engagementScore = calculateEngagementScore(tweets, langAnalysis, style, hook);
     const publishingRecommendations = generatePublishingRecommendations(langAnalysis, style);
 
-    return {
+    return applyBrandVoice({
       metadata,
       thread: tweets,
       thread_summary: threadSummary,
       estimated_engagement_score: engagementScore,
       publishing_recommendations: publishingRecommendations
-    };
+    }, brandVoice, { profile, preferences });
 
   } catch (error) {
     console.error('Fallback generation error:', error);
@@ -108,23 +172,60 @@ function generateFallbackThread(text, params = {}) {
   }
 }
 
+/**
+ * Summarize text that is longer than the thread can hold
+ * @param {string} text - Input text
+ * @param {number} postCount - Number of posts in the thread
+ * @param {Object} profile - Platform profile
+ * @returns {Object|null} Summary from summarizeText, or null when the text fits
+ */
+function summarizeForThread(text, postCount, profile) {
+  const measure = (value) => getWeightedLength(value, profile.id);
+  if (measure(text) <= postCount * profile.charLimit) {
+    return null;
+  }
+
+  const budget = Math.floor(postCount * profile.charLimit * CONSTANTS.SUMMARY_BUDGET_RATIO);
+  const summary = summarizeText(text, budget, { regions: postCount, measure });
+  return summary.summarized ? summary : null;
+}
+
 /**
  * Segment text into logical chunks for tweets
+ * Markdown input is split along its outline; anything else by paragraphs,
+ * sentences or length
  * @param {string} text - Input text
  * @param {number} targetCount - Target number of segments
- * @returns {Array<string>} Text segments
+ * @returns {Array<Object>} Segments ({text, code} where code is a fenced block or null)
  */
 function segmentText(text, targetCount) {
   if (!text || targetCount < 1) {
     return [];
   }
 
+  if (isMarkdown(text)) {
+    const segments = segmentMarkdown(parseMarkdownOutline(text), targetCount);
+    if (segments.length > 0) {
+      return segments;
+    }
+  }
+
+  return segmentPlainText(text, targetCount).map((segment) => ({ text: segment, code: null }));
+}
+
+/**
+ * Segment plain text by paragraphs, sentences or length
+ * @param {string} text - Input text
+ * @param {number} targetCount - Target number of segments
+ * @returns {Array<string>} Text segments
+ */
+function segmentPlainText(text, targetCount) {
   // First try paragraph-based segmentation
   const paragraphs = text.split(/\n\s*\n/).filter(p => p.trim().length > 0);
   
   if (paragraphs.length >= targetCount) {
-    // Use paragraphs directly or combine small ones
-    return combineSmallSegments(paragraphs.slice(0, targetCount * 2), targetCount);
+    // Use paragraphs directly or combine small ones (all of them, so the end isn't lost)
+    return combineSmallSegments(paragraphs, targetCount);
   }
 
   // Fall back to sentence-based segmentation
@@ -164,7 +265,170 @@ function segmentText(text, targetCount) {
 }
 
 /**
- * Combine small segments to reach target count
+ * Segment a Markdown outline: one heading section per tweet, merging the
+ * shortest neighbours when there are too many and spreading long sections
+ * (and their lists) over consecutive tweets when there are too few
+ * @param {Array<Object>} blocks - Blocks from parseMarkdownOutline
+ * @param {number} targetCount - Target number of segments
+ * @returns {Array<Object>} Segments ({text, code})
+ */
+function segmentMarkdown(blocks, targetCount) {
+  const sections = [];
+  let current = null;
+
+  for (const block of blocks) {
+    // A heading opens a new section unless the current one has only headings so far
+    const hasContent = current && current.some((part) => part.type !== 'heading');
+    if (!current || (block.type === 'heading' && hasContent)) {
+      current = [];
+      sections.push(current);
+    }
+    current.push(block);
+  }
+
+  while (sections.length > targetCount) {
+    let mergeAt = 0;
+    let shortest = Infinity;
+    for (let i = 0; i < sections.length - 1; i += 1) {
+      const length = renderSection(sections[i]).length + renderSection(sections[i + 1]).length;
+      if (length < shortest) {
+        shortest = length;
+        mergeAt = i;
+      }
+    }
+    sections.splice(mergeAt, 2, [...sections[mergeAt], ...sections[mergeAt + 1]]);
+  }
+
+  while (sections.length < targetCount) {
+    const candidates = sections
+      .map((section, index) => ({ index, units: getSectionUnits(section), length: renderSection(section).length }))
+      .filter((candidate) => candidate.units.length > 1)
+      .sort((a, b) => b.length - a.length);
+
+    if (candidates.length === 0) {
+      break;
+    }
+
+    const { index, units } = candidates[0];
+    sections.splice(index, 1, ...splitSectionUnits(units));
+  }
+
+  return sections
+    .map((section) => ({
+      text: renderSection(section),
+      code: section.find((part) => part.type === 'code') || null
+    }))
+    .map((segment) => {
+      if (segment.text || !segment.code) {
+        return segment;
+      }
+      const language = segment.code.language ? ` (${segment.code.language})` : '';
+      return { ...segment, text: `Code example${language} 👇` };
+    })
+    .filter((segment) => segment.text);
+}
+
+/**
+ * Render a Markdown section as tweet text
+ * @param {Array<Object>} section - Section blocks
+ * @returns {string} Plain text, one block per line
+ */
+function renderSection(section) {
+  return section
+    .map(renderBlock)
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Break a section into the smallest pieces it may be split at: whole blocks,
+ * or single list items together with their nested items. Headings stay
+ * attached to the piece that follows them
+ * @param {Array<Object>} section - Section blocks
+ * @returns {Array<Array<Object>>} Units of blocks
+ */
+function getSectionUnits(section) {
+  const units = [];
+  let leading = [];
+
+  section.forEach((block) => {
+    if (block.type === 'heading') {
+      leading.push(block);
+      return;
+    }
+
+    if (block.type === 'list') {
+      block.items.forEach((item) => {
+        const last = units[units.length - 1];
+        const lastBlock = last && last[last.length - 1];
+        if (item.depth > 0 && lastBlock && lastBlock.type === 'list' && lastBlock.source === block) {
+          lastBlock.items.push(item);
+        } else {
+          units.push([...leading, {
+            type: 'list',
+            ordered: block.ordered,
+            items: [item],
+            source: block
+          }]);
+          leading = [];
+        }
+      });
+      return;
+    }
+
+    units.push([...leading, block]);
+    leading = [];
+  });
+
+  if (leading.length > 0) {
+    units.push(leading);
+  }
+
+  return units;
+}
+
+/**
+ * Split section units into two halves of roughly equal length, keeping
+ * consecutive list items together as one list
+ * @param {Array<Array<Object>>} units - Units from getSectionUnits
+ * @returns {Array<Array<Object>>} Two sections
+ */
+function splitSectionUnits(units) {
+  const lengths = units.map((unit) => renderSection(unit).length);
+  const total = lengths.reduce((sum, length) => sum + length, 0);
+
+  let splitAt = 1;
+  let running = lengths[0];
+  while (splitAt < units.length - 1 && running + lengths[splitAt] <= total / 2) {
+    running += lengths[splitAt];
+    splitAt += 1;
+  }
+
+  return [units.slice(0, splitAt), units.slice(splitAt)].map((half) => joinUnits(half));
+}
+
+/**
+ * Join units back into section blocks, merging list items split from the same list
+ * @param {Array<Array<Object>>} units - Units of blocks
+ * @returns {Array<Object>} Section blocks
+ */
+function joinUnits(units) {
+  const section = [];
+
+  units.flat().forEach((block) => {
+    const previous = section[section.length - 1];
+    if (block.type === 'list' && previous && previous.type === 'list' && previous.source === block.source) {
+      previous.items.push(...block.items);
+    } else {
+      section.push(block.type === 'list' ? { ...block, items: [...block.items] } : block);
+    }
+  });
+
+  return section;
+}
+
+/**
+ * Combine consecutive segments into exactly targetCount groups of similar length
  * @param {Array<string>} segments - Original segments
  * @param {number} targetCount - Target segment count
  * @returns {Array<string>} Combined segments
@@ -174,34 +438,28 @@ function combineSmallSegments(segments, targetCount) {
     return segments;
   }
 
-  const avgLength = segments.reduce((sum, s) => sum + s.length, 0) / targetCount;
+  const total = segments.reduce((sum, s) => sum + s.length + 1, 0);
   const combined = [];
-  let current = '';
+  let current = [];
+  let running = 0;
 
-  for (const segment of segments) {
-    if (current.length === 0) {
-      current = segment;
-    } else if (current.length + segment.length + 1 < avgLength * 1.5) {
-      current += ' ' + segment;
-    } else {
-      combined.push(current);
-      current = segment;
-      
-      if (combined.length >= targetCount - 1) {
-        // Add remaining segments to the last one
-        const remaining = segments.slice(segments.indexOf(segment) + 1);
-        if (remaining.length > 0) {
-          current += ' ' + remaining.join(' ');
-        }
-        break;
-      }
+  segments.forEach((segment, i) => {
+    const groupsLeft = targetCount - combined.length;
+    // Every group still to come needs at least one segment
+    const mustClose = segments.length - i <= groupsLeft - 1;
+    // Close the group once this segment would mostly land past the group's share
+    const overshoots = running + (segment.length + 1) / 2 > (total * (combined.length + 1)) / targetCount;
+
+    if (current.length > 0 && groupsLeft > 1 && (mustClose || overshoots)) {
+      combined.push(current.join(' '));
+      current = [];
     }
-  }
 
-  if (current) {
-    combined.push(current);
-  }
+    current.push(segment);
+    running += segment.length + 1;
+  });
 
+  combined.push(current.join(' '));
   return combined;
 }
 
@@ -212,27 +470,36 @@ function combineSmallSegments(segments, targetCount) {
  * @param {number} index - Tweet index
  * @param {number} total - Total tweets
  * @param {Object} langAnalysis - Language analysis
+ * @param {string|null} hook - Opening hook for the first tweet (question, statistic, bold, story)
+ * @param {Object} profile - Platform profile (numbering style)
+ * @param {Object} options - {withEmoji: keep the emoji of the opening prefix (default true)}
  * @returns {string} Formatted tweet text
  */
-function generateTweetText(segment, style, index, total, langAnalysis) {
+function generateTweetText(
+  segment,
+  style,
+  index,
+  total,
+  langAnalysis,
+  hook = null,
+  profile = getPlatformProfile(),
+  options = {}
+) {
+  const { withEmoji = true } = options;
   let tweetText = segment.trim();
 
-  // Add thread numbering if more than one tweet
-  if (total > 1) {
-    const threadNumber = `(${index + 1}/${total})`;
-    tweetText += ` ${threadNumber}`;
-  }
-
-  // Add style-specific prefixes for first tweet
+  // Add hook or style-specific prefixes for first tweet
   if (index === 0) {
-    const prefixes = getStylePrefixes(style, langAnalysis.dominant_language);
+    const hookPrefixes = hook ? getHookPrefixes(hook, langAnalysis.dominant_language) : [];
+    const prefixes = hookPrefixes.length > 0 ? hookPrefixes : getStylePrefixes(style, langAnalysis.dominant_language);
     if (prefixes.length > 0) {
       const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
-      tweetText = `${prefix} ${tweetText}`;
+      tweetText = `${withEmoji ? prefix : stripEmojis(prefix)} ${tweetText}`;
     }
   }
 
-  return tweetText;
+  // Add thread numbering in the platform's style if more than one tweet
+  return formatPostNumber(tweetText, profile, index, total);
 }
 
 /**
@@ -242,17 +509,36 @@ function generateTweetText(segment, style, index, total, langAnalysis) {
  * @returns {Array<string>} Available prefixes
  */
 function getStylePrefixes(style, language) {
+  const definition = getStyle(style);
+  return definition ? localize(definition.prefixes, getStyleLanguage(language)) || [] : [];
+}
+
+/**
+ * Map a dominant language to the language key of style definitions
+ * @param {string} language - Dominant language ('arabic', 'english', ...)
+ * @returns {string} 'ar' or 'en'
+ */
+function getStyleLanguage(language) {
+  return language === 'arabic' ? 'ar' : 'en';
+}
+
+/**
+ * Get opening-hook prefixes used to vary how a thread starts
+ * @param {string} hook - Hook type
+ * @param {string} language - Dominant language
+ * @returns {Array<string>} Available prefixes
+ */
+function getHookPrefixes(hook, language) {
   const isArabic = language === 'arabic';
-  
+
   const prefixes = {
-    educational: isArabic ? ['💡 نصيحة:', '📚 تعلم:', '✨ فكرة:'] : ['💡 Tip:', '📚 Learn:', '✨ Insight:'],
-    technical: isArabic ? ['🔧 تقني:', '⚙️ طريقة:', '🛠️ حل:'] : ['🔧 Technical:', '⚙️ Method:', '🛠️ Solution:'],
-    concise: isArabic ? ['📌 خلاصة:', '⚡ سريع:', '🎯 مباشر:'] : ['📌 Summary:', '⚡ Quick:', '🎯 Direct:'],
-    engaging: isArabic ? ['🔥 مهم:', '👀 انتبه:', '🚀 رائع:'] : ['🔥 Important:', '👀 Notice:', '🚀 Amazing:'],
-    professional: isArabic ? ['📊 تحليل:', '💼 خبرة:', '📈 استراتيجية:'] : ['📊 Analysis:', '💼 Experience:', '📈 Strategy:']
+    question: isArabic ? ['🤔 هل تساءلت يوماً؟', '❓ هل تعلم؟'] : ['🤔 Ever wondered?', '❓ Did you know?'],
+    statistic: isArabic ? ['📊 بالأرقام:', '📈 تقول البيانات:'] : ['📊 By the numbers:', '📈 The data says:'],
+    bold: isArabic ? ['🚨 رأي جريء:', '💥 رأي غير مألوف:'] : ['🚨 Hot take:', '💥 Unpopular opinion:'],
+    story: isArabic ? ['📖 قصة قصيرة:', '🧵 إليكم ما حدث:'] : ['📖 Story time:', '🧵 Here is what happened:']
   };
 
-  return prefixes[style] || [];
+  return prefixes[hook] || [];
 }
 
 // Old hashtag distribution function removed - now using dynamic hashtagGenerator.js
@@ -270,16 +556,11 @@ function getStylePrefixes(style, language) {
  * @param {string} segment - Text segment
  * @param {string} style - Writing style
  * @param {number} index - Tweet index
+ * @param {number} limit - Most emojis to suggest (see CONSTANTS.EMOJI_DENSITY)
  * @returns {Array<string>} Suggested emojis
  */
-function generateEmojis(segment, style, index) {
-  const styleEmojis = {
-    educational: ['📚', '💡', '✨', '🎯', '📖'],
-    technical: ['🔧', '⚙️', '🛠️', '💻', '🔬'],
-    concise: ['📌', '⚡', '🎯', '✅', '⭐'],
-    engaging: ['🔥', '👀', '🚀', '💫', '🎉'],
-    professional: ['📊', '💼', '📈', '🏆', '⚡']
-  };
+function generateEmojis(segment, style, index, limit = CONSTANTS.EMOJI_DENSITY.moderate) {
+  const definition = getStyle(style);
 
   // Content-based emojis
   const contentEmojis = [];
@@ -303,39 +584,22 @@ function generateEmojis(segment, style, index) {
     contentEmojis.unshift('🧵', '👇'); // Thread start indicators
   }
 
-  const allEmojis = [...(styleEmojis[style] || []), ...contentEmojis];
-  return [...new Set(allEmojis)].slice(0, 3); // Max 3 unique emojis
+  const allEmojis = [...(definition ? definition.emojis : []), ...contentEmojis];
+  return [...new Set(allEmojis)].slice(0, limit);
 }
 
 /**
  * Generate call-to-action for final tweet
  * @param {string} style - Writing style
  * @param {Object} langAnalysis - Language analysis
+ * @param {boolean} withEmoji - Keep the CTA's emoji (dropped when the user wants none)
  * @returns {string} CTA text
  */
-function generateCTA(style, langAnalysis) {
-  const isArabic = langAnalysis.dominant_language === 'arabic';
-  
-  const ctas = {
-    educational: isArabic ? 
-      ['شاركنا رأيك 👇', 'ما رأيك في هذا؟ 💭', 'هل تطبق هذا؟ 🤔'] :
-      ['Share your thoughts 👇', 'What do you think? 💭', 'Do you apply this? 🤔'],
-    technical: isArabic ?
-      ['جرب وأخبرنا 🔧', 'شارك تجربتك 💻', 'هل واجهت هذا؟ ⚙️'] :
-      ['Try it and let us know 🔧', 'Share your experience 💻', 'Have you faced this? ⚙️'],
-    concise: isArabic ?
-      ['رأيك؟ 👇', 'تجربتك؟ 💭', 'مفيد؟ ✨'] :
-      ['Your take? 👇', 'Your experience? 💭', 'Helpful? ✨'],
-    engaging: isArabic ?
-      ['شارك القصة! 🚀', 'علق برأيك! 🔥', 'وأنت؟ 👀'] :
-      ['Share the story! 🚀', 'Drop your opinion! 🔥', 'What about you? 👀'],
-    professional: isArabic ?
-      ['شاركنا خبرتك 💼', 'ما استراتيجيتك؟ 📊', 'تجربتك؟ 🎯'] :
-      ['Share your expertise 💼', 'What\'s your strategy? 📊', 'Your experience? 🎯']
-  };
-
-  const styleCTAs = ctas[style] || ctas.educational;
-  return styleCTAs[Math.floor(Math.random() * styleCTAs.length)];
+function generateCTA(style, langAnalysis, withEmoji = true) {
+  const definition = getStyle(style) || getStyle('educational');
+  const styleCTAs = localize(definition.ctas, getStyleLanguage(langAnalysis.dominant_language));
+  const cta = styleCTAs[Math.floor(Math.random() * styleCTAs.length)];
+  return withEmoji ? cta : stripEmojis(cta);
 }
 
 /**
@@ -553,6 +817,23 @@ function generateImageSuggestion(segment, style) {
   };
 }
 
+/**
+ * Suggest a screenshot for a fenced code block
+ * @param {Object} code - Code block ({language, code})
+ * @returns {Object} Image suggestion
+ */
+function generateCodeImageSuggestion(code) {
+  const language = code.language || 'code';
+  const firstLine = code.code.split('\n').find((line) => line.trim()) || '';
+
+  return {
+    type: 'screenshot',
+    content: `Code snippet (${language}): "${firstLine.trim().substring(0, 50)}"`,
+    keywords: code.language ? [code.language, 'code', 'snippet'] : ['code', 'snippet'],
+    template: 'highlight'
+  };
+}
+
 /**
  * Ensure exact tweet count by adding or removing tweets
  * @param {Array<Object>} tweets - Current tweets
@@ -635,18 +916,12 @@ function detectTone(text, style) {
  * Generate thread summary
  * @param {Array<Object>} tweets - Thread tweets
  * @param {string} style - Writing style
+ * @param {string} language - Dominant language of the thread
  * @returns {string} Thread summary
  */
-function generateThreadSummary(tweets, style) {
-  const structures = {
-    educational: 'Introduction → Key Points → Examples → Conclusion',
-    technical: 'Problem → Solution → Implementation → Results',
-    concise: 'Hook → Main Points → Summary',
-    engaging: 'Hook → Story → Insights → CTA',
-    professional: 'Analysis → Strategy → Application → Recommendations'
-  };
-
-  return structures[style] || 'Hook → Content → Conclusion';
+function generateThreadSummary(tweets, style, language = 'english') {
+  const definition = getStyle(style);
+  return definition ? localize(definition.structure, getStyleLanguage(language)) : 'Hook → Content → Conclusion';
 }
 
 /**
@@ -654,9 +929,10 @@ function generateThreadSummary(tweets, style) {
  * @param {Array<Object>} tweets - Thread tweets
  * @param {Object} langAnalysis - Language analysis
  * @param {string} style - Writing style
+ * @param {string|null} hook - Opening hook of the first tweet
  * @returns {number} Engagement score (0-10)
  */
-function calculateEngagementScore(tweets, langAnalysis, style) {
+function calculateEngagementScore(tweets, langAnalysis, style, hook = null) {
   let score = 5.0; // Base score
 
   // Thread length factor
@@ -684,14 +960,17 @@ function calculateEngagementScore(tweets, langAnalysis, style) {
   }
 
   // Style factor
-  const styleScores = {
-    engaging: 0.5,
-    educational: 0.3,
-    professional: 0.2,
-    technical: 0.1,
-    concise: 0.2
+  const definition = getStyle(style);
+  score += definition ? definition.engagementWeight : 0;
+
+  // Hook factor
+  const hookScores = {
+    question: 0.4,
+    story: 0.4,
+    bold: 0.3,
+    statistic: 0.2
   };
-  score += styleScores[style] || 0;
+  score += hookScores[hook] || 0;
 
   return Math.min(Math.max(score, 0), 10);
 }
@@ -718,10 +997,9 @@ function generatePublishingRecommendations(langAnalysis, style) {
     engagementTips.push('Consider time zones of your target audience');
   }
 
-  if (style === 'educational') {
-    engagementTips.push('Pin the thread for reference');
-    engagementTips.push('Encourage saves and bookmarks');
-  }
+  const definition = getStyle(style);
+  const styleTips = definition && localize(definition.tips, getStyleLanguage(langAnalysis.dominant_language));
+  engagementTips.push(...(styleTips || []));
 
   return {
     best_time: bestTime,
@@ -730,6 +1008,240 @@ function generatePublishingRecommendations(langAnalysis, style) {
   };
 }
 
+/**
+ * Rewrite instruction keywords understood by the local rewriter
+ */
+const REWRITE_ACTIONS = {
+  shorter: /\b(short|shorter|shorten|concise|brief|trim)\b|أقصر|اختصر|مختصر/i,
+  example: /\b(example|examples|instance|illustrate)\b|مثال|أمثلة/i,
+  formal: /\b(formal|professional|serious)\b|رسمي/i,
+  casual: /\b(casual|friendly|informal|fun)\b|ودي|غير رسمي/i
+};
+
+/**
+ * Connectors that tie a rewritten tweet back to the previous one
+ */
+const CONTINUITY_CONNECTORS = {
+  english: ['Next,', 'Also,', 'Building on that,', 'On top of that,'],
+  arabic: ['ثم،', 'أيضاً،', 'بالإضافة إلى ذلك،', 'وعلاوة على ذلك،']
+};
+
+/**
+ * Rewrite a single tweet locally while keeping its place in the thread
+ * @param {Array<Object>} thread - Thread tweets
+ * @param {number} position - Zero-based position of the tweet to rewrite
+ * @param {string} instruction - Optional instruction ("shorter", "add example", "more formal")
+ * @param {Object} params - Generation parameters (style)
+ * @returns {Object} Rewritten tweet fields (text, emoji_suggestions)
+ */
+function rewriteTweetLocally(thread, position, instruction = '', params = {}) {
+  const style = params.style || CONSTANTS.DEFAULT_STYLE;
+  const tweet = thread[position];
+  const langAnalysis = detectLanguagePercentages(tweet.text);
+  const isArabic = langAnalysis.dominant_language === 'arabic';
+  const { body, numbering, position: numberingPosition } = splitPostNumber(tweet.text);
+  const action = resolveRewriteAction(instruction);
+
+  let text = stripLeadIn(body, style);
+
+  switch (action) {
+    case 'shorter':
+      text = shortenText(text);
+      break;
+    case 'example':
+      text = addExample(text, isArabic);
+      break;
+    case 'formal':
+      text = formalizeText(text);
+      break;
+    case 'casual':
+      text = casualizeText(text, style, position);
+      break;
+    default:
+      // Without an instruction, vary the lead-in so the tweet reads differently
+      break;
+  }
+
+  // Keep continuity: the hook keeps a style prefix, later tweets get a connector
+  if (position === 0) {
+    const prefixes = getStylePrefixes(style, langAnalysis.dominant_language)
+      .filter((prefix) => !body.startsWith(prefix));
+    if (prefixes.length > 0 && action !== 'shorter') {
+      text = `${prefixes[Math.floor(Math.random() * prefixes.length)]} ${text}`;
+    }
+  } else if (action !== 'shorter') {
+    const connectors = isArabic ? CONTINUITY_CONNECTORS.arabic : CONTINUITY_CONNECTORS.english;
+    const connector = connectors[(position + Math.floor(Math.random() * connectors.length)) % connectors.length];
+    text = `${connector} ${isArabic ? text : lowercaseFirst(text)}`;
+  }
+
+  if (numbering) {
+    text = numberingPosition === 'prefix' ? `${numbering} ${text}` : `${text} ${numbering}`;
+  }
+
+  return {
+    text,
+    emoji_suggestions: generateEmojis(text, style, position)
+  };
+}
+
+/**
+ * Map a free-text instruction to a local rewrite action
+ * @param {string} instruction - Rewrite instruction
+ * @returns {string|null} Action name or null for a plain rephrase
+ */
+function resolveRewriteAction(instruction) {
+  if (!instruction) {
+    return null;
+  }
+
+  for (const [action, pattern] of Object.entries(REWRITE_ACTIONS)) {
+    if (pattern.test(instruction)) {
+      return action;
+    }
+  }
+  return null;
+}
+
+/**
+ * Remove an existing style prefix or continuity connector
+ * @param {string} text - Tweet body
+ * @param {string} style - Writing style
+ * @returns {string} Text without its lead-in
+ */
+function stripLeadIn(text, style) {
+  const leadIns = [
+    ...getStylePrefixes(style, 'english'),
+    ...getStylePrefixes(style, 'arabic'),
+    ...CONSTANTS.THREAD_HOOKS.flatMap((hook) => [
+      ...getHookPrefixes(hook, 'english'),
+      ...getHookPrefixes(hook, 'arabic')
+    ]),
+    ...CONTINUITY_CONNECTORS.english,
+    ...CONTINUITY_CONNECTORS.arabic
+  ];
+
+  for (const leadIn of leadIns) {
+    if (text.startsWith(leadIn)) {
+      const rest = text.slice(leadIn.length).trim();
+      return rest.charAt(0).toUpperCase() + rest.slice(1);
+    }
+  }
+  return text;
+}
+
+/**
+ * Shorten text by dropping filler words and trailing sentences
+ * @param {string} text - Tweet body
+ * @returns {string} Shorter text
+ */
+function shortenText(text) {
+  let shorter = text
+    .replace(/\s*\([^)]*\)/g, '')
+    .replace(/\b(really|very|just|actually|basically|literally|quite|simply|in fact,?)\s+/gi, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const sentences = shorter.split(/(?<=[.!?؟])\s+/).filter((sentence) => sentence.trim());
+  if (sentences.length > 1) {
+    shorter = sentences.slice(0, Math.ceil(sentences.length / 2)).join(' ');
+  }
+
+  const target = Math.max(60, Math.round(getCharCount(text) * 0.7));
+  return getCharCount(shorter) > target ? truncateSmart(shorter, target) : shorter;
+}
+
+/**
+ * Append a short illustrative example built from the tweet's main keyword
+ * @param {string} text - Tweet body
+ * @param {boolean} isArabic - Whether the tweet is Arabic
+ * @returns {string} Text with an example
+ */
+function addExample(text, isArabic) {
+  const keyword = text
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter((word) => word.length > 4)
+    .sort((a, b) => b.length - a.length)[0];
+
+  const base = /[.!?؟]$/.test(text) ? text : `${text}.`;
+  if (isArabic) {
+    return keyword
+      ? `${base} مثال: تخيّل تطبيق ${keyword} في عملك اليومي.`
+      : `${base} مثال عملي: جرّبها في مشروعك القادم.`;
+  }
+  return keyword
+    ? `${base} Example: picture ${keyword} in your day-to-day work.`
+    : `${base} Example: try it on your next project.`;
+}
+
+/**
+ * Make text more formal by expanding contractions and dropping slang and emojis
+ * @param {string} text - Tweet body
+ * @returns {string} Formal text
+ */
+function formalizeText(text) {
+  const replacements = [
+    [/\bcan't\b/gi, 'cannot'],
+    [/\bwon't\b/gi, 'will not'],
+    [/n't\b/gi, ' not'],
+    [/'re\b/gi, ' are'],
+    [/'ll\b/gi, ' will'],
+    [/'ve\b/gi, ' have'],
+    [/\bI'm\b/g, 'I am'],
+    [/\bgonna\b/gi, 'going to'],
+    [/\bwanna\b/gi, 'want to'],
+    [/\bkinda\b/gi, 'somewhat'],
+    [/\bawesome\b/gi, 'excellent'],
+    [/\bstuff\b/gi, 'material'],
+    [/\ba lot of\b/gi, 'many'],
+    [/\blots of\b/gi, 'many']
+  ];
+
+  let formal = replacements.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+  formal = formal
+    .replace(/[\u{1F300}-\u{1FAFF}\u{2600}-\u{27BF}]\uFE0F?/gu, '')
+    .replace(/!+/g, '.')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return formal;
+}
+
+/**
+ * Make text more casual with contractions and a style emoji
+ * @param {string} text - Tweet body
+ * @param {string} style - Writing style
+ * @param {number} position - Tweet position
+ * @returns {string} Casual text
+ */
+function casualizeText(text, style, position) {
+  const casual = text
+    .replace(/\bdo not\b/gi, "don't")
+    .replace(/\bcannot\b/gi, "can't")
+    .replace(/\bwill not\b/gi, "won't")
+    .replace(/\bit is\b/gi, "it's")
+    .replace(/\byou are\b/gi, "you're");
+
+  const emoji = generateEmojis(text, style, position)[0];
+  return emoji && !casual.includes(emoji) ? `${casual} ${emoji}` : casual;
+}
+
+/**
+ * Lowercase the first letter of Latin text
+ * @param {string} text - Text
+ * @returns {string} Text starting with a lowercase letter
+ */
+function lowercaseFirst(text) {
+  // Keep acronyms like "AI" intact
+  if (/^[A-Z]{2,}/.test(text)) {
+    return text;
+  }
+  return text.charAt(0).toLowerCase() + text.slice(1);
+}
+
 module.exports = {
-  generateFallbackThread
+  generateFallbackThread,
+  rewriteTweetLocally,
+  calculateEngagementScore
 };
\ No newline at end of file
@@ -0,0 +1,139 @@
+/**
+ * User preferences
+ * Style usage (frequency, recent styles, the preferred style they point to until the user
+ * picks one), output defaults and interface settings for one user, kept in a JSON file in the
+ * user's workspace
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CONSTANTS = require('../config/constants');
+const { createJsonWriter } = require('../utils/jsonFile');
+
+const DEFAULT_PREFERENCES = {
+  preferredStyle: 'educational',
+  preferredStyleChosen: false,
+  arabicHashtags: 'auto',
+  emojiPreference: 'moderate',
+  autoAddCTA: true,
+  defaultMaxTweets: CONSTANTS.DEFAULT_MAX_TWEETS,
+  darkMode: false,
+  personalNote: '',
+  autoSaveToLocalStorage: true,
+  recentStyles: ['educational'],
+  styleFrequency: {
+    educational: 0,
+    professional: 0,
+    engaging: 0,
+    technical: 0
+  }
+};
+
+/**
+ * Fill in preferences missing from a saved file
+ * Files written before arabicHashtags existed carry the alwaysUseArabicHashtags flag instead
+ * @param {Object} saved - Preferences as read from disk
+ * @returns {Object} Complete preferences
+ */
+function normalizePreferences(saved) {
+  const prefs = { ...JSON.parse(JSON.stringify(DEFAULT_PREFERENCES)), ...saved };
+
+  if (saved.arabicHashtags === undefined && saved.alwaysUseArabicHashtags === true) {
+    prefs.arabicHashtags = 'always';
+  }
+  delete prefs.alwaysUseArabicHashtags;
+
+  if (!Object.prototype.hasOwnProperty.call(CONSTANTS.EMOJI_DENSITY, prefs.emojiPreference)) {
+    prefs.emojiPreference = DEFAULT_PREFERENCES.emojiPreference;
+  }
+
+  return prefs;
+}
+
+/**
+ * Create a preference store backed by a JSON file
+ * @param {string} filePath - Location of the preferences file
+ * @returns {Object} Store with get, update, recordStyle and flush methods
+ */
+function createPreferenceStore(filePath) {
+  let prefs;
+
+  try {
+    prefs = normalizePreferences(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  } catch (error) {
+    // Use default preferences if file doesn't exist or is invalid
+    prefs = normalizePreferences({});
+  }
+
+  const writer = createJsonWriter();
+
+  /**
+   * Persist the preferences
+   * @returns {Promise} Resolves when written
+   */
+  function save() {
+    return writer.write(filePath, prefs);
+  }
+
+  return {
+    get() {
+      return prefs;
+    },
+
+    /**
+     * Change preferences
+     * Setting preferredStyle stops recordStyle from replacing it with the most used style
+     * @param {Object} changes - Validated preference fields (see validatePreferences)
+     * @returns {Promise<Object>} Updated preferences; rejects when the file could not be written
+     */
+    update(changes) {
+      Object.assign(prefs, changes);
+      if (changes.preferredStyle !== undefined) {
+        prefs.preferredStyleChosen = true;
+      }
+      prefs.lastUpdated = new Date().toISOString();
+      return save().then(() => prefs);
+    },
+
+    /**
+     * Count a use of a style and promote it to preferred once it is the most used,
+     * unless the user has picked a preferred style
+     * @param {string} style - The style that was used
+     * @returns {Promise<string>} Most used style; rejects when the file could not be written
+     */
+    recordStyle(style) {
+      // Update style frequency
+      if (!prefs.styleFrequency) {
+        prefs.styleFrequency = {};
+      }
+      prefs.styleFrequency[style] = (prefs.styleFrequency[style] || 0) + 1;
+
+      // Update recent styles (keep last 10)
+      if (!prefs.recentStyles) {
+        prefs.recentStyles = [];
+      }
+      prefs.recentStyles.unshift(style);
+      prefs.recentStyles = [...new Set(prefs.recentStyles)].slice(0, 10);
+
+      // Update preferred style if this one is used frequently
+      const styleFreq = prefs.styleFrequency;
+      const mostUsedStyle = Object.keys(styleFreq).reduce((a, b) => (styleFreq[a] > styleFreq[b] ? a : b), style);
+
+      if (!prefs.preferredStyleChosen && styleFreq[mostUsedStyle] >= 3) {
+        prefs.preferredStyle = mostUsedStyle;
+      }
+
+      prefs.lastUpdated = new Date().toISOString();
+      return save().then(() => mostUsedStyle);
+    },
+
+    flush() {
+      return writer.flush();
+    }
+  };
+}
+
+module.exports = {
+  createPreferenceStore,
+  DEFAULT_PREFERENCES
+};
@@ -0,0 +1,98 @@
+/**
+ * Shared provider scaffolding
+ * Wraps a backend adapter with the common generate/status/quota interface used by geminiService
+ */
+
+const { createQuotaTracker } = require('../quotaTracker');
+const CONSTANTS = require('../../config/constants');
+
+/**
+ * Build a provider from a backend adapter
+ * @param {Object} adapter - Adapter definition
+ * @param {string} adapter.name - Provider name
+ * @param {Function} adapter.isEnabled - Returns true when the provider is switched on
+ * @param {Function} adapter.isConfigured - Returns true when required settings are present
+ * @param {Function} adapter.connect - Creates the client used for requests
+ * @param {Function} adapter.request - Sends a prompt through the client and resolves to raw text
+ * @param {Object} adapter.quotaLimits - Maximum calls per quota window ({ daily, hourly })
+ * @returns {Object} Provider exposing initialize, generate, getStatus and quota methods
+ */
+function createProvider(adapter) {
+  const quota = createQuotaTracker(adapter.name, adapter.quotaLimits);
+  let client = null;
+
+  /**
+   * Initialize the underlying client
+   * @returns {Object|boolean} false when disabled, otherwise a success or error object
+   */
+  function initialize() {
+    client = null;
+
+    if (!adapter.isEnabled() || !adapter.isConfigured()) {
+      return false;
+    }
+
+    try {
+      client = adapter.connect();
+      return { success: true };
+    } catch (error) {
+      return {
+        error: `Failed to initialize ${adapter.name} provider`,
+        details: error.message,
+        code: CONSTANTS.ERROR_CODES.INTERNAL_ERROR
+      };
+    }
+  }
+
+  /**
+   * Send a prompt to the backend
+   * @param {string} prompt - Full prompt text
+   * @returns {Promise<string>} Raw model output
+   */
+  async function generate(prompt) {
+    if (!client) {
+      throw new Error(`${adapter.name} provider is not initialized`);
+    }
+    return adapter.request(client, prompt);
+  }
+
+  /**
+   * Get provider availability and quota status
+   * @returns {Object} Provider status
+   */
+  function getStatus() {
+    const isEnabled = adapter.isEnabled();
+    const isConfigured = adapter.isConfigured();
+    const isInitialized = !!client;
+    const quotaInfo = quota.getInfo();
+    const withinQuota = quota.hasRemaining();
+
+    return {
+      provider: adapter.name,
+      enabled: isEnabled,
+      configured: isConfigured,
+      initialized: isInitialized,
+      quota_used: quotaInfo.used,
+      quota_limit: quotaInfo.limit,
+      within_quota: withinQuota,
+      available: isEnabled && isConfigured && isInitialized && withinQuota
+    };
+  }
+
+  return {
+    name: adapter.name,
+    initialize,
+    generate,
+    getStatus,
+    consumeQuota: quota.consume,
+    recordGeneration: quota.recordGeneration,
+    resetQuota: quota.reset,
+    hasQuota: quota.hasRemaining,
+    getQuotaInfo: quota.getInfo,
+    getQuotaHistory: quota.getHistory
+  };
+}
+
+module.exports = {
+  createProvider
+};
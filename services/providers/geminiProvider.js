@@ -0,0 +1,41 @@
+/**
+ * Google Gemini provider adapter
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createProvider } = require('./baseProvider');
+const CONSTANTS = require('../../config/constants');
+
+module.exports = createProvider({
+  name: 'gemini',
+  quotaLimits: {
+    daily: parseInt(process.env.GEMINI_QUOTA_LIMIT, 10) || CONSTANTS.DEFAULT_GEMINI_QUOTA_LIMIT,
+    hourly: parseInt(process.env.GEMINI_QUOTA_HOURLY_LIMIT, 10) || null
+  },
+
+  isEnabled() {
+    return process.env.GEMINI_ENABLED === 'true';
+  },
+
+  isConfigured() {
+    return !!process.env.GEMINI_API_KEY;
+  },
+
+  connect() {
+    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    return genAI.getGenerativeModel({
+      model: process.env.GEMINI_MODEL || CONSTANTS.DEFAULT_GEMINI_MODEL,
+      generationConfig: {
+        temperature: parseFloat(process.env.GEMINI_TEMPERATURE) || CONSTANTS.DEFAULT_GEMINI_TEMPERATURE,
+        maxOutputTokens: parseInt(process.env.GEMINI_MAX_OUTPUT_TOKENS, 10)
+          || CONSTANTS.DEFAULT_GEMINI_MAX_OUTPUT_TOKENS,
+      }
+    });
+  },
+
+  async request(model, prompt) {
+    const result = await model.generateContent(prompt);
+    const response = await result.response;
+    return response.text();
+  }
+});
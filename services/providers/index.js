@@ -0,0 +1,56 @@
+/**
+ * LLM provider registry
+ * Resolves the backend used for a request from the request parameter or LLM_PROVIDER
+ */
+
+const geminiProvider = require('./geminiProvider');
+const openaiProvider = require('./openaiProvider');
+const ollamaProvider = require('./ollamaProvider');
+const CONSTANTS = require('../../config/constants');
+
+const PROVIDERS = {
+  gemini: geminiProvider,
+  openai: openaiProvider,
+  ollama: ollamaProvider
+};
+
+/**
+ * Resolve the provider name for a request
+ * @param {string} requested - Provider requested by the caller (optional)
+ * @returns {string} Provider name
+ */
+function resolveProviderName(requested) {
+  if (requested && PROVIDERS[requested]) {
+    return requested;
+  }
+
+  const configured = process.env.LLM_PROVIDER;
+  if (configured && PROVIDERS[configured]) {
+    return configured;
+  }
+
+  return CONSTANTS.DEFAULT_LLM_PROVIDER;
+}
+
+/**
+ * Get a provider by name, defaulting to the configured provider
+ * @param {string} name - Provider name (optional)
+ * @returns {Object} Provider
+ */
+function getProvider(name) {
+  return PROVIDERS[resolveProviderName(name)];
+}
+
+/**
+ * List all registered providers
+ * @returns {Array<Object>} Providers
+ */
+function listProviders() {
+  return Object.values(PROVIDERS);
+}
+
+module.exports = {
+  getProvider,
+  listProviders,
+  resolveProviderName
+};
@@ -0,0 +1,55 @@
+/**
+ * Local Ollama provider adapter
+ * Talks to a self-hosted model over the Ollama /api/generate endpoint
+ */
+
+const { postJson } = require('../../utils/httpClient');
+const { createProvider } = require('./baseProvider');
+const CONSTANTS = require('../../config/constants');
+
+module.exports = createProvider({
+  name: 'ollama',
+  quotaLimits: {
+    daily: parseInt(process.env.OLLAMA_QUOTA_LIMIT, 10) || CONSTANTS.DEFAULT_OLLAMA_QUOTA_LIMIT,
+    hourly: parseInt(process.env.OLLAMA_QUOTA_HOURLY_LIMIT, 10) || null
+  },
+
+  isEnabled() {
+    return process.env.OLLAMA_ENABLED === 'true';
+  },
+
+  isConfigured() {
+    // Falls back to the default local endpoint when no base URL is set
+    return true;
+  },
+
+  connect() {
+    return {
+      baseUrl: (process.env.OLLAMA_BASE_URL || CONSTANTS.DEFAULT_OLLAMA_BASE_URL).replace(/\/+$/, ''),
+      model: process.env.OLLAMA_MODEL || CONSTANTS.DEFAULT_OLLAMA_MODEL,
+      temperature: parseFloat(process.env.OLLAMA_TEMPERATURE) || CONSTANTS.DEFAULT_LLM_TEMPERATURE,
+      maxTokens: parseInt(process.env.OLLAMA_MAX_OUTPUT_TOKENS, 10) || CONSTANTS.DEFAULT_LLM_MAX_OUTPUT_TOKENS
+    };
+  },
+
+  async request(client, prompt) {
+    const response = await postJson(`${client.baseUrl}/api/generate`, {
+      model: client.model,
+      prompt,
+      stream: false,
+      format: 'json',
+      options: {
+        temperature: client.temperature,
+        num_predict: client.maxTokens
+      }
+    }, {
+      timeoutMs: CONSTANTS.LLM_REQUEST_TIMEOUT_MS
+    });
+
+    const content = response.data?.response;
+    if (typeof content !== 'string') {
+      throw new Error('Ollama response did not include generated text');
+    }
+    return content;
+  }
+});
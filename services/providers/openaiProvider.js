@@ -0,0 +1,53 @@
+/**
+ * OpenAI-compatible provider adapter
+ * Works with any server exposing the /chat/completions endpoint (OpenAI, vLLM, LM Studio, etc.)
+ */
+
+const { postJson } = require('../../utils/httpClient');
+const { createProvider } = require('./baseProvider');
+const CONSTANTS = require('../../config/constants');
+
+module.exports = createProvider({
+  name: 'openai',
+  quotaLimits: {
+    daily: parseInt(process.env.OPENAI_QUOTA_LIMIT, 10) || CONSTANTS.DEFAULT_OPENAI_QUOTA_LIMIT,
+    hourly: parseInt(process.env.OPENAI_QUOTA_HOURLY_LIMIT, 10) || null
+  },
+
+  isEnabled() {
+    return process.env.OPENAI_ENABLED === 'true';
+  },
+
+  isConfigured() {
+    // Self-hosted compatible servers usually need a base URL rather than a key
+    return !!(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL);
+  },
+
+  connect() {
+    return {
+      baseUrl: (process.env.OPENAI_BASE_URL || CONSTANTS.DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, ''),
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.OPENAI_MODEL || CONSTANTS.DEFAULT_OPENAI_MODEL,
+      temperature: parseFloat(process.env.OPENAI_TEMPERATURE) || CONSTANTS.DEFAULT_LLM_TEMPERATURE,
+      maxTokens: parseInt(process.env.OPENAI_MAX_OUTPUT_TOKENS, 10) || CONSTANTS.DEFAULT_LLM_MAX_OUTPUT_TOKENS
+    };
+  },
+
+  async request(client, prompt) {
+    const response = await postJson(`${client.baseUrl}/chat/completions`, {
+      model: client.model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: client.temperature,
+      max_tokens: client.maxTokens
+    }, {
+      headers: client.apiKey ? { Authorization: `Bearer ${client.apiKey}` } : {},
+      timeoutMs: CONSTANTS.LLM_REQUEST_TIMEOUT_MS
+    });
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('OpenAI-compatible response did not include message content');
+    }
+    return content;
+  }
+});
@@ -0,0 +1,81 @@
+/**
+ * Shared publisher scaffolding
+ * Wraps a publishing adapter with the common publish/status interface the scheduler uses
+ */
+
+/**
+ * Build a publisher from an adapter
+ * @param {Object} adapter - Adapter definition
+ * @param {string} adapter.name - Publisher name
+ * @param {string} adapter.description - One-line description for listings
+ * @param {Function} adapter.isConfigured - Returns true when required settings are present
+ * @param {Function} adapter.publish - Publishes posts ([{index, text, media, reply_to_index}]) with a
+ *   context ({jobId, historyId, platform, published}) and resolves to {posts: [{index, id, url}], location}.
+ *   Adapters that post one at a time skip posts listed in context.published and attach the posts
+ *   that did go out to a thrown error as error.published, so a retry can resume
+ * @param {Function} adapter.validate - Optional check that throws when the platform would reject a post
+ * @returns {Object} Publisher exposing publish and getStatus
+ */
+function createPublisher(adapter) {
+  /**
+   * Publish a thread
+   * @param {Array<Object>} posts - Posts in thread order
+   * @param {Object} context - {jobId, historyId, platform, published (posts already out), dryRun}
+   * @returns {Promise<Object>} {posts: [{index, id, url}], location, dry_run}
+   */
+  async function publish(posts, context) {
+    if (adapter.validate) {
+      adapter.validate(posts);
+    }
+
+    // A dry run checks the posts and reports what would go out without contacting anything
+    if (context.dryRun) {
+      return {
+        posts: posts.map((post) => ({ index: post.index, id: `dry-run-${post.index}`, url: null })),
+        location: null,
+        dry_run: true
+      };
+    }
+
+    if (!adapter.isConfigured()) {
+      throw new Error(`${adapter.name} publisher is not configured`);
+    }
+
+    const result = await adapter.publish(posts, context);
+    if (!result || !Array.isArray(result.posts) || result.posts.length !== posts.length) {
+      throw new Error(`${adapter.name} publisher did not confirm every post`);
+    }
+
+    return {
+      posts: result.posts.map((post) => ({
+        index: post.index,
+        id: String(post.id),
+        url: post.url || null
+      })),
+      location: result.location || null,
+      dry_run: false
+    };
+  }
+
+  /**
+   * Get publisher availability
+   * @returns {Object} Publisher status
+   */
+  function getStatus() {
+    return {
+      publisher: adapter.name,
+      description: adapter.description,
+      configured: adapter.isConfigured()
+    };
+  }
+
+  return {
+    name: adapter.name,
+    publish,
+    getStatus
+  };
+}
+
+module.exports = {
+  createPublisher
+};
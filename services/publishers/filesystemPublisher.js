@@ -0,0 +1,37 @@
+/**
+ * Filesystem publisher adapter
+ * "Publishes" a thread by writing it to a JSON file in the outbox directory, for local testing
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createPublisher } = require('./basePublisher');
+const CONSTANTS = require('../../config/constants');
+
+module.exports = createPublisher({
+  name: 'filesystem',
+  description: 'Writes each thread to a JSON file in the local outbox',
+
+  isConfigured() {
+    // Falls back to data/outbox when no directory is set
+    return true;
+  },
+
+  async publish(posts, context) {
+    const outboxDir = process.env.PUBLISH_OUTBOX_DIR
+      || path.join(__dirname, '..', '..', CONSTANTS.DATA_DIR, CONSTANTS.PUBLISH_OUTBOX_DIR);
+    const location = path.join(outboxDir, `${context.jobId}.json`);
+    const published = posts.map((post) => ({ ...post, id: `${context.jobId}-${post.index}` }));
+
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+    await fs.promises.writeFile(location, JSON.stringify({
+      job_id: context.jobId,
+      history_id: context.historyId,
+      platform: context.platform,
+      published_at: new Date().toISOString(),
+      posts: published
+    }, null, 2));
+
+    return { posts: published, location };
+  }
+});
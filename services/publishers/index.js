@@ -0,0 +1,56 @@
+/**
+ * Publisher registry
+ * Resolves the adapter a scheduled thread is published through from the job or PUBLISHER
+ */
+
+const filesystemPublisher = require('./filesystemPublisher');
+const webhookPublisher = require('./webhookPublisher');
+const xPublisher = require('./xPublisher');
+const CONSTANTS = require('../../config/constants');
+
+const PUBLISHERS = {
+  filesystem: filesystemPublisher,
+  webhook: webhookPublisher,
+  x: xPublisher
+};
+
+/**
+ * Resolve the publisher name for a job
+ * @param {string} requested - Publisher requested by the caller (optional)
+ * @returns {string} Publisher name
+ */
+function resolvePublisherName(requested) {
+  if (requested && PUBLISHERS[requested]) {
+    return requested;
+  }
+
+  const configured = process.env.PUBLISHER;
+  if (configured && PUBLISHERS[configured]) {
+    return configured;
+  }
+
+  return CONSTANTS.DEFAULT_PUBLISHER;
+}
+
+/**
+ * Get a publisher by name, defaulting to the configured publisher
+ * @param {string} name - Publisher name (optional)
+ * @returns {Object} Publisher
+ */
+function getPublisher(name) {
+  return PUBLISHERS[resolvePublisherName(name)];
+}
+
+/**
+ * List all registered publishers
+ * @returns {Array<Object>} Publishers
+ */
+function listPublishers() {
+  return Object.values(PUBLISHERS);
+}
+
+module.exports = {
+  getPublisher,
+  listPublishers,
+  resolvePublisherName
+};
@@ -0,0 +1,42 @@
+/**
+ * Webhook publisher adapter
+ * POSTs the thread as JSON to PUBLISH_WEBHOOK_URL (a mock server or an automation hook)
+ * and takes post ids from the response when it returns them
+ */
+
+const { postJson } = require('../../utils/httpClient');
+const { createPublisher } = require('./basePublisher');
+const CONSTANTS = require('../../config/constants');
+
+module.exports = createPublisher({
+  name: 'webhook',
+  description: 'POSTs each thread as JSON to PUBLISH_WEBHOOK_URL',
+
+  isConfigured() {
+    return Boolean(process.env.PUBLISH_WEBHOOK_URL);
+  },
+
+  async publish(posts, context) {
+    const token = process.env.PUBLISH_WEBHOOK_TOKEN;
+    const response = await postJson(process.env.PUBLISH_WEBHOOK_URL, {
+      job_id: context.jobId,
+      history_id: context.historyId,
+      platform: context.platform,
+      posts
+    }, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      timeoutMs: CONSTANTS.PUBLISH_REQUEST_TIMEOUT_MS
+    });
+
+    // A 2xx response confirms the thread; ids are synthesized when the hook returns none
+    const returned = Array.isArray(response.data?.posts) ? response.data.posts : [];
+    return {
+      posts: posts.map((post, i) => ({
+        index: post.index,
+        id: returned[i]?.id || `${context.jobId}-${post.index}`,
+        url: returned[i]?.url || null
+      })),
+      location: process.env.PUBLISH_WEBHOOK_URL
+    };
+  }
+});
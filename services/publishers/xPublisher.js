@@ -0,0 +1,166 @@
+/**
+ * X API v2 publisher adapter
+ * Posts a thread as a reply chain through POST /2/tweets, each post replying to the one before.
+ * Rate limits are waited out when short and handed back to the queue when long, and a thread
+ * that stops part way resumes from the last posted tweet instead of posting duplicates
+ */
+
+const { postJson } = require('../../utils/httpClient');
+const { getWeightedLength } = require('../../utils/charCounter');
+const { createPublisher } = require('./basePublisher');
+const CONSTANTS = require('../../config/constants');
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise} Resolves after the wait
+ */
+function delay(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+/**
+ * Get the tweets endpoint, honouring X_API_BASE_URL (e.g. a local mock server)
+ * @returns {string} Endpoint URL
+ */
+function getTweetsUrl() {
+  const baseUrl = process.env.X_API_BASE_URL || CONSTANTS.X_API_BASE_URL;
+  return `${baseUrl.replace(/\/+$/, '')}/2/tweets`;
+}
+
+/**
+ * Work out how long to wait before the rate limit resets
+ * @param {Object} headers - Response headers
+ * @returns {number} Wait in milliseconds
+ */
+function getRateLimitWait(headers = {}) {
+  const reset = Number(headers['x-rate-limit-reset']);
+  if (reset > 0) {
+    return Math.max(reset * 1000 - Date.now(), 0);
+  }
+
+  const retryAfter = Number(headers['retry-after']);
+  if (retryAfter > 0) {
+    return retryAfter * 1000;
+  }
+
+  return CONSTANTS.X_RATE_LIMIT_DEFAULT_WAIT_MS;
+}
+
+/**
+ * Create the error thrown when a rate limit is too long to wait out; the scheduler retries once it resets
+ * @param {number} waitMs - Time until the limit resets
+ * @returns {Error} Rate limit error carrying retryAfterMs
+ */
+function createRateLimitError(waitMs) {
+  const error = new Error(`X API rate limit reached, resets in ${Math.ceil(waitMs / 1000)}s`);
+  error.status = 429;
+  error.retryAfterMs = waitMs;
+  return error;
+}
+
+/**
+ * Post one tweet, waiting out a short rate limit once
+ * @param {Object} body - Tweet body
+ * @param {string} token - OAuth 2.0 user access token
+ * @returns {Promise<Object>} Response with headers and data
+ */
+async function postTweet(body, token) {
+  const options = {
+    headers: { Authorization: `Bearer ${token}` },
+    timeoutMs: CONSTANTS.PUBLISH_REQUEST_TIMEOUT_MS
+  };
+
+  try {
+    return await postJson(getTweetsUrl(), body, options);
+  } catch (error) {
+    if (error.status !== 429) {
+      const detail = error.body && (error.body.detail || error.body.title);
+      if (detail) {
+        error.message = `${error.message}: ${detail}`;
+      }
+      throw error;
+    }
+
+    const waitMs = getRateLimitWait(error.headers);
+    if (waitMs > CONSTANTS.X_RATE_LIMIT_MAX_WAIT_MS) {
+      throw createRateLimitError(waitMs);
+    }
+
+    await delay(waitMs);
+    return postJson(getTweetsUrl(), body, options);
+  }
+}
+
+module.exports = createPublisher({
+  name: 'x',
+  description: 'Posts each thread as a reply chain through the X API v2 (X_ACCESS_TOKEN)',
+
+  isConfigured() {
+    return Boolean(process.env.X_ACCESS_TOKEN);
+  },
+
+  validate(posts) {
+    const tooLong = posts.filter((post) => getWeightedLength(post.text) > CONSTANTS.TWEET_CHAR_LIMIT);
+    if (tooLong.length > 0) {
+      const indexes = tooLong.map((post) => post.index).join(', ');
+      const error = new Error(`Posts over ${CONSTANTS.TWEET_CHAR_LIMIT} characters: ${indexes}`);
+      error.status = CONSTANTS.ERROR_CODES.VALIDATION_ERROR;
+      throw error;
+    }
+  },
+
+  async publish(posts, context) {
+    const token = process.env.X_ACCESS_TOKEN;
+    const published = [...(context.published || [])];
+
+    for (const post of posts) {
+      if (published.some((done) => done.index === post.index)) {
+        continue;
+      }
+
+      // Resuming after a partial failure replies to the last tweet that made it out
+      const previous = published[published.length - 1];
+      const body = { text: post.text };
+      if (previous) {
+        body.reply = { in_reply_to_tweet_id: previous.id };
+      }
+
+      let response;
+      try {
+        response = await postTweet(body, token);
+      } catch (error) {
+        error.published = published;
+        throw error;
+      }
+
+      const id = response.data && response.data.data && response.data.data.id;
+      if (!id) {
+        const error = new Error('X API response did not include a tweet id');
+        error.published = published;
+        throw error;
+      }
+      published.push({ index: post.index, id, url: `https://x.com/i/web/status/${id}` });
+
+      // Stop before the next post rather than run into a long rate limit mid-thread
+      const remaining = response.headers['x-rate-limit-remaining'];
+      const postsLeft = posts.length > published.length;
+      if (postsLeft && remaining !== undefined && Number(remaining) === 0) {
+        const waitMs = getRateLimitWait(response.headers);
+        if (waitMs > CONSTANTS.X_RATE_LIMIT_MAX_WAIT_MS) {
+          const error = createRateLimitError(waitMs);
+          error.published = published;
+          throw error;
+        }
+        await delay(waitMs);
+      }
+    }
+
+    return {
+      posts: published,
+      location: getTweetsUrl()
+    };
+  }
+});
@@ -0,0 +1,266 @@
+/**
+ * Persistent, time-windowed quota accounting
+ * Tracks LLM calls per provider in hourly and daily windows that roll over automatically
+ * and survive restarts by persisting state to disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CONSTANTS = require('../config/constants');
+const { createJsonWriter } = require('../utils/jsonFile');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+let defaultStore = null;
+
+/**
+ * Get the start timestamp of the window containing a point in time
+ * @param {string} windowName - 'hourly' or 'daily'
+ * @param {number} now - Timestamp in milliseconds
+ * @returns {number} Window start timestamp
+ */
+function getWindowStart(windowName, now) {
+  if (windowName === 'hourly') {
+    return Math.floor(now / HOUR_MS) * HOUR_MS;
+  }
+
+  // Daily windows start at QUOTA_DAILY_RESET_HOUR_UTC, midnight UTC by default. Gemini resets at
+  // midnight Pacific, which is 8 (7 during daylight saving time)
+  const resetHour = parseInt(process.env.QUOTA_DAILY_RESET_HOUR_UTC, 10) || 0;
+  const offset = resetHour * HOUR_MS;
+  return Math.floor((now - offset) / DAY_MS) * DAY_MS + offset;
+}
+
+/**
+ * Create an empty counter set for the window containing a point in time
+ * @param {string} windowName - 'hourly' or 'daily'
+ * @param {number} now - Timestamp in milliseconds
+ * @returns {Object} Window counters
+ */
+function createEmptyWindow(windowName, now) {
+  const start = getWindowStart(windowName, now);
+  const length = windowName === 'hourly' ? HOUR_MS : DAY_MS;
+
+  return {
+    start: new Date(start).toISOString(),
+    end: new Date(start + length).toISOString(),
+    requests: 0,
+    retries: 0,
+    successes: 0,
+    failures: 0
+  };
+}
+
+/**
+ * Create a JSON file backed quota store shared by all providers
+ * @param {string} filePath - Location of the state file
+ * @returns {Object} Store with get, save and flush methods
+ */
+function createQuotaStore(filePath) {
+  let state = { providers: {} };
+
+  try {
+    state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!state.providers) {
+      state.providers = {};
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn('Could not read quota state, starting fresh:', error.message);
+    }
+  }
+
+  const writer = createJsonWriter();
+
+  return {
+    get(name) {
+      if (!state.providers[name]) {
+        state.providers[name] = { windows: {}, history: {} };
+      }
+      return state.providers[name];
+    },
+
+    /**
+     * Persist the counters
+     * Counting never waits for the file; a failed write is logged and reported by flush()
+     * @returns {Promise} Resolves once the write has finished
+     */
+    save() {
+      return writer.write(filePath, state).catch((error) => {
+        console.warn('Could not persist quota state:', error.message);
+      });
+    },
+
+    flush() {
+      return writer.flush();
+    }
+  };
+}
+
+/**
+ * Get the process-wide quota store
+ * @returns {Object} Quota store
+ */
+function getDefaultStore() {
+  if (!defaultStore) {
+    const filePath = process.env.QUOTA_STATE_FILE
+      || path.join(__dirname, '..', CONSTANTS.DATA_DIR, CONSTANTS.QUOTA_STATE_FILE);
+    defaultStore = createQuotaStore(filePath);
+  }
+  return defaultStore;
+}
+
+/**
+ * Create a quota tracker for one provider
+ * @param {string} name - Provider name
+ * @param {Object} limits - Call limits per window ({ daily, hourly }); null means unlimited
+ * @param {Object} options - Optional store and clock overrides
+ * @returns {Object} Quota tracker
+ */
+function createQuotaTracker(name, limits = {}, options = {}) {
+  const store = options.store || getDefaultStore();
+  const now = options.now || Date.now;
+
+  /**
+   * Archive finished windows into history and open new ones
+   * @returns {Object} Provider quota state
+   */
+  function rollover() {
+    const state = store.get(name);
+    const timestamp = now();
+    let changed = false;
+
+    for (const windowName of CONSTANTS.QUOTA_WINDOWS) {
+      const current = state.windows[windowName];
+      if (current && Date.parse(current.start) === getWindowStart(windowName, timestamp)) {
+        continue;
+      }
+
+      if (current) {
+        const history = state.history[windowName] || [];
+        state.history[windowName] = [current, ...history].slice(0, CONSTANTS.QUOTA_HISTORY_LENGTH[windowName]);
+      }
+      state.windows[windowName] = createEmptyWindow(windowName, timestamp);
+      changed = true;
+    }
+
+    if (changed) {
+      store.save();
+    }
+    return state;
+  }
+
+  /**
+   * Increment counters in every active window
+   * @param {Array<string>} fields - Counter names to increment
+   */
+  function increment(fields) {
+    const state = rollover();
+    for (const windowName of CONSTANTS.QUOTA_WINDOWS) {
+      fields.forEach((field) => {
+        state.windows[windowName][field] += 1;
+      });
+    }
+    store.save();
+  }
+
+  /**
+   * Describe one window with its limit and remaining calls
+   * @param {Object} state - Provider quota state
+   * @param {string} windowName - Window name
+   * @returns {Object} Window summary
+   */
+  function describeWindow(state, windowName) {
+    const window = state.windows[windowName];
+    const limit = limits[windowName] || null;
+
+    return {
+      ...window,
+      limit,
+      remaining: limit === null ? null : Math.max(limit - window.requests, 0)
+    };
+  }
+
+  return {
+    /**
+     * Record an outgoing API call; every call counts against the limits
+     * @param {Object} options - { retry: true } when the call retries a failed attempt
+     */
+    consume({ retry = false } = {}) {
+      increment(retry ? ['requests', 'retries'] : ['requests']);
+    },
+
+    /**
+     * Give back calls that were counted but never made, such as ones reserved for rejected work
+     * @param {number} count - Calls to give back
+     */
+    release(count = 1) {
+      const state = rollover();
+      CONSTANTS.QUOTA_WINDOWS.forEach((windowName) => {
+        const window = state.windows[windowName];
+        window.requests = Math.max(window.requests - count, 0);
+      });
+      store.save();
+    },
+
+    /**
+     * Record the outcome of a generation (one per request, not per attempt)
+     * @param {boolean} success - Whether the provider produced a usable thread
+     */
+    recordGeneration(success) {
+      increment([success ? 'successes' : 'failures']);
+    },
+
+    reset() {
+      const state = store.get(name);
+      const timestamp = now();
+      CONSTANTS.QUOTA_WINDOWS.forEach((windowName) => {
+        state.windows[windowName] = createEmptyWindow(windowName, timestamp);
+      });
+      store.save();
+    },
+
+    hasRemaining() {
+      const state = rollover();
+      return CONSTANTS.QUOTA_WINDOWS.every((windowName) => {
+        const limit = limits[windowName];
+        return !limit || state.windows[windowName].requests < limit;
+      });
+    },
+
+    getInfo() {
+      const state = rollover();
+      const windows = {};
+      CONSTANTS.QUOTA_WINDOWS.forEach((windowName) => {
+        windows[windowName] = describeWindow(state, windowName);
+      });
+
+      const limited = Object.values(windows).filter((w) => w.limit !== null);
+      const daily = windows.daily;
+
+      return {
+        used: daily.requests,
+        limit: daily.limit,
+        remaining: limited.length > 0 ? Math.min(...limited.map((w) => w.remaining)) : null,
+        percentage: daily.limit ? (daily.requests / daily.limit) * 100 : 0,
+        windows
+      };
+    },
+
+    getHistory() {
+      const state = rollover();
+      const history = {};
+      CONSTANTS.QUOTA_WINDOWS.forEach((windowName) => {
+        history[windowName] = state.history[windowName] || [];
+      });
+      return history;
+    }
+  };
+}
+
+module.exports = {
+  createQuotaTracker,
+  createQuotaStore,
+  getWindowStart
+};
@@ -0,0 +1,426 @@
+/**
+ * Publishing schedule
+ * A queue of saved threads with publish times and time zones, persisted to disk so it
+ * survives restarts, and a worker that publishes each thread through a publisher
+ * adapter when its time comes
+ */
+
+const fs = require('fs');
+const CONSTANTS = require('../config/constants');
+const { getPublisher, resolvePublisherName } = require('./publishers');
+const { composeTweetText } = require('../utils/charCounter');
+const { formatInTimeZone } = require('../utils/timezone');
+const { createJsonWriter } = require('../utils/jsonFile');
+
+// Jobs in these states can still be rescheduled or cancelled
+const OPEN_STATUSES = ['pending', 'failed'];
+
+/**
+ * Create a scheduling error carrying an HTTP status
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} Error with status
+ */
+function createScheduleError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Turn a history entry into the posts a publisher receives, each reply chained to the previous post
+ * @param {Object} entry - History entry
+ * @returns {Array<Object>} Posts as {index, text (as posted), media, reply_to_index}
+ */
+function buildPublishPosts(entry) {
+  const tweets = (entry.thread && entry.thread.thread) || [];
+
+  return tweets.map((tweet, i) => {
+    const imageIdea = tweet.image_suggestion && tweet.image_suggestion.content;
+    return {
+      index: i + 1,
+      text: composeTweetText(tweet.text, tweet.hashtags, tweet.cta),
+      media: imageIdea ? [{ type: 'image', description: imageIdea }] : [],
+      reply_to_index: i > 0 ? i : null
+    };
+  });
+}
+
+/**
+ * Create a scheduler backed by a JSON state file
+ * @param {Object} options - Scheduler options
+ * @param {string} options.filePath - Location of the state file
+ * @param {Function} options.loadEntry - Resolves a history id to its entry (null when missing);
+ *   also receives the job, whose user_id says whose history to look in
+ * @param {Function} options.now - Clock override (defaults to Date.now)
+ * @param {Object} options.logger - Logger with info and warn methods (defaults to console)
+ * @param {Function} options.onPublished - Optional hook called with each published job (not dry runs),
+ *   e.g. to store the posted ids on the history entry
+ * @returns {Object} Scheduler
+ */
+function createScheduler(options) {
+  const { filePath, loadEntry, onPublished } = options;
+  const now = options.now || Date.now;
+  const logger = options.logger || console;
+  let state = { jobs: [] };
+
+  try {
+    state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(state.jobs)) {
+      state.jobs = [];
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Could not read schedule state, starting fresh', { error: error.message });
+    }
+  }
+
+  // A restart interrupted these mid-publish; they go back in the queue
+  state.jobs = state.jobs.map((job) => (job.status === 'publishing' ? { ...job, status: 'pending' } : job));
+
+  const writer = createJsonWriter();
+  let timer = null;
+  let started = false;
+  let running = null;
+
+  /**
+   * Persist the queue
+   * The worker carries on from memory when a write fails; the failure is logged and reported by flush()
+   * @returns {Promise} Resolves once the write has finished
+   */
+  function save() {
+    return writer.write(filePath, state).catch((error) => {
+      logger.warn('Could not persist schedule state', { error: error.message });
+    });
+  }
+
+  /**
+   * Find a job or throw a 404 error
+   * @param {string} id - Job id
+   * @returns {Object} Job
+   */
+  function findJob(id) {
+    const job = state.jobs.find((candidate) => candidate.id === id);
+    if (!job) {
+      throw createScheduleError('Scheduled job not found', CONSTANTS.ERROR_CODES.NOT_FOUND);
+    }
+    return job;
+  }
+
+  /**
+   * Throw a 409 error unless the job can still change
+   * @param {Object} job - Job
+   * @param {string} action - Attempted action, for the message
+   */
+  function assertOpen(job, action) {
+    if (!OPEN_STATUSES.includes(job.status)) {
+      throw createScheduleError(`Cannot ${action} a ${job.status} job`, CONSTANTS.ERROR_CODES.CONFLICT);
+    }
+  }
+
+  /**
+   * Put an updated copy of a job in place of the stored one
+   * @param {Object} updated - Job with the id of a stored job
+   * @returns {Object} The updated job
+   */
+  function replaceJob(updated) {
+    state.jobs = state.jobs.map((job) => (job.id === updated.id ? updated : job));
+    return updated;
+  }
+
+  /**
+   * Describe when a job publishes
+   * @param {number} publishAt - Publish timestamp in milliseconds
+   * @param {string} timeZone - IANA time zone the author scheduled in
+   * @returns {Object} {publish_at, timezone, local_time} job fields
+   */
+  function getPublishTimeFields(publishAt, timeZone) {
+    return {
+      publish_at: new Date(publishAt).toISOString(),
+      timezone: timeZone,
+      local_time: formatInTimeZone(publishAt, timeZone)
+    };
+  }
+
+  /**
+   * Get the time a pending job should next be attempted
+   * @param {Object} job - Job
+   * @returns {number} Timestamp in milliseconds
+   */
+  function getDueTime(job) {
+    return Date.parse(job.next_attempt_at || job.publish_at);
+  }
+
+  /**
+   * Find the pending job that is most overdue
+   * @returns {Object|undefined} Job, or undefined when nothing is due
+   */
+  function findNextDue() {
+    return state.jobs
+      .filter((job) => job.status === 'pending' && getDueTime(job) <= now())
+      .sort((a, b) => getDueTime(a) - getDueTime(b))[0];
+  }
+
+  /**
+   * Work out when a failed publish should be retried
+   * @param {Object} job - Job after the failed attempt
+   * @param {Error} error - Publish error
+   * @returns {number|null} Retry timestamp in milliseconds, or null when the job has failed for good
+   */
+  function getRetryTime(job, error) {
+    // Rate limits always clear, so the job waits for the reset however many attempts it has used
+    if (typeof error.retryAfterMs === 'number') {
+      return now() + error.retryAfterMs;
+    }
+
+    // Client errors (a deleted thread, a rejected post) fail the same way every time
+    const transient = !error.status || error.status >= 500 || error.status === 429;
+    if (!transient || job.attempts >= CONSTANTS.MAX_PUBLISH_ATTEMPTS) {
+      return null;
+    }
+    return now() + CONSTANTS.PUBLISH_RETRY_DELAY_MS * 2 ** (job.attempts - 1);
+  }
+
+  /**
+   * Publish one job; failures are retried with a doubling delay until attempts run out.
+   * Posts that went out before a failure are kept in job.progress so the retry resumes after them
+   * @param {Object} job - Due job
+   */
+  async function publishJob(due) {
+    let job = replaceJob({
+      ...due,
+      status: 'publishing',
+      attempts: due.attempts + 1,
+      updated_at: new Date(now()).toISOString()
+    });
+    await save();
+
+    try {
+      const entry = await loadEntry(job.history_id, job);
+      if (!entry) {
+        throw createScheduleError('Thread not found in history', CONSTANTS.ERROR_CODES.NOT_FOUND);
+      }
+
+      const result = await getPublisher(job.publisher).publish(buildPublishPosts(entry), {
+        jobId: job.id,
+        historyId: job.history_id,
+        platform: (entry.thread && entry.thread.metadata && entry.thread.metadata.platform) || 'x',
+        published: job.progress || [],
+        dryRun: job.dry_run === true
+      });
+
+      job = replaceJob({
+        ...job,
+        status: 'published',
+        published_at: new Date(now()).toISOString(),
+        next_attempt_at: null,
+        progress: null,
+        result,
+        error: null
+      });
+      logger.info('Scheduled thread published', {
+        jobId: job.id,
+        historyId: job.history_id,
+        publisher: job.publisher,
+        dryRun: result.dry_run
+      });
+
+      if (onPublished && !result.dry_run) {
+        try {
+          await onPublished({ ...job });
+        } catch (hookError) {
+          logger.warn('Could not record published posts', { jobId: job.id, error: hookError.message });
+        }
+      }
+    } catch (error) {
+      const progress = Array.isArray(error.published) && error.published.length > 0 ? error.published : job.progress;
+      const retryAt = getRetryTime(job, error);
+      job = replaceJob({
+        ...job,
+        progress,
+        error: error.message,
+        status: retryAt ? 'pending' : 'failed',
+        next_attempt_at: retryAt ? new Date(retryAt).toISOString() : null
+      });
+      logger.warn('Scheduled thread failed to publish', {
+        jobId: job.id,
+        attempts: job.attempts,
+        retry: Boolean(retryAt),
+        posted: (job.progress || []).length,
+        error: error.message
+      });
+    }
+
+    replaceJob({ ...job, updated_at: new Date(now()).toISOString() });
+    await save();
+  }
+
+  /**
+   * Publish every job that is due, one at a time and earliest first
+   * @returns {Promise} Resolves when the due jobs have been processed
+   */
+  function runDue() {
+    if (!running) {
+      running = (async () => {
+        let next = findNextDue();
+        while (next) {
+          // eslint-disable-next-line no-await-in-loop -- jobs publish one at a time, earliest first
+          await publishJob(next);
+          next = findNextDue();
+        }
+      })().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  /**
+   * Set the worker's timer for the next due job
+   */
+  function arm() {
+    clearTimeout(timer);
+    timer = null;
+
+    const dueTimes = state.jobs.filter((job) => job.status === 'pending').map(getDueTime);
+    if (!started || dueTimes.length === 0) {
+      return;
+    }
+
+    // Long sleeps are capped so clock changes are picked up
+    const delay = Math.min(Math.max(Math.min(...dueTimes) - now(), 0), CONSTANTS.SCHEDULER_MAX_SLEEP_MS);
+    timer = setTimeout(() => {
+      runDue().then(arm);
+    }, delay);
+    if (timer.unref) {
+      timer.unref();
+    }
+  }
+
+  /**
+   * Queue a saved thread for publishing
+   * @param {Object} params - {historyId, publishAt (timestamp), timezone, publisher, dryRun, userId}
+   * @returns {Object} Job
+   */
+  function schedule(params) {
+    const timestamp = now();
+    const job = {
+      id: `job-${timestamp.toString(36)}${Math.random().toString(36).substr(2, 6)}`,
+      history_id: params.historyId,
+      user_id: params.userId || null,
+      publisher: resolvePublisherName(params.publisher),
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: null,
+      created_at: new Date(timestamp).toISOString(),
+      updated_at: new Date(timestamp).toISOString(),
+      published_at: null,
+      dry_run: params.dryRun === true,
+      progress: null,
+      result: null,
+      error: null,
+      ...getPublishTimeFields(params.publishAt, params.timezone || CONSTANTS.DEFAULT_TIMEZONE)
+    };
+
+    state.jobs.push(job);
+    save();
+    arm();
+    return { ...job };
+  }
+
+  /**
+   * List jobs by publish time
+   * @param {Object} filters - {status, historyId}
+   * @returns {Array<Object>} Jobs
+   */
+  function list(filters = {}) {
+    return state.jobs
+      .filter((job) => !filters.status || job.status === filters.status)
+      .filter((job) => !filters.historyId || job.history_id === filters.historyId)
+      .sort((a, b) => Date.parse(a.publish_at) - Date.parse(b.publish_at))
+      .map((job) => ({ ...job }));
+  }
+
+  /**
+   * Get one job
+   * @param {string} id - Job id
+   * @returns {Object} Job
+   */
+  function get(id) {
+    return { ...findJob(id) };
+  }
+
+  /**
+   * Move a pending or failed job to a new time; a failed job is queued again
+   * @param {string} id - Job id
+   * @param {Object} params - {publishAt (timestamp), timezone (defaults to the job's)}
+   * @returns {Object} Updated job
+   */
+  function reschedule(id, params) {
+    const current = findJob(id);
+    assertOpen(current, 'reschedule');
+
+    const job = replaceJob({
+      ...current,
+      ...getPublishTimeFields(params.publishAt, params.timezone || current.timezone),
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: null,
+      error: null,
+      updated_at: new Date(now()).toISOString()
+    });
+
+    save();
+    arm();
+    return { ...job };
+  }
+
+  /**
+   * Cancel a pending or failed job
+   * @param {string} id - Job id
+   * @returns {Object} Cancelled job
+   */
+  function cancel(id) {
+    const current = findJob(id);
+    assertOpen(current, 'cancel');
+
+    const job = replaceJob({
+      ...current,
+      status: 'cancelled',
+      updated_at: new Date(now()).toISOString()
+    });
+
+    save();
+    arm();
+    return { ...job };
+  }
+
+  return {
+    schedule,
+    list,
+    get,
+    reschedule,
+    cancel,
+    runDue,
+
+    start() {
+      started = true;
+      arm();
+    },
+
+    stop() {
+      started = false;
+      arm();
+    },
+
+    async flush() {
+      await running;
+      return writer.flush();
+    }
+  };
+}
+
+module.exports = {
+  createScheduler,
+  buildPublishPosts
+};
@@ -0,0 +1,384 @@
+/**
+ * Thread editing and version history
+ * Edits, reorders, splits and merges tweets of a saved thread, records each
+ * save as a version on the history entry and diffs versions tweet by tweet
+ */
+
+const { getCharCount, validateTweetLength } = require('../utils/charCounter');
+const { splitSentences } = require('../utils/tokenizer');
+const { getPlatformProfile, formatPostNumber, splitPostNumber } = require('../config/platforms');
+const CONSTANTS = require('../config/constants');
+
+/**
+ * Create an error for an edit that cannot be applied
+ * @param {string} message - Error message
+ * @returns {Error} Error carrying a 400 status
+ */
+function createEditError(message) {
+  const error = new Error(message);
+  error.status = CONSTANTS.ERROR_CODES.VALIDATION_ERROR;
+  return error;
+}
+
+/**
+ * Check a 1-based tweet position against the thread
+ * @param {Array<Object>} tweets - Thread tweets
+ * @param {number} position - 1-based tweet position
+ * @param {number} lastAllowed - Highest allowed position (defaults to the last tweet)
+ */
+function assertPosition(tweets, position, lastAllowed = tweets.length) {
+  if (!Number.isInteger(position) || position < 1 || position > lastAllowed) {
+    throw createEditError(`Tweet index must be between 1 and ${lastAllowed}`);
+  }
+}
+
+/**
+ * Reindex, renumber and recount a thread after an edit
+ * @param {Array<Object>} tweets - Edited tweets (text may or may not carry numbering)
+ * @param {Object} profile - Platform profile
+ * @returns {Array<Object>} Normalized tweets
+ */
+function renumberThread(tweets, profile) {
+  return tweets.map((tweet, i) => {
+    const text = formatPostNumber(splitPostNumber(tweet.text).body, profile, i, tweets.length);
+    const hashtags = tweet.hashtags || [];
+    const validation = validateTweetLength(text, hashtags, tweet.cta, profile.id);
+    const warnings = (tweet.warnings || []).filter((warning) => !/character limit/.test(warning));
+
+    // Edited text is never truncated behind the author's back; flag it instead
+    if (!validation.isValid) {
+      warnings.push(`Tweet exceeds the ${profile.charLimit} character limit`);
+    }
+
+    return {
+      ...tweet,
+      index: i + 1,
+      text,
+      char_count: getCharCount(text, hashtags, tweet.cta, profile.id),
+      warnings
+    };
+  });
+}
+
+/**
+ * Replace the text of one tweet
+ * @param {Array<Object>} tweets - Thread tweets
+ * @param {number} position - 1-based tweet position
+ * @param {string} text - New tweet text (numbering is reapplied)
+ * @returns {Array<Object>} Edited tweets
+ */
+function editTweet(tweets, position, text) {
+  assertPosition(tweets, position);
+  if (!text || !splitPostNumber(text).body) {
+    throw createEditError('Tweet text is required');
+  }
+
+  return tweets.map((tweet, i) => (i === position - 1 ? { ...tweet, text } : tweet));
+}
+
+/**
+ * Reorder tweets
+ * @param {Array<Object>} tweets - Thread tweets
+ * @param {Array<number>} order - Every 1-based position exactly once, in the new order
+ * @returns {Array<Object>} Reordered tweets
+ */
+function reorderTweets(tweets, order) {
+  const isPermutation = Array.isArray(order)
+    && order.length === tweets.length
+    && new Set(order).size === tweets.length
+    && order.every((position) => Number.isInteger(position) && position >= 1 && position <= tweets.length);
+
+  if (!isPermutation) {
+    throw createEditError(`order must list every tweet index from 1 to ${tweets.length} exactly once`);
+  }
+
+  // The call to action belongs at the end of the thread, wherever its tweet moves
+  const cta = tweets[tweets.length - 1].cta || null;
+  const reordered = order.map((position) => ({ ...tweets[position - 1], cta: null }));
+  reordered[reordered.length - 1].cta = cta;
+  return reordered;
+}
+
+/**
+ * Find where to split a tweet body: the sentence boundary closest to the
+ * middle, otherwise the word boundary closest to the middle
+ * @param {string} body - Tweet body without numbering
+ * @returns {number} Character offset
+ */
+function findSplitPoint(body) {
+  const middle = body.length / 2;
+  const boundaries = [];
+
+  let offset = 0;
+  splitSentences(body).slice(0, -1).forEach((sentence) => {
+    offset = body.indexOf(sentence, offset) + sentence.length;
+    boundaries.push(offset);
+  });
+
+  if (boundaries.length === 0) {
+    for (let i = body.indexOf(' '); i > 0; i = body.indexOf(' ', i + 1)) {
+      boundaries.push(i);
+    }
+  }
+
+  return boundaries.reduce((best, point) => (Math.abs(point - middle) < Math.abs(best - middle) ? point : best), -1);
+}
+
+/**
+ * Split one tweet into two consecutive tweets
+ * @param {Array<Object>} tweets - Thread tweets
+ * @param {number} position - 1-based tweet position
+ * @param {number|undefined} at - Character offset in the tweet body (without numbering) to split at
+ * @param {Object} profile - Platform profile (thread length limit)
+ * @returns {Array<Object>} Tweets with the split applied
+ */
+function splitTweet(tweets, position, at, profile) {
+  assertPosition(tweets, position);
+  if (tweets.length >= profile.maxPosts) {
+    throw createEditError(`${profile.name} threads are limited to ${profile.maxPosts} posts`);
+  }
+
+  const tweet = tweets[position - 1];
+  const { body } = splitPostNumber(tweet.text);
+  const splitAt = at === undefined ? findSplitPoint(body) : at;
+
+  if (!Number.isInteger(splitAt) || splitAt <= 0 || splitAt >= body.length
+    || !body.slice(0, splitAt).trim() || !body.slice(splitAt).trim()) {
+    throw createEditError('Tweet cannot be split at that point');
+  }
+
+  const isLast = position === tweets.length;
+  const first = { ...tweet, text: body.slice(0, splitAt).trim(), cta: isLast ? null : tweet.cta };
+  const second = {
+    ...tweet,
+    text: body.slice(splitAt).trim(),
+    hashtags: [],
+    emoji_suggestions: [],
+    image_suggestion: null,
+    cta: isLast ? tweet.cta : null
+  };
+
+  return [...tweets.slice(0, position - 1), first, second, ...tweets.slice(position)];
+}
+
+/**
+ * Merge a tweet with the one after it
+ * @param {Array<Object>} tweets - Thread tweets
+ * @param {number} position - 1-based position of the first tweet to merge
+ * @returns {Array<Object>} Tweets with the merge applied
+ */
+function mergeTweets(tweets, position) {
+  if (tweets.length < 2) {
+    throw createEditError('A single-tweet thread has nothing to merge');
+  }
+  assertPosition(tweets, position, tweets.length - 1);
+
+  const first = tweets[position - 1];
+  const second = tweets[position];
+  const merged = {
+    ...first,
+    text: `${splitPostNumber(first.text).body} ${splitPostNumber(second.text).body}`,
+    hashtags: [...new Set([...(first.hashtags || []), ...(second.hashtags || [])])],
+    emoji_suggestions: [...new Set([...(first.emoji_suggestions || []), ...(second.emoji_suggestions || [])])],
+    image_suggestion: first.image_suggestion || second.image_suggestion || null,
+    cta: second.cta || first.cta || null
+  };
+
+  return [...tweets.slice(0, position - 1), merged, ...tweets.slice(position + 1)];
+}
+
+/**
+ * Apply an edit operation to a thread
+ * @param {Array<Object>} tweets - Current tweets
+ * @param {Object} operation - {type: 'edit'|'reorder'|'split'|'merge', index, text, order, at}
+ * @param {string} platform - Platform id the thread was written for
+ * @returns {Object} {tweets, summary} with the renumbered tweets and a change summary
+ */
+function applyThreadEdit(tweets, operation, platform) {
+  const profile = getPlatformProfile(platform);
+  let edited;
+  let summary;
+
+  switch (operation.type) {
+    case 'edit':
+      edited = editTweet(tweets, operation.index, operation.text);
+      summary = `Edited tweet ${operation.index}`;
+      break;
+    case 'reorder':
+      edited = reorderTweets(tweets, operation.order);
+      summary = `Reordered tweets (${operation.order.join(', ')})`;
+      break;
+    case 'split':
+      edited = splitTweet(tweets, operation.index, operation.at, profile);
+      summary = `Split tweet ${operation.index} into ${operation.index} and ${operation.index + 1}`;
+      break;
+    case 'merge':
+      edited = mergeTweets(tweets, operation.index);
+      summary = `Merged tweets ${operation.index} and ${operation.index + 1}`;
+      break;
+    default:
+      throw createEditError(`Unknown edit operation: ${operation.type}`);
+  }
+
+  return { tweets: renumberThread(edited, profile), summary };
+}
+
+/**
+ * Get the version list of a history entry; entries that were never edited
+ * have a single implicit version holding the generated thread
+ * @param {Object} entry - History entry
+ * @returns {Array<Object>} Versions ({version, timestamp, author, summary, thread})
+ */
+function getVersions(entry) {
+  if (Array.isArray(entry.versions) && entry.versions.length > 0) {
+    return entry.versions;
+  }
+
+  return [{
+    version: 1,
+    timestamp: entry.timestamp,
+    author: 'generator',
+    summary: 'Generated thread',
+    thread: (entry.thread && entry.thread.thread) || []
+  }];
+}
+
+/**
+ * Record a new version on a history entry and make it current
+ * @param {Object} entry - History entry
+ * @param {Array<Object>} tweets - Tweets of the new version
+ * @param {Object} details - {author, summary, restoredFrom}
+ * @returns {Object} Updated history entry
+ */
+function recordVersion(entry, tweets, details) {
+  const versions = getVersions(entry);
+  const version = {
+    version: versions[versions.length - 1].version + 1,
+    timestamp: new Date().toISOString(),
+    author: details.author,
+    summary: details.summary,
+    ...(details.restoredFrom && { restored_from: details.restoredFrom }),
+    thread: tweets
+  };
+
+  return {
+    ...entry,
+    thread: {
+      ...entry.thread,
+      metadata: { ...entry.thread.metadata, tweets_generated: tweets.length },
+      thread: tweets
+    },
+    versions: [...versions, version],
+    current_version: version.version,
+    updated_at: version.timestamp
+  };
+}
+
+/**
+ * Diff two tweet texts word by word (longest common subsequence)
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<Object>} Runs of {op: 'equal'|'delete'|'insert', text}
+ */
+function diffWords(before, after) {
+  const a = before.split(/\s+/).filter(Boolean);
+  const b = after.split(/\s+/).filter(Boolean);
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const runs = [];
+  const push = (op, word) => {
+    const last = runs[runs.length - 1];
+    if (last && last.op === op) {
+      last.text += ` ${word}`;
+    } else {
+      runs.push({ op, text: word });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      push('equal', a[i]);
+      i += 1;
+      j += 1;
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      push('insert', b[j]);
+      j += 1;
+    } else {
+      push('delete', a[i]);
+      i += 1;
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Diff two versions of a thread tweet by tweet; renumbering alone is not a change
+ * @param {Array<Object>} before - Tweets of the older version
+ * @param {Array<Object>} after - Tweets of the newer version
+ * @returns {Object} {tweets: changes by new position (removed tweets by old position), stats: counts per status}
+ */
+function diffThreads(before, after) {
+  const bodiesBefore = before.map((tweet) => splitPostNumber(tweet.text).body);
+  const bodiesAfter = after.map((tweet) => splitPostNumber(tweet.text).body);
+  const stats = {
+    unchanged: 0,
+    modified: 0,
+    moved: 0,
+    added: 0,
+    removed: 0
+  };
+  const matched = new Set();
+  const tweets = [];
+
+  after.forEach((tweet, i) => {
+    const oldIndex = bodiesBefore.indexOf(bodiesAfter[i]);
+    let change;
+
+    if (oldIndex === i) {
+      change = { status: 'unchanged', text: tweet.text };
+      matched.add(i);
+    } else if (oldIndex >= 0) {
+      change = { status: 'moved', from: oldIndex + 1, text: tweet.text };
+      matched.add(oldIndex);
+    } else if (i < before.length && !matched.has(i) && !bodiesAfter.includes(bodiesBefore[i])) {
+      // The old tweet at this position is gone, so this is its edited form
+      change = {
+        status: 'modified',
+        before: before[i].text,
+        after: tweet.text,
+        words: diffWords(bodiesBefore[i], bodiesAfter[i])
+      };
+      matched.add(i);
+    } else {
+      change = { status: 'added', after: tweet.text };
+    }
+
+    stats[change.status] += 1;
+    tweets.push({ index: i + 1, ...change });
+  });
+
+  before.forEach((tweet, j) => {
+    if (!matched.has(j) && !bodiesAfter.includes(bodiesBefore[j])) {
+      stats.removed += 1;
+      tweets.push({ from: j + 1, status: 'removed', before: tweet.text });
+    }
+  });
+
+  return { tweets, stats };
+}
+
+module.exports = {
+  applyThreadEdit,
+  getVersions,
+  recordVersion,
+  diffThreads
+};
@@ -0,0 +1,310 @@
+/**
+ * Thread export
+ * Renders a saved thread as Markdown, numbered plain text, CSV, standalone HTML
+ * or post-per-row CSV and JSON for feeding other tools
+ */
+
+const CONSTANTS = require('../config/constants');
+const { getPlatformProfile, splitPostNumber } = require('../config/platforms');
+const { composeTweetText } = require('../utils/charCounter');
+
+const FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  text: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  'posts-csv': { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  'posts-json': { extension: 'json', contentType: 'application/json; charset=utf-8' }
+};
+
+// Lets spreadsheet apps detect UTF-8, so Arabic text opens correctly
+const UTF8_BOM = '\uFEFF';
+
+/**
+ * Get the posts of a history entry with their full text and numbering
+ * @param {Object} entry - History entry
+ * @returns {Array<Object>} Posts as {position, text (as posted), body (without numbering),
+ *   lead (text without numbering, hashtags or CTA), numbered, tweet}
+ */
+function getPosts(entry) {
+  const tweets = (entry.thread && entry.thread.thread) || [];
+
+  return tweets.map((tweet, i) => {
+    const { body: lead, position } = splitPostNumber(tweet.text);
+    return {
+      position: i + 1,
+      text: composeTweetText(tweet.text, tweet.hashtags, tweet.cta),
+      body: composeTweetText(lead, tweet.hashtags, tweet.cta),
+      lead,
+      numbered: position !== null,
+      tweet
+    };
+  });
+}
+
+/**
+ * Get the image idea suggested for a tweet
+ * @param {Object} tweet - Tweet
+ * @returns {string} Image suggestion content, or an empty string
+ */
+function getImageIdea(tweet) {
+  return (tweet.image_suggestion && tweet.image_suggestion.content) || '';
+}
+
+/**
+ * Describe a thread in one line (style, language, platform, posts, date)
+ * @param {Object} entry - History entry
+ * @param {number} postCount - Number of posts
+ * @returns {string} Summary line
+ */
+function describeThread(entry, postCount) {
+  const metadata = (entry.thread && entry.thread.metadata) || {};
+  const parts = [
+    metadata.style_requested && `Style: ${metadata.style_requested}`,
+    metadata.language && `Language: ${metadata.language}`,
+    `Platform: ${getPlatformProfile(metadata.platform).name}`,
+    `Posts: ${postCount}`,
+    entry.timestamp && `Created: ${entry.timestamp}`
+  ];
+  return parts.filter(Boolean).join(' · ');
+}
+
+/**
+ * Get a thread's title: its summary, or the start of the first post
+ * @param {Object} entry - History entry
+ * @param {Array<Object>} posts - Posts from getPosts
+ * @returns {string} Title
+ */
+function getTitle(entry, posts) {
+  const summary = entry.thread && entry.thread.thread_summary;
+  if (summary) return summary;
+  if (posts.length === 0) return 'Thread';
+
+  const words = posts[0].lead.split(/\s+/);
+  return words.length > 8 ? `${words.slice(0, 8).join(' ')}…` : posts[0].lead;
+}
+
+/**
+ * Quote a CSV field when needed and neutralize spreadsheet formulas
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function toCsvField(value) {
+  let field = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(field)) {
+    field = `'${field}`;
+  }
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+/**
+ * Build CSV text from a header and rows
+ * @param {Array<string>} header - Column names
+ * @param {Array<Array>} rows - Row values
+ * @returns {string} CSV with CRLF line endings
+ */
+function toCsv(header, rows) {
+  return `${UTF8_BOM + [header, ...rows].map((row) => row.map(toCsvField).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a thread as Markdown
+ * @param {Object} entry - History entry
+ * @returns {string} Markdown
+ */
+function toMarkdown(entry) {
+  const posts = getPosts(entry);
+  const lines = [`# ${getTitle(entry, posts)}`, '', `_${describeThread(entry, posts.length)}_`, ''];
+
+  posts.forEach((post) => {
+    lines.push(`## ${post.position}/${posts.length}`, '', post.body, '');
+    const imageIdea = getImageIdea(post.tweet);
+    if (imageIdea) {
+      lines.push(`> 🖼️ ${imageIdea}`, '');
+    }
+  });
+
+  return `${lines.join('\n').trim()}\n`;
+}
+
+/**
+ * Render a thread as numbered plain text, one post per paragraph
+ * @param {Object} entry - History entry
+ * @returns {string} Plain text
+ */
+function toPlainText(entry) {
+  const posts = getPosts(entry);
+  const paragraphs = posts.map((post) => (post.numbered ? post.text : `${post.position}/${posts.length} ${post.text}`));
+  return `${paragraphs.join('\n\n')}\n`;
+}
+
+/**
+ * Render a thread as CSV, one row per tweet
+ * @param {Object} entry - History entry
+ * @returns {string} CSV
+ */
+function toCsvRows(entry) {
+  const posts = getPosts(entry);
+  const rows = posts.map((post) => [
+    post.position,
+    post.text,
+    post.tweet.text,
+    (post.tweet.hashtags || []).join(' '),
+    post.tweet.cta || '',
+    post.tweet.char_count,
+    getImageIdea(post.tweet)
+  ]);
+
+  return toCsv(['index', 'post', 'text', 'hashtags', 'cta', 'char_count', 'image_suggestion'], rows);
+}
+
+/**
+ * Render a thread as a standalone HTML page (right-to-left for Arabic threads)
+ * @param {Object} entry - History entry
+ * @returns {string} HTML document
+ */
+function toHtml(entry) {
+  const posts = getPosts(entry);
+  const metadata = (entry.thread && entry.thread.metadata) || {};
+  const dir = { rtl: 'rtl', ltr: 'ltr' }[metadata.direction] || 'auto';
+  const lang = ['ar', 'en'].includes(metadata.language) ? ` lang="${metadata.language}"` : '';
+  const title = escapeHtml(getTitle(entry, posts));
+
+  const articles = posts.map((post) => {
+    const imageIdea = getImageIdea(post.tweet);
+    const imageNote = imageIdea ? `\n    <p class="image">🖼️ ${escapeHtml(imageIdea)}</p>` : '';
+    const body = escapeHtml(post.body)
+      .replace(/\n/g, '<br>')
+      .replace(/(^|\s)(#[\p{L}\p{N}_]+)/gu, '$1<span class="hashtag">$2</span>');
+
+    return `  <article class="post" dir="auto">
+    <span class="number">${post.position}/${posts.length}</span>
+    <p>${body}</p>${imageNote}
+  </article>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html${lang} dir="${dir}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>
+  body {
+    font-family: -apple-system, "Segoe UI", Tahoma, "Noto Sans Arabic", Arial, sans-serif;
+    max-width: 640px; margin: 40px auto; padding: 0 16px; color: #14171a; line-height: 1.6;
+  }
+  .meta { color: #657786; font-size: 14px; }
+  .post { border: 1px solid #e1e8ed; border-radius: 12px; padding: 16px; margin: 12px 0; }
+  .post p { margin: 8px 0 0; white-space: normal; }
+  .number { color: #657786; font-size: 13px; }
+  .hashtag { color: #1da1f2; }
+  .image { color: #657786; font-size: 14px; }
+</style>
+</head>
+<body>
+  <h1>${title}</h1>
+  <p class="meta">${escapeHtml(describeThread(entry, posts.length))}</p>
+${articles}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a thread as generic post-per-row CSV: each row notes whether the post replies
+ * to the previous one, with an optional shared posting time. It follows no particular
+ * tool's import layout; map the columns when importing elsewhere
+ * @param {Object} entry - History entry
+ * @param {string} id - History entry id
+ * @param {Object} options - {scheduledAt: ISO time for the thread}
+ * @returns {string} CSV
+ */
+function toPostsCsv(entry, id, options) {
+  const posts = getPosts(entry);
+  const rows = posts.map((post) => [
+    id,
+    post.position,
+    post.text,
+    getImageIdea(post.tweet),
+    post.position > 1,
+    options.scheduledAt || ''
+  ]);
+
+  return toCsv(['thread_id', 'post_number', 'text', 'media_description', 'reply_to_previous', 'scheduled_at'], rows);
+}
+
+/**
+ * Render a thread as generic JSON: the thread with its platform, posting time and posts
+ * @param {Object} entry - History entry
+ * @param {string} id - History entry id
+ * @param {Object} options - {scheduledAt: ISO time for the thread}
+ * @returns {string} JSON
+ */
+function toPostsJson(entry, id, options) {
+  const metadata = (entry.thread && entry.thread.metadata) || {};
+  const thread = {
+    id,
+    platform: getPlatformProfile(metadata.platform).id,
+    scheduled_at: options.scheduledAt || null,
+    posts: getPosts(entry).map((post) => ({
+      text: post.text,
+      media: getImageIdea(post.tweet) ? [{ type: 'image', description: getImageIdea(post.tweet) }] : []
+    }))
+  };
+
+  return `${JSON.stringify({ threads: [thread] }, null, 2)}\n`;
+}
+
+/**
+ * Export a history entry
+ * @param {string} id - History entry id
+ * @param {Object} entry - History entry
+ * @param {string} format - One of CONSTANTS.EXPORT_FORMATS
+ * @param {Object} options - {scheduledAt} for the posts formats
+ * @returns {Object} {content, contentType, filename}
+ */
+function exportThread(id, entry, format, options = {}) {
+  const spec = FORMATS[format];
+  if (!spec || !CONSTANTS.EXPORT_FORMATS.includes(format)) {
+    const error = new Error(`format must be one of: ${CONSTANTS.EXPORT_FORMATS.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const renderers = {
+    markdown: () => toMarkdown(entry),
+    text: () => toPlainText(entry),
+    csv: () => toCsvRows(entry),
+    html: () => toHtml(entry),
+    'posts-csv': () => toPostsCsv(entry, id, options),
+    'posts-json': () => toPostsJson(entry, id, options)
+  };
+
+  const suffix = format.startsWith('posts-') ? '-posts' : '';
+  return {
+    content: renderers[format](),
+    contentType: spec.contentType,
+    filename: `${id}${suffix}.${spec.extension}`
+  };
+}
+
+module.exports = {
+  exportThread,
+  escapeHtml,
+  toCsvField
+};
@@ -0,0 +1,520 @@
+/**
+ * Thread import
+ * Parses already-published threads (numbered text, exported JSON or CSV) into the
+ * internal thread structure so they can be saved, linted, re-hashtagged or restyled
+ */
+
+const CONSTANTS = require('../config/constants');
+const { getPlatformProfile, formatPostNumber, splitPostNumber } = require('../config/platforms');
+const { getStyleRegistry } = require('../config/styles');
+const { getCharCount, validateTweetLength } = require('../utils/charCounter');
+const { extractHashtagsFromText } = require('../utils/dedupe');
+const { detectTextDirection, getLanguageCode, detectLanguagePercentages } = require('../utils/langDetect');
+const { sanitizeInput } = require('../utils/inputSanitizer');
+const { generateThreadHashtags, applyPlatformHashtagRules } = require('./hashtagGenerator');
+const { calculateEngagementScore } = require('./localTemplates');
+
+// "1/", "1/5", "(1/5)", "1." or "1)" at the start of a line
+const LEADING_NUMBER = /^\s*(?:\(?(\d{1,3})\s*\/\s*\d{0,3}\)?|(\d{1,3})[.)])\s+/;
+
+// "1/5" or "(1/5)" at the end of a line, optionally followed by the post's hashtags
+const TRAILING_NUMBER = /\s*\(?(\d{1,3})\/\d{1,3}\)?((?:\s+#[\p{L}\p{N}_]+)*)\s*$/u;
+
+const TRAILING_HASHTAGS = /(?:\s+#[\p{L}\p{N}_]+)+\s*$/u;
+
+const SEPARATOR_LINE = /^\s*(?:-{3,}|\*{3,}|_{3,}|={3,})\s*$/gm;
+
+// Column names that may hold the post text, in order of preference
+const TEXT_COLUMNS = ['text', 'post', 'content', 'tweet', 'body'];
+
+/**
+ * Create an import error carrying a 400 status
+ * @param {string} message - Error message
+ * @returns {Error} Error with status
+ */
+function createImportError(message) {
+  const error = new Error(message);
+  error.status = CONSTANTS.ERROR_CODES.VALIDATION_ERROR;
+  return error;
+}
+
+/**
+ * Sanitize a free-text field of an imported post or thread; imports come from
+ * outside the app, so every field is stripped of markup like the post text
+ * @param {*} value - Field value
+ * @returns {string|null} Sanitized text, or null when empty or not a string
+ */
+function sanitizeImportedField(value) {
+  const sanitized = sanitizeInput(value, { maxLength: CONSTANTS.MAX_EDITED_TWEET_LENGTH });
+  return sanitized || null;
+}
+
+/**
+ * Check whether any of the lines has text
+ * @param {Array<string>} lines - Lines
+ * @returns {boolean} True when a line is not blank
+ */
+function hasText(lines) {
+  return lines.some((line) => line.trim());
+}
+
+/**
+ * Split lines into posts at leading numbers ("1/", "2." ...) that count up from 1;
+ * an unnumbered opening post followed by "2/" becomes post 1
+ * @param {Array<string>} lines - Thread lines
+ * @returns {Array<string>|null} Posts, or null when the text is not numbered this way
+ */
+function splitAtLeadingNumbers(lines) {
+  const posts = [];
+  const preamble = [];
+
+  lines.forEach((line) => {
+    const match = line.match(LEADING_NUMBER);
+    const number = match ? Number(match[1] || match[2]) : null;
+
+    if (number === posts.length + 1 || (number === 2 && posts.length === 0 && hasText(preamble))) {
+      if (number === 2 && posts.length === 0) {
+        posts.push(preamble.splice(0));
+      }
+      posts.push([line.slice(match[0].length)]);
+    } else if (posts.length > 0) {
+      posts[posts.length - 1].push(line);
+    } else {
+      preamble.push(line);
+    }
+  });
+
+  if (posts.length < 2) return null;
+
+  // A title line above "1/" belongs to the first post
+  posts[0] = [...preamble, ...posts[0]];
+  return posts.map((post) => post.join('\n'));
+}
+
+/**
+ * Split lines into posts at trailing numbers ("... (1/5)") that count up from 1
+ * @param {Array<string>} lines - Thread lines
+ * @returns {Array<string>|null} Posts, or null when the text is not numbered this way
+ */
+function splitAtTrailingNumbers(lines) {
+  const posts = [];
+  let current = [];
+
+  lines.forEach((line) => {
+    const match = line.match(TRAILING_NUMBER);
+
+    if (match && Number(match[1]) === posts.length + 1) {
+      current.push(line.slice(0, match.index) + match[2]);
+      posts.push(current.join('\n'));
+      current = [];
+    } else {
+      current.push(line);
+    }
+  });
+
+  if (posts.length < 2) return null;
+
+  if (hasText(current)) {
+    posts.push(current.join('\n'));
+  }
+  return posts;
+}
+
+/**
+ * Split raw thread text into posts: at thread numbering when the posts are numbered,
+ * otherwise at blank lines and separator lines ("---")
+ * @param {string} content - Raw thread text
+ * @returns {Array<string>} Post texts
+ */
+function splitThreadText(content) {
+  const lines = content.replace(/\r\n?/g, '\n').split('\n');
+
+  return splitAtLeadingNumbers(lines)
+    || splitAtTrailingNumbers(lines)
+    || content.replace(/\r\n?/g, '\n').replace(SEPARATOR_LINE, '').split(/\n\s*\n/);
+}
+
+/**
+ * Parse CSV text into rows (RFC 4180 quoting)
+ * @param {string} content - CSV text
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((fields) => fields.some((value) => value.trim()));
+}
+
+/**
+ * Undo the formula guard the CSV export puts in front of "=", "+", "-" and "@"
+ * @param {string} value - CSV field
+ * @returns {string} Field value
+ */
+function unguardCsvField(value) {
+  return (value || '').replace(/^'(?=[=+\-@])/, '');
+}
+
+/**
+ * Read threads from CSV: the CSV and posts-CSV exports, or any sheet with a
+ * text column (rows group into threads by thread_id when that column exists)
+ * @param {string} content - CSV text
+ * @returns {Array<Object>} Thread sources
+ */
+function readCsvThreads(content) {
+  const rows = parseCsv(content);
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map((name) => name.trim().toLowerCase());
+  const column = (name) => header.indexOf(name);
+  const textColumn = TEXT_COLUMNS.map(column).find((index) => index >= 0);
+
+  // Without a recognizable header, every row is a post of one thread
+  if (textColumn === undefined) {
+    return [{ posts: rows.map((row) => ({ text: unguardCsvField(row[0]) })) }];
+  }
+
+  const threadColumn = column('thread_id');
+  const orderColumn = [column('post_number'), column('index')].find((index) => index >= 0);
+  const imageColumn = [column('image_suggestion'), column('media_description')].find((index) => index >= 0);
+  const threads = new Map();
+
+  rows.slice(1).forEach((row, position) => {
+    const threadId = threadColumn >= 0 ? row[threadColumn] || '' : '';
+    const image = imageColumn !== undefined ? sanitizeImportedField(unguardCsvField(row[imageColumn])) : null;
+
+    if (!threads.has(threadId)) {
+      threads.set(threadId, { ...(threadId && { id: threadId }), posts: [] });
+    }
+    threads.get(threadId).posts.push({
+      order: orderColumn !== undefined ? Number(row[orderColumn]) || position : position,
+      text: unguardCsvField(row[textColumn]),
+      hashtags: column('hashtags') >= 0 ? (row[column('hashtags')] || '').split(/\s+/) : [],
+      cta: column('cta') >= 0 ? sanitizeImportedField(unguardCsvField(row[column('cta')])) : null,
+      image_suggestion: image ? { type: 'photo', content: image } : null
+    });
+  });
+
+  return [...threads.values()].map((thread) => ({
+    ...thread,
+    posts: thread.posts.sort((a, b) => a.order - b.order)
+  }));
+}
+
+/**
+ * Read a post from JSON: a string, a tweet object or an exported post with media
+ * @param {*} item - JSON value
+ * @returns {Object} Post source
+ */
+function readJsonPost(item) {
+  if (typeof item === 'string') {
+    return { text: item };
+  }
+
+  const media = Array.isArray(item.media) && item.media.find((entry) => entry && entry.description);
+  const image = item.image_suggestion && typeof item.image_suggestion.content === 'string'
+    ? item.image_suggestion
+    : media && { type: 'photo', content: media.description };
+  const imageContent = image ? sanitizeImportedField(image.content) : null;
+
+  return {
+    text: item.text,
+    hashtags: Array.isArray(item.hashtags) ? item.hashtags : [],
+    cta: sanitizeImportedField(item.cta),
+    image_suggestion: imageContent
+      ? { type: sanitizeImportedField(image.type) || 'photo', content: imageContent }
+      : null
+  };
+}
+
+/**
+ * Read threads from parsed JSON: generation results, history entries, the
+ * posts-JSON export, or plain arrays of post texts
+ * @param {*} data - Parsed JSON
+ * @returns {Array<Object>} Thread sources
+ */
+function readJsonThreads(data) {
+  if (Array.isArray(data)) {
+    const isPostList = data.length > 0
+      && data.every((item) => typeof item === 'string' || (item && typeof item.text === 'string'));
+    return isPostList ? [{ posts: data.map(readJsonPost) }] : data.flatMap(readJsonThreads);
+  }
+
+  if (!data || typeof data !== 'object') {
+    return [];
+  }
+
+  // A history entry wraps the generation result
+  if (data.thread && typeof data.thread === 'object' && !Array.isArray(data.thread)) {
+    return readJsonThreads(data.thread).map((thread) => ({ id: data.id, ...thread }));
+  }
+
+  if (Array.isArray(data.threads)) {
+    return data.threads.flatMap(readJsonThreads);
+  }
+
+  const posts = [data.thread, data.posts, data.tweets].find(Array.isArray);
+  if (!posts) {
+    return [];
+  }
+
+  const metadata = data.metadata || {};
+  return [{
+    ...(typeof data.id === 'string' && { id: data.id }),
+    posts: posts
+      .filter((item) => typeof item === 'string' || (item && typeof item.text === 'string'))
+      .map(readJsonPost),
+    summary: sanitizeImportedField(data.thread_summary),
+    style: metadata.style_requested,
+    platform: metadata.platform || data.platform
+  }];
+}
+
+/**
+ * Guess the format of imported content
+ * @param {string} content - Imported content
+ * @returns {string} json, csv or text
+ */
+function detectImportFormat(content) {
+  const trimmed = content.trim();
+  if (/^[[{]/.test(trimmed)) {
+    return 'json';
+  }
+
+  const header = trimmed.split(/\r?\n/)[0].toLowerCase().replace(/"/g, '');
+  const columns = header.split(',').map((name) => name.trim());
+  if (columns.length > 1 && columns.some((name) => TEXT_COLUMNS.includes(name))) {
+    return 'csv';
+  }
+
+  return 'text';
+}
+
+/**
+ * Split a post into its text and hashtags; the trailing hashtag block moves into
+ * the hashtag list (original casing kept) and inline hashtags stay in the text
+ * @param {Object} post - Post source {text, hashtags}
+ * @returns {Object} {text, hashtags}
+ */
+function splitPostHashtags(post) {
+  const text = sanitizeInput(post.text || '', { maxLength: CONSTANTS.MAX_EDITED_TWEET_LENGTH });
+  const extra = (post.hashtags || []).filter((tag) => typeof tag === 'string' && tag.trim());
+  const tagged = [text, ...extra.map((tag) => (tag.startsWith('#') ? tag : `#${tag}`))].join(' ');
+  const hashtags = extractHashtagsFromText(tagged);
+
+  // Numbering sits between the text and the hashtags in composed posts ("... (1/5) #Tag")
+  const body = splitPostNumber(text.replace(TRAILING_HASHTAGS, '').trim()).body;
+  return { text: body || splitPostNumber(text).body, hashtags };
+}
+
+/**
+ * Summarize an imported thread by the opening words of its first post
+ * @param {string} text - First post text
+ * @returns {string} Summary
+ */
+function summarizeImport(text) {
+  const words = text.split(/\s+/);
+  const summary = words.length > 8 ? `${words.slice(0, 8).join(' ')}…` : text;
+  return summary.length >= 5 ? summary.slice(0, 200) : 'Imported thread';
+}
+
+/**
+ * Check an imported thread against the platform's conventions
+ * @param {Array<Object>} tweets - Thread tweets (warnings already set)
+ * @param {Object} profile - Platform profile
+ * @returns {Array<Object>} Issues as {tweet (1-based position, null for the thread), message}
+ */
+function lintThread(tweets, profile) {
+  const issues = [];
+
+  if (tweets.length > profile.maxPosts) {
+    issues.push({
+      tweet: null,
+      message: `${profile.name} threads are limited to ${profile.maxPosts} posts; this thread has ${tweets.length}`
+    });
+  }
+
+  const seen = new Map();
+  tweets.forEach((tweet) => {
+    tweet.warnings.forEach((message) => issues.push({ tweet: tweet.index, message }));
+
+    const { body } = splitPostNumber(tweet.text);
+    const key = body.toLowerCase();
+    if (seen.has(key)) {
+      issues.push({ tweet: tweet.index, message: `Duplicate of tweet ${seen.get(key)}` });
+    } else {
+      seen.set(key, tweet.index);
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Build the internal thread structure for one imported thread
+ * @param {Object} source - Thread source {id, posts, summary, style, platform}
+ * @param {Object} options - {format, platform, style, rehashtag}
+ * @returns {Object|null} {thread (generation result), lint, source_text}, or null when no post has text
+ */
+function buildImportedThread(source, options) {
+  const profile = getPlatformProfile(options.platform || source.platform);
+  const style = options.style || (getStyleRegistry().has(source.style) ? source.style : CONSTANTS.DEFAULT_STYLE);
+  const posts = source.posts
+    .map((post) => ({ ...post, ...splitPostHashtags(post) }))
+    .filter((post) => post.text);
+
+  if (posts.length === 0) {
+    return null;
+  }
+  if (posts.length > CONSTANTS.MAX_IMPORTED_POSTS) {
+    throw createImportError(`An imported thread cannot have more than ${CONSTANTS.MAX_IMPORTED_POSTS} posts`);
+  }
+
+  let tweets = posts.map((post, i) => ({
+    index: i + 1,
+    text: formatPostNumber(post.text, profile, i, posts.length),
+    char_count: 0,
+    warnings: [],
+    hashtags: post.hashtags,
+    emoji_suggestions: [],
+    cta: post.cta || null,
+    image_suggestion: post.image_suggestion || null
+  }));
+
+  if (options.rehashtag) {
+    tweets = applyPlatformHashtagRules(generateThreadHashtags(tweets, {
+      maxHashtags: 4,
+      englishRatio: 0.7
+    }), profile);
+  }
+
+  tweets = tweets.map((tweet) => {
+    const warnings = [];
+    const validation = validateTweetLength(tweet.text, tweet.hashtags, tweet.cta, profile.id);
+
+    // Published text is never truncated; flag it instead
+    if (!validation.isValid) {
+      warnings.push(`Tweet exceeds the ${profile.charLimit} character limit`);
+    }
+    if (tweet.hashtags.length > profile.hashtags.maxPerPost) {
+      warnings.push(`${profile.name} posts should carry at most ${profile.hashtags.maxPerPost} hashtags`);
+    }
+
+    return {
+      ...tweet,
+      char_count: getCharCount(tweet.text, tweet.hashtags, tweet.cta, profile.id),
+      warnings
+    };
+  });
+
+  const sourceText = posts.map((post) => post.text).join('\n\n');
+  const language = getLanguageCode(sourceText);
+
+  return {
+    thread: {
+      metadata: {
+        language: language === 'unknown' ? 'auto' : language,
+        style_requested: style,
+        max_tweets_requested: tweets.length,
+        tweets_generated: tweets.length,
+        direction: detectTextDirection(sourceText),
+        platform: profile.id,
+        imported: {
+          format: options.format,
+          ...(source.id && { source_id: String(source.id) })
+        }
+      },
+      thread: tweets,
+      thread_summary: source.summary || summarizeImport(posts[0].text),
+      estimated_engagement_score: calculateEngagementScore(tweets, detectLanguagePercentages(sourceText), style)
+    },
+    lint: lintThread(tweets, profile),
+    source_text: sourceText
+  };
+}
+
+/**
+ * Import one or more published threads
+ * @param {string} content - Pasted or uploaded content
+ * @param {Object} options - {format: auto|text|json|csv, platform, style, rehashtag}
+ * @returns {Object} {format (as detected), threads: [{thread, lint, source_text}]}
+ */
+function importThreads(content, options = {}) {
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  const format = !options.format || options.format === 'auto' ? detectImportFormat(text) : options.format;
+  let sources;
+
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw createImportError('content is not valid JSON');
+    }
+    sources = readJsonThreads(data);
+  } else if (format === 'csv') {
+    sources = readCsvThreads(text);
+  } else {
+    sources = [{ posts: splitThreadText(text).map((post) => ({ text: post })) }];
+  }
+
+  sources = sources.filter((source) => source.posts.some((post) => post.text && post.text.trim()));
+  if (sources.length === 0) {
+    throw createImportError('No posts found in the imported content');
+  }
+  if (sources.length > CONSTANTS.MAX_IMPORTED_THREADS) {
+    throw createImportError(`Cannot import more than ${CONSTANTS.MAX_IMPORTED_THREADS} threads at once`);
+  }
+
+  const threads = sources
+    .map((source) => buildImportedThread(source, { ...options, format }))
+    .filter(Boolean);
+
+  if (threads.length === 0) {
+    throw createImportError('No posts found in the imported content');
+  }
+
+  return { format, threads };
+}
+
+module.exports = {
+  importThreads,
+  splitThreadText,
+  parseCsv,
+  detectImportFormat
+};
@@ -0,0 +1,370 @@
+/**
+ * Users and API keys
+ * Kept in a JSON file that the admin command (scripts/admin.js) writes and the server reads,
+ * picking up changes on the next request. Keys are stored as SHA-256 hashes and shown once,
+ * when they are created
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const CONSTANTS = require('../config/constants');
+const { createJsonWriter } = require('../utils/jsonFile');
+
+const KEY_PATTERN = new RegExp(`^${CONSTANTS.API_KEY_PREFIX}([0-9a-f]{16})_([A-Za-z0-9_-]{32})$`);
+const USER_NAME_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+let defaultStore = null;
+
+/**
+ * Create an error carrying an HTTP status
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} Error
+ */
+function createUserStoreError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Hash an API key for storage
+ * Keys are 192 random bits, so a fast hash is enough; there is nothing to brute-force
+ * @param {string} secret - API key
+ * @returns {string} Hex digest
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Strip the hash from a key record
+ * @param {Object} key - Stored key
+ * @returns {Object} Key as shown to admins
+ */
+function describeKey(key) {
+  const visible = { ...key };
+  delete visible.hash;
+  return visible;
+}
+
+/**
+ * Check a daily quota setting
+ * @param {*} quota - Generations per day, or null for unlimited
+ * @returns {number|null} Quota
+ */
+function normalizeQuota(quota) {
+  if (quota === null) {
+    return null;
+  }
+  if (!Number.isInteger(quota) || quota < 1) {
+    throw createUserStoreError('dailyQuota must be a whole number of at least 1, or null for unlimited', 400);
+  }
+  return quota;
+}
+
+/**
+ * Check a role setting
+ * @param {*} role - Role name
+ * @returns {string} Role
+ */
+function normalizeRole(role) {
+  if (!CONSTANTS.USER_ROLES.includes(role)) {
+    throw createUserStoreError(`role must be one of: ${CONSTANTS.USER_ROLES.join(', ')}`, 400);
+  }
+  return role;
+}
+
+/**
+ * Copy a stored user for callers
+ * @param {Object} user - Stored user
+ * @returns {Object} User; users added before roles existed are members
+ */
+function describeUser(user) {
+  return { role: CONSTANTS.DEFAULT_USER_ROLE, ...user };
+}
+
+/**
+ * Create a user store backed by a JSON file
+ * @param {string} filePath - Location of the users file
+ * @returns {Object} User store
+ */
+function createUserStore(filePath) {
+  let state = { users: [], keys: [] };
+  let loadedMtime = null;
+  const writer = createJsonWriter({ mode: 0o600 });
+
+  /**
+   * Read the users file (a missing file means no users yet)
+   */
+  function load() {
+    try {
+      const stats = fs.statSync(filePath);
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      state = {
+        users: Array.isArray(data.users) ? data.users : [],
+        keys: Array.isArray(data.keys) ? data.keys : []
+      };
+      loadedMtime = stats.mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Could not read users file:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Reload the file when another process (the admin command) has changed it
+   */
+  function refresh() {
+    if (writer.isPending()) {
+      return;
+    }
+    try {
+      if (fs.statSync(filePath).mtimeMs !== loadedMtime) {
+        load();
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT' && loadedMtime !== null) {
+        state = { users: [], keys: [] };
+        loadedMtime = null;
+      }
+    }
+  }
+
+  /**
+   * Persist the store
+   * A failed write is kept until the next flush() so callers that do not wait
+   * for save() still learn about it
+   * @returns {Promise} Resolves once the write has finished; rejects when it failed
+   */
+  function save() {
+    const written = writer.write(filePath, state).then(async () => {
+      loadedMtime = (await fs.promises.stat(filePath)).mtimeMs;
+    });
+
+    // Callers that do not wait hear about the failure from flush() instead
+    written.catch(() => {});
+    return written;
+  }
+
+  /**
+   * Find a user by id or name
+   * @param {string} ref - User id or name
+   * @returns {Object} Stored user
+   */
+  function findUser(ref) {
+    const name = String(ref || '').toLowerCase();
+    const user = state.users.find((candidate) => candidate.id === ref || candidate.name.toLowerCase() === name);
+    if (!user) {
+      throw createUserStoreError(`User not found: ${ref}`, CONSTANTS.ERROR_CODES.NOT_FOUND);
+    }
+    return user;
+  }
+
+  load();
+
+  return {
+    /**
+     * Check whether any users exist; until one does the server runs as a single-user install
+     * @returns {boolean} True when at least one user exists
+     */
+    hasUsers() {
+      refresh();
+      return state.users.length > 0;
+    },
+
+    listUsers() {
+      refresh();
+      return state.users.map(describeUser);
+    },
+
+    getUser(ref) {
+      refresh();
+      return describeUser(findUser(ref));
+    },
+
+    /**
+     * Add a user
+     * @param {Object} params - {name, dailyQuota (defaults to USER_DAILY_QUOTA; null for unlimited),
+     *   role (defaults to admin for the first user and member for the rest)}
+     * @returns {Object} User
+     */
+    addUser({ name, dailyQuota, role } = {}) {
+      refresh();
+      const trimmed = String(name || '').trim();
+      if (!trimmed || trimmed.length > CONSTANTS.MAX_USER_NAME_LENGTH || !USER_NAME_PATTERN.test(trimmed)) {
+        throw createUserStoreError(
+          `User names are 1-${CONSTANTS.MAX_USER_NAME_LENGTH} letters, numbers, dots, dashes or underscores`,
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR
+        );
+      }
+      if (state.users.some((user) => user.name.toLowerCase() === trimmed.toLowerCase())) {
+        throw createUserStoreError(`User already exists: ${trimmed}`, CONSTANTS.ERROR_CODES.CONFLICT);
+      }
+
+      const defaultQuota = parseInt(process.env.USER_DAILY_QUOTA, 10) || CONSTANTS.DEFAULT_USER_DAILY_QUOTA;
+      const defaultRole = state.users.length === 0 ? 'admin' : CONSTANTS.DEFAULT_USER_ROLE;
+      const user = {
+        id: `usr_${crypto.randomBytes(6).toString('hex')}`,
+        name: trimmed,
+        daily_quota: normalizeQuota(dailyQuota === undefined ? defaultQuota : dailyQuota),
+        role: normalizeRole(role === undefined ? defaultRole : role),
+        created_at: new Date().toISOString()
+      };
+      state.users.push(user);
+      save();
+      return describeUser(user);
+    },
+
+    /**
+     * Change a user's daily generation quota
+     * @param {string} ref - User id or name
+     * @param {number|null} dailyQuota - Generations per day, or null for unlimited
+     * @returns {Object} Updated user
+     */
+    setDailyQuota(ref, dailyQuota) {
+      refresh();
+      const user = findUser(ref);
+      user.daily_quota = normalizeQuota(dailyQuota);
+      save();
+      return describeUser(user);
+    },
+
+    /**
+     * Change a user's role
+     * @param {string} ref - User id or name
+     * @param {string} role - admin or member
+     * @returns {Object} Updated user
+     */
+    setRole(ref, role) {
+      refresh();
+      const user = findUser(ref);
+      user.role = normalizeRole(role);
+      save();
+      return describeUser(user);
+    },
+
+    /**
+     * Issue an API key
+     * @param {string} ref - User id or name
+     * @param {Object} options - {label}
+     * @returns {Object} {key (without the hash), secret (the API key, only available now)}
+     */
+    createKey(ref, { label } = {}) {
+      refresh();
+      const user = findUser(ref);
+      const keyId = crypto.randomBytes(8).toString('hex');
+      const secret = `${CONSTANTS.API_KEY_PREFIX}${keyId}_${crypto.randomBytes(24).toString('base64url')}`;
+      const key = {
+        id: `key_${keyId}`,
+        user_id: user.id,
+        label: label ? String(label).slice(0, CONSTANTS.MAX_USER_NAME_LENGTH) : null,
+        hash: hashSecret(secret),
+        created_at: new Date().toISOString(),
+        revoked_at: null
+      };
+      state.keys.push(key);
+      save();
+      return { key: describeKey(key), secret };
+    },
+
+    /**
+     * List API keys
+     * @param {string} ref - Optional user id or name
+     * @returns {Array<Object>} Keys without their hashes
+     */
+    listKeys(ref) {
+      refresh();
+      const userId = ref ? findUser(ref).id : null;
+      return state.keys
+        .filter((key) => !userId || key.user_id === userId)
+        .map(describeKey);
+    },
+
+    /**
+     * Revoke an API key; sessions opened with it end on their next request
+     * @param {string} keyId - Key id
+     * @returns {Object} Revoked key
+     */
+    revokeKey(keyId) {
+      refresh();
+      const key = state.keys.find((candidate) => candidate.id === keyId);
+      if (!key) {
+        throw createUserStoreError(`API key not found: ${keyId}`, CONSTANTS.ERROR_CODES.NOT_FOUND);
+      }
+      if (!key.revoked_at) {
+        key.revoked_at = new Date().toISOString();
+        save();
+      }
+      return describeKey(key);
+    },
+
+    /**
+     * Look up the user an API key belongs to
+     * @param {string} secret - API key as sent by the client
+     * @returns {Object|null} {user, key}, or null for unknown, malformed or revoked keys
+     */
+    verifyKey(secret) {
+      const match = KEY_PATTERN.exec(String(secret || ''));
+      if (!match) {
+        return null;
+      }
+
+      refresh();
+      const key = state.keys.find((candidate) => candidate.id === `key_${match[1]}`);
+      if (!key || key.revoked_at) {
+        return null;
+      }
+
+      const expected = Buffer.from(key.hash, 'hex');
+      const actual = Buffer.from(hashSecret(secret), 'hex');
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+      }
+
+      const user = state.users.find((candidate) => candidate.id === key.user_id);
+      return user ? { user: describeUser(user), key: describeKey(key) } : null;
+    },
+
+    /**
+     * Look up an active key by id (sessions re-check the key they were opened with)
+     * @param {string} keyId - Key id
+     * @returns {Object|null} {user, key}, or null when the key or its user is gone or revoked
+     */
+    getActiveKey(keyId) {
+      refresh();
+      const key = state.keys.find((candidate) => candidate.id === keyId);
+      const user = key && !key.revoked_at && state.users.find((candidate) => candidate.id === key.user_id);
+      return user ? { user: describeUser(user), key: describeKey(key) } : null;
+    },
+
+    /**
+     * Wait for pending writes
+     * @returns {Promise} Resolves once written; rejects with the error of a write that failed since the last flush
+     */
+    flush() {
+      return writer.flush();
+    }
+  };
+}
+
+/**
+ * Get the process-wide user store
+ * @returns {Object} User store
+ */
+function getDefaultUserStore() {
+  if (!defaultStore) {
+    const filePath = process.env.USERS_FILE
+      || path.join(__dirname, '..', CONSTANTS.DATA_DIR, CONSTANTS.USERS_FILE);
+    defaultStore = createUserStore(filePath);
+  }
+  return defaultStore;
+}
+
+module.exports = {
+  createUserStore,
+  getDefaultUserStore,
+  hashSecret
+};
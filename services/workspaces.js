@@ -0,0 +1,70 @@
+/**
+ * Per-user workspaces
+ * Each user has their own history directory, history search index and preferences file.
+ * The local user of a single-user install keeps the original locations (history/,
+ * userprefs.json and the default index), so existing installs keep their data
+ */
+
+const path = require('path');
+const CONSTANTS = require('../config/constants');
+const { createHistoryIndex, getDefaultIndex } = require('./historyIndex');
+const { createPreferenceStore } = require('./preferenceStore');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const USER_ID_PATTERN = /^[a-z0-9_]+$/;
+
+const workspaces = new Map();
+
+/**
+ * Get the directory holding all user workspaces
+ * @returns {string} Directory path
+ */
+function getUsersDir() {
+  return process.env.USER_DATA_DIR || path.join(ROOT_DIR, CONSTANTS.DATA_DIR, CONSTANTS.USERS_DIR);
+}
+
+/**
+ * Build a user's workspace
+ * @param {string} userId - User id
+ * @returns {Object} Workspace
+ */
+function createWorkspace(userId) {
+  if (userId === CONSTANTS.LOCAL_USER_ID) {
+    return {
+      userId,
+      historyDir: path.join(ROOT_DIR, CONSTANTS.HISTORY_DIR),
+      index: getDefaultIndex(),
+      preferences: createPreferenceStore(path.join(ROOT_DIR, CONSTANTS.PREFERENCES_FILE))
+    };
+  }
+
+  const baseDir = path.join(getUsersDir(), userId);
+  const historyDir = path.join(baseDir, CONSTANTS.HISTORY_DIR);
+  return {
+    userId,
+    historyDir,
+    index: createHistoryIndex(historyDir, path.join(baseDir, CONSTANTS.HISTORY_INDEX_FILE)),
+    preferences: createPreferenceStore(path.join(baseDir, CONSTANTS.PREFERENCES_FILE))
+  };
+}
+
+/**
+ * Get a user's workspace, creating it on first use
+ * @param {string} userId - User id (CONSTANTS.LOCAL_USER_ID for the single-user install)
+ * @returns {Object} Workspace {userId, historyDir, index, preferences}
+ */
+function getWorkspace(userId) {
+  // User ids become directory names
+  if (!USER_ID_PATTERN.test(userId || '')) {
+    throw new Error(`Invalid user id: ${userId}`);
+  }
+
+  if (!workspaces.has(userId)) {
+    workspaces.set(userId, createWorkspace(userId));
+  }
+  return workspaces.get(userId);
+}
+
+module.exports = {
+  getWorkspace
+};
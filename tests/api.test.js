@@ -2,8 +2,11 @@
  * Integration tests for API endpoints
  */
 
+const fs = require('fs');
+const path = require('path');
 const request = require('supertest');
 const app = require('../server');
+const { getCharCount } = require('../utils/charCounter');
 
 describe('API Endpoints', () => {
   describe('GET /api/health', () => {
@@ -123,6 +126,492 @@ describe('API Endpoints', () => {
     }, 10000);
   });
 
+  describe('POST /api/generate-thread/stream', () => {
+    const collectBody = (res, callback) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => callback(null, body));
+    };
+
+    test('streams progress, tweets and metadata as events', async () => {
+      const response = await request(app)
+        .post('/api/generate-thread/stream')
+        .send({
+          text: 'Streaming lets the interface show progress. Each tweet is sent once validated. '
+            + 'The metadata arrives last.',
+          language: 'en',
+          maxTweets: 3
+        })
+        .buffer(true)
+        .parse(collectBody);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+
+      const events = response.body
+        .split('\n\n')
+        .filter((block) => block.trim())
+        .map((block) => ({
+          event: block.match(/^event: (.+)$/m)[1],
+          data: JSON.parse(block.match(/^data: (.+)$/m)[1])
+        }));
+      const names = events.map((e) => e.event);
+
+      expect(names[0]).toBe('start');
+      expect(names.filter((name) => name === 'tweet').length).toBe(3);
+      expect(names.indexOf('metadata')).toBeGreaterThan(names.lastIndexOf('tweet'));
+      expect(names[names.length - 1]).toBe('done');
+      expect(events.find((e) => e.event === 'tweet').data.validation).toHaveProperty('isValid');
+
+      // The length check counts the hashtags and CTA that are posted with the text
+      events.filter((e) => e.event === 'tweet').forEach(({ data }) => {
+        const { text, hashtags, cta } = data.tweet;
+        expect(data.validation.charCount).toBe(getCharCount(text, hashtags, cta));
+      });
+    });
+
+    test('returns JSON errors before opening the stream', async () => {
+      const response = await request(app)
+        .post('/api/generate-thread/stream')
+        .send({ text: '' })
+        .expect('Content-Type', /json/)
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error');
+    });
+  });
+
+  describe('POST /api/generate-batch', () => {
+    const historyDir = path.join(__dirname, '..', 'history');
+
+    test('generates each item on its own and saves them under one batch id', async () => {
+      const response = await request(app)
+        .post('/api/generate-batch')
+        .send({
+          defaults: { language: 'en', maxTweets: 2 },
+          items: [
+            {
+              text: 'Batch generation saves a morning every Monday. Each post becomes its own thread.',
+              style: 'concise'
+            },
+            { text: '' },
+            {
+              text: 'هذا مقال تجريبي باللغة العربية يتحول إلى خيط مستقل ضمن الدفعة نفسها.',
+              language: 'ar',
+              style: 'engaging'
+            }
+          ]
+        })
+        .expect(200);
+
+      const { batch_id: batchId, summary, items } = response.body;
+      const historyIds = items.filter((item) => item.history_id).map((item) => item.history_id);
+      historyIds.forEach((id) => fs.rmSync(path.join(historyDir, `${id}.json`), { force: true }));
+
+      expect(summary).toMatchObject({
+        total: 3,
+        succeeded: 2,
+        failed: 0,
+        invalid: 1
+      });
+      expect(items.map((item) => item.status)).toEqual(['done', 'invalid', 'done']);
+      expect(items[0].thread.metadata.style_requested).toBe('concise');
+      expect(items[0].generated_via).toBe('fallback');
+      expect(items[1].error).toBeTruthy();
+      expect(items[2].thread.metadata.direction).toBe('rtl');
+      expect(historyIds).toHaveLength(2);
+      expect(batchId).toMatch(/^batch-/);
+      expect(response.body).toHaveProperty('quota');
+    });
+
+    test('rejects requests without a list of items', async () => {
+      const response = await request(app)
+        .post('/api/generate-batch')
+        .send({ items: 'not a list', defaults: [] })
+        .expect(400);
+
+      expect(response.body.details.errors).toHaveLength(2);
+    });
+  });
+
+  describe('Generation jobs', () => {
+    test('queues a generation and reports its result when polled', async () => {
+      const queued = await request(app)
+        .post('/api/jobs')
+        .send({
+          text: 'Asynchronous jobs keep long generations off the request. Clients poll for the result.',
+          language: 'en',
+          maxTweets: 2
+        })
+        .expect(202);
+
+      expect(queued.body.status).toBe('queued');
+      expect(queued.headers.location).toBe(`/api/jobs/${queued.body.job_id}`);
+
+      let job = queued.body;
+      for (let poll = 0; poll < 50 && !['done', 'failed'].includes(job.status); poll += 1) {
+        await new Promise((resolve) => {
+          setTimeout(resolve, 50);
+        });
+        job = (await request(app).get(queued.body.status_url).expect(200)).body;
+      }
+
+      expect(job.status).toBe('done');
+      expect(job.result.thread.length).toBeGreaterThan(0);
+      expect(job.result.metadata.language).toBe('en');
+    });
+
+    test('validates the body up front and reports unknown jobs', async () => {
+      await request(app).post('/api/jobs').send({ text: '' }).expect(400);
+      await request(app).get('/api/jobs/unknown-job').expect(404);
+    });
+  });
+
+  describe('Thread variants', () => {
+    const input = {
+      text: 'Good onboarding shortens the time to first contribution. Pair new hires with a buddy. '
+        + 'Write down the unwritten rules. Review the process every quarter.',
+      language: 'en',
+      style: 'educational',
+      maxTweets: 4,
+      variants: 3
+    };
+
+    test('returns scored alternatives and saves only the selected one', async () => {
+      const response = await request(app)
+        .post('/api/generate-thread')
+        .send(input)
+        .expect(200);
+
+      const { variant_set_id: setId, variants, recommended_variant: recommended } = response.body;
+      expect(setId).toBeTruthy();
+      expect(variants).toHaveLength(3);
+      expect(variants.map((v) => v.variant_id)).toEqual(['A', 'B', 'C']);
+      variants.forEach((variant) => {
+        expect(typeof variant.estimated_engagement_score).toBe('number');
+        expect(variant.thread.length).toBeGreaterThan(0);
+      });
+      expect(variants.map((v) => v.variant_id)).toContain(recommended);
+      expect(variants[2].params.style).not.toBe('educational');
+
+      const selection = await request(app)
+        .post(`/api/generate-thread/variants/${setId}/select`)
+        .send({ variantId: 'B' })
+        .expect(200);
+
+      expect(selection.body.variant.id).toBe('B');
+      expect(selection.body.thread).not.toHaveProperty('variant_id');
+
+      const saved = await request(app)
+        .get(`/api/history/${selection.body.historyId}`)
+        .expect(200);
+      expect(saved.body.variant.id).toBe('B');
+
+      // A set can only be picked from once
+      await request(app)
+        .post(`/api/generate-thread/variants/${setId}/select`)
+        .send({ variantId: 'A' })
+        .expect(404);
+    }, 15000);
+
+    test('rejects too many variants', async () => {
+      const response = await request(app)
+        .post('/api/generate-thread')
+        .send({ ...input, variants: 50 })
+        .expect(400);
+
+      expect(response.body.error).toMatch(/variants/);
+    });
+  });
+
+  describe('Platform profiles', () => {
+    test('lists the available platforms', async () => {
+      const response = await request(app)
+        .get('/api/platforms')
+        .expect(200);
+
+      const ids = response.body.platforms.map((platform) => platform.id);
+      expect(ids).toEqual(['x', 'bluesky', 'mastodon', 'threads', 'linkedin']);
+    });
+
+    test('serves the weighted counting rules with the platforms', async () => {
+      const response = await request(app)
+        .get('/api/platforms')
+        .expect(200);
+
+      const { url, emoji, light_ranges: lightRanges } = response.body.counting_rules;
+      expect('read example.com/a today'.match(new RegExp(url.source, url.flags))).toEqual(['example.com/a']);
+      expect(new RegExp(emoji.source, emoji.flags).test('👍')).toBe(true);
+      expect(lightRanges[0]).toEqual([0x0000, 0x10FF]);
+    });
+
+    test('generates a thread within Mastodon limits', async () => {
+      const response = await request(app)
+        .post('/api/generate-thread')
+        .send({
+          text: 'Mastodon is a federated social network. Servers talk to each other over ActivityPub. '
+            + 'Anyone can run an instance and moderate it their own way.',
+          maxTweets: 3,
+          platform: 'mastodon'
+        })
+        .expect(200);
+
+      expect(response.body.metadata.platform).toBe('mastodon');
+      response.body.thread.forEach((post) => {
+        expect(post.char_count).toBeLessThanOrEqual(500);
+        expect(post.hashtags.length).toBeLessThanOrEqual(5);
+      });
+    });
+
+    test('keeps LinkedIn output to a single post', async () => {
+      const response = await request(app)
+        .post('/api/generate-thread')
+        .send({
+          text: 'Hiring well takes time. Clear job descriptions help. '
+            + 'Structured interviews reduce bias and improve outcomes for everyone involved.',
+          maxTweets: 5,
+          platform: 'linkedin'
+        })
+        .expect(200);
+
+      expect(response.body.metadata.platform).toBe('linkedin');
+      expect(response.body.thread).toHaveLength(1);
+    });
+
+    test('rejects an unknown platform', async () => {
+      await request(app)
+        .post('/api/generate-thread')
+        .send({ text: 'Some content for an unknown platform', platform: 'myspace' })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/rewrite-tweet', () => {
+    const thread = [
+      {
+        index: 1,
+        text: 'Remote work changed how teams collaborate. (1/3)',
+        char_count: 48,
+        hashtags: ['#Thread', '#Work']
+      },
+      {
+        index: 2,
+        text: 'Async updates replace many meetings and give people focus time. (2/3)',
+        char_count: 69,
+        hashtags: ['#Productivity']
+      },
+      {
+        index: 3,
+        text: 'Start small: pick one meeting to replace this week. (3/3)',
+        char_count: 57,
+        hashtags: ['#Tips']
+      }
+    ];
+
+    test('returns a replacement tweet that keeps its position', async () => {
+      const response = await request(app)
+        .post('/api/rewrite-tweet')
+        .send({ thread, tweetIndex: 2, instruction: 'shorter' })
+        .expect('Content-Type', /json/);
+
+      expect(response.status).toBe(200);
+      expect(response.body.tweetIndex).toBe(2);
+      expect(['llm', 'fallback']).toContain(response.body.generated_via);
+      expect(response.body.tweet.index).toBe(2);
+      expect(response.body.tweet.text).toMatch(/\(2\/3\)$/);
+      expect(response.body.tweet.char_count).toBeLessThanOrEqual(280);
+      expect(response.body.tweet.hashtags).not.toContain('#Thread');
+    });
+
+    test('rejects a tweet index outside the thread', async () => {
+      const response = await request(app)
+        .post('/api/rewrite-tweet')
+        .send({ thread, tweetIndex: 4 })
+        .expect(400);
+
+      expect(response.body.error).toMatch(/tweetIndex/);
+    });
+
+    test('rejects malformed inline tweets with 400', async () => {
+      const malformed = [
+        { ...thread[0], hashtags: '#Thread' },
+        { ...thread[0], hashtags: [42] },
+        { ...thread[0], cta: { text: 'Follow' } },
+        { ...thread[0], text: 'x'.repeat(3001) },
+        { ...thread[0], text: '<b></b>' }
+      ];
+
+      await Promise.all(malformed.map(async (tweet) => {
+        const response = await request(app)
+          .post('/api/rewrite-tweet')
+          .send({ thread: [tweet, ...thread.slice(1)], tweetIndex: 2 })
+          .expect(400);
+        expect(response.body.error).toMatch(/thread\[0\]/);
+      }));
+    });
+
+    test('strips markup from inline tweet fields', async () => {
+      const response = await request(app)
+        .post('/api/rewrite-tweet')
+        .send({
+          thread: [thread[0], { ...thread[1], cta: '<img src=x onerror=alert(1)>Follow', extra: 'dropped' }, thread[2]],
+          tweetIndex: 2
+        })
+        .expect(200);
+
+      expect(response.body.tweet.cta).toBe('Follow');
+      expect(response.body.tweet).not.toHaveProperty('extra');
+    });
+
+    test('returns 404 for an unknown history entry', async () => {
+      await request(app)
+        .post('/api/rewrite-tweet')
+        .send({ historyId: 'missing-entry', tweetIndex: 1 })
+        .expect(404);
+    });
+  });
+
+  describe('Thread editing and versions', () => {
+    const historyId = 'test-edit-entry';
+    const entryPath = path.join(__dirname, '..', 'history', `${historyId}.json`);
+
+    beforeEach(() => {
+      fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+      fs.writeFileSync(entryPath, JSON.stringify({
+        id: historyId,
+        timestamp: new Date().toISOString(),
+        generated_via: 'success',
+        thread: {
+          metadata: {
+            language: 'en',
+            style_requested: 'educational',
+            max_tweets_requested: 3,
+            tweets_generated: 3,
+            direction: 'ltr',
+            platform: 'x'
+          },
+          thread: [
+            {
+              index: 1,
+              text: 'Remote work changed collaboration. Teams write more. (1/3)',
+              char_count: 58,
+              hashtags: ['#Work']
+            },
+            {
+              index: 2,
+              text: 'Async updates replace meetings. (2/3)',
+              char_count: 37,
+              hashtags: []
+            },
+            {
+              index: 3,
+              text: 'Start with one meeting this week. (3/3)',
+              char_count: 39,
+              hashtags: [],
+              cta: 'Follow for more'
+            }
+          ],
+          thread_summary: 'Remote work'
+        }
+      }));
+    });
+
+    afterEach(() => {
+      fs.rmSync(entryPath, { force: true });
+    });
+
+    test('edits a tweet and records a new version credited to the signed-in user', async () => {
+      const response = await request(app)
+        .patch(`/api/history/${historyId}/tweets/2`)
+        .send({ text: 'Async updates replace most status meetings.', author: 'sam' })
+        .expect(200);
+
+      expect(response.body.version).toBe(2);
+      expect(response.body.thread.thread[1].text).toBe('Async updates replace most status meetings. (2/3)');
+
+      const versions = await request(app)
+        .get(`/api/history/${historyId}/versions`)
+        .expect(200);
+
+      expect(versions.body.current_version).toBe(2);
+      expect(versions.body.versions.map((v) => v.author)).toEqual(['generator', 'local']);
+      expect(versions.body.versions[1].summary).toBe('Edited tweet 2');
+    });
+
+    test('splits, merges and reorders with renumbering', async () => {
+      const split = await request(app)
+        .post(`/api/history/${historyId}/tweets/1/split`)
+        .send({})
+        .expect(200);
+      expect(split.body.thread.thread.map((t) => t.text)).toEqual([
+        'Remote work changed collaboration. (1/4)',
+        'Teams write more. (2/4)',
+        'Async updates replace meetings. (3/4)',
+        'Start with one meeting this week. (4/4)'
+      ]);
+
+      const merge = await request(app)
+        .post(`/api/history/${historyId}/tweets/2/merge`)
+        .expect(200);
+      expect(merge.body.thread.thread[1].text).toBe('Teams write more. Async updates replace meetings. (2/3)');
+      expect(merge.body.thread.metadata.tweets_generated).toBe(3);
+
+      const reorder = await request(app)
+        .post(`/api/history/${historyId}/reorder`)
+        .send({ order: [2, 1, 3] })
+        .expect(200);
+      expect(reorder.body.version).toBe(4);
+      expect(reorder.body.thread.thread[0].text).toBe('Teams write more. Async updates replace meetings. (1/3)');
+    });
+
+    test('diffs and restores versions', async () => {
+      await request(app)
+        .patch(`/api/history/${historyId}/tweets/3`)
+        .send({ text: 'Pick one meeting to drop this week.' })
+        .expect(200);
+
+      const diff = await request(app)
+        .get(`/api/history/${historyId}/diff?from=1&to=2`)
+        .expect(200);
+      expect(diff.body.stats).toEqual({
+        unchanged: 2,
+        modified: 1,
+        moved: 0,
+        added: 0,
+        removed: 0
+      });
+      expect(diff.body.tweets[2].status).toBe('modified');
+
+      const restore = await request(app)
+        .post(`/api/history/${historyId}/versions/1/restore`)
+        .expect(200);
+      expect(restore.body.version).toBe(3);
+      expect(restore.body.thread.thread[2].text).toBe('Start with one meeting this week. (3/3)');
+
+      const version = await request(app)
+        .get(`/api/history/${historyId}/versions/3`)
+        .expect(200);
+      expect(version.body.restored_from).toBe(1);
+    });
+
+    test('rejects invalid edits', async () => {
+      await request(app)
+        .post(`/api/history/${historyId}/reorder`)
+        .send({ order: [1, 1, 2] })
+        .expect(400);
+
+      await request(app)
+        .post(`/api/history/${historyId}/tweets/3/merge`)
+        .expect(400);
+
+      await request(app)
+        .patch('/api/history/missing-entry/tweets/1')
+        .send({ text: 'Hello' })
+        .expect(404);
+    });
+  });
+
   describe('GET /api/history', () => {
     test('returns history list', async () => {
       const response = await request(app)
@@ -146,6 +635,420 @@ describe('API Endpoints', () => {
       expect(response.body.pagination.page).toBe(1);
       expect(response.body.pagination.limit).toBe(5);
     });
+
+    describe('search and filters', () => {
+      const historyId = 'test-search-entry';
+      const entryPath = path.join(__dirname, '..', 'history', `${historyId}.json`);
+
+      beforeEach(() => {
+        fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+        fs.writeFileSync(entryPath, JSON.stringify({
+          id: historyId,
+          timestamp: new Date().toISOString(),
+          generated_via: 'success',
+          thread: {
+            metadata: {
+              language: 'ar',
+              style_requested: 'technical',
+              max_tweets_requested: 2,
+              tweets_generated: 2,
+              direction: 'rtl',
+              platform: 'x'
+            },
+            thread: [
+              {
+                index: 1,
+                text: 'إدارة الحاويات بسهولة مع زيتونكوبر (1/2)',
+                char_count: 40,
+                hashtags: ['#زيتونكوبر']
+              },
+              {
+                index: 2,
+                text: 'ابدأ بخطوة واحدة اليوم (2/2)',
+                char_count: 28,
+                hashtags: []
+              }
+            ],
+            thread_summary: 'زيتونكوبر',
+            estimated_engagement_score: 9
+          }
+        }));
+      });
+
+      afterEach(() => {
+        fs.rmSync(entryPath, { force: true });
+      });
+
+      test('finds entries by Arabic text with normalized spelling', async () => {
+        const response = await request(app)
+          .get(`/api/history?q=${encodeURIComponent('اداره زيتونكوبر')}`)
+          .expect(200);
+
+        expect(response.body.history.map((item) => item.id)).toContain(historyId);
+        const item = response.body.history.find((entry) => entry.id === historyId);
+        expect(item).toMatchObject({ tweet_count: 2, engagement_score: 9, hashtags: ['#زيتونكوبر'] });
+        expect(item.search_text).toBeUndefined();
+        expect(response.body.query.sort).toBe('relevance');
+      });
+
+      test('applies filters', async () => {
+        const matching = await request(app)
+          .get(`/api/history?q=${encodeURIComponent('زيتونكوبر')}&language=ar&direction=rtl&style=technical&minScore=8`)
+          .expect(200);
+        expect(matching.body.pagination.total).toBe(1);
+
+        const excluded = await request(app)
+          .get(`/api/history?q=${encodeURIComponent('زيتونكوبر')}&language=en`)
+          .expect(200);
+        expect(excluded.body.history).toHaveLength(0);
+      });
+
+      test('rejects invalid filters', async () => {
+        const response = await request(app)
+          .get('/api/history?style=poetic&sort=random')
+          .expect(400);
+
+        expect(response.body.details.errors).toHaveLength(2);
+      });
+    });
+  });
+
+  describe('Organizing history', () => {
+    const historyDir = path.join(__dirname, '..', 'history');
+    const ids = ['test-organize-a', 'test-organize-b', 'test-organize-c'];
+
+    beforeEach(() => {
+      fs.mkdirSync(historyDir, { recursive: true });
+      ids.forEach((id) => {
+        fs.writeFileSync(path.join(historyDir, `${id}.json`), JSON.stringify({
+          id,
+          timestamp: new Date().toISOString(),
+          generated_via: 'success',
+          thread: {
+            metadata: {
+              language: 'en',
+              style_requested: 'concise',
+              max_tweets_requested: 1,
+              tweets_generated: 1,
+              direction: 'ltr',
+              platform: 'x'
+            },
+            thread: [{
+              index: 1,
+              text: `Organizing test thread ${id}`,
+              char_count: 40,
+              hashtags: []
+            }],
+            thread_summary: 'Organizing'
+          }
+        }));
+      });
+    });
+
+    afterEach(() => {
+      ids.forEach((id) => fs.rmSync(path.join(historyDir, `${id}.json`), { force: true }));
+    });
+
+    test('tags, favorites and pins an entry', async () => {
+      const response = await request(app)
+        .patch(`/api/history/${ids[0]}`)
+        .send({ tags: ['#Launch', 'launch', ' Ideas '], favorite: true, pinned: true })
+        .expect(200);
+
+      expect(response.body).toEqual({
+        historyId: ids[0],
+        tags: ['launch', 'ideas'],
+        favorite: true,
+        pinned: true
+      });
+
+      const saved = await request(app).get(`/api/history/${ids[0]}`).expect(200);
+      expect(saved.body.pinned).toBe(true);
+      expect(saved.body.thread.thread).toHaveLength(1);
+
+      const listed = await request(app).get('/api/history?pinned=true&tags=launch').expect(200);
+      expect(listed.body.history.map((item) => item.id)).toEqual([ids[0]]);
+      expect(listed.body.history[0]).toMatchObject({ favorite: true, tags: ['launch', 'ideas'] });
+    });
+
+    test('rejects invalid updates', async () => {
+      const response = await request(app)
+        .patch(`/api/history/${ids[0]}`)
+        .send({ pinned: 'yes', tags: 'launch' })
+        .expect(400);
+
+      expect(response.body.details.errors).toHaveLength(2);
+
+      await request(app).patch(`/api/history/${ids[0]}`).send({}).expect(400);
+      await request(app).patch('/api/history/missing-entry').send({ favorite: true }).expect(404);
+    });
+
+    test('deletes a single entry', async () => {
+      const response = await request(app)
+        .delete(`/api/history/${ids[0]}`)
+        .expect(200);
+
+      expect(response.body.deleted).toEqual([ids[0]]);
+      await request(app).get(`/api/history/${ids[0]}`).expect(404);
+      await request(app).delete(`/api/history/${ids[0]}`).expect(404);
+    });
+
+    test('deletes entries in bulk and reports missing ones', async () => {
+      const response = await request(app)
+        .post('/api/history/bulk-delete')
+        .send({ ids: [ids[1], ids[2], 'missing-entry'] })
+        .expect(200);
+
+      expect(response.body).toEqual({ deleted: [ids[1], ids[2]], not_found: ['missing-entry'] });
+
+      const listed = await request(app).get('/api/history?q=organizing').expect(200);
+      expect(listed.body.history.map((item) => item.id)).not.toContain(ids[1]);
+
+      await request(app)
+        .post('/api/history/bulk-delete')
+        .send({ ids: ['../server'] })
+        .expect(400);
+    });
+  });
+
+  describe('Exporting history', () => {
+    const historyDir = path.join(__dirname, '..', 'history');
+    const ids = ['test-export-a', 'test-export-b'];
+    const binaryParser = (res, callback) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    beforeEach(() => {
+      fs.mkdirSync(historyDir, { recursive: true });
+      ids.forEach((id) => {
+        fs.writeFileSync(path.join(historyDir, `${id}.json`), JSON.stringify({
+          id,
+          timestamp: new Date().toISOString(),
+          generated_via: 'success',
+          thread: {
+            metadata: {
+              language: 'ar',
+              style_requested: 'concise',
+              max_tweets_requested: 1,
+              tweets_generated: 1,
+              direction: 'rtl',
+              platform: 'x'
+            },
+            thread: [{
+              index: 1,
+              text: 'خيط للتصدير',
+              char_count: 11,
+              hashtags: ['#تصدير']
+            }],
+            thread_summary: 'تصدير'
+          }
+        }));
+      });
+    });
+
+    afterEach(() => {
+      ids.forEach((id) => fs.rmSync(path.join(historyDir, `${id}.json`), { force: true }));
+    });
+
+    test('downloads one thread in the requested format', async () => {
+      const response = await request(app)
+        .get(`/api/history/${ids[0]}/export?format=html`)
+        .expect('Content-Type', /text\/html/)
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toBe(`attachment; filename="${ids[0]}.html"`);
+      expect(response.text).toMatch(/<html lang="ar" dir="rtl">/);
+    });
+
+    test('defaults to Markdown and validates the format', async () => {
+      const response = await request(app)
+        .get(`/api/history/${ids[0]}/export`)
+        .expect(200);
+      expect(response.text).toMatch(/^# تصدير\n/);
+
+      await request(app).get(`/api/history/${ids[0]}/export?format=pdf`).expect(400);
+      await request(app).get('/api/history/missing-entry/export').expect(404);
+    });
+
+    test('bundles several threads into a ZIP archive', async () => {
+      const response = await request(app)
+        .post('/api/history/export')
+        .send({ ids: [...ids, 'missing-entry'], format: 'posts-json', scheduledAt: '2025-04-01T09:00:00Z' })
+        .buffer(true)
+        .parse(binaryParser)
+        .expect('Content-Type', /application\/zip/)
+        .expect(200);
+
+      const zip = response.body;
+      expect(zip.readUInt32LE(0)).toBe(0x04034B50);
+      expect(zip.readUInt16LE(zip.length - 22 + 10)).toBe(3);
+      expect(zip.toString('utf8')).toContain(`${ids[0]}-posts.json`);
+      expect(zip.toString('utf8')).toContain('manifest.json');
+    });
+
+    test('rejects invalid batch exports', async () => {
+      const response = await request(app)
+        .post('/api/history/export')
+        .send({ ids: [], format: 'pdf' })
+        .expect(400);
+
+      expect(response.body.details.errors).toHaveLength(2);
+    });
+  });
+
+  describe('POST /api/import', () => {
+    const historyDir = path.join(__dirname, '..', 'history');
+
+    test('parses numbered text into a linted thread without saving it', async () => {
+      const response = await request(app)
+        .post('/api/import')
+        .send({ content: '1/ Remote work is here to stay #RemoteWork\n2/ Start small', style: 'concise' })
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      expect(response.body.format).toBe('text');
+      expect(response.body.threads).toHaveLength(1);
+      expect(response.body.threads[0].thread.thread[0]).toMatchObject({
+        text: 'Remote work is here to stay (1/2)',
+        hashtags: ['#RemoteWork']
+      });
+      expect(response.body.threads[0].thread.metadata.style_requested).toBe('concise');
+      expect(response.body.threads[0].lint).toEqual([]);
+      expect(response.body.threads[0]).not.toHaveProperty('historyId');
+    });
+
+    test('saves imported threads to history', async () => {
+      const response = await request(app)
+        .post('/api/import')
+        .send({ content: JSON.stringify(['خيط مستورد', 'التغريدة الثانية']), save: true })
+        .expect(200);
+
+      const { historyId } = response.body.threads[0];
+      const entry = JSON.parse(fs.readFileSync(path.join(historyDir, `${historyId}.json`), 'utf8'));
+      fs.rmSync(path.join(historyDir, `${historyId}.json`), { force: true });
+
+      expect(entry.generated_via).toBe('imported');
+      expect(entry.thread.metadata).toMatchObject({ direction: 'rtl', imported: { format: 'json' } });
+    });
+
+    test('rejects invalid requests and unreadable content', async () => {
+      const invalid = await request(app)
+        .post('/api/import')
+        .send({ content: '', format: 'pdf', save: 'yes' })
+        .expect(400);
+      expect(invalid.body.details.errors).toHaveLength(3);
+
+      const unreadable = await request(app)
+        .post('/api/import')
+        .send({ content: '{"thread":', format: 'json' })
+        .expect(400);
+      expect(unreadable.body.error).toBe('content is not valid JSON');
+    });
+  });
+
+  describe('Scheduling', () => {
+    const historyDir = path.join(__dirname, '..', 'history');
+    const id = 'test-schedule';
+
+    beforeEach(() => {
+      fs.mkdirSync(historyDir, { recursive: true });
+      fs.writeFileSync(path.join(historyDir, `${id}.json`), JSON.stringify({
+        id,
+        timestamp: new Date().toISOString(),
+        generated_via: 'success',
+        thread: {
+          metadata: { language: 'en', platform: 'x' },
+          thread: [{
+            index: 1,
+            text: 'A thread to schedule',
+            char_count: 20,
+            hashtags: []
+          }],
+          publishing_recommendations: { best_time: '21:00 GMT+3' }
+        }
+      }));
+    });
+
+    afterEach(() => {
+      fs.rmSync(path.join(historyDir, `${id}.json`), { force: true });
+    });
+
+    test('lists the available publishers', async () => {
+      const response = await request(app)
+        .get('/api/publishers')
+        .expect(200);
+
+      expect(response.body.default).toBe('filesystem');
+      expect(response.body.publishers.map((publisher) => publisher.publisher)).toEqual(['filesystem', 'webhook', 'x']);
+    });
+
+    test('schedules, reschedules and cancels a thread', async () => {
+      const created = await request(app)
+        .post('/api/schedule')
+        .send({ historyId: id, publishAt: '2099-01-01T09:00', timezone: 'Asia/Riyadh' })
+        .expect(201);
+
+      const { job } = created.body;
+      expect(job).toMatchObject({
+        history_id: id,
+        status: 'pending',
+        publish_at: '2099-01-01T06:00:00.000Z',
+        local_time: '2099-01-01T09:00'
+      });
+
+      const listed = await request(app)
+        .get(`/api/schedule?historyId=${id}&status=pending`)
+        .expect(200);
+      expect(listed.body.jobs.map((listedJob) => listedJob.id)).toContain(job.id);
+
+      const moved = await request(app)
+        .patch(`/api/schedule/${job.id}`)
+        .send({ publishAt: '2099-01-02T10:30' })
+        .expect(200);
+      expect(moved.body.job).toMatchObject({ publish_at: '2099-01-02T07:30:00.000Z', timezone: 'Asia/Riyadh' });
+
+      const cancelled = await request(app)
+        .delete(`/api/schedule/${job.id}`)
+        .expect(200);
+      expect(cancelled.body.job.status).toBe('cancelled');
+
+      await request(app).delete(`/api/schedule/${job.id}`).expect(409);
+      await request(app).get('/api/schedule/job-missing').expect(404);
+    });
+
+    test('defaults to the recommended publishing time', async () => {
+      const response = await request(app)
+        .post('/api/schedule')
+        .send({ historyId: id })
+        .expect(201);
+
+      const publishAt = Date.parse(response.body.job.publish_at);
+      expect(new Date(publishAt).getUTCHours()).toBe(18);
+      expect(publishAt - Date.now()).toBeLessThanOrEqual(24 * 60 * 60 * 1000);
+
+      await request(app).delete(`/api/schedule/${response.body.job.id}`).expect(200);
+    });
+
+    test('rejects invalid schedules', async () => {
+      const invalid = await request(app)
+        .post('/api/schedule')
+        .send({
+          historyId: id,
+          publishAt: '2000-01-01T09:00:00Z',
+          timezone: 'Mars/Olympus',
+          publisher: 'carrier-pigeon',
+          dryRun: 'yes'
+        })
+        .expect(400);
+      expect(invalid.body.details.errors).toHaveLength(4);
+
+      await request(app)
+        .post('/api/schedule')
+        .send({ historyId: 'missing-entry', publishAt: '2099-01-01T09:00:00Z' })
+        .expect(404);
+    });
   });
 
   describe('GET /api/stats', () => {
@@ -0,0 +1,222 @@
+/**
+ * Tests for brand voice profiles and how generation applies them
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'brand-voices-'));
+process.env.BRAND_VOICES_FILE = path.join(tempDir, 'brand-voices.json');
+process.env.STYLES_DIR = path.join(tempDir, 'styles');
+process.env.USERS_FILE = path.join(tempDir, 'users.json');
+process.env.USER_DATA_DIR = path.join(tempDir, 'users');
+process.env.USER_QUOTA_STATE_FILE = path.join(tempDir, 'user-quota.json');
+process.env.SCHEDULE_STATE_FILE = path.join(tempDir, 'schedule.json');
+
+const { createBrandVoiceStore, applyBrandVoice, resolveEmojiPreference } = require('../services/brandVoices');
+const { validateBrandVoice } = require('../utils/inputSanitizer');
+const { generateFallbackThread } = require('../services/localTemplates');
+const { buildPrompt, rewriteTweet } = require('../services/geminiService');
+const { getPlatformProfile } = require('../config/platforms');
+const app = require('../server');
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/u;
+
+const ACME = {
+  id: 'acme',
+  name: 'Acme Cloud',
+  description: 'Calm, practical and confident',
+  preferredWords: ['reliable'],
+  bannedWords: ['cheap', 'synergy'],
+  formality: 'formal',
+  emojiPolicy: 'none',
+  signatureCTA: 'Start free at acme.example',
+  mandatoryHashtags: ['#AcmeCloud'],
+  examples: ['Reliable deploys, every time.']
+};
+
+const ENGLISH_TEXT = 'Our cloud keeps deploys reliable for busy teams. Rollbacks take seconds instead of hours. '
+  + 'Monitoring is built in from the first day.';
+
+/**
+ * Build a generation result around some tweet texts
+ * @param {Array<string>} texts - Tweet texts
+ * @returns {Object} Result
+ */
+function makeResult(texts) {
+  return {
+    metadata: { source: 'gemini' },
+    thread: texts.map((text, index) => ({
+      text,
+      char_count: text.length,
+      hashtags: ['#Cloud', '#acmecloud'],
+      emoji_suggestions: ['🚀', '☁️'],
+      cta: index === texts.length - 1 ? 'Follow for more 🚀' : null
+    }))
+  };
+}
+
+describe('Brand voices', () => {
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('brand voice store', () => {
+    test('saves profiles with defaults and reads them back', async () => {
+      const filePath = path.join(fs.mkdtempSync(path.join(tempDir, 'store-')), 'voices.json');
+      const store = createBrandVoiceStore(filePath);
+
+      const created = await store.create({ id: 'plain', name: 'Plain' });
+      expect(created).toMatchObject({ formality: 'neutral', emojiPolicy: 'moderate', bannedWords: [] });
+      await expect(store.create({ id: 'plain', name: 'Again' })).rejects.toMatchObject({ status: 409 });
+
+      await store.update('plain', { formality: 'casual' });
+      expect(createBrandVoiceStore(filePath).get('plain').formality).toBe('casual');
+
+      await store.remove('plain');
+      expect(store.list()).toEqual([]);
+      await expect(store.update('plain', {})).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('validateBrandVoice', () => {
+    test('accepts a complete profile and normalizes its hashtags', () => {
+      const result = validateBrandVoice({ ...ACME, mandatoryHashtags: ['AcmeCloud', '#acmecloud'] });
+      expect(result.success).toBe(true);
+      expect(result.sanitized.mandatoryHashtags).toEqual(['#AcmeCloud']);
+    });
+
+    test('rejects bad values and needs an id and name only for new profiles', () => {
+      const result = validateBrandVoice({ id: 'Acme!', formality: 'stiff', emojiPolicy: 'lots' });
+      expect(result.code).toBe(400);
+      expect(result.details.errors).toEqual(expect.arrayContaining([
+        'formality must be one of: casual, neutral, formal',
+        'emojiPolicy must be one of: none, minimal, moderate, rich'
+      ]));
+
+      expect(validateBrandVoice({ signatureCTA: null }, { partial: true }).success).toBe(true);
+      expect(validateBrandVoice({ id: 'other' }, { partial: true }).success).toBeUndefined();
+    });
+  });
+
+  describe('applying a voice', () => {
+    const profile = getPlatformProfile('x');
+
+    test('the brand emoji policy caps the user preference', () => {
+      expect(resolveEmojiPreference({ emojiPreference: 'rich' }, { emojiPolicy: 'minimal' })).toBe('minimal');
+      expect(resolveEmojiPreference({ emojiPreference: 'none' }, { emojiPolicy: 'rich' })).toBe('none');
+      expect(resolveEmojiPreference({}, null)).toBe('moderate');
+    });
+
+    test('adds mandatory hashtags and the signature CTA and drops emojis', () => {
+      const result = applyBrandVoice(makeResult(['Deploys are calm now 🚀', 'Rollbacks take seconds']), ACME, {
+        profile,
+        preferences: {}
+      });
+
+      expect(result.metadata.brand_voice).toBe('acme');
+      result.thread.forEach((tweet) => {
+        expect(tweet.hashtags[0]).toBe('#AcmeCloud');
+        expect(tweet.hashtags.filter((tag) => tag.toLowerCase() === '#acmecloud')).toHaveLength(1);
+        expect(tweet.text).not.toMatch(EMOJI_PATTERN);
+        expect(tweet.emoji_suggestions).toEqual([]);
+      });
+      expect(result.thread[1].cta).toBe('Start free at acme.example');
+      expect(result.thread[0].cta).toBeNull();
+    });
+
+    test('reports banned words and informal wording as warnings', () => {
+      const result = applyBrandVoice(makeResult(['Cheap hosting, no synergy needed', 'We\'re gonna ship it!!']), ACME, {
+        profile,
+        preferences: { autoAddCTA: false }
+      });
+
+      expect(result.thread[0].warnings).toEqual(['Uses banned words: cheap, synergy']);
+      expect(result.thread[1].warnings).toEqual(['Informal wording for a formal brand voice']);
+      expect(result.thread[1].cta).toBe('Follow for more');
+    });
+
+    test('local fallback threads follow the voice', () => {
+      const result = generateFallbackThread(ENGLISH_TEXT, { maxTweets: 3, style: 'professional', brandVoice: ACME });
+      const last = result.thread[result.thread.length - 1];
+
+      expect(result.metadata.brand_voice).toBe('acme');
+      expect(last.cta).toBe('Start free at acme.example');
+      expect(result.thread.every((tweet) => tweet.hashtags.includes('#AcmeCloud'))).toBe(true);
+      expect(result.thread.every((tweet) => !EMOJI_PATTERN.test(tweet.text))).toBe(true);
+    });
+
+    test('rewritten tweets follow the voice', async () => {
+      const { thread } = makeResult([
+        'Deploys are reliable for busy teams 🚀',
+        'Rollbacks are cheap and take seconds 🚀',
+        'Monitoring is built in from day one 🚀'
+      ]);
+
+      const { tweet: middle } = await rewriteTweet(thread, 1, { brandVoice: ACME });
+      expect(middle.hashtags).toContain('#AcmeCloud');
+      expect(middle.text).not.toMatch(EMOJI_PATTERN);
+      expect(middle.emoji_suggestions).toEqual([]);
+      expect(middle.cta).toBeNull();
+      expect(middle.warnings).toContain('Uses banned words: cheap');
+
+      const { tweet: last } = await rewriteTweet(thread, 2, { brandVoice: ACME });
+      expect(last.cta).toBe('Start free at acme.example');
+    });
+
+    test('the LLM prompt describes the voice', () => {
+      const prompt = buildPrompt(ENGLISH_TEXT, { maxTweets: 3, brandVoice: ACME });
+
+      expect(prompt).toContain('BRAND VOICE (Acme Cloud): Calm, practical and confident');
+      expect(prompt).toContain('Never use these words: cheap, synergy');
+      expect(prompt).toContain('"Start free at acme.example"');
+      expect(prompt).toContain('Do not use emojis');
+    });
+  });
+
+  describe('API', () => {
+    test('creates a profile that generation requests can name', async () => {
+      await request(app).post('/api/brand-voices').send(ACME).expect(201);
+      await request(app).post('/api/brand-voices').send(ACME).expect(409);
+
+      const list = await request(app).get('/api/brand-voices');
+      expect(list.body.brandVoices.map((voice) => voice.id)).toEqual(['acme']);
+
+      const generated = await request(app)
+        .post('/api/generate-thread')
+        .send({ text: ENGLISH_TEXT, maxTweets: 3, brandVoice: 'acme' });
+      expect(generated.status).toBe(200);
+      expect(generated.body.metadata.brand_voice).toBe('acme');
+      expect(generated.body.thread[0].hashtags).toContain('#AcmeCloud');
+
+      const rewritten = await request(app)
+        .post('/api/rewrite-tweet')
+        .send({ thread: generated.body.thread, tweetIndex: 1, brandVoice: 'acme' });
+      expect(rewritten.status).toBe(200);
+      expect(rewritten.body.tweet.hashtags).toContain('#AcmeCloud');
+    });
+
+    test('edits and deletes profiles and rejects unknown ones', async () => {
+      const edited = await request(app).patch('/api/brand-voices/acme').send({ formality: 'casual' });
+      expect(edited.status).toBe(200);
+      expect(edited.body.brandVoice.formality).toBe('casual');
+
+      await request(app).delete('/api/brand-voices/acme').expect(200);
+      await request(app).get('/api/brand-voices/acme').expect(404);
+
+      const rejected = await request(app)
+        .post('/api/generate-thread')
+        .send({ text: ENGLISH_TEXT, brandVoice: 'acme' });
+      expect(rejected.status).toBe(400);
+      expect(rejected.body.error).toBe('Unknown brand voice: acme');
+
+      const rejectedRewrite = await request(app)
+        .post('/api/rewrite-tweet')
+        .send({ thread: makeResult(['Deploys are reliable']).thread, tweetIndex: 1, brandVoice: 'acme' });
+      expect(rejectedRewrite.status).toBe(400);
+      expect(rejectedRewrite.body.error).toBe('Unknown brand voice: acme');
+    });
+  });
+});
@@ -2,9 +2,25 @@
  * Tests for character counter utility
  */
 
-const { getCharCount, truncateSmart, validateTweetLength, analyzeText } = require('../utils/charCounter');
+const {
+  getCharCount,
+  composeTweetText,
+  getWeightedLength,
+  extractUrls,
+  truncateSmart,
+  validateTweetLength,
+  analyzeText
+} = require('../utils/charCounter');
 
 describe('Character Counter Utilities', () => {
+  describe('composeTweetText', () => {
+    test('appends hashtags and CTA that the text does not already contain', () => {
+      expect(composeTweetText('Tip (1/2)', ['#a', '#b'], 'Follow')).toBe('Tip (1/2) #a #b Follow');
+      expect(composeTweetText('Tip #a #b', ['#a', '#b'], '')).toBe('Tip #a #b');
+      expect(composeTweetText('Tip. Follow', [], 'Follow')).toBe('Tip. Follow');
+    });
+  });
+
   describe('getCharCount', () => {
     test('counts basic ASCII text correctly', () => {
       expect(getCharCount('Hello world')).toBe(11);
@@ -17,10 +33,22 @@ describe('Character Counter Utilities', () => {
       expect(getCharCount('السلام عليكم')).toBe(12);
     });
 
-    test('counts emojis as single characters', () => {
-      expect(getCharCount('Hello 👋')).toBe(7);
-      expect(getCharCount('🚀🎉🔥')).toBe(3);
-      expect(getCharCount('👨‍💻')).toBe(1); // Complex emoji
+    test('counts each emoji sequence with weight 2', () => {
+      expect(getCharCount('Hello 👋')).toBe(8);
+      expect(getCharCount('🚀🎉🔥')).toBe(6);
+      expect(getCharCount('👨‍💻')).toBe(2); // ZWJ sequence
+      expect(getCharCount('🇸🇦')).toBe(2); // Flag
+    });
+
+    test('counts every URL as 23 characters', () => {
+      const url = 'https://example.com/a/very/long/path?with=query&and=more#fragment';
+      expect(getCharCount(`Read ${url}`)).toBe(5 + 23);
+      expect(getCharCount('Visit example.com today')).toBe(6 + 23 + 6);
+    });
+
+    test('weighs CJK characters as 2', () => {
+      expect(getCharCount('你好世界')).toBe(8);
+      expect(getCharCount('こんにちは')).toBe(10);
     });
 
     test('includes hashtags and CTA in count', () => {
@@ -39,6 +67,28 @@ describe('Character Counter Utilities', () => {
     });
   });
 
+  describe('getWeightedLength', () => {
+    test('counts Arabic diacritics as separate characters', () => {
+      expect(getWeightedLength('مَرْحَبًا')).toBe(9);
+    });
+
+    test('weighs typographic punctuation like X does', () => {
+      expect(getWeightedLength('“quoted” — yes')).toBe(14);
+      expect(getWeightedLength('wait…')).toBe(6);
+    });
+  });
+
+  describe('extractUrls', () => {
+    test('finds URLs with and without a scheme', () => {
+      const urls = extractUrls('See https://x.com/foo, example.org and github.io/repo.').map((u) => u.url);
+      expect(urls).toEqual(['https://x.com/foo', 'example.org', 'github.io/repo']);
+    });
+
+    test('ignores emails, file names and abbreviations', () => {
+      expect(extractUrls('mail a@b.com about Node.js, e.g. today')).toEqual([]);
+    });
+  });
+
   describe('truncateSmart', () => {
     test('returns original text if under limit', () => {
       const text = 'Short text';
@@ -62,6 +112,18 @@ describe('Character Counter Utilities', () => {
       expect(totalLength).toBeLessThanOrEqual(50);
     });
 
+    test('never cuts through a URL', () => {
+      const text = `${'word '.repeat(3)}https://example.com/${'x'.repeat(100)}${'y'.repeat(300)}`;
+      const result = truncateSmart(text, 40);
+      expect(getCharCount(result)).toBeLessThanOrEqual(40);
+      expect(result).not.toMatch(/https:\/\/example\.com\/x+\.\.\.$/);
+    });
+
+    test('uses weighted length for CJK text', () => {
+      const result = truncateSmart('你好'.repeat(200), 50);
+      expect(getCharCount(result)).toBeLessThanOrEqual(50);
+    });
+
     test('handles Arabic text truncation', () => {
       const arabicText = 'هذا نص طويل جداً يحتاج إلى قطع بطريقة ذكية للحفاظ على المعنى';
       const result = truncateSmart(arabicText, 30);
@@ -95,6 +157,39 @@ describe('Character Counter Utilities', () => {
     });
   });
 
+  describe('validateTweetLength with links', () => {
+    test('accepts long URLs that fit once shortened', () => {
+      const text = `New post: https://example.com/${'a'.repeat(300)}`;
+      const result = validateTweetLength(text);
+      expect(result.isValid).toBe(true);
+      expect(result.charCount).toBe(10 + 23);
+    });
+  });
+
+  describe('platform counting', () => {
+    test('counts each emoji as one grapheme on Bluesky', () => {
+      expect(getWeightedLength('🚀🎉🔥', 'bluesky')).toBe(3);
+      expect(getWeightedLength('你好世界', 'bluesky')).toBe(4);
+    });
+
+    test('counts links at their full length on Bluesky', () => {
+      const url = `https://example.com/${'a'.repeat(40)}`;
+      expect(getWeightedLength(`Read ${url}`, 'bluesky')).toBe(5 + url.length);
+    });
+
+    test('counts links as 23 on Mastodon', () => {
+      const url = `https://example.com/${'a'.repeat(40)}`;
+      expect(getWeightedLength(`Read ${url}`, 'mastodon')).toBe(5 + 23);
+    });
+
+    test('validates against the platform limit', () => {
+      const text = 'a'.repeat(400);
+      expect(validateTweetLength(text).isValid).toBe(false);
+      expect(validateTweetLength(text, [], '', 'mastodon').isValid).toBe(true);
+      expect(validateTweetLength(text, [], '', 'bluesky').maxLength).toBe(300);
+    });
+  });
+
   describe('analyzeText', () => {
     test('analyzes basic text properties', () => {
       const text = 'Hello world! 👋';
@@ -0,0 +1,79 @@
+/**
+ * Tests for the bounded concurrency pool
+ */
+
+const { createConcurrencyPool } = require('../utils/concurrencyPool');
+
+/**
+ * Create a task that finishes when released
+ * @param {*} value - Value the task resolves to
+ * @returns {Object} {task, release, started}
+ */
+function createControlledTask(value) {
+  let release;
+  const gate = new Promise((resolve) => {
+    release = resolve;
+  });
+  const handle = { started: false };
+  handle.task = async () => {
+    handle.started = true;
+    await gate;
+    return value;
+  };
+  handle.release = release;
+  return handle;
+}
+
+describe('Concurrency Pool', () => {
+  test('runs at most the limit at once and starts queued tasks in order', async () => {
+    const pool = createConcurrencyPool({ limit: 2 });
+    const tasks = [1, 2, 3].map(createControlledTask);
+    const results = tasks.map(({ task }) => pool.run(task));
+
+    await Promise.resolve();
+    expect(tasks.map(({ started }) => started)).toEqual([true, true, false]);
+    expect(pool.getStats()).toEqual({
+      limit: 2,
+      active: 2,
+      queued: 1,
+      max_queued: null
+    });
+
+    tasks[1].release();
+    await results[1];
+    await new Promise((resolve) => {
+      setImmediate(resolve);
+    });
+    expect(tasks[2].started).toBe(true);
+
+    tasks[0].release();
+    tasks[2].release();
+    await expect(Promise.all(results)).resolves.toEqual([1, 2, 3]);
+    expect(pool.getStats().active).toBe(0);
+  });
+
+  test('rejects new work once the queue is full', async () => {
+    const pool = createConcurrencyPool({ limit: 1, maxQueued: 1 });
+    const running = createControlledTask('a');
+    const waiting = createControlledTask('b');
+    const first = pool.run(running.task);
+    const second = pool.run(waiting.task);
+
+    expect(pool.canAccept()).toBe(false);
+    await expect(pool.run(async () => 'c')).rejects.toMatchObject({ status: 503 });
+
+    running.release();
+    waiting.release();
+    await expect(Promise.all([first, second])).resolves.toEqual(['a', 'b']);
+    expect(pool.canAccept()).toBe(true);
+  });
+
+  test('frees the slot when a task fails', async () => {
+    const pool = createConcurrencyPool({ limit: 1 });
+
+    await expect(pool.run(async () => {
+      throw new Error('provider down');
+    })).rejects.toThrow('provider down');
+    await expect(pool.run(async () => 'next')).resolves.toBe('next');
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for asynchronous generation jobs
+ */
+
+const { createGenerationJobs } = require('../services/generationJobs');
+const { createConcurrencyPool } = require('../utils/concurrencyPool');
+
+const flush = () => new Promise((resolve) => {
+  setImmediate(resolve);
+});
+
+describe('Generation Jobs', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = Date.UTC(2025, 3, 1, 12);
+  });
+
+  test('reports each stage of a generation and keeps the result', async () => {
+    let finish;
+    let hooks;
+    const jobs = createGenerationJobs({
+      pool: createConcurrencyPool({ limit: 1 }),
+      generate: (input, jobHooks) => new Promise((resolve) => {
+        hooks = jobHooks;
+        finish = resolve;
+      }),
+      now: () => clock
+    });
+
+    const queued = jobs.submit('req-1', { text: 'Hello' });
+    expect(queued).toMatchObject({ id: 'req-1', status: 'queued', result: null });
+
+    await flush();
+    expect(jobs.get('req-1')).toMatchObject({ status: 'running', started_at: '2025-04-01T12:00:00.000Z' });
+
+    hooks.onProgress('retry', { attempt: 1 });
+    expect(jobs.get('req-1')).toMatchObject({ status: 'retrying', retries: 1 });
+
+    hooks.onProgress('fallback', { reason: 'quota_exceeded' });
+    expect(jobs.get('req-1')).toMatchObject({ status: 'fallback', fallback_reason: 'quota_exceeded' });
+
+    finish({ status: 200, payload: { thread: [{ text: 'Hello' }] } });
+    await flush();
+    expect(jobs.get('req-1')).toMatchObject({ status: 'done', result: { thread: [{ text: 'Hello' }] } });
+    expect(jobs.getStats().jobs).toMatchObject({ done: 1, queued: 0 });
+  });
+
+  test('marks failed generations and errors as failed', async () => {
+    const jobs = createGenerationJobs({
+      pool: createConcurrencyPool({ limit: 2 }),
+      generate: async (input) => {
+        if (input.crash) {
+          throw new Error('disk full');
+        }
+        return { status: 500, payload: { error: 'Thread generation failed', details: 'quota_exceeded' } };
+      },
+      now: () => clock
+    });
+
+    jobs.submit('req-1', {});
+    jobs.submit('req-2', { crash: true });
+    await flush();
+
+    expect(jobs.get('req-1')).toMatchObject({
+      status: 'failed',
+      error: 'Thread generation failed',
+      details: 'quota_exceeded'
+    });
+    expect(jobs.get('req-2')).toMatchObject({ status: 'failed', error: 'disk full' });
+  });
+
+  test('queues behind the pool and turns work away when it is full', async () => {
+    const jobs = createGenerationJobs({
+      pool: createConcurrencyPool({ limit: 1, maxQueued: 1 }),
+      generate: () => new Promise(() => {}),
+      now: () => clock
+    });
+
+    jobs.submit('req-1', {});
+    jobs.submit('req-2', {});
+    await flush();
+
+    expect(jobs.get('req-2').status).toBe('queued');
+    expect(() => jobs.submit('req-3', {})).toThrow(expect.objectContaining({ status: 503 }));
+    expect(jobs.get('req-3')).toBeNull();
+  });
+
+  test('forgets finished jobs after the retention period', async () => {
+    const jobs = createGenerationJobs({
+      pool: createConcurrencyPool({ limit: 1 }),
+      generate: async () => ({ status: 200, payload: {} }),
+      ttlMs: 1000,
+      now: () => clock
+    });
+
+    jobs.submit('req-1', {});
+    await flush();
+    expect(jobs.get('req-1').status).toBe('done');
+
+    clock += 1001;
+    expect(jobs.get('req-1')).toBeNull();
+  });
+});
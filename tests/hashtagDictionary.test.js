@@ -0,0 +1,251 @@
+/**
+ * Tests for the editable hashtag dictionary, always-include hashtags and the blocklist
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hashtag-dictionary-'));
+process.env.HASHTAG_DICTIONARY_FILE = path.join(tempDir, 'hashtag-dictionary.json');
+process.env.BRAND_VOICES_FILE = path.join(tempDir, 'brand-voices.json');
+process.env.STYLES_DIR = path.join(tempDir, 'styles');
+process.env.USERS_FILE = path.join(tempDir, 'users.json');
+process.env.USER_DATA_DIR = path.join(tempDir, 'users');
+process.env.USER_QUOTA_STATE_FILE = path.join(tempDir, 'user-quota.json');
+process.env.SCHEDULE_STATE_FILE = path.join(tempDir, 'schedule.json');
+process.env.QUOTA_STATE_FILE = path.join(tempDir, 'quota-state.json');
+
+const { createHashtagDictionary, buildKeywordPattern } = require('../services/hashtagDictionary');
+const { generateThreadHashtags, rankHashtagCandidates, detectTopics } = require('../services/hashtagGenerator');
+const { generateFallbackThread } = require('../services/localTemplates');
+const { applyBrandVoice } = require('../services/brandVoices');
+const { getPlatformProfile } = require('../config/platforms');
+const { rewriteTweet } = require('../services/geminiService');
+const { getProvider } = require('../services/providers');
+const { validateHashtagTopic, validateHashtagList } = require('../utils/inputSanitizer');
+const app = require('../server');
+
+const BUILTIN_FILE = path.join(__dirname, '..', 'config', 'hashtags.json');
+const RIVAL_VOICE = {
+  id: 'reseller',
+  name: 'Reseller',
+  bannedWords: [],
+  formality: 'neutral',
+  emojiPolicy: 'moderate',
+  signatureCTA: null,
+  mandatoryHashtags: ['#RivalCloud']
+};
+const LAUNCH_POSTS = [
+  'Acme Cloud ships regional failover today.',
+  'Teams on Acme Cloud get backups in every region. #RivalCloud does not.'
+];
+
+describe('Hashtag dictionary', () => {
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('dictionary store', () => {
+    test('creates topics, customizes built-in ones and reverts them', async () => {
+      const filePath = path.join(fs.mkdtempSync(path.join(tempDir, 'store-')), 'dictionary.json');
+      const dictionary = createHashtagDictionary({ builtinFile: BUILTIN_FILE, filePath });
+
+      const created = await dictionary.createTopic({ id: 'launch', tags: { en: ['#AcmeCloud'] } });
+      expect(created).toMatchObject({ tags: { en: ['#AcmeCloud'], ar: [] }, keywords: { en: [], ar: [] } });
+      await expect(dictionary.createTopic({ id: 'ai', tags: { en: ['#AI'] } })).rejects.toMatchObject({ status: 409 });
+
+      const edited = await dictionary.updateTopic('ai', { tags: { ar: ['#ذكاء_اصطناعي'] } });
+      expect(edited).toMatchObject({ builtin: true, customized: true });
+      expect(edited.tags.en).toContain('#MachineLearning');
+      expect(createHashtagDictionary({ builtinFile: BUILTIN_FILE, filePath }).getTopic('ai').tags.ar)
+        .toEqual(['#ذكاء_اصطناعي']);
+
+      expect((await dictionary.removeTopic('ai')).customized).toBe(false);
+      await expect(dictionary.removeTopic('ai')).rejects.toMatchObject({ status: 409 });
+      expect(await dictionary.removeTopic('launch')).toBeNull();
+      await expect(dictionary.updateTopic('launch', {})).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('blocks every spelling of a blocked tag', async () => {
+      const filePath = path.join(fs.mkdtempSync(path.join(tempDir, 'store-')), 'dictionary.json');
+      const dictionary = createHashtagDictionary({ builtinFile: BUILTIN_FILE, filePath });
+
+      await dictionary.setBlocklist(['#RivalCloud', '#إبداع']);
+      expect(dictionary.isBlocked('#rivalcloud')).toBe(true);
+      expect(dictionary.isBlocked('#ابداع')).toBe(true);
+      expect(dictionary.isBlocked('#AcmeCloud')).toBe(false);
+    });
+
+    test('keywords match whole words, and Arabic ones with attached prefixes', () => {
+      const pattern = buildKeywordPattern({ en: ['machine learning', 'ai'], ar: ['تعلم آلي'] });
+
+      expect(pattern.test('Machine   Learning at scale')).toBe(true);
+      expect(pattern.test('She said so')).toBe(false);
+      expect(pattern.test('والتعلم الالي')).toBe(true);
+      expect(buildKeywordPattern({ en: [], ar: [] })).toBeNull();
+      expect(detectTopics('التعلم الآلي يساعد الفرق')).toContain('ai');
+    });
+  });
+
+  describe('validation', () => {
+    test('cleans tags and keywords and needs tags only for new topics', () => {
+      const result = validateHashtagTopic({
+        id: 'launch',
+        tags: { en: ['Acme Cloud', '#acme_cloud'], ar: ['إطلاق أكمي'] },
+        keywords: { en: ['Acme Cloud', 'acme cloud'] }
+      });
+      expect(result.sanitized).toEqual({
+        id: 'launch',
+        tags: { en: ['#Acme_Cloud'], ar: ['#إطلاق_أكمي'] },
+        keywords: { en: ['acme cloud'] }
+      });
+
+      expect(validateHashtagTopic({ id: 'launch' }).details.errors).toEqual(['tags is required']);
+      expect(validateHashtagTopic({ keywords: { fr: ['x'] } }, { partial: true }).details.errors)
+        .toEqual(['keywords must be an object with en and/or ar values']);
+      expect(validateHashtagList({ hashtags: ['#ok', 'not ok!'] }, 10).code).toBe(400);
+    });
+  });
+
+  describe('API and generation', () => {
+    test('created topics and keywords feed the ranked candidates', async () => {
+      await request(app)
+        .post('/api/hashtags/topics')
+        .send({ id: 'acme', tags: { en: ['#AcmeCloud'], ar: ['#أكمي'] }, keywords: { en: ['acme cloud'] } })
+        .expect(201);
+
+      const dictionary = await request(app).get('/api/hashtags');
+      expect(dictionary.body.topics.map((topic) => topic.id)).toContain('acme');
+      expect(dictionary.body.blocklist).toEqual([]);
+
+      const acme = rankHashtagCandidates(LAUNCH_POSTS).find((candidate) => candidate.tag === '#AcmeCloud');
+      expect(acme.sources).toEqual(['keyword', 'topic']);
+      expect(acme.reason).toContain('Topic "acme" mentioned in 2 of 2 posts');
+    });
+
+    test('blocked tags are dropped from candidates, hashtags and post text', async () => {
+      const saved = await request(app)
+        .put('/api/hashtags/blocklist')
+        .send({ hashtags: ['RivalCloud', '#Thread'] });
+      expect(saved.body.blocklist).toEqual(['#RivalCloud', '#Thread']);
+
+      // A thread as the LLM returned it, blocked tags and all
+      const thread = generateThreadHashtags(LAUNCH_POSTS.map((text) => ({
+        text,
+        char_count: text.length,
+        hashtags: ['#rivalcloud']
+      })));
+      const tags = thread.flatMap((tweet) => tweet.hashtags);
+
+      expect(tags).not.toContain('#Thread');
+      expect(tags.map((tag) => tag.toLowerCase())).not.toContain('#rivalcloud');
+      expect(thread[1].text).toBe('Teams on Acme Cloud get backups in every region. does not.');
+      expect(thread[1].char_count).toBe(thread[1].text.length);
+      expect(rankHashtagCandidates(LAUNCH_POSTS).map((candidate) => candidate.tag)).not.toContain('#Thread');
+    });
+
+    test('always-include tags lead every post and lose to the blocklist', async () => {
+      await request(app)
+        .put('/api/hashtags/always-include')
+        .send({ hashtags: ['#AcmeLaunch', '#RivalCloud'] })
+        .expect(200);
+
+      const result = generateFallbackThread(LAUNCH_POSTS.join(' '), { maxTweets: 2, brandVoice: RIVAL_VOICE });
+      result.thread.forEach((tweet) => {
+        expect(tweet.hashtags[0]).toBe('#AcmeLaunch');
+        expect(tweet.hashtags.map((tag) => tag.toLowerCase())).not.toContain('#rivalcloud');
+        expect(tweet.text).not.toMatch(/#RivalCloud/i);
+      });
+    });
+
+    test('always-include tags win over brand mandatory tags where the platform caps hashtags', async () => {
+      await request(app)
+        .put('/api/hashtags/always-include')
+        .send({ hashtags: ['#AcmeLaunch', '#Q3Launch'] })
+        .expect(200);
+      const voice = { ...RIVAL_VOICE, mandatoryHashtags: ['#AcmeCloud', '#Backups'] };
+      const AFTER_PINNED = 'after the campaign\'s always-include hashtags';
+      const draft = {
+        metadata: {},
+        thread: [{ text: LAUNCH_POSTS[0], char_count: 40, hashtags: ['#AcmeLaunch', '#Q3Launch', '#Cloud'] }]
+      };
+
+      const [bluesky] = applyBrandVoice(draft, voice, { profile: getPlatformProfile('bluesky') }).thread;
+      expect(bluesky.hashtags).toEqual(['#AcmeLaunch', '#Q3Launch', '#AcmeCloud']);
+      expect(bluesky.warnings).toEqual([
+        `Only 1 of the brand's mandatory hashtags fit Bluesky's limit per post ${AFTER_PINNED}`
+      ]);
+
+      const [threads] = applyBrandVoice(draft, voice, { profile: getPlatformProfile('threads') }).thread;
+      expect(threads.hashtags).toEqual(['#AcmeLaunch']);
+      expect(threads.warnings).toEqual([
+        `Only 0 of the brand's mandatory hashtags fit Threads's limit per post ${AFTER_PINNED}`,
+        'Only 1 of the campaign\'s always-include hashtags fit Threads\'s limit per post'
+      ]);
+
+      await request(app)
+        .put('/api/hashtags/always-include')
+        .send({ hashtags: ['#AcmeLaunch'] })
+        .expect(200);
+    });
+
+    test('edits, reverts and rejects topics and lists', async () => {
+      const edited = await request(app).patch('/api/hashtags/topics/ai').send({ keywords: { ar: ['ذكاء'] } });
+      expect(edited.status).toBe(200);
+      expect(edited.body.topic).toMatchObject({ customized: true, keywords: { ar: ['ذكاء'] } });
+
+      const reverted = await request(app).delete('/api/hashtags/topics/ai');
+      expect(reverted.body).toMatchObject({ deleted: false, topic: { customized: false } });
+      await request(app).delete('/api/hashtags/topics/ai').expect(409);
+
+      await request(app).delete('/api/hashtags/topics/acme').expect(200);
+      await request(app).get('/api/hashtags/topics/acme').expect(404);
+      await request(app).put('/api/hashtags/always-include').send({ hashtags: ['#a', '#b', '#c', '#d'] }).expect(400);
+    });
+  });
+
+  describe('rewrites', () => {
+    let server;
+
+    beforeAll((done) => {
+      // A local model that writes a blocked tag into the rewritten tweet
+      server = http.createServer((req, res) => {
+        req.resume();
+        req.on('end', () => {
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({
+            response: JSON.stringify({ text: 'Backups land in every region. #RivalCloud cannot keep up #Backups' })
+          }));
+        });
+      });
+      server.listen(0, () => {
+        process.env.OLLAMA_ENABLED = 'true';
+        process.env.OLLAMA_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+        getProvider('ollama').initialize();
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      delete process.env.OLLAMA_ENABLED;
+      delete process.env.OLLAMA_BASE_URL;
+      getProvider('ollama').initialize();
+      server.close(done);
+    });
+
+    test('blocked tags are dropped from the model\'s rewrite', async () => {
+      await request(app).put('/api/hashtags/blocklist').send({ hashtags: ['#RivalCloud'] }).expect(200);
+      const thread = LAUNCH_POSTS.map((text) => ({ text, char_count: text.length, hashtags: [] }));
+
+      const result = await rewriteTweet(thread, 1, { provider: 'ollama' });
+
+      expect(result.generated_via).toBe('llm');
+      expect(result.tweet.text).toBe('Backups land in every region. cannot keep up #Backups');
+      expect(result.tweet.hashtags.map((tag) => tag.toLowerCase())).not.toContain('#rivalcloud');
+      expect(result.tweet.hashtags[0]).toBe('#AcmeLaunch');
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Tests for hashtag normalization, deduplication and synthesis
+ */
+
+const { cleanHashtag, normalizeHashtag, dedupeHashtags } = require('../utils/dedupe');
+const { synthesizeHashtags, generateThreadHashtags, rankHashtagCandidates } = require('../services/hashtagGenerator');
+const { generateFallbackThread } = require('../services/localTemplates');
+
+const ENGLISH_TEXT = 'Machine learning helps teams automate repetitive work. '
+  + 'Good data matters more than clever algorithms.';
+const REMOTE_POSTS = [
+  'Remote work changed how teams collaborate.',
+  'Async updates replace many meetings and give people focus time.',
+  'Remote work needs clear async updates.'
+];
+const ARABIC_TEXT = 'الذكاء الاصطناعي يغير طريقة عمل الشركات. التعلم الآلي يساعد الفرق على أتمتة المهام المتكررة.';
+
+describe('Hashtags', () => {
+  describe('normalization', () => {
+    test('cleans tashkeel, tatweel and spaces but keeps the spelling', () => {
+      expect(cleanHashtag('الذَّكاء  الاصطنـــاعي')).toBe('#الذكاء_الاصطناعي');
+      expect(cleanHashtag(' ##Remote Work ')).toBe('#Remote_Work');
+      expect(cleanHashtag('# _ ')).toBeNull();
+    });
+
+    test('compares Arabic spelling variants as the same tag', () => {
+      expect(normalizeHashtag('#إبداع')).toBe(normalizeHashtag('#ابداع'));
+      expect(normalizeHashtag('#آمن')).toBe(normalizeHashtag('#أمن'));
+      expect(normalizeHashtag('#مدرسة')).toBe(normalizeHashtag('#مدرسه'));
+      expect(normalizeHashtag('#مستشفى')).toBe(normalizeHashtag('#مستشفي'));
+      expect(normalizeHashtag('#AI')).toBe('#ai');
+    });
+
+    test('dedupe keeps the first spelling of each tag', () => {
+      expect(dedupeHashtags([
+        '#الذكاء_الاصطناعي',
+        '#الذكاء الإصطناعى',
+        '#الذكـــاء_الاصطناعي',
+        '#RemoteWork',
+        '#remotework',
+        '#تَعلُّم',
+        '#تعلم'
+      ])).toEqual(['#الذكاء_الاصطناعي', '#RemoteWork', '#تعلم']);
+    });
+  });
+
+  describe('synthesis', () => {
+    test('turns English noun phrases into CamelCase tags', () => {
+      const { english, arabic } = synthesizeHashtags(ENGLISH_TEXT);
+
+      expect(english.slice(0, 3)).toEqual(['#MachineLearning', '#RepetitiveWork', '#CleverAlgorithms']);
+      expect(english).not.toContain('#Helps');
+      expect(arabic).toEqual([]);
+    });
+
+    test('turns Arabic definite phrases into underscored tags', () => {
+      const { arabic } = synthesizeHashtags(`${ARABIC_TEXT} والذكاء الاصطناعي مفيد.`);
+
+      expect(arabic[0]).toBe('#الذكاء_الاصطناعي');
+      expect(arabic).toContain('#المهام_المتكررة');
+    });
+
+    test('ignores links, mentions and existing hashtags', () => {
+      const { english } = synthesizeHashtags('Via https://example.com/open-source-tools with @OpenSource #OpenSource');
+      expect(english).toEqual([]);
+    });
+
+    test('threads use synthesized tags alongside the dictionary without repeating variants', () => {
+      const thread = generateThreadHashtags([{ text: ARABIC_TEXT }, { text: ARABIC_TEXT }], { englishRatio: 0.5 });
+      const tags = thread.flatMap((tweet) => tweet.hashtags);
+
+      expect(thread[0].hashtags).toContain('#الذكاء_الاصطناعي');
+      expect(thread[1].hashtags).toContain('#المهام_المتكررة');
+      expect(new Set(tags.map(normalizeHashtag)).size).toBe(tags.length);
+    });
+  });
+
+  describe('candidates', () => {
+    test('rank key phrases of the whole thread with the reason for each', () => {
+      const candidates = rankHashtagCandidates(REMOTE_POSTS);
+      const remote = candidates.find((candidate) => candidate.tag === '#RemoteWork');
+
+      expect(candidates[0].score).toBe(1);
+      expect(remote).toMatchObject({
+        language: 'en',
+        sources: ['keyword'],
+        reason: 'Key phrase "Remote work" (2 mentions in 2 posts)',
+        posts: [1, 3]
+      });
+      expect(candidates.map((candidate) => candidate.tag)).not.toContain('#People');
+    });
+
+    test('merge key phrases with the dictionary topics they match', () => {
+      const candidates = rankHashtagCandidates([ENGLISH_TEXT, 'Machine learning needs good data.']);
+      const [best] = candidates;
+
+      expect(best).toMatchObject({ tag: '#MachineLearning', score: 1, sources: ['keyword', 'topic'] });
+      expect(best.reason)
+        .toBe('Key phrase "Machine learning" (2 mentions in 2 posts); Topic "ai" mentioned in 2 of 2 posts');
+      expect(candidates.find((candidate) => candidate.tag === '#AI').sources).toEqual(['topic']);
+    });
+
+    test('threads draw on the thread\'s candidates before generic tags', () => {
+      const thread = generateThreadHashtags(REMOTE_POSTS.map((text) => ({ text })));
+
+      expect(thread[0].hashtags).toEqual(['#Thread', '#RemoteWork', '#AsyncUpdates']);
+      expect(thread[1].hashtags).toContain('#FocusTime');
+      expect(thread.flatMap((tweet) => tweet.hashtags)).not.toContain('#Tips');
+    });
+
+    test('local threads return the ranked candidates', () => {
+      const result = generateFallbackThread(REMOTE_POSTS.join(' '), { maxTweets: 2 });
+      const { hashtag_candidates: candidates } = result.metadata;
+
+      expect(candidates.length).toBeGreaterThan(0);
+      expect(candidates[0]).toEqual(expect.objectContaining({ tag: '#RemoteWork', reason: expect.any(String) }));
+      expect(generateFallbackThread(REMOTE_POSTS.join(' '), { includeHashtags: false }).metadata)
+        .not.toHaveProperty('hashtag_candidates');
+    });
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Tests for the persistent history search index
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHistoryIndex, buildIndexRecord, normalizeForSearch } = require('../services/historyIndex');
+const { validateHistoryQuery } = require('../utils/inputSanitizer');
+
+/**
+ * Build a history entry fixture
+ * @param {Object} overrides - {texts, hashtags, summary, score, timestamp, metadata}
+ * @returns {Object} History entry
+ */
+function makeEntry(overrides = {}) {
+  const texts = overrides.texts || ['First tweet (1/2)', 'Second tweet (2/2)'];
+  return {
+    timestamp: overrides.timestamp || '2025-03-01T10:00:00.000Z',
+    generated_via: 'success',
+    thread: {
+      metadata: {
+        language: 'en',
+        style_requested: 'educational',
+        direction: 'ltr',
+        platform: 'x',
+        ...overrides.metadata
+      },
+      thread: texts.map((text, i) => ({ index: i + 1, text, hashtags: i === 0 ? (overrides.hashtags || []) : [] })),
+      thread_summary: overrides.summary || '',
+      estimated_engagement_score: overrides.score
+    }
+  };
+}
+
+describe('History Index', () => {
+  let tempDir;
+  let historyDir;
+  let indexPath;
+  let indexes;
+
+  const query = (params) => validateHistoryQuery(params).sanitized;
+  const writeEntry = (id, entry) => {
+    fs.writeFileSync(path.join(historyDir, `${id}.json`), JSON.stringify(entry));
+  };
+  const openIndex = () => {
+    const index = createHistoryIndex(historyDir, indexPath);
+    indexes.push(index);
+    return index;
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-index-'));
+    historyDir = path.join(tempDir, 'history');
+    indexPath = path.join(tempDir, 'data', 'history-index.json');
+    fs.mkdirSync(historyDir);
+    indexes = [];
+
+    writeEntry('1-remote', makeEntry({
+      texts: ['Remote work changed how teams collaborate (1/2)', 'Async updates beat meetings (2/2)'],
+      hashtags: ['#RemoteWork'],
+      summary: 'Remote work habits',
+      score: 8,
+      timestamp: '2025-03-01T10:00:00.000Z'
+    }));
+    writeEntry('2-arabic', makeEntry({
+      texts: ['الذكاء الاصطناعي يغيّر طريقة التعلّم (1/2)', 'المدرسة القادمة رقمية (2/2)'],
+      hashtags: ['#الذكاء_الاصطناعي'],
+      score: 6,
+      timestamp: '2025-03-05T10:00:00.000Z',
+      metadata: { language: 'ar', direction: 'rtl', style_requested: 'technical' }
+    }));
+    writeEntry('3-meetings', makeEntry({
+      texts: ['Meetings, meetings, meetings: a remote survival guide (1/2)', 'Cancel one today (2/2)'],
+      score: 5,
+      timestamp: '2025-03-10T10:00:00.000Z',
+      metadata: { platform: 'bluesky', style_requested: 'concise' }
+    }));
+  });
+
+  afterEach(async () => {
+    await Promise.all(indexes.map((index) => index.flush()));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('normalizes Arabic letter forms, diacritics and case for matching', () => {
+    expect(normalizeForSearch('إدارة الوقت')).toBe(normalizeForSearch('اداره الوقت'));
+    expect(normalizeForSearch('التعلّم')).toBe('التعلم');
+    expect(normalizeForSearch('#RemoteWork')).toBe('remotework');
+  });
+
+  test('builds a compact record without the full thread', () => {
+    const entry = JSON.parse(fs.readFileSync(path.join(historyDir, '1-remote.json'), 'utf8'));
+    const record = buildIndexRecord('1-remote', entry);
+
+    expect(record).toMatchObject({
+      id: '1-remote',
+      tweet_count: 2,
+      hashtags: ['#remotework'],
+      engagement_score: 8,
+      preview: 'Remote work changed how teams collaborate'
+    });
+    expect(record.thread).toBeUndefined();
+  });
+
+  test('indexes existing entries on sync and lists newest first', async () => {
+    const index = openIndex();
+
+    expect(await index.sync()).toBe(3);
+    expect(await index.sync()).toBe(0);
+
+    const { results, total } = index.search(query({}));
+    expect(total).toBe(3);
+    expect(results.map((r) => r.id)).toEqual(['3-meetings', '2-arabic', '1-remote']);
+  });
+
+  test('matches every search term and ranks by relevance', async () => {
+    const index = openIndex();
+    await index.sync();
+
+    const { results } = index.search(query({ q: 'meetings' }));
+    expect(results.map((r) => r.id)).toEqual(['3-meetings', '1-remote']);
+    expect(results[0].relevance).toBeGreaterThan(results[1].relevance);
+
+    expect(index.search(query({ q: 'remote meetings' })).total).toBe(2);
+
+    expect(index.search(query({ q: 'remote cooking' })).total).toBe(0);
+  });
+
+  test('finds Arabic text regardless of hamza, taa marbuta and diacritics', async () => {
+    const index = openIndex();
+    await index.sync();
+
+    expect(index.search(query({ q: 'المدرسه' })).results.map((r) => r.id)).toEqual(['2-arabic']);
+    expect(index.search(query({ q: 'الاصطناعي التعلم' })).results.map((r) => r.id)).toEqual(['2-arabic']);
+    expect(index.search(query({ q: '#الذكاء_الاصطناعي' })).total).toBe(1);
+  });
+
+  test('filters by style, language, direction, platform, hashtag, score and date', async () => {
+    const index = openIndex();
+    await index.sync();
+    const ids = (params) => index.search(query(params)).results.map((r) => r.id);
+
+    expect(ids({ style: 'technical,concise' })).toEqual(['3-meetings', '2-arabic']);
+    expect(ids({ language: 'ar' })).toEqual(['2-arabic']);
+    expect(ids({ direction: 'ltr' })).toEqual(['3-meetings', '1-remote']);
+    expect(ids({ platform: 'bluesky' })).toEqual(['3-meetings']);
+    expect(ids({ hashtags: 'remotework' })).toEqual(['1-remote']);
+    expect(ids({ minScore: '6' })).toEqual(['2-arabic', '1-remote']);
+    expect(ids({ from: '2025-03-02', to: '2025-03-06' })).toEqual(['2-arabic']);
+  });
+
+  test('filters by user tags, favorite and pinned flags and lists pinned entries first', async () => {
+    writeEntry('1-remote', {
+      ...makeEntry({
+        texts: ['Remote work changed how teams collaborate (1/1)'],
+        timestamp: '2025-03-01T10:00:00.000Z'
+      }),
+      tags: ['keep', 'work'],
+      favorite: true,
+      pinned: true
+    });
+    const index = openIndex();
+    await index.sync();
+    const ids = (params) => index.search(query(params)).results.map((r) => r.id);
+
+    expect(ids({ tags: 'work,keep' })).toEqual(['1-remote']);
+    expect(ids({ tags: 'work,other' })).toEqual([]);
+    expect(ids({ favorite: 'true' })).toEqual(['1-remote']);
+    expect(ids({ pinned: 'false' })).toEqual(['3-meetings', '2-arabic']);
+    expect(ids({ q: 'keep' })).toEqual(['1-remote']);
+
+    expect(ids({})).toEqual(['1-remote', '3-meetings', '2-arabic']);
+    expect(ids({ sort: 'date' })).toEqual(['3-meetings', '2-arabic', '1-remote']);
+  });
+
+  test('filters by batch id', async () => {
+    writeEntry('3-meetings', { ...makeEntry({ texts: ['Fewer meetings (1/1)'] }), batch_id: 'batch-monday' });
+    const index = openIndex();
+    await index.sync();
+
+    expect(index.search(query({ batchId: 'batch-monday' })).results.map((r) => r.id)).toEqual(['3-meetings']);
+    expect(validateHistoryQuery({ batchId: '../etc' }).error).toMatch(/batchId/);
+  });
+
+  test('sorts by score, tweet count or date and paginates', async () => {
+    const index = openIndex();
+    await index.sync();
+
+    const ids = (params) => index.search(query(params)).results.map((r) => r.id);
+    expect(ids({ sort: 'score' })).toEqual(['1-remote', '2-arabic', '3-meetings']);
+    expect(ids({ sort: 'date', order: 'asc' })).toEqual(['1-remote', '2-arabic', '3-meetings']);
+
+    const page = index.search(query({ page: '2', limit: '2' }));
+    expect(page.total).toBe(3);
+    expect(page.results.map((r) => r.id)).toEqual(['1-remote']);
+  });
+
+  test('follows upserts, removals and files changed or deleted on disk', async () => {
+    const index = openIndex();
+    await index.sync();
+
+    const entry = makeEntry({ texts: ['Kubernetes tips (1/1)'], timestamp: '2025-03-12T10:00:00.000Z' });
+    writeEntry('4-k8s', entry);
+    await index.upsert('4-k8s', entry);
+    expect(await index.sync()).toBe(0);
+    expect(index.search(query({ q: 'kubernetes' })).total).toBe(1);
+
+    fs.unlinkSync(path.join(historyDir, '4-k8s.json'));
+    await index.remove('4-k8s');
+    expect(index.search(query({ q: 'kubernetes' })).total).toBe(0);
+
+    fs.unlinkSync(path.join(historyDir, '1-remote.json'));
+    writeEntry('3-meetings', makeEntry({ texts: ['Rewritten elsewhere (1/1)'] }));
+    fs.utimesSync(path.join(historyDir, '3-meetings.json'), new Date(), new Date(Date.now() + 5000));
+
+    await index.sync();
+    expect(index.search(query({})).results.map((r) => r.id)).toEqual(['2-arabic', '3-meetings']);
+    expect(index.search(query({ q: 'rewritten' })).total).toBe(1);
+  });
+
+  test('persists the index across restarts', async () => {
+    const first = openIndex();
+    await first.sync();
+    await first.flush();
+
+    // Without a history directory the second index can only know what was persisted
+    const second = createHistoryIndex(path.join(tempDir, 'missing'), indexPath);
+    expect(second.search(query({ q: 'remote' })).total).toBe(2);
+  });
+});
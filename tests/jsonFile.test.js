@@ -0,0 +1,61 @@
+/**
+ * Tests for atomic JSON file writes
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeJsonAtomic, createJsonWriter } = require('../utils/jsonFile');
+
+describe('JSON File Writes', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-file-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('writes into missing directories and leaves no temp file behind', async () => {
+    const filePath = path.join(tempDir, 'nested', 'state.json');
+
+    await writeJsonAtomic(filePath, { a: 1 }, { space: 0 });
+
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('{"a":1}');
+    expect(fs.readdirSync(path.dirname(filePath))).toEqual(['state.json']);
+  });
+
+  test('writes the data as it was when the write was queued, in queue order', async () => {
+    const writer = createJsonWriter();
+    const filePath = path.join(tempDir, 'state.json');
+    const state = { count: 1 };
+
+    const first = writer.write(filePath, state);
+    state.count = 2;
+    expect(writer.isPending()).toBe(true);
+    await first;
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ count: 1 });
+
+    writer.write(filePath, state);
+    writer.remove(path.join(tempDir, 'missing.json'));
+    await writer.flush();
+
+    expect(writer.isPending()).toBe(false);
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ count: 2 });
+  });
+
+  test('reports a failed write to the writer and to the next flush only', async () => {
+    const writer = createJsonWriter();
+    fs.writeFileSync(path.join(tempDir, 'blocked'), '');
+
+    const failed = writer.write(path.join(tempDir, 'blocked', 'state.json'), {});
+    const next = writer.write(path.join(tempDir, 'state.json'), {});
+
+    await expect(failed).rejects.toThrow();
+    await expect(next).resolves.toBeUndefined();
+    await expect(writer.flush()).rejects.toThrow();
+    await expect(writer.flush()).resolves.toBeUndefined();
+  });
+});
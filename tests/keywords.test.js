@@ -0,0 +1,52 @@
+/**
+ * Tests for noun phrase detection and keyword extraction
+ */
+
+const { findNounPhrases, extractKeywords } = require('../utils/keywords');
+
+describe('Keywords', () => {
+  describe('findNounPhrases', () => {
+    test('ends English phrases at stop words, common verbs and punctuation', () => {
+      expect(findNounPhrases('Machine learning helps teams automate repetitive work, slowly.').map((p) => p.words))
+        .toEqual([['Machine', 'learning'], ['repetitive', 'work']]);
+    });
+
+    test('finds Arabic definite phrases and splits them at conjunctions', () => {
+      const phrases = findNounPhrases('الذكاءُ الاصطناعي والتعلم الآلي مستقبل الشركات');
+
+      expect(phrases.map((p) => p.words.join(' '))).toEqual(['الذكاء الاصطناعي', 'التعلم الآلي', 'الشركات']);
+      expect(phrases.every((p) => p.arabic)).toBe(true);
+    });
+  });
+
+  describe('extractKeywords', () => {
+    test('ranks phrases that recur across posts first', () => {
+      const keywords = extractKeywords([
+        'Remote work changed how teams collaborate.',
+        'Async updates replace many meetings.',
+        'Remote work needs clear async updates.'
+      ]);
+
+      expect(keywords.slice(0, 2).map((keyword) => keyword.phrase)).toEqual(['Remote work', 'Async updates']);
+      expect(keywords[0]).toMatchObject({ score: 1, count: 2, posts: [1, 3] });
+      expect(keywords.every((keyword) => keyword.score > 0 && keyword.score <= 1)).toBe(true);
+    });
+
+    test('counts inflections and Arabic spelling variants as one phrase', () => {
+      const keywords = extractKeywords([
+        'We hired more product teams.',
+        'Ask the product team.',
+        'الإبداع مهم',
+        'الابداع'
+      ]);
+
+      expect(keywords.find((keyword) => keyword.phrase === 'product teams').count).toBe(2);
+      expect(keywords.find((keyword) => keyword.arabic)).toMatchObject({ phrase: 'الإبداع', count: 2 });
+    });
+
+    test('returns at most the requested number of phrases', () => {
+      expect(extractKeywords('Cloud costs. Team habits. Release notes.', { limit: 2 })).toHaveLength(2);
+      expect(extractKeywords([])).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for the Markdown outline parser and Markdown-aware segmentation
+ */
+
+const {
+  isMarkdown,
+  parseMarkdownOutline,
+  stripInlineMarkdown
+} = require('../utils/markdownParser');
+const { generateFallbackThread } = require('../services/localTemplates');
+
+const DOC = `# Getting Started
+
+This guide walks you through installing the CLI and running your first build.
+
+## Install
+
+Run the installer for your platform:
+
+\`\`\`bash
+npm install -g our-cli
+\`\`\`
+
+## Configure
+
+1. Create a **config** file in the project root
+2. Add your [API key](https://example.com/keys)
+3. Pick a region
+ close to your users
+
+## Tips
+
+- Keep builds small
+ - Split large bundles
+- Cache dependencies
+
+> Fast feedback loops make teams happier.
+`;
+
+describe('Markdown Parser', () => {
+  describe('isMarkdown', () => {
+    test('detects headings, lists, quotes and code fences', () => {
+      expect(isMarkdown('# Title\nBody')).toBe(true);
+      expect(isMarkdown('- one\n- two')).toBe(true);
+      expect(isMarkdown('> quoted')).toBe(true);
+      expect(isMarkdown('```\ncode\n```')).toBe(true);
+    });
+
+    test('treats prose as plain text', () => {
+      expect(isMarkdown('Just a sentence. And another one.')).toBe(false);
+      expect(isMarkdown('1. is a number I like')).toBe(false);
+      expect(isMarkdown('')).toBe(false);
+    });
+  });
+
+  describe('stripInlineMarkdown', () => {
+    test('removes emphasis, code spans and images', () => {
+      expect(stripInlineMarkdown('Use **bold**, *italic* and `code` ![logo](a.png)')).toBe('Use bold, italic and code');
+    });
+
+    test('keeps link targets', () => {
+      expect(stripInlineMarkdown('See [docs](https://example.com)')).toBe('See docs (https://example.com)');
+    });
+
+    test('leaves snake_case words alone', () => {
+      expect(stripInlineMarkdown('set max_tweets to 5')).toBe('set max_tweets to 5');
+    });
+  });
+
+  describe('parseMarkdownOutline', () => {
+    test('parses the document structure', () => {
+      const types = parseMarkdownOutline(DOC).map((block) => block.type);
+      expect(types).toEqual([
+        'heading', 'paragraph', 'heading', 'paragraph', 'code',
+        'heading', 'list', 'heading', 'list', 'quote'
+      ]);
+    });
+
+    test('keeps list items, continuation lines and nesting', () => {
+      const lists = parseMarkdownOutline(DOC).filter((block) => block.type === 'list');
+
+      expect(lists[0].ordered).toBe(true);
+      expect(lists[0].items.map((item) => item.text)).toEqual([
+        'Create a config file in the project root',
+        'Add your API key (https://example.com/keys)',
+        'Pick a region close to your users'
+      ]);
+      expect(lists[1].items.map((item) => item.depth)).toEqual([0, 1, 0]);
+    });
+
+    test('captures fenced code with its language', () => {
+      const code = parseMarkdownOutline(DOC).find((block) => block.type === 'code');
+      expect(code).toEqual({ type: 'code', language: 'bash', code: 'npm install -g our-cli' });
+    });
+
+    test('recognizes setext headings', () => {
+      const blocks = parseMarkdownOutline('Title\n=====\n\nBody text');
+      expect(blocks[0]).toEqual({ type: 'heading', level: 1, text: 'Title' });
+    });
+  });
+
+  describe('Markdown-aware fallback segmentation', () => {
+    test('puts one heading section in each tweet', () => {
+      const result = generateFallbackThread(DOC, { maxTweets: 4, includeHashtags: false });
+      const texts = result.thread.map((tweet) => tweet.text);
+
+      expect(texts[0]).toMatch(/Getting Started/);
+      expect(texts[1]).toMatch(/^Install\n/);
+      expect(texts[2]).toMatch(/^Configure\n1\. Create/);
+      expect(texts[2]).toMatch(/3\. Pick a region/);
+      expect(texts[3]).toMatch(/^Tips\n• Keep builds small/);
+    });
+
+    test('turns code into an image suggestion instead of tweet text', () => {
+      const result = generateFallbackThread(DOC, { maxTweets: 4, includeHashtags: false });
+      const install = result.thread[1];
+
+      expect(install.text).not.toMatch(/npm install/);
+      expect(install.image_suggestion.type).toBe('screenshot');
+      expect(install.image_suggestion.keywords).toContain('bash');
+    });
+
+    test('spreads a list over consecutive tweets when more tweets are wanted', () => {
+      const result = generateFallbackThread(DOC, { maxTweets: 7, includeHashtags: false });
+      const texts = result.thread.map((tweet) => tweet.text);
+      const listTweets = texts.filter((text) => /^(Configure\n)?\d\. /.test(text));
+
+      expect(listTweets.length).toBeGreaterThan(1);
+      expect(texts.join('\n')).toMatch(/1\. Create[\s\S]*2\. Add[\s\S]*3\. Pick/);
+    });
+
+    test('merges sections when fewer tweets are wanted', () => {
+      const result = generateFallbackThread(DOC, { maxTweets: 2, includeHashtags: false });
+
+      expect(result.thread).toHaveLength(2);
+      expect(result.thread.map((tweet) => tweet.text).join('\n')).toMatch(/Install[\s\S]*Configure[\s\S]*Tips/);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Tests for user preferences and how thread generation honors them
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPreferenceStore } = require('../services/preferenceStore');
+const { validatePreferences, validateParameters } = require('../utils/inputSanitizer');
+const { generateFallbackThread } = require('../services/localTemplates');
+const { buildPrompt, rewriteTweet } = require('../services/geminiService');
+
+const ARABIC_PATTERN = /[؀-ۿ]/;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/u;
+
+const ENGLISH_TEXT = 'Machine learning helps teams automate repetitive work. '
+  + 'Good data matters more than clever algorithms. Start small and measure results.';
+const ARABIC_TEXT = 'الذكاء الاصطناعي يغير طريقة عمل الشركات. التعلم الآلي يساعد الفرق على أتمتة المهام المتكررة. '
+  + 'البيانات الجيدة أهم من الخوارزميات المعقدة.';
+
+describe('Preferences', () => {
+  describe('preference store', () => {
+    let tempDir;
+    let filePath;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prefs-'));
+      filePath = path.join(tempDir, 'userprefs.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('saves updates and keeps counting style usage', async () => {
+      const store = createPreferenceStore(filePath);
+      expect(store.get()).toMatchObject({ arabicHashtags: 'auto', emojiPreference: 'moderate', defaultMaxTweets: 5 });
+
+      await store.update({ emojiPreference: 'none', defaultMaxTweets: 8 });
+      await store.recordStyle('technical');
+
+      const reloaded = createPreferenceStore(filePath).get();
+      expect(reloaded).toMatchObject({ emojiPreference: 'none', defaultMaxTweets: 8, autoAddCTA: true });
+      expect(reloaded.recentStyles[0]).toBe('technical');
+    });
+
+    test('promotes the most used style only until the user picks one', async () => {
+      const store = createPreferenceStore(filePath);
+      expect(store.get().styleFrequency).not.toHaveProperty('casual');
+
+      await store.recordStyle('technical');
+      await store.recordStyle('technical');
+      await store.recordStyle('technical');
+      expect(store.get().preferredStyle).toBe('technical');
+
+      await store.update({ preferredStyle: 'concise' });
+      await store.recordStyle('technical');
+
+      const reloaded = createPreferenceStore(filePath).get();
+      expect(reloaded).toMatchObject({ preferredStyle: 'concise', preferredStyleChosen: true });
+      expect(reloaded.styleFrequency.technical).toBe(4);
+    });
+
+    test('reads files written before the Arabic hashtag setting existed', () => {
+      fs.writeFileSync(filePath, JSON.stringify({ preferredStyle: 'casual', alwaysUseArabicHashtags: true }));
+
+      const prefs = createPreferenceStore(filePath).get();
+      expect(prefs.arabicHashtags).toBe('always');
+      expect(prefs).not.toHaveProperty('alwaysUseArabicHashtags');
+      expect(prefs.styleFrequency.educational).toBe(0);
+    });
+  });
+
+  describe('validatePreferences', () => {
+    test('accepts known fields and keeps only those sent', () => {
+      const result = validatePreferences({ arabicHashtags: 'never', personalNote: ' <b>Follow me</b> ' });
+      expect(result.success).toBe(true);
+      expect(result.sanitized).toEqual({ arabicHashtags: 'never', personalNote: 'Follow me' });
+    });
+
+    test('rejects bad values, read-only fields and empty updates', () => {
+      const result = validatePreferences({ emojiPreference: 'lots', defaultMaxTweets: 0, styleFrequency: {} });
+      expect(result.code).toBe(400);
+      expect(result.details.errors).toEqual([
+        'Unknown or read-only preferences: styleFrequency',
+        'emojiPreference must be one of: none, minimal, moderate, rich',
+        'defaultMaxTweets must be a whole number from 1 to 20'
+      ]);
+
+      expect(validatePreferences({}).error).toMatch(/Give at least one of/);
+      expect(validatePreferences([]).error).toBe('Preferences must be an object');
+    });
+
+    test('the default tweet count applies only when a request leaves maxTweets out', () => {
+      const preferences = { defaultMaxTweets: 8, autoAddCTA: false };
+
+      expect(validateParameters({ text: ENGLISH_TEXT }, preferences).sanitized).toMatchObject({
+        maxTweets: 8,
+        preferences: { arabicHashtags: 'auto', emojiPreference: 'moderate', autoAddCTA: false }
+      });
+      expect(validateParameters({ text: ENGLISH_TEXT, maxTweets: 3 }, preferences).sanitized.maxTweets).toBe(3);
+    });
+  });
+
+  describe('local generation', () => {
+    const generate = (text, preferences) => generateFallbackThread(text, {
+      maxTweets: 3,
+      style: 'educational',
+      preferences
+    });
+
+    test('leaves out emojis and the call-to-action when turned off', () => {
+      const result = generate(ENGLISH_TEXT, { emojiPreference: 'none', autoAddCTA: false });
+
+      result.thread.forEach((tweet) => {
+        expect(tweet.emoji_suggestions).toEqual([]);
+        expect(tweet.cta).toBeNull();
+      });
+    });
+
+    test('scales emoji suggestions with the chosen density', () => {
+      const minimal = generate(ENGLISH_TEXT, { emojiPreference: 'minimal' });
+      const rich = generate(ENGLISH_TEXT, { emojiPreference: 'rich' });
+
+      expect(minimal.thread.every((tweet) => tweet.emoji_suggestions.length <= 1)).toBe(true);
+      expect(rich.thread[0].emoji_suggestions.length).toBeGreaterThan(3);
+    });
+
+    test('keeps the CTA but drops its emoji when emojis are off', () => {
+      const result = generate(ENGLISH_TEXT, { emojiPreference: 'none' });
+      const { cta } = result.thread[result.thread.length - 1];
+
+      expect(cta).toBeTruthy();
+      expect(cta).not.toMatch(EMOJI_PATTERN);
+    });
+
+    test('Arabic hashtags can be forced on English text or kept off Arabic text', () => {
+      const hasArabicHashtag = (text, arabicHashtags) => generate(text, { arabicHashtags }).thread
+        .some((tweet) => tweet.hashtags.some((tag) => ARABIC_PATTERN.test(tag)));
+
+      expect(hasArabicHashtag(ENGLISH_TEXT, 'auto')).toBe(false);
+      expect(hasArabicHashtag(ENGLISH_TEXT, 'always')).toBe(true);
+      expect(hasArabicHashtag(ARABIC_TEXT, 'auto')).toBe(true);
+      expect(hasArabicHashtag(ARABIC_TEXT, 'never')).toBe(false);
+    });
+  });
+
+  describe('tweet rewrite', () => {
+    test('applies the hashtag, emoji and CTA preferences to the replacement tweet', async () => {
+      const { thread } = generateFallbackThread(ARABIC_TEXT, { maxTweets: 3, style: 'educational' });
+      const last = thread.length - 1;
+      expect(thread[last].cta).toBeTruthy();
+
+      const { tweet } = await rewriteTweet(thread, last, {
+        preferences: { arabicHashtags: 'never', emojiPreference: 'none', autoAddCTA: false }
+      });
+
+      expect(tweet.hashtags.some((tag) => ARABIC_PATTERN.test(tag))).toBe(false);
+      expect(tweet.emoji_suggestions).toEqual([]);
+      expect(tweet.cta).toBeNull();
+
+      const { tweet: withDefaults } = await rewriteTweet(thread, last, {});
+      expect(withDefaults.hashtags.some((tag) => ARABIC_PATTERN.test(tag))).toBe(true);
+      expect(withDefaults.cta).toBe(thread[last].cta);
+    });
+  });
+
+  describe('LLM prompt', () => {
+    test('turns the preferences into instructions', () => {
+      const prompt = buildPrompt(ENGLISH_TEXT, {
+        maxTweets: 4,
+        preferences: { arabicHashtags: 'never', emojiPreference: 'none', autoAddCTA: false }
+      });
+
+      expect(prompt).toContain('use English hashtags only, never Arabic ones');
+      expect(prompt).toContain('Do not use emojis');
+      expect(prompt).toContain('Do not add a call-to-action');
+      expect(prompt).not.toContain('Include a call-to-action');
+    });
+
+    test('keeps the default instructions without preferences', () => {
+      const prompt = buildPrompt(ENGLISH_TEXT, { maxTweets: 4 });
+
+      expect(prompt).toContain('5. Add appropriate emojis for engagement');
+      expect(prompt).toContain('8. Include a call-to-action in the final tweet');
+    });
+  });
+});
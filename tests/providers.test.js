@@ -0,0 +1,115 @@
+/**
+ * Tests for the LLM provider layer
+ */
+
+const http = require('http');
+const { getProvider, resolveProviderName } = require('../services/providers');
+
+describe('LLM Providers', () => {
+  let server;
+  let baseUrl;
+  let lastRequest;
+
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        lastRequest = { url: req.url, headers: req.headers, body: JSON.parse(body || '{}') };
+        res.setHeader('Content-Type', 'application/json');
+
+        if (req.url === '/v1/chat/completions') {
+          res.end(JSON.stringify({ choices: [{ message: { content: '{"ok":"openai"}' } }] }));
+        } else if (req.url === '/api/generate') {
+          res.end(JSON.stringify({ response: '{"ok":"ollama"}' }));
+        } else {
+          res.statusCode = 404;
+          res.end(JSON.stringify({ error: 'not found' }));
+        }
+      });
+    });
+    server.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  describe('resolveProviderName', () => {
+    const originalProvider = process.env.LLM_PROVIDER;
+
+    afterEach(() => {
+      if (originalProvider === undefined) {
+        delete process.env.LLM_PROVIDER;
+      } else {
+        process.env.LLM_PROVIDER = originalProvider;
+      }
+    });
+
+    test('prefers the requested provider', () => {
+      process.env.LLM_PROVIDER = 'openai';
+      expect(resolveProviderName('ollama')).toBe('ollama');
+    });
+
+    test('falls back to LLM_PROVIDER then the default', () => {
+      process.env.LLM_PROVIDER = 'openai';
+      expect(resolveProviderName()).toBe('openai');
+
+      delete process.env.LLM_PROVIDER;
+      expect(resolveProviderName('unknown')).toBe('gemini');
+    });
+  });
+
+  describe('openai provider', () => {
+    beforeAll(() => {
+      process.env.OPENAI_ENABLED = 'true';
+      process.env.OPENAI_BASE_URL = `${baseUrl}/v1/`;
+      process.env.OPENAI_API_KEY = 'test-key';
+    });
+
+    afterAll(() => {
+      delete process.env.OPENAI_ENABLED;
+      delete process.env.OPENAI_BASE_URL;
+      delete process.env.OPENAI_API_KEY;
+    });
+
+    test('sends chat completion requests and returns message content', async () => {
+      const provider = getProvider('openai');
+      expect(provider.initialize()).toEqual({ success: true });
+      expect(provider.getStatus().available).toBe(true);
+
+      const output = await provider.generate('Write a thread');
+      expect(output).toBe('{"ok":"openai"}');
+      expect(lastRequest.headers.authorization).toBe('Bearer test-key');
+      expect(lastRequest.body.messages[0].content).toBe('Write a thread');
+    });
+  });
+
+  describe('ollama provider', () => {
+    test('reports disabled until enabled', () => {
+      const provider = getProvider('ollama');
+      expect(provider.initialize()).toBe(false);
+      expect(provider.getStatus().available).toBe(false);
+    });
+
+    test('sends generate requests to the local endpoint', async () => {
+      process.env.OLLAMA_ENABLED = 'true';
+      process.env.OLLAMA_BASE_URL = baseUrl;
+
+      const provider = getProvider('ollama');
+      provider.initialize();
+      const output = await provider.generate('Write a thread');
+
+      expect(output).toBe('{"ok":"ollama"}');
+      expect(lastRequest.body.stream).toBe(false);
+
+      delete process.env.OLLAMA_ENABLED;
+      delete process.env.OLLAMA_BASE_URL;
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests for persistent quota accounting
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createQuotaTracker, createQuotaStore, getWindowStart } = require('../services/quotaTracker');
+
+describe('Quota Tracker', () => {
+  let tempDir;
+  let statePath;
+  let clock;
+  let stores;
+
+  const HOUR = 60 * 60 * 1000;
+  const now = () => clock;
+  const openStore = () => {
+    const store = createQuotaStore(statePath);
+    stores.push(store);
+    return store;
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quota-'));
+    statePath = path.join(tempDir, 'quota-state.json');
+    clock = Date.UTC(2025, 0, 15, 10, 30);
+    stores = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(stores.map((store) => store.flush()));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('counts retries separately from requests and generations', () => {
+    const tracker = createQuotaTracker('test', { daily: 10 }, { store: openStore(), now });
+
+    tracker.consume();
+    tracker.consume({ retry: true });
+    tracker.recordGeneration(true);
+
+    const info = tracker.getInfo();
+    expect(info.used).toBe(2);
+    expect(info.remaining).toBe(8);
+    expect(info.windows.daily).toMatchObject({
+      requests: 2,
+      retries: 1,
+      successes: 1,
+      failures: 0
+    });
+    expect(info.windows.hourly.limit).toBeNull();
+  });
+
+  test('enforces the tightest window limit', () => {
+    const tracker = createQuotaTracker('test', { daily: 10, hourly: 2 }, { store: openStore(), now });
+
+    tracker.consume();
+    tracker.consume();
+    expect(tracker.hasRemaining()).toBe(false);
+
+    clock += HOUR;
+    expect(tracker.hasRemaining()).toBe(true);
+    expect(tracker.getInfo().windows.daily.requests).toBe(2);
+  });
+
+  test('gives back released calls without going below zero', () => {
+    const tracker = createQuotaTracker('test', { daily: 10 }, { store: openStore(), now });
+
+    tracker.consume();
+    tracker.consume();
+    tracker.release();
+    expect(tracker.getInfo().remaining).toBe(9);
+
+    tracker.release(5);
+    expect(tracker.getInfo().windows.daily.requests).toBe(0);
+  });
+
+  test('archives finished windows into history on rollover', () => {
+    const tracker = createQuotaTracker('test', { daily: 10 }, { store: openStore(), now });
+
+    tracker.consume();
+    clock += 24 * HOUR;
+    tracker.consume();
+
+    const history = tracker.getHistory();
+    expect(history.daily).toHaveLength(1);
+    expect(history.daily[0].requests).toBe(1);
+    expect(history.hourly[0].requests).toBe(1);
+    expect(tracker.getInfo().used).toBe(1);
+  });
+
+  test('restores state from disk after a restart', async () => {
+    const store = openStore();
+    const tracker = createQuotaTracker('test', { daily: 10 }, { store, now });
+    tracker.consume();
+    tracker.consume();
+    await store.flush();
+
+    const restored = createQuotaTracker('test', { daily: 10 }, { store: openStore(), now });
+    expect(restored.getInfo().used).toBe(2);
+  });
+
+  test('aligns daily windows to the configured reset hour', () => {
+    process.env.QUOTA_DAILY_RESET_HOUR_UTC = '8';
+    expect(getWindowStart('daily', Date.UTC(2025, 0, 15, 7))).toBe(Date.UTC(2025, 0, 14, 8));
+    expect(getWindowStart('daily', Date.UTC(2025, 0, 15, 9))).toBe(Date.UTC(2025, 0, 15, 8));
+    delete process.env.QUOTA_DAILY_RESET_HOUR_UTC;
+  });
+});
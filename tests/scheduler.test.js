@@ -0,0 +1,246 @@
+/**
+ * Tests for the publishing schedule and publisher adapters
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createScheduler, buildPublishPosts } = require('../services/scheduler');
+const { getPublisher } = require('../services/publishers');
+
+const ENTRY = {
+  id: 'entry-1',
+  thread: {
+    metadata: { platform: 'x' },
+    thread: [
+      {
+        index: 1,
+        text: 'Remote work is here to stay (1/2)',
+        hashtags: ['#RemoteWork'],
+        image_suggestion: { type: 'chart', content: 'Survey results' }
+      },
+      {
+        index: 2,
+        text: 'Start small (2/2)',
+        hashtags: [],
+        cta: 'Follow for more'
+      }
+    ]
+  }
+};
+
+describe('Scheduler', () => {
+  let tempDir;
+  let statePath;
+  let clock;
+  let schedulers;
+  let server;
+  let webhookStatus;
+  let webhookRequests;
+  const originalEnv = { ...process.env };
+
+  const HOUR = 60 * 60 * 1000;
+  const logger = { info: () => {}, warn: () => {} };
+  const open = (entries = { 'entry-1': ENTRY }) => {
+    const scheduler = createScheduler({
+      filePath: statePath,
+      loadEntry: async (id) => entries[id] || null,
+      now: () => clock,
+      logger
+    });
+    schedulers.push(scheduler);
+    return scheduler;
+  };
+
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        webhookRequests.push({ headers: req.headers, body: JSON.parse(body) });
+        res.statusCode = webhookStatus;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ posts: [{ id: 'remote-1', url: 'https://example.test/1' }, { id: 'remote-2' }] }));
+      });
+    });
+    server.listen(0, done);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-'));
+    statePath = path.join(tempDir, 'schedule.json');
+    process.env.PUBLISH_OUTBOX_DIR = path.join(tempDir, 'outbox');
+    process.env.PUBLISH_WEBHOOK_URL = `http://127.0.0.1:${server.address().port}/publish`;
+    clock = Date.UTC(2025, 3, 1, 12);
+    schedulers = [];
+    webhookStatus = 200;
+    webhookRequests = [];
+  });
+
+  afterEach(async () => {
+    schedulers.forEach((scheduler) => scheduler.stop());
+    await Promise.all(schedulers.map((scheduler) => scheduler.flush()));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    process.env = { ...originalEnv };
+  });
+
+  test('builds the posts a publisher receives', () => {
+    expect(buildPublishPosts(ENTRY)).toEqual([
+      {
+        index: 1,
+        text: 'Remote work is here to stay (1/2) #RemoteWork',
+        media: [{ type: 'image', description: 'Survey results' }],
+        reply_to_index: null
+      },
+      {
+        index: 2,
+        text: 'Start small (2/2) Follow for more',
+        media: [],
+        reply_to_index: 1
+      }
+    ]);
+  });
+
+  test('queues jobs with local times and lists them by publish time', () => {
+    const scheduler = open();
+    const later = scheduler.schedule({ historyId: 'entry-1', publishAt: clock + 2 * HOUR, timezone: 'Asia/Riyadh' });
+    const sooner = scheduler.schedule({ historyId: 'entry-1', publishAt: clock + HOUR });
+
+    expect(later).toMatchObject({
+      status: 'pending',
+      publisher: 'filesystem',
+      publish_at: '2025-04-01T14:00:00.000Z',
+      timezone: 'Asia/Riyadh',
+      local_time: '2025-04-01T17:00'
+    });
+    expect(sooner.timezone).toBe('UTC');
+    expect(scheduler.list().map((job) => job.id)).toEqual([sooner.id, later.id]);
+  });
+
+  test('publishes due jobs through the filesystem publisher', async () => {
+    const scheduler = open();
+    const job = scheduler.schedule({ historyId: 'entry-1', publishAt: clock + HOUR });
+
+    await scheduler.runDue();
+    expect(scheduler.get(job.id).status).toBe('pending');
+
+    clock += HOUR;
+    await scheduler.runDue();
+
+    const published = scheduler.get(job.id);
+    expect(published).toMatchObject({ status: 'published', attempts: 1, published_at: '2025-04-01T13:00:00.000Z' });
+    expect(published.result.posts).toEqual([
+      { index: 1, id: `${job.id}-1`, url: null },
+      { index: 2, id: `${job.id}-2`, url: null }
+    ]);
+
+    const outbox = JSON.parse(fs.readFileSync(published.result.location, 'utf8'));
+    expect(outbox).toMatchObject({ job_id: job.id, history_id: 'entry-1', platform: 'x' });
+    expect(outbox.posts[1].text).toBe('Start small (2/2) Follow for more');
+  });
+
+  test('fires at the scheduled time once started', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    try {
+      const scheduler = open();
+      const job = scheduler.schedule({ historyId: 'entry-1', publishAt: clock + 1000 });
+      scheduler.start();
+
+      clock += 1000;
+      jest.advanceTimersByTime(1000);
+      await scheduler.flush();
+
+      expect(scheduler.get(job.id).status).toBe('published');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('publishes through the webhook publisher and keeps returned ids', async () => {
+    process.env.PUBLISH_WEBHOOK_TOKEN = 'secret';
+    const scheduler = open();
+    const job = scheduler.schedule({ historyId: 'entry-1', publishAt: clock, publisher: 'webhook' });
+
+    await scheduler.runDue();
+
+    expect(scheduler.get(job.id).result.posts).toEqual([
+      { index: 1, id: 'remote-1', url: 'https://example.test/1' },
+      { index: 2, id: 'remote-2', url: null }
+    ]);
+    expect(webhookRequests[0].headers.authorization).toBe('Bearer secret');
+    expect(webhookRequests[0].body).toMatchObject({ job_id: job.id, history_id: 'entry-1', platform: 'x' });
+    expect(getPublisher('webhook').getStatus()).toMatchObject({ publisher: 'webhook', configured: true });
+  });
+
+  test('retries failed publishes with a growing delay, then gives up', async () => {
+    webhookStatus = 503;
+    const scheduler = open();
+    const job = scheduler.schedule({ historyId: 'entry-1', publishAt: clock, publisher: 'webhook' });
+
+    await scheduler.runDue();
+    expect(scheduler.get(job.id)).toMatchObject({
+      status: 'pending',
+      attempts: 1,
+      next_attempt_at: '2025-04-01T12:01:00.000Z',
+      error: expect.stringMatching(/HTTP 503/)
+    });
+
+    clock += 60 * 1000;
+    await scheduler.runDue();
+    expect(scheduler.get(job.id).next_attempt_at).toBe('2025-04-01T12:03:00.000Z');
+
+    clock += 2 * 60 * 1000;
+    await scheduler.runDue();
+    expect(scheduler.get(job.id)).toMatchObject({ status: 'failed', attempts: 3, next_attempt_at: null });
+    expect(webhookRequests).toHaveLength(3);
+  });
+
+  test('fails without retrying when the thread is gone from history', async () => {
+    const scheduler = open({});
+    const job = scheduler.schedule({ historyId: 'missing', publishAt: clock });
+
+    await scheduler.runDue();
+    expect(scheduler.get(job.id)).toMatchObject({
+      status: 'failed',
+      attempts: 1,
+      error: 'Thread not found in history'
+    });
+  });
+
+  test('reschedules and cancels open jobs only', async () => {
+    const scheduler = open();
+    const job = scheduler.schedule({ historyId: 'entry-1', publishAt: clock + HOUR, timezone: 'Asia/Riyadh' });
+
+    const moved = scheduler.reschedule(job.id, { publishAt: clock + 3 * HOUR });
+    expect(moved).toMatchObject({
+      publish_at: '2025-04-01T15:00:00.000Z',
+      local_time: '2025-04-01T18:00',
+      timezone: 'Asia/Riyadh'
+    });
+
+    expect(scheduler.cancel(job.id).status).toBe('cancelled');
+    expect(() => scheduler.cancel(job.id)).toThrow('Cannot cancel a cancelled job');
+    expect(() => scheduler.reschedule(job.id, { publishAt: clock })).toThrow(expect.objectContaining({ status: 409 }));
+    expect(() => scheduler.get('job-missing')).toThrow(expect.objectContaining({ status: 404 }));
+  });
+
+  test('survives restarts and requeues interrupted publishes', async () => {
+    const first = open();
+    const job = first.schedule({ historyId: 'entry-1', publishAt: clock + HOUR });
+    await first.flush();
+
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    state.jobs[0].status = 'publishing';
+    fs.writeFileSync(statePath, JSON.stringify(state));
+
+    const second = open();
+    expect(second.list()).toEqual([expect.objectContaining({ id: job.id, status: 'pending' })]);
+  });
+});
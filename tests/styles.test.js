@@ -0,0 +1,175 @@
+/**
+ * Tests for the style registry, style validation and generation with custom styles
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'styles-'));
+process.env.STYLES_DIR = path.join(tempDir, 'styles');
+process.env.USERS_FILE = path.join(tempDir, 'users.json');
+process.env.USER_DATA_DIR = path.join(tempDir, 'users');
+process.env.USER_QUOTA_STATE_FILE = path.join(tempDir, 'user-quota.json');
+process.env.SCHEDULE_STATE_FILE = path.join(tempDir, 'schedule.json');
+
+const { createStyleRegistry } = require('../config/styles');
+const { validateStyleDefinition } = require('../utils/inputSanitizer');
+const { generateFallbackThread } = require('../services/localTemplates');
+const { buildPrompt } = require('../services/geminiService');
+const app = require('../server');
+
+const BUILTIN_DIR = path.join(__dirname, '..', 'config', 'styles');
+
+const LAUNCH_STYLE = {
+  id: 'thread-for-launch',
+  name: { en: 'Launch thread', ar: 'خيط إطلاق' },
+  prefixes: { en: ['🚀 Launch:'], ar: ['🚀 إطلاق:'] },
+  emojis: ['🚀', '🎉'],
+  ctas: { en: ['Try it today 🚀'], ar: ['جربه اليوم 🚀'] },
+  structure: { en: 'Announcement → Features → Availability', ar: 'إعلان ← المزايا ← التوفر' },
+  prompt: { en: 'Announce the product and end with where to get it', ar: 'أعلن عن المنتج واختم بمكان الحصول عليه' },
+  engagementWeight: 0.4
+};
+
+const ENGLISH_TEXT = 'Our new editor ships today. It saves drafts automatically and works offline. '
+  + 'Teams can review changes together in real time.';
+const ARABIC_TEXT = 'الذكاء الاصطناعي يغير طريقة عمل الشركات. التعلم الآلي يساعد الفرق على أتمتة المهام.';
+
+describe('Styles', () => {
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('style registry', () => {
+    let customDir;
+    let registry;
+
+    beforeEach(() => {
+      customDir = fs.mkdtempSync(path.join(tempDir, 'registry-'));
+      registry = createStyleRegistry({ builtinDir: BUILTIN_DIR, customDir });
+    });
+
+    test('loads the built-in styles from their JSON files', () => {
+      expect(registry.ids()).toEqual(['concise', 'educational', 'engaging', 'professional', 'technical']);
+      expect(registry.get('technical')).toMatchObject({ engagementWeight: 0.1, emojis: expect.arrayContaining(['🔧']) });
+      expect(registry.get('casual')).toBeNull();
+    });
+
+    test('saves created styles and reads them back', async () => {
+      await registry.create(LAUNCH_STYLE);
+      await expect(registry.create(LAUNCH_STYLE)).rejects.toMatchObject({ status: 409 });
+
+      const reloaded = createStyleRegistry({ builtinDir: BUILTIN_DIR, customDir });
+      expect(reloaded.ids()).toContain('thread-for-launch');
+      expect(reloaded.list().find((style) => style.id === 'thread-for-launch'))
+        .toMatchObject({ builtin: false, customized: false, ctas: LAUNCH_STYLE.ctas });
+    });
+
+    test('edits one language at a time and reverts edited built-in styles', async () => {
+      const edited = await registry.update('educational', { prompt: { ar: 'اشرح ببساطة' } });
+      expect(edited).toMatchObject({ builtin: true, customized: true });
+      expect(edited.prompt.ar).toBe('اشرح ببساطة');
+      expect(edited.prompt.en).toMatch(/^Teach one idea per tweet/);
+
+      const reverted = await registry.remove('educational');
+      expect(reverted.customized).toBe(false);
+      expect(fs.readdirSync(customDir)).toEqual([]);
+
+      await expect(registry.remove('educational')).rejects.toMatchObject({ status: 409 });
+      await expect(registry.update('missing', { engagementWeight: 0 })).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('validateStyleDefinition', () => {
+    test('accepts a complete style and sanitizes its text', () => {
+      const result = validateStyleDefinition({ ...LAUNCH_STYLE, name: { en: ' <b>Launch</b> ', ar: 'إطلاق' } });
+      expect(result.success).toBe(true);
+      expect(result.sanitized.name).toEqual({ en: 'Launch', ar: 'إطلاق' });
+    });
+
+    test('needs both languages for a new style but not for an edit', () => {
+      const result = validateStyleDefinition({
+        ...LAUNCH_STYLE,
+        id: 'Launch',
+        structure: { en: 'Intro' },
+        extra: true
+      });
+      expect(result.code).toBe(400);
+      expect(result.details.errors).toEqual([
+        'id must be 2 to 40 lowercase letters, digits or dashes, starting with a letter',
+        'Unknown or read-only style fields: extra',
+        'structure needs en and ar values'
+      ]);
+
+      expect(validateStyleDefinition({ structure: { en: 'Intro' } }, { partial: true }).success).toBe(true);
+      expect(validateStyleDefinition({ id: 'other' }, { partial: true }).details.errors)
+        .toEqual(['Unknown or read-only style fields: id']);
+      expect(validateStyleDefinition({ engagementWeight: 2 }, { partial: true }).error)
+        .toBe('engagementWeight must be a number from -1 to 1');
+    });
+  });
+
+  describe('API', () => {
+    test('creates a style that generation can use right away', async () => {
+      const created = await request(app).post('/api/styles').send(LAUNCH_STYLE);
+      expect(created.status).toBe(201);
+      expect(fs.existsSync(path.join(process.env.STYLES_DIR, 'thread-for-launch.json'))).toBe(true);
+
+      const list = await request(app).get('/api/styles');
+      expect(list.body.styles.map((style) => style.id)).toContain('thread-for-launch');
+
+      const generated = await request(app)
+        .post('/api/generate-thread')
+        .send({
+          text: ENGLISH_TEXT,
+          language: 'en',
+          style: 'thread-for-launch',
+          maxTweets: 3
+        });
+      expect(generated.status).toBe(200);
+      expect(generated.body.metadata.style_requested).toBe('thread-for-launch');
+      expect(generated.body.thread_summary).toBe('Announcement → Features → Availability');
+    });
+
+    test('edits and deletes custom styles', async () => {
+      const edited = await request(app)
+        .patch('/api/styles/thread-for-launch')
+        .send({ ctas: { en: ['Get it now'] } });
+      expect(edited.status).toBe(200);
+      expect(edited.body.style.ctas).toEqual({ en: ['Get it now'], ar: LAUNCH_STYLE.ctas.ar });
+
+      await request(app).patch('/api/styles/thread-for-launch').send({ emojis: [] }).expect(400);
+      await request(app).post('/api/styles').send(LAUNCH_STYLE).expect(409);
+
+      await request(app).delete('/api/styles/thread-for-launch').expect(200);
+      await request(app).get('/api/styles/thread-for-launch').expect(404);
+      await request(app).delete('/api/styles/professional').expect(409);
+
+      const rejected = await request(app)
+        .post('/api/generate-thread')
+        .send({ text: ENGLISH_TEXT, style: 'thread-for-launch' });
+      expect(rejected.status).toBe(400);
+    });
+  });
+
+  describe('generation', () => {
+    test('local threads take CTAs and the structure summary from the style in the content\'s language', () => {
+      const arabic = generateFallbackThread(ARABIC_TEXT, { maxTweets: 2, style: 'technical' });
+      const { cta } = arabic.thread[arabic.thread.length - 1];
+
+      expect(arabic.thread_summary).toBe('المشكلة ← الحل ← التطبيق ← النتائج');
+      expect(['جرب وأخبرنا 🔧', 'شارك تجربتك 💻', 'هل واجهت هذا؟ ⚙️']).toContain(cta);
+    });
+
+    test('the LLM prompt carries the style\'s guidance', () => {
+      const prompt = buildPrompt(ENGLISH_TEXT, { style: 'technical', language: 'en', maxTweets: 3 });
+      expect(prompt).toContain('STYLE (Technical): Be precise');
+      expect(prompt).toContain('Structure: Problem → Solution → Implementation → Results');
+
+      const arabicPrompt = buildPrompt(ENGLISH_TEXT, { style: 'technical', language: 'ar', maxTweets: 3 });
+      expect(arabicPrompt).toContain('كن دقيقًا');
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for extractive summarization and its use in the local generator
+ */
+
+const { rankSentences, summarizeText } = require('../utils/summarizer');
+const { generateFallbackThread } = require('../services/localTemplates');
+
+const TOPICS = [
+  'remote work', 'hiring', 'onboarding', 'documentation', 'code review', 'testing',
+  'deployment', 'monitoring', 'incident response', 'retrospectives', 'mentoring', 'career growth'
+];
+
+const ARTICLE = TOPICS.map((topic) => [
+  `Teams that invest in ${topic} ship faster and with fewer surprises.`,
+  `One practical habit for ${topic} is writing down what you learn each week.`,
+  'The weather was pleasant that afternoon.'
+].join(' ')).join('\n\n');
+
+describe('Summarizer', () => {
+  describe('rankSentences', () => {
+    test('ranks a sentence that shares words with the others above an unrelated one', () => {
+      const scores = rankSentences([
+        'Teams ship faster with good testing.',
+        'Good testing helps teams ship.',
+        'Teams that test ship faster.',
+        'My cat likes warm blankets.'
+      ]);
+
+      expect(scores[0]).toBeGreaterThan(scores[3]);
+    });
+  });
+
+  describe('summarizeText', () => {
+    test('returns short text untouched', () => {
+      const result = summarizeText('One sentence. Two sentences.', 1000);
+
+      expect(result.summarized).toBe(false);
+      expect(result.text).toBe('One sentence. Two sentences.');
+    });
+
+    test('fits the budget and keeps document order', () => {
+      const result = summarizeText(ARTICLE, 800, { regions: 4 });
+      const positions = TOPICS
+        .map((topic) => result.text.indexOf(topic))
+        .filter((position) => position >= 0);
+
+      expect(result.summarized).toBe(true);
+      expect(result.text.length).toBeLessThanOrEqual(800);
+      expect(result.sentences_selected).toBeLessThan(result.sentences_total);
+      expect(positions).toEqual([...positions].sort((a, b) => a - b));
+    });
+
+    test('covers the whole document and skips repeated sentences', () => {
+      const result = summarizeText(ARTICLE, 800, { regions: 4 });
+
+      expect(result.text).toMatch(/remote work|hiring|onboarding/);
+      expect(result.text).toMatch(/mentoring|career growth|retrospectives/);
+      expect((result.text.match(/weather/g) || []).length).toBeLessThanOrEqual(1);
+    });
+  });
+
+  describe('local generator', () => {
+    test('summarizes long articles so the thread reaches the end of the text', () => {
+      const result = generateFallbackThread(ARTICLE, { maxTweets: 4, includeHashtags: false });
+
+      expect(result.metadata.summarization.method).toBe('textrank');
+      expect(result.thread).toHaveLength(4);
+      expect(result.thread[3].text).toMatch(/retrospectives|mentoring|career growth/);
+      result.thread.forEach((tweet) => expect(tweet.warnings).toEqual([]));
+    });
+
+    test('leaves input that fits alone', () => {
+      const result = generateFallbackThread('Short input. It fits easily.', { maxTweets: 2 });
+      expect(result.metadata.summarization).toBeUndefined();
+    });
+  });
+});
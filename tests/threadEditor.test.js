@@ -0,0 +1,102 @@
+/**
+ * Tests for thread editing and version diffs
+ */
+
+const {
+  applyThreadEdit,
+  recordVersion,
+  getVersions,
+  diffThreads
+} = require('../services/threadEditor');
+
+const THREAD = [
+  {
+    index: 1,
+    text: 'First point. Second point. (1/3)',
+    hashtags: ['#a'],
+    cta: null
+  },
+  {
+    index: 2,
+    text: 'Middle tweet. (2/3)',
+    hashtags: ['#b'],
+    cta: null
+  },
+  {
+    index: 3,
+    text: 'Closing tweet. (3/3)',
+    hashtags: [],
+    cta: 'Follow for more'
+  }
+];
+
+describe('Thread Editor', () => {
+  describe('applyThreadEdit', () => {
+    test('keeps the call to action on the last tweet when reordering', () => {
+      const { tweets } = applyThreadEdit(THREAD, { type: 'reorder', order: [3, 1, 2] }, 'x');
+
+      expect(tweets.map((t) => t.cta)).toEqual([null, null, 'Follow for more']);
+      expect(tweets[0].text).toBe('Closing tweet. (1/3)');
+    });
+
+    test('merges hashtags and uses the platform numbering', () => {
+      const { tweets, summary } = applyThreadEdit(THREAD, { type: 'merge', index: 1 }, 'bluesky');
+
+      expect(summary).toBe('Merged tweets 1 and 2');
+      expect(tweets[0].text).toBe('1/2 First point. Second point. Middle tweet.');
+      expect(tweets[0].hashtags).toEqual(['#a', '#b']);
+    });
+
+    test('splits at a given offset', () => {
+      const { tweets } = applyThreadEdit(THREAD, { type: 'split', index: 2, at: 6 }, 'x');
+      expect(tweets.map((t) => t.text)).toEqual([
+        'First point. Second point. (1/4)', 'Middle (2/4)', 'tweet. (3/4)', 'Closing tweet. (4/4)'
+      ]);
+    });
+
+    test('flags edited tweets over the limit instead of truncating them', () => {
+      const { tweets } = applyThreadEdit(THREAD, { type: 'edit', index: 2, text: 'word '.repeat(70) }, 'x');
+
+      expect(tweets[1].char_count).toBeGreaterThan(280);
+      expect(tweets[1].warnings).toEqual(['Tweet exceeds the 280 character limit']);
+    });
+
+    test('refuses to split past the platform thread length', () => {
+      expect(() => applyThreadEdit([THREAD[0]], { type: 'split', index: 1 }, 'linkedin')).toThrow(/limited to 1/);
+    });
+  });
+
+  describe('versions', () => {
+    test('seeds the generated thread as version 1', () => {
+      const entry = { id: 'e', timestamp: '2025-01-01T00:00:00.000Z', thread: { metadata: {}, thread: THREAD } };
+      const updated = recordVersion(entry, THREAD.slice(0, 2), { author: 'sam', summary: 'Trimmed' });
+
+      expect(getVersions(entry)).toHaveLength(1);
+      expect(updated.versions.map((v) => v.version)).toEqual([1, 2]);
+      expect(updated.thread.metadata.tweets_generated).toBe(2);
+      expect(updated.current_version).toBe(2);
+    });
+  });
+
+  describe('diffThreads', () => {
+    test('reports word changes and ignores renumbering', () => {
+      const after = [
+        { text: 'First point. Second point. (1/2)' },
+        { text: 'Closing tweet, with thanks. (2/2)' }
+      ];
+      const diff = diffThreads(THREAD, after);
+
+      expect(diff.stats).toEqual({
+        unchanged: 1,
+        modified: 1,
+        moved: 0,
+        added: 0,
+        removed: 1
+      });
+      expect(diff.tweets[1].words).toEqual([
+        { op: 'insert', text: 'Closing tweet, with thanks.' },
+        { op: 'delete', text: 'Middle tweet.' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for thread export formats
+ */
+
+const { exportThread, toCsvField } = require('../services/threadExporter');
+
+const ENTRY = {
+  id: 'entry-1',
+  timestamp: '2025-03-01T10:00:00.000Z',
+  thread: {
+    metadata: {
+      language: 'en',
+      style_requested: 'educational',
+      direction: 'ltr',
+      platform: 'x'
+    },
+    thread: [
+      {
+        index: 1,
+        text: 'Remote work changed how teams collaborate, "for good". (1/2)',
+        char_count: 62,
+        hashtags: ['#RemoteWork'],
+        image_suggestion: { type: 'chart', content: 'Remote vs office survey' }
+      },
+      {
+        index: 2,
+        text: 'Start with one async update <today>. (2/2)',
+        char_count: 43,
+        hashtags: [],
+        cta: 'Follow for more'
+      }
+    ],
+    thread_summary: 'Remote work habits'
+  }
+};
+
+const ARABIC_ENTRY = {
+  timestamp: '2025-03-02T10:00:00.000Z',
+  thread: {
+    metadata: {
+      language: 'ar',
+      style_requested: 'concise',
+      direction: 'rtl',
+      platform: 'x'
+    },
+    thread: [{
+      index: 1,
+      text: 'العمل عن بعد غيّر طريقة التعاون',
+      char_count: 31,
+      hashtags: ['#العمل_عن_بعد']
+    }],
+    thread_summary: ''
+  }
+};
+
+describe('Thread Exporter', () => {
+  test('renders Markdown with a title, metadata and one section per post', () => {
+    const { content, filename, contentType } = exportThread('entry-1', ENTRY, 'markdown');
+
+    expect(filename).toBe('entry-1.md');
+    expect(contentType).toMatch(/text\/markdown/);
+    expect(content).toMatch(/^# Remote work habits\n/);
+    expect(content).toMatch(/Style: educational · Language: en · Platform: X \(Twitter\) · Posts: 2/);
+    expect(content).toContain(
+      '## 1/2\n\nRemote work changed how teams collaborate, "for good". #RemoteWork\n\n> 🖼️ Remote vs office survey'
+    );
+    expect(content).toMatch(/## 2\/2\n\nStart with one async update <today>. Follow for more\n$/);
+  });
+
+  test('renders plain numbered text and numbers posts that lack numbering', () => {
+    expect(exportThread('entry-1', ENTRY, 'text').content).toBe(
+      'Remote work changed how teams collaborate, "for good". (1/2) #RemoteWork\n\n'
+      + 'Start with one async update <today>. (2/2) Follow for more\n'
+    );
+    expect(exportThread('entry-2', ARABIC_ENTRY, 'text').content)
+      .toBe('1/1 العمل عن بعد غيّر طريقة التعاون #العمل_عن_بعد\n');
+  });
+
+  test('renders CSV with one quoted row per tweet', () => {
+    const { content } = exportThread('entry-1', ENTRY, 'csv');
+    const lines = content.replace(/^\uFEFF/, '').split('\r\n');
+
+    expect(content.startsWith('\uFEFF')).toBe(true);
+    expect(lines[0]).toBe('index,post,text,hashtags,cta,char_count,image_suggestion');
+    expect(lines[1]).toBe(
+      '1,"Remote work changed how teams collaborate, ""for good"". (1/2) #RemoteWork",'
+      + '"Remote work changed how teams collaborate, ""for good"". (1/2)",#RemoteWork,,62,Remote vs office survey'
+    );
+    expect(lines).toHaveLength(4);
+  });
+
+  test('neutralizes spreadsheet formulas in CSV fields', () => {
+    expect(toCsvField('=SUM(A1)')).toBe("'=SUM(A1)");
+    expect(toCsvField('@handle')).toBe("'@handle");
+    expect(toCsvField('#tag')).toBe('#tag');
+  });
+
+  test('renders escaped, standalone HTML', () => {
+    const { content } = exportThread('entry-1', ENTRY, 'html');
+
+    expect(content).toMatch(/^<!DOCTYPE html>\n<html lang="en" dir="ltr">/);
+    expect(content).toContain('<title>Remote work habits</title>');
+    expect(content).toContain('async update &lt;today&gt;.');
+    expect(content).toContain('<span class="hashtag">#RemoteWork</span>');
+    expect(content).not.toMatch(/<script/);
+  });
+
+  test('renders Arabic threads right to left', () => {
+    const { content } = exportThread('entry-2', ARABIC_ENTRY, 'html');
+
+    expect(content).toMatch(/<html lang="ar" dir="rtl">/);
+    expect(content).toContain('<title>العمل عن بعد غيّر طريقة التعاون</title>');
+    expect(content).toContain('<span class="hashtag">#العمل_عن_بعد</span>');
+  });
+
+  test('renders posts CSV with chained replies', () => {
+    const { content, filename } = exportThread('entry-1', ENTRY, 'posts-csv', {
+      scheduledAt: '2025-04-01T09:00:00.000Z'
+    });
+    const lines = content.replace(/^\uFEFF/, '').trim().split('\r\n');
+
+    expect(filename).toBe('entry-1-posts.csv');
+    expect(lines[0]).toBe('thread_id,post_number,text,media_description,reply_to_previous,scheduled_at');
+    expect(lines[1]).toMatch(/^entry-1,1,".*",Remote vs office survey,false,2025-04-01T09:00:00.000Z$/);
+    expect(lines[2]).toMatch(/^entry-1,2,.*,,true,2025-04-01T09:00:00.000Z$/);
+  });
+
+  test('renders posts JSON', () => {
+    const { content } = exportThread('entry-1', ENTRY, 'posts-json');
+    const { threads } = JSON.parse(content);
+
+    expect(threads).toHaveLength(1);
+    expect(threads[0]).toMatchObject({ id: 'entry-1', platform: 'x', scheduled_at: null });
+    expect(threads[0].posts[1].text).toBe('Start with one async update <today>. (2/2) Follow for more');
+    expect(threads[0].posts[0].media).toEqual([{ type: 'image', description: 'Remote vs office survey' }]);
+  });
+
+  test('rejects unknown formats', () => {
+    expect(() => exportThread('entry-1', ENTRY, 'pdf')).toThrow(/format must be one of/);
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Tests for importing published threads
+ */
+
+const {
+  importThreads,
+  splitThreadText,
+  parseCsv,
+  detectImportFormat
+} = require('../services/threadImporter');
+const { exportThread } = require('../services/threadExporter');
+
+const ENTRY = {
+  id: 'entry-1',
+  timestamp: '2025-03-01T10:00:00.000Z',
+  thread: {
+    metadata: {
+      language: 'en',
+      style_requested: 'educational',
+      direction: 'ltr',
+      platform: 'x'
+    },
+    thread: [
+      {
+        index: 1,
+        text: 'Remote work changed how teams collaborate, "for good". (1/2)',
+        char_count: 74,
+        hashtags: ['#RemoteWork'],
+        image_suggestion: { type: 'chart', content: 'Remote vs office survey' }
+      },
+      {
+        index: 2,
+        text: '=Start with one async update. (2/2)',
+        char_count: 35,
+        hashtags: [],
+        cta: 'Follow for more'
+      }
+    ],
+    thread_summary: 'Remote work habits'
+  }
+};
+
+/**
+ * Get the tweet texts of the first imported thread
+ * @param {Object} imported - importThreads result
+ * @returns {Array<string>} Tweet texts
+ */
+function texts(imported) {
+  return imported.threads[0].thread.thread.map((tweet) => tweet.text);
+}
+
+describe('Thread Importer', () => {
+  test('splits text at leading, trailing or missing numbering', () => {
+    expect(splitThreadText('1/ First post\ncontinued\n2/ Second post\n3. Third post')).toEqual([
+      'First post\ncontinued', 'Second post', 'Third post'
+    ]);
+    expect(splitThreadText('Opening hook\n\n2/ Second post')).toEqual(['Opening hook\n', 'Second post']);
+    expect(splitThreadText('First post (1/2) #Tag\nSecond post (2/2)')).toEqual(['First post #Tag', 'Second post']);
+    expect(splitThreadText('First post\n\n---\n\nSecond post')).toEqual(['First post', 'Second post']);
+  });
+
+  test('ignores numbered lists that do not count up from 1', () => {
+    expect(splitThreadText('Three tips:\n3. sleep\n5. eat')).toEqual(['Three tips:\n3. sleep\n5. eat']);
+  });
+
+  test('parses quoted CSV fields', () => {
+    expect(parseCsv('a,b\r\n"x, ""y""","line\nbreak"\r\n')).toEqual([['a', 'b'], ['x, "y"', 'line\nbreak']]);
+  });
+
+  test('detects the content format', () => {
+    expect(detectImportFormat('{"thread": []}')).toBe('json');
+    expect(detectImportFormat('index,post,text\n1,a,a')).toBe('csv');
+    expect(detectImportFormat('1/ Hello, world')).toBe('text');
+  });
+
+  test('builds the internal thread structure from numbered text', () => {
+    const imported = importThreads(
+      '1/ Remote work changed how teams collaborate. #RemoteWork #remotework #Teams\n\n'
+      + '2/ Start with one async update today.'
+    );
+    const [first, second] = imported.threads[0].thread.thread;
+
+    expect(imported.format).toBe('text');
+    expect(first).toMatchObject({
+      index: 1,
+      text: 'Remote work changed how teams collaborate. (1/2)',
+      hashtags: ['#RemoteWork', '#Teams'],
+      char_count: 67,
+      warnings: [],
+      cta: null
+    });
+    expect(second.text).toBe('Start with one async update today. (2/2)');
+    expect(imported.threads[0].thread.metadata).toMatchObject({
+      language: 'en',
+      direction: 'ltr',
+      platform: 'x',
+      tweets_generated: 2,
+      imported: { format: 'text' }
+    });
+    expect(imported.threads[0].source_text).toBe(
+      'Remote work changed how teams collaborate.\n\nStart with one async update today.'
+    );
+  });
+
+  test('detects Arabic threads as right to left and renumbers for the platform', () => {
+    const imported = importThreads(
+      '١ العمل عن بعد غيّر طريقة التعاون (1/2)\nابدأ بتحديث واحد غير متزامن (2/2) #العمل_عن_بعد',
+      { platform: 'bluesky' }
+    );
+
+    expect(texts(imported)).toEqual(['1/2 ١ العمل عن بعد غيّر طريقة التعاون', '2/2 ابدأ بتحديث واحد غير متزامن']);
+    expect(imported.threads[0].thread.thread[1].hashtags).toEqual(['#العمل_عن_بعد']);
+    expect(imported.threads[0].thread.metadata).toMatchObject({
+      language: 'ar',
+      direction: 'rtl',
+      platform: 'bluesky'
+    });
+  });
+
+  test('lints over-long posts, hashtag overload and duplicates without truncating', () => {
+    const longPost = 'word '.repeat(70).trim();
+    const imported = importThreads(`1/ ${longPost}\n2/ Same post #a #b #c #d #e\n3/ Same post`);
+    const { thread, lint } = imported.threads[0];
+
+    expect(thread.thread[0].text).toBe(`${longPost} (1/3)`);
+    expect(thread.thread[0].warnings).toEqual(['Tweet exceeds the 280 character limit']);
+    expect(lint).toEqual([
+      { tweet: 1, message: 'Tweet exceeds the 280 character limit' },
+      { tweet: 2, message: 'X (Twitter) posts should carry at most 4 hashtags' },
+      { tweet: 3, message: 'Duplicate of tweet 2' }
+    ]);
+  });
+
+  test('replaces the hashtags when re-hashtagging', () => {
+    const imported = importThreads(
+      '1/ Machine learning models need data #old\n2/ Train them well',
+      { rehashtag: true }
+    );
+    const tweets = imported.threads[0].thread.thread;
+
+    expect(tweets[0].hashtags).not.toContain('#old');
+    expect(tweets.every((tweet) => tweet.hashtags.length > 0 && tweet.hashtags.length <= 4)).toBe(true);
+  });
+
+  test('round-trips the JSON history entry and posts exports', () => {
+    const fromEntry = importThreads(JSON.stringify(ENTRY));
+    const [first, second] = fromEntry.threads[0].thread.thread;
+
+    expect(fromEntry.format).toBe('json');
+    expect(first).toMatchObject({
+      text: 'Remote work changed how teams collaborate, "for good". (1/2)',
+      hashtags: ['#RemoteWork'],
+      image_suggestion: { type: 'chart', content: 'Remote vs office survey' }
+    });
+    expect(second.cta).toBe('Follow for more');
+    expect(fromEntry.threads[0].thread).toMatchObject({
+      thread_summary: 'Remote work habits',
+      metadata: { style_requested: 'educational', imported: { format: 'json', source_id: 'entry-1' } }
+    });
+
+    const fromPosts = importThreads(exportThread('entry-1', ENTRY, 'posts-json').content);
+    expect(texts(fromPosts)[0]).toBe('Remote work changed how teams collaborate, "for good". (1/2)');
+    expect(fromPosts.threads[0].thread.thread[0].image_suggestion.content).toBe('Remote vs office survey');
+  });
+
+  test('round-trips the CSV exports, grouping posts rows by thread', () => {
+    const fromCsv = importThreads(exportThread('entry-1', ENTRY, 'csv').content);
+    expect(fromCsv.format).toBe('csv');
+    expect(texts(fromCsv)).toEqual([
+      'Remote work changed how teams collaborate, "for good". (1/2)',
+      '=Start with one async update. (2/2)'
+    ]);
+    expect(fromCsv.threads[0].thread.thread[1].cta).toBe('Follow for more');
+
+    const postsCsv = exportThread('entry-1', ENTRY, 'posts-csv').content
+      + exportThread('entry-2', ENTRY, 'posts-csv').content.replace(/^\uFEFF[^\n]*\n/, '');
+    const fromPosts = importThreads(postsCsv);
+    expect(fromPosts.threads).toHaveLength(2);
+    expect(fromPosts.threads[1].thread.metadata.imported.source_id).toBe('entry-2');
+  });
+
+  test('strips markup from imported CTAs, summaries and image suggestions', () => {
+    const json = importThreads(JSON.stringify({
+      thread_summary: 'Summary<img src=x onerror=alert(1)>',
+      thread: [{
+        text: 'First post',
+        cta: '<a href="javascript:alert(1)">Follow</a> me',
+        image_suggestion: { type: '<b>photo</b>', content: 'Chart<svg onload=alert(1)>' }
+      }]
+    }));
+    const [tweet] = json.threads[0].thread.thread;
+    expect(json.threads[0].thread.thread_summary).toBe('Summary');
+    expect(tweet.cta).toBe('Follow me');
+    expect(tweet.image_suggestion).toEqual({ type: 'photo', content: 'Chart' });
+
+    const csv = importThreads('text,cta,image_suggestion\nFirst post,<i>Follow</i>,<img src=x>');
+    expect(csv.threads[0].thread.thread[0].cta).toBe('Follow');
+    expect(csv.threads[0].thread.thread[0].image_suggestion).toBeNull();
+  });
+
+  test('rejects invalid JSON and content without posts', () => {
+    expect(() => importThreads('{"thread":', { format: 'json' })).toThrow('content is not valid JSON');
+    expect(() => importThreads('{"foo": 1}')).toThrow('No posts found in the imported content');
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Tests for time zone helpers
+ */
+
+const {
+  isValidTimeZone,
+  zonedTimeToUtc,
+  formatInTimeZone,
+  resolveLocalTime,
+  nextOccurrence
+} = require('../utils/timezone');
+
+describe('Time Zones', () => {
+  test('validates IANA time zone names', () => {
+    expect(isValidTimeZone('Asia/Riyadh')).toBe(true);
+    expect(isValidTimeZone('UTC')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+  });
+
+  test('converts wall-clock time to UTC, including across DST changes', () => {
+    expect(new Date(zonedTimeToUtc('2025-04-01T21:00', 'Asia/Riyadh')).toISOString()).toBe('2025-04-01T18:00:00.000Z');
+    const toIso = (localTime) => new Date(zonedTimeToUtc(localTime, 'America/New_York')).toISOString();
+    expect(toIso('2025-01-15T09:00')).toBe('2025-01-15T14:00:00.000Z');
+    expect(toIso('2025-07-15T09:00')).toBe('2025-07-15T13:00:00.000Z');
+    expect(zonedTimeToUtc('next tuesday', 'UTC')).toBeNull();
+  });
+
+  test('formats instants as wall-clock time', () => {
+    expect(formatInTimeZone('2025-04-01T18:00:00Z', 'Asia/Riyadh')).toBe('2025-04-01T21:00');
+  });
+
+  test('reads times with an offset as absolute and times without one as local', () => {
+    expect(resolveLocalTime('2025-04-01T09:00:00Z', 'Asia/Riyadh')).toBe(Date.UTC(2025, 3, 1, 9));
+    expect(resolveLocalTime('2025-04-01T09:00:00+03:00', 'UTC')).toBe(Date.UTC(2025, 3, 1, 6));
+    expect(resolveLocalTime('2025-04-01 09:00', 'Asia/Riyadh')).toBe(Date.UTC(2025, 3, 1, 6));
+    expect(resolveLocalTime('April 1st', 'UTC')).toBeNull();
+  });
+
+  test('finds the next occurrence of a recommended posting time', () => {
+    expect(nextOccurrence('21:00 GMT+3', Date.UTC(2025, 0, 1, 17))).toBe(Date.UTC(2025, 0, 1, 18));
+    expect(nextOccurrence('21:00 GMT+3', Date.UTC(2025, 0, 1, 19))).toBe(Date.UTC(2025, 0, 2, 18));
+    expect(nextOccurrence('09:00 GMT-5', Date.UTC(2025, 0, 1, 12))).toBe(Date.UTC(2025, 0, 1, 14));
+    expect(nextOccurrence('soon', Date.UTC(2025, 0, 1))).toBeNull();
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Tests for the Arabic- and English-aware tokenizer
+ */
+
+const {
+  normalizeArabic,
+  splitSentences,
+  tokenize,
+  isStopWord
+} = require('../utils/tokenizer');
+
+describe('Tokenizer', () => {
+  describe('normalizeArabic', () => {
+    test('unifies alef forms and removes tashkeel and tatweel', () => {
+      expect(normalizeArabic('إِنَّ أحمد آمن')).toBe('ان احمد امن');
+      expect(normalizeArabic('مـــرحبا')).toBe('مرحبا');
+      expect(normalizeArabic('على')).toBe('علي');
+    });
+  });
+
+  describe('splitSentences', () => {
+    test('splits on Latin and Arabic punctuation', () => {
+      expect(splitSentences('First one. Second one! هل هذا سؤال؟ نعم.')).toEqual([
+        'First one.', 'Second one!', 'هل هذا سؤال؟', 'نعم.'
+      ]);
+    });
+
+    test('does not split decimals', () => {
+      expect(splitSentences('Version 2.5 shipped today.')).toEqual(['Version 2.5 shipped today.']);
+    });
+  });
+
+  describe('tokenize', () => {
+    test('drops stop words and stems English words', () => {
+      expect(tokenize('The developers are building pipelines')).toEqual(['developer', 'build', 'pipelin']);
+    });
+
+    test('strips Arabic articles and plural suffixes', () => {
+      expect(tokenize('المعلمون في المدرسة')).toEqual(['معلم', 'مدرس']);
+    });
+
+    test('can keep stop words', () => {
+      expect(tokenize('the end', { stem: false, keepStopWords: true })).toEqual(['the', 'end']);
+    });
+  });
+
+  describe('isStopWord', () => {
+    test('recognizes stop words in both languages', () => {
+      expect(isStopWord('The')).toBe(true);
+      expect(isStopWord('إلى')).toBe(true);
+      expect(isStopWord('thread')).toBe(false);
+    });
+  });
+});
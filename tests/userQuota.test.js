@@ -0,0 +1,107 @@
+/**
+ * Integration tests for per-user quota accounting when generations are turned away or fail
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createUserStore } = require('../services/userStore');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'user-quota-'));
+process.env.USERS_FILE = path.join(tempDir, 'users.json');
+process.env.USER_DATA_DIR = path.join(tempDir, 'users');
+process.env.USER_QUOTA_STATE_FILE = path.join(tempDir, 'user-quota.json');
+process.env.SCHEDULE_STATE_FILE = path.join(tempDir, 'schedule.json');
+process.env.QUOTA_STATE_FILE = path.join(tempDir, 'quota-state.json');
+// One generation at a time and no queue, so a single held generation saturates the pool
+process.env.GENERATION_CONCURRENCY = '1';
+process.env.GENERATION_QUEUE_LIMIT = '0';
+process.env.OLLAMA_ENABLED = 'true';
+process.env.OLLAMA_QUOTA_LIMIT = '1';
+
+const THREAD_REQUEST = {
+  text: 'Remote work changed how teams communicate. Written updates replace meetings. '
+    + 'Clear goals matter more than hours online.',
+  language: 'en',
+  style: 'educational',
+  maxTweets: 3,
+  provider: 'ollama'
+};
+
+describe('User quota', () => {
+  const admin = createUserStore(process.env.USERS_FILE);
+  const held = [];
+  let server;
+  let app;
+  let dave;
+
+  beforeAll(async () => {
+    admin.addUser({ name: 'dave', dailyQuota: 3 });
+    dave = admin.createKey('dave');
+    await admin.flush();
+
+    // A local model that holds every call until the test lets it fail
+    server = http.createServer((req, res) => {
+      req.resume();
+      held.push(res);
+    });
+    await new Promise((resolve) => {
+      server.listen(0, resolve);
+    });
+    process.env.OLLAMA_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+
+    // The server reads the provider URL when it loads
+    // eslint-disable-next-line global-require
+    app = require('../server');
+  });
+
+  afterAll((done) => {
+    delete process.env.OLLAMA_ENABLED;
+    delete process.env.OLLAMA_BASE_URL;
+    server.close(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      done();
+    });
+  });
+
+  const remaining = async () => {
+    const me = await request(app).get('/api/auth/me').set('X-API-Key', dave.secret);
+    return me.body.quota.remaining;
+  };
+
+  test('requests turned away by a saturated pool do not use up the quota', async () => {
+    const first = request(app)
+      .post('/api/generate-thread')
+      .set('X-API-Key', dave.secret)
+      .send(THREAD_REQUEST)
+      .then((response) => response);
+    while (held.length === 0) {
+      // eslint-disable-next-line no-await-in-loop
+      await new Promise((resolve) => {
+        setTimeout(resolve, 10);
+      });
+    }
+    expect(await remaining()).toBe(2);
+
+    const rejected = await request(app)
+      .post('/api/generate-thread')
+      .set('X-API-Key', dave.secret)
+      .send(THREAD_REQUEST);
+    expect(rejected.status).toBe(503);
+    await request(app)
+      .post('/api/jobs')
+      .set('X-API-Key', dave.secret)
+      .send(THREAD_REQUEST)
+      .expect(503);
+    expect(await remaining()).toBe(2);
+
+    // The held call fails and the retry finds the provider's quota spent, so the thread comes from the fallback
+    held[0].statusCode = 500;
+    held[0].end();
+    const response = await first;
+    expect(response.status).toBe(200);
+    expect(await remaining()).toBe(2);
+  });
+});
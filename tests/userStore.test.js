@@ -0,0 +1,132 @@
+/**
+ * Tests for the user store and the admin command that manages it
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createUserStore } = require('../services/userStore');
+const { runAdminCommand } = require('../scripts/admin');
+
+describe('User Store', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'users-'));
+    filePath = path.join(tempDir, 'users.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('keeps only a hash of each API key and verifies keys against it', async () => {
+    const store = createUserStore(filePath);
+    const user = store.addUser({ name: 'alice', dailyQuota: 10 });
+    const { key, secret } = store.createKey('alice', { label: 'laptop' });
+    await store.flush();
+
+    expect(secret).toMatch(/^xtg_[0-9a-f]{16}_[A-Za-z0-9_-]{32}$/);
+    expect(key).toEqual(expect.objectContaining({ user_id: user.id, label: 'laptop', revoked_at: null }));
+    expect(key).not.toHaveProperty('hash');
+
+    const saved = fs.readFileSync(filePath, 'utf8');
+    expect(saved).not.toContain(secret);
+    expect(JSON.parse(saved).keys[0].hash).toMatch(/^[0-9a-f]{64}$/);
+
+    expect(store.verifyKey(secret)).toEqual({ user, key });
+    expect(store.verifyKey(`${secret.slice(0, -1)}x`)).toBeNull();
+    expect(store.verifyKey('not-a-key')).toBeNull();
+  });
+
+  test('revoked keys stop working', async () => {
+    const store = createUserStore(filePath);
+    store.addUser({ name: 'alice' });
+    const { key, secret } = store.createKey('alice');
+
+    expect(store.revokeKey(key.id).revoked_at).not.toBeNull();
+    expect(store.verifyKey(secret)).toBeNull();
+    expect(store.getActiveKey(key.id)).toBeNull();
+    expect(() => store.revokeKey('key_missing')).toThrow(expect.objectContaining({ status: 404 }));
+    await store.flush();
+  });
+
+  test('picks up users and revocations written by another process', async () => {
+    const server = createUserStore(filePath);
+    expect(server.hasUsers()).toBe(false);
+
+    const admin = createUserStore(filePath);
+    admin.addUser({ name: 'alice' });
+    const { key, secret } = admin.createKey('alice');
+    await admin.flush();
+
+    expect(server.hasUsers()).toBe(true);
+    expect(server.verifyKey(secret).user.name).toBe('alice');
+
+    admin.revokeKey(key.id);
+    await admin.flush();
+    expect(server.verifyKey(secret)).toBeNull();
+  });
+
+  test('rejects duplicate names and invalid quotas', async () => {
+    const store = createUserStore(filePath);
+    expect(store.addUser({ name: 'alice' }).daily_quota).toBe(50);
+
+    expect(() => store.addUser({ name: 'Alice' })).toThrow(expect.objectContaining({ status: 409 }));
+    expect(() => store.addUser({ name: '../etc' })).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => store.setDailyQuota('alice', 0)).toThrow(expect.objectContaining({ status: 400 }));
+    expect(store.setDailyQuota('alice', null).daily_quota).toBeNull();
+    await store.flush();
+  });
+
+  test('makes the first user an admin and later ones members', async () => {
+    const store = createUserStore(filePath);
+    expect(store.addUser({ name: 'alice' }).role).toBe('admin');
+    expect(store.addUser({ name: 'bob' }).role).toBe('member');
+    expect(store.addUser({ name: 'carol', role: 'admin' }).role).toBe('admin');
+
+    expect(store.setRole('bob', 'admin').role).toBe('admin');
+    expect(() => store.setRole('bob', 'owner')).toThrow(expect.objectContaining({ status: 400 }));
+    await store.flush();
+  });
+
+  test('admin command creates users, issues keys and revokes them', async () => {
+    const store = createUserStore(filePath);
+    const output = [];
+    const run = (argv) => runAdminCommand(argv, { store, print: (line) => output.push(line) });
+
+    await expect(run(['users:add', 'alice', '--quota', '5'])).resolves.toBe(0);
+    await expect(run(['keys:create', 'alice', '--label', 'ci'])).resolves.toBe(0);
+    const secret = output.find((line) => line.startsWith('xtg_'));
+    const { key } = store.verifyKey(secret);
+    expect(key.label).toBe('ci');
+
+    await expect(run(['keys:revoke', key.id])).resolves.toBe(0);
+    expect(store.verifyKey(secret)).toBeNull();
+
+    await expect(run(['users:add', 'alice'])).resolves.toBe(1);
+    expect(output[output.length - 1]).toBe('Error: User already exists: alice');
+
+    await expect(run(['users:add', 'bob', '--role', 'admin'])).resolves.toBe(0);
+    await expect(run(['users:role', 'bob', 'member'])).resolves.toBe(0);
+    expect(output[output.length - 1]).toBe('bob is now a member');
+    await expect(run(['unknown'])).resolves.toBe(1);
+  });
+
+  test('reports users file write failures to flush and the admin command', async () => {
+    // A file where the store's directory should be makes every write fail
+    fs.writeFileSync(path.join(tempDir, 'blocked'), '');
+    const store = createUserStore(path.join(tempDir, 'blocked', 'users.json'));
+    const output = [];
+    const run = (argv) => runAdminCommand(argv, { store, print: (line) => output.push(line) });
+
+    store.addUser({ name: 'alice' });
+    await expect(store.flush()).rejects.toThrow();
+    await expect(store.flush()).resolves.toBeUndefined();
+
+    await expect(run(['keys:create', 'alice'])).resolves.toBe(1);
+    expect(output.some((line) => line.startsWith('xtg_'))).toBe(false);
+    await expect(run(['users:add', 'bob'])).resolves.toBe(1);
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Tests for the X API v2 publisher against a local mock of the tweets endpoint
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { getPublisher } = require('../services/publishers');
+const { createScheduler } = require('../services/scheduler');
+
+const POSTS = [
+  {
+    index: 1,
+    text: 'Remote work is here to stay (1/3)',
+    media: [],
+    reply_to_index: null
+  },
+  {
+    index: 2,
+    text: 'Start small (2/3)',
+    media: [],
+    reply_to_index: 1
+  },
+  {
+    index: 3,
+    text: 'Measure what matters (3/3)',
+    media: [],
+    reply_to_index: 2
+  }
+];
+
+describe('X Publisher', () => {
+  const publisher = getPublisher('x');
+  const context = { jobId: 'job-1', historyId: 'entry-1', platform: 'x' };
+  const originalEnv = { ...process.env };
+  let server;
+  let tweets;
+  let responders;
+
+  beforeAll((done) => {
+    // Imitates POST /2/tweets; responders queue one-off replies (errors, rate limits)
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        const request = { url: req.url, headers: req.headers, body: JSON.parse(body) };
+        const respond = responders.shift();
+        const reply = respond ? respond(request) : null;
+
+        res.setHeader('Content-Type', 'application/json');
+        if (reply) {
+          res.writeHead(reply.status, reply.headers || {});
+          res.end(JSON.stringify(reply.body || {}));
+          return;
+        }
+
+        tweets.push(request);
+        res.writeHead(201, { 'x-rate-limit-remaining': '50' });
+        res.end(JSON.stringify({ data: { id: `tweet-${tweets.length}`, text: request.body.text } }));
+      });
+    });
+    server.listen(0, done);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    process.env.X_ACCESS_TOKEN = 'user-token';
+    process.env.X_API_BASE_URL = `http://127.0.0.1:${server.address().port}/`;
+    tweets = [];
+    responders = [];
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  test('posts the thread as a chain of replies', async () => {
+    const result = await publisher.publish(POSTS, context);
+
+    expect(tweets.map((tweet) => tweet.url)).toEqual(['/2/tweets', '/2/tweets', '/2/tweets']);
+    expect(tweets[0].headers.authorization).toBe('Bearer user-token');
+    expect(tweets.map((tweet) => tweet.body)).toEqual([
+      { text: 'Remote work is here to stay (1/3)' },
+      { text: 'Start small (2/3)', reply: { in_reply_to_tweet_id: 'tweet-1' } },
+      { text: 'Measure what matters (3/3)', reply: { in_reply_to_tweet_id: 'tweet-2' } }
+    ]);
+    expect(result.posts[2]).toEqual({ index: 3, id: 'tweet-3', url: 'https://x.com/i/web/status/tweet-3' });
+    expect(result.dry_run).toBe(false);
+  });
+
+  test('reports the posts that went out when the chain breaks, then resumes after them', async () => {
+    responders = [undefined, () => ({ status: 503, body: { title: 'Service Unavailable' } })];
+
+    const failure = await publisher.publish(POSTS, context).catch((error) => error);
+    expect(failure.message).toBe(`HTTP 503 from 127.0.0.1:${server.address().port}: Service Unavailable`);
+    expect(failure.published).toEqual([{ index: 1, id: 'tweet-1', url: 'https://x.com/i/web/status/tweet-1' }]);
+
+    const result = await publisher.publish(POSTS, { ...context, published: failure.published });
+    expect(tweets.map((tweet) => tweet.body.text)).toEqual([
+      'Remote work is here to stay (1/3)',
+      'Start small (2/3)',
+      'Measure what matters (3/3)'
+    ]);
+    expect(tweets[1].body.reply).toEqual({ in_reply_to_tweet_id: 'tweet-1' });
+    expect(result.posts.map((post) => post.id)).toEqual(['tweet-1', 'tweet-2', 'tweet-3']);
+  });
+
+  test('waits out a short rate limit and retries the same post', async () => {
+    responders = [() => ({ status: 429, headers: { 'retry-after': '0.05' } })];
+
+    const result = await publisher.publish(POSTS.slice(0, 1), context);
+    expect(result.posts[0].id).toBe('tweet-1');
+  });
+
+  test('hands long rate limits back to the queue with the wait and the progress so far', async () => {
+    const reset = String(Math.floor(Date.now() / 1000) + 900);
+    responders = [
+      undefined,
+      () => ({ status: 429, headers: { 'x-rate-limit-reset': reset, 'x-rate-limit-remaining': '0' } })
+    ];
+
+    const error = await publisher.publish(POSTS, context).catch((caught) => caught);
+    expect(error.status).toBe(429);
+    expect(error.retryAfterMs).toBeGreaterThan(800 * 1000);
+    expect(error.published.map((post) => post.index)).toEqual([1]);
+  });
+
+  test('dry runs check the posts without calling the API or needing a token', async () => {
+    delete process.env.X_ACCESS_TOKEN;
+
+    const result = await publisher.publish(POSTS, { ...context, dryRun: true });
+    expect(result).toEqual({
+      posts: [
+        { index: 1, id: 'dry-run-1', url: null },
+        { index: 2, id: 'dry-run-2', url: null },
+        { index: 3, id: 'dry-run-3', url: null }
+      ],
+      location: null,
+      dry_run: true
+    });
+    expect(tweets).toHaveLength(0);
+
+    await expect(publisher.publish([{ index: 1, text: 'a'.repeat(281) }], { ...context, dryRun: true }))
+      .rejects.toThrow('Posts over 280 characters: 1');
+    await expect(publisher.publish(POSTS, context)).rejects.toThrow('x publisher is not configured');
+  });
+
+  test('scheduled jobs resume after a partial failure and record the posted ids', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'x-schedule-'));
+    const published = [];
+    let clock = Date.UTC(2025, 3, 1, 12);
+    const scheduler = createScheduler({
+      filePath: path.join(tempDir, 'schedule.json'),
+      loadEntry: async () => ({
+        id: 'entry-1',
+        thread: { metadata: { platform: 'x' }, thread: POSTS.map((post) => ({ text: post.text, hashtags: [] })) }
+      }),
+      onPublished: async (job) => published.push(job),
+      now: () => clock,
+      logger: { info: () => {}, warn: () => {} }
+    });
+
+    try {
+      responders = [undefined, undefined, () => ({ status: 500 })];
+      const job = scheduler.schedule({ historyId: 'entry-1', publishAt: clock, publisher: 'x' });
+
+      await scheduler.runDue();
+      expect(scheduler.get(job.id)).toMatchObject({ status: 'pending', error: expect.stringMatching(/HTTP 500/) });
+      expect(scheduler.get(job.id).progress.map((post) => post.id)).toEqual(['tweet-1', 'tweet-2']);
+
+      clock += 60 * 1000;
+      await scheduler.runDue();
+
+      expect(tweets).toHaveLength(3);
+      expect(tweets[2].body.reply).toEqual({ in_reply_to_tweet_id: 'tweet-2' });
+      expect(scheduler.get(job.id)).toMatchObject({ status: 'published', attempts: 2, progress: null });
+      expect(published).toHaveLength(1);
+      expect(published[0].result.posts.map((post) => post.id)).toEqual(['tweet-1', 'tweet-2', 'tweet-3']);
+    } finally {
+      await scheduler.flush();
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+});
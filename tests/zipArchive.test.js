@@ -0,0 +1,54 @@
+/**
+ * Tests for the ZIP archive writer
+ */
+
+const zlib = require('zlib');
+const { createZipArchive, crc32 } = require('../utils/zipArchive');
+
+/**
+ * Read the files back out of an archive through its central directory
+ * @param {Buffer} zip - ZIP file
+ * @returns {Object} File contents by name
+ */
+function readZip(zip) {
+  const end = zip.length - 22;
+  const count = zip.readUInt16LE(end + 10);
+  let offset = zip.readUInt32LE(end + 16);
+  const files = {};
+
+  for (let i = 0; i < count; i += 1) {
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const name = zip.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const localOffset = zip.readUInt32LE(offset + 42);
+    const size = zip.readUInt32LE(offset + 20);
+    const dataStart = localOffset + 30 + zip.readUInt16LE(localOffset + 26);
+    const content = zlib.inflateRawSync(zip.subarray(dataStart, dataStart + size));
+
+    expect(crc32(content)).toBe(zip.readUInt32LE(offset + 16));
+    files[name] = content.toString('utf8');
+    offset += 46 + nameLength;
+  }
+
+  return files;
+}
+
+describe('ZIP Archive', () => {
+  test('computes the standard CRC-32', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xCBF43926);
+  });
+
+  test('round-trips files with UTF-8 names and content', () => {
+    const zip = createZipArchive([
+      { name: 'thread.md', content: '# Title\n\nBody' },
+      { name: 'خيط.txt', content: 'مرحبا بالعالم' },
+      { name: 'empty.txt', content: '' }
+    ]);
+
+    expect(zip.readUInt32LE(0)).toBe(0x04034B50);
+    expect(readZip(zip)).toEqual({
+      'thread.md': '# Title\n\nBody',
+      'خيط.txt': 'مرحبا بالعالم',
+      'empty.txt': ''
+    });
+  });
+});
@@ -1,31 +1,73 @@
 /**
  * Character counter utility with Unicode and emoji support
  * Provides Twitter-accurate character counting for Arabic and English text
+ * using X's weighted rules: URLs count as 23, emoji as 2, and characters
+ * outside the Latin/Arabic/punctuation ranges (e.g. CJK) as 2.
+ * Other platforms count graphemes, optionally with a fixed URL length.
  */
 
 const GraphemeSplitter = require('grapheme-splitter');
 const CONSTANTS = require('../config/constants');
+const { getPlatformProfile, DEFAULT_PLATFORM } = require('../config/platforms');
 
 // Use grapheme splitter for width calculation instead of string-width
 // to avoid ES module compatibility issues
 
 const splitter = new GraphemeSplitter();
 
+// Code point ranges that weigh 1; everything else weighs 2 (twitter-text v3 config)
+const LIGHT_RANGES = [
+  [0x0000, 0x10FF],
+  [0x2000, 0x200D],
+  [0x2010, 0x201F],
+  [0x2032, 0x2037]
+];
+
+// Top-level domains recognised for URLs written without a scheme
+const BARE_URL_TLDS = [
+  'com', 'org', 'net', 'edu', 'gov', 'io', 'co', 'ai', 'dev', 'app', 'me', 'ly', 'gl', 'info', 'biz',
+  'xyz', 'tech', 'news', 'blog', 'tv', 'us', 'uk', 'de', 'fr', 'sa', 'ae', 'eg', 'qa', 'kw', 'jo', 'ma'
+];
+
+const URL_REGEX = new RegExp(
+  '(?:https?:\\/\\/[^\\s<>"]+'
+  + `|(?<![@\\w.\\/])(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\\.)+(?:${BARE_URL_TLDS.join('|')})`
+  + '(?::\\d{2,5})?(?![\\w-])(?:\\/[^\\s<>"]*)?)',
+  'gi'
+);
+
+// Trailing punctuation belongs to the sentence, not the link
+const URL_TRAILING_REGEX = /[.,!?;:'"\u060C\u061F]+$/;
+
+const EMOJI_REGEX = /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20E3/u;
+
 /**
  * Count characters in a way that matches Twitter's counting rules
  * @param {string} text - The text to count
  * @param {Array<string>} hashtags - Optional hashtags to include in count
  * @param {string} cta - Optional call-to-action to include in count
- * @returns {number} Character count as Twitter would calculate it
+ * @param {string} platform - Platform profile whose counting rules apply (default X)
+ * @returns {number} Character count as the platform would calculate it
  */
-function getCharCount(text, hashtags = [], cta = '') {
+function getCharCount(text, hashtags = [], cta = '', platform = DEFAULT_PLATFORM) {
   if (!text || typeof text !== 'string') {
     return 0;
   }
 
-  // Combine all text elements
-  let fullText = text;
-  
+  return getWeightedLength(composeTweetText(text, hashtags, cta), platform);
+}
+
+/**
+ * Build the text of a tweet as it is posted: the text followed by its hashtags
+ * and call-to-action, unless the text already contains them
+ * @param {string} text - Tweet text
+ * @param {Array<string>} hashtags - Hashtags
+ * @param {string} cta - Call-to-action
+ * @returns {string} Full tweet text
+ */
+function composeTweetText(text, hashtags = [], cta = '') {
+  let fullText = text || '';
+
   // Add hashtags if provided and not already in text
   if (hashtags && hashtags.length > 0) {
     const hashtagText = hashtags.join(' ');
@@ -39,12 +81,112 @@ function getCharCount(text, hashtags = [], cta = '') {
     fullText += ` ${cta}`;
   }
 
-  // Use grapheme splitter for accurate emoji and Unicode counting
-  const graphemes = splitter.splitGraphemes(fullText);
-  
-  // Twitter counts each grapheme cluster as 1 character
-  // This handles complex emojis, Arabic diacritics, etc.
-  return graphemes.length;
+  return fullText;
+}
+
+/**
+ * Find URLs the way X detects them (with or without a scheme)
+ * @param {string} text - Text to scan
+ * @returns {Array<Object>} URLs with their start and end offsets
+ */
+function extractUrls(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const urls = [];
+  for (const match of text.matchAll(URL_REGEX)) {
+    let url = match[0];
+
+    url = url.replace(URL_TRAILING_REGEX, '');
+    if (url.endsWith(')') && !url.includes('(')) {
+      url = url.slice(0, -1);
+    }
+
+    urls.push({ url, start: match.index, end: match.index + url.length });
+  }
+
+  return urls;
+}
+
+/**
+ * Split text into counting units with their platform weights
+ * URLs are a single unit so truncation never cuts through a link
+ * @param {string} text - Text to split
+ * @param {string} platform - Platform profile whose counting rules apply
+ * @returns {Array<Object>} Units ({ text, weight })
+ */
+function getWeightedUnits(text, platform = DEFAULT_PLATFORM) {
+  const profile = getPlatformProfile(platform);
+  const normalized = text.normalize('NFC');
+  const units = [];
+  let cursor = 0;
+
+  const pushText = (segment) => {
+    for (const grapheme of splitter.splitGraphemes(segment)) {
+      const weight = profile.counting === 'weighted' ? getGraphemeWeight(grapheme) : 1;
+      units.push({ text: grapheme, weight });
+    }
+  };
+
+  for (const { url, start, end } of extractUrls(normalized)) {
+    pushText(normalized.slice(cursor, start));
+    units.push({ text: url, weight: profile.urlLength || splitter.countGraphemes(url) });
+    cursor = end;
+  }
+  pushText(normalized.slice(cursor));
+
+  return units;
+}
+
+/**
+ * Weight of one grapheme cluster
+ * Emoji sequences count as 2 however many code points they contain;
+ * other clusters count each code point (so Arabic diacritics still count)
+ * @param {string} grapheme - Grapheme cluster
+ * @returns {number} Weight
+ */
+function getGraphemeWeight(grapheme) {
+  if (EMOJI_REGEX.test(grapheme)) {
+    return 2;
+  }
+
+  let weight = 0;
+  for (const char of grapheme) {
+    const codePoint = char.codePointAt(0);
+    const isLight = LIGHT_RANGES.some(([min, max]) => codePoint >= min && codePoint <= max);
+    weight += isLight ? 1 : 2;
+  }
+  return weight;
+}
+
+/**
+ * Describe the weighted counting rules so the web interface counts exactly like the server
+ * @returns {Object} {url, url_trailing, emoji} patterns as {source, flags} and the light code point ranges
+ */
+function getCountingRules() {
+  const describe = (regex) => ({ source: regex.source, flags: regex.flags });
+
+  return {
+    url: describe(URL_REGEX),
+    url_trailing: describe(URL_TRAILING_REGEX),
+    emoji: describe(EMOJI_REGEX),
+    light_ranges: LIGHT_RANGES
+  };
+}
+
+/**
+ * Weighted length of a text under a platform's counting rules (X by default)
+ * @param {string} text - Text to measure
+ * @param {string} platform - Platform profile whose counting rules apply
+ * @returns {number} Weighted length
+ */
+function getWeightedLength(text, platform = DEFAULT_PLATFORM) {
+  if (!text || typeof text !== 'string') {
+    return 0;
+  }
+
+  return getWeightedUnits(text, platform).reduce((sum, unit) => sum + unit.weight, 0);
 }
 
 /**
@@ -53,16 +195,23 @@ function getCharCount(text, hashtags = [], cta = '') {
  * @param {number} maxLength - Maximum length (default 280)
  * @param {Array<string>} hashtags - Hashtags to preserve space for
  * @param {string} cta - CTA to preserve space for
+ * @param {string} platform - Platform profile whose counting rules apply
  * @returns {string} Truncated text
  */
-function truncateSmart(text, maxLength = CONSTANTS.TWEET_CHAR_LIMIT, hashtags = [], cta = '') {
+function truncateSmart(
+  text,
+  maxLength = CONSTANTS.TWEET_CHAR_LIMIT,
+  hashtags = [],
+  cta = '',
+  platform = DEFAULT_PLATFORM
+) {
   if (!text || typeof text !== 'string') {
     return '';
   }
 
   // Calculate space needed for hashtags and CTA
-  const hashtagSpace = hashtags.length > 0 ? hashtags.join(' ').length + 1 : 0;
-  const ctaSpace = cta ? cta.length + 1 : 0;
+  const hashtagSpace = hashtags.length > 0 ? getWeightedLength(hashtags.join(' '), platform) + 1 : 0;
+  const ctaSpace = cta ? getWeightedLength(cta, platform) + 1 : 0;
   const availableSpace = maxLength - hashtagSpace - ctaSpace;
 
   if (availableSpace <= 0) {
@@ -70,7 +219,7 @@ function truncateSmart(text, maxLength = CONSTANTS.TWEET_CHAR_LIMIT, hashtags =
   }
 
   // If text already fits, return as is
-  if (getCharCount(text) <= availableSpace) {
+  if (getCharCount(text, [], '', platform) <= availableSpace) {
     return text;
   }
 
@@ -80,7 +229,7 @@ function truncateSmart(text, maxLength = CONSTANTS.TWEET_CHAR_LIMIT, hashtags =
   
   for (const word of words) {
     const testText = truncated ? `${truncated} ${word}` : word;
-    if (getCharCount(testText) <= availableSpace) {
+    if (getCharCount(testText, [], '', platform) <= availableSpace) {
       truncated = testText;
     } else {
       break;
@@ -88,7 +237,7 @@ function truncateSmart(text, maxLength = CONSTANTS.TWEET_CHAR_LIMIT, hashtags =
   }
 
   // If we got something meaningful, return it
-  if (truncated.length > availableSpace * 0.5) {
+  if (getWeightedLength(truncated, platform) > availableSpace * 0.5) {
     return truncated;
   }
 
@@ -98,32 +247,39 @@ function truncateSmart(text, maxLength = CONSTANTS.TWEET_CHAR_LIMIT, hashtags =
   
   for (const sentence of sentences) {
     const testText = truncated ? `${truncated}. ${sentence}` : sentence;
-    if (getCharCount(testText) <= availableSpace) {
+    if (getCharCount(testText, [], '', platform) <= availableSpace) {
       truncated = testText;
     } else {
       break;
     }
   }
 
-  // If still nothing good, do character-level truncation
-  if (!truncated || truncated.length < availableSpace * 0.3) {
-    const graphemes = splitter.splitGraphemes(text);
-    truncated = graphemes.slice(0, availableSpace - 3).join('') + '...';
+  // If still nothing good, do character-level truncation (URLs stay whole or are dropped)
+  if (!truncated || getWeightedLength(truncated, platform) < availableSpace * 0.3) {
+    let used = 0;
+    truncated = '';
+    for (const unit of getWeightedUnits(text, platform)) {
+      if (used + unit.weight > availableSpace - 3) break;
+      truncated += unit.text;
+      used += unit.weight;
+    }
+    truncated += '...';
   }
 
   return truncated;
 }
 
 /**
- * Validate if text fits Twitter character limits
+ * Validate if text fits Twitter character limits (or another platform's)
  * @param {string} text - Text to validate
  * @param {Array<string>} hashtags - Hashtags to include
  * @param {string} cta - Call to action to include
+ * @param {string} platform - Platform profile (default X)
  * @returns {Object} Validation result with isValid and details
  */
-function validateTweetLength(text, hashtags = [], cta = '') {
-  const charCount = getCharCount(text, hashtags, cta);
-  const maxLength = CONSTANTS.TWEET_CHAR_LIMIT;
+function validateTweetLength(text, hashtags = [], cta = '', platform = DEFAULT_PLATFORM) {
+  const charCount = getCharCount(text, hashtags, cta, platform);
+  const maxLength = getPlatformProfile(platform).charLimit;
   
   return {
     isValid: charCount <= maxLength,
@@ -146,6 +302,8 @@ function analyzeText(text) {
       graphemes: 0,
       bytes: 0,
       width: 0,
+      weightedLength: 0,
+      urls: [],
       hasArabic: false,
       hasEmoji: false
     };
@@ -166,6 +324,8 @@ function analyzeText(text) {
     graphemes: graphemes.length,
     bytes: Buffer.byteLength(text, 'utf8'),
     width: graphemes.length, // Use graphemes count for width
+    weightedLength: getWeightedLength(text),
+    urls: extractUrls(text).map(({ url }) => url),
     hasArabic,
     hasEmoji,
     graphemeList: graphemes
@@ -174,6 +334,10 @@ function analyzeText(text) {
 
 module.exports = {
   getCharCount,
+  composeTweetText,
+  getWeightedLength,
+  getCountingRules,
+  extractUrls,
   truncateSmart,
   validateTweetLength,
   analyzeText
@@ -0,0 +1,86 @@
+/**
+ * Bounded concurrency pool
+ * Runs at most `limit` async tasks at once and queues the rest in arrival order,
+ * rejecting new work once the queue is full
+ */
+
+/**
+ * Create a concurrency pool
+ * @param {Object} options - Pool options
+ * @param {number} options.limit - Maximum tasks running at once
+ * @param {number} options.maxQueued - Maximum tasks waiting for a slot (Infinity when omitted)
+ * @returns {Object} Pool exposing run, canAccept and getStats
+ */
+function createConcurrencyPool(options) {
+  const limit = Math.max(1, options.limit);
+  const maxQueued = options.maxQueued === undefined ? Infinity : options.maxQueued;
+  const waiting = [];
+  let active = 0;
+
+  /**
+   * Start queued tasks while slots are free
+   */
+  function drain() {
+    while (active < limit && waiting.length > 0) {
+      const { task, resolve, reject } = waiting.shift();
+      active += 1;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(release);
+    }
+  }
+
+  /**
+   * Free a finished task's slot for the next one in line
+   */
+  function release() {
+    active -= 1;
+    drain();
+  }
+
+  /**
+   * Check whether a new task would be accepted
+   * @returns {boolean} False when every slot is busy and the queue is full
+   */
+  function canAccept() {
+    return active < limit || waiting.length < maxQueued;
+  }
+
+  /**
+   * Run a task once a slot is free
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} Task result; rejects with a 503 error when the queue is full
+   */
+  function run(task) {
+    if (!canAccept()) {
+      const error = new Error('Too many generations in progress, please try again shortly');
+      error.status = 503;
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      waiting.push({ task, resolve, reject });
+      drain();
+    });
+  }
+
+  return {
+    run,
+    canAccept,
+
+    getStats() {
+      return {
+        limit,
+        active,
+        queued: waiting.length,
+        max_queued: maxQueued === Infinity ? null : maxQueued
+      };
+    }
+  };
+}
+
+module.exports = {
+  createConcurrencyPool
+};
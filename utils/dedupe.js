@@ -3,8 +3,41 @@
  * Removes duplicates and balances distribution across thread
  */
 
+const { stripArabicDiacritics, normalizeArabic } = require('./tokenizer');
+
+/**
+ * Clean a hashtag for use in a post
+ * Tashkeel and tatweel are removed and the words of a phrase are joined with underscores
+ * @param {string} tag - Hashtag or phrase, with or without the #
+ * @returns {string|null} Hashtag, or null when nothing is left
+ */
+function cleanHashtag(tag) {
+  if (typeof tag !== 'string') {
+    return null;
+  }
+
+  const body = stripArabicDiacritics(tag.trim().replace(/^#+/, ''))
+    .replace(/[\s_]+/g, '_')
+    .replace(/^_|_$/g, '');
+
+  return body ? `#${body}` : null;
+}
+
+/**
+ * Get the form hashtags are compared by
+ * Besides case, Arabic spellings readers treat as the same word are unified: alef forms
+ * (أ إ آ ا), taa marbuta and haa, alef maqsura and yaa, hamza seats, tashkeel and tatweel
+ * @param {string} tag - Hashtag or phrase
+ * @returns {string} Comparison key ('' when nothing is left)
+ */
+function normalizeHashtag(tag) {
+  const clean = cleanHashtag(tag);
+  return clean ? normalizeArabic(clean.toLowerCase()).replace(/\u0629/g, '\u0647') : '';
+}
+
 /**
  * Remove duplicate hashtags from an array
+ * Tags are cleaned (see cleanHashtag) and compared by normalizeHashtag; the first spelling is kept
  * @param {Array<string>} hashtags - Array of hashtags
  * @returns {Array<string>} Deduplicated hashtags
  */
@@ -13,17 +46,18 @@ function dedupeHashtags(hashtags) {
     return [];
   }
 
-  // Normalize hashtags (remove #, convert to lowercase, then add # back)
-  const normalized = hashtags
-    .filter(tag => typeof tag === 'string' && tag.trim())
-    .map(tag => {
-      const clean = tag.replace(/^#+/, '').trim().toLowerCase();
-      return clean ? `#${clean}` : null;
-    })
-    .filter(Boolean);
-
-  // Remove duplicates
-  return [...new Set(normalized)];
+  const seen = new Set();
+
+  return hashtags
+    .map(cleanHashtag)
+    .filter((tag) => {
+      const key = tag && normalizeHashtag(tag);
+      if (!key || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
 }
 
 /**
@@ -154,6 +188,15 @@ function removeHashtagsAndEmojis(text) {
   return cleaned;
 }
 
+/**
+ * Remove emojis from text, along with the space that followed each one
+ * @param {string} text - Prefix, CTA or post text
+ * @returns {string} Text without emojis
+ */
+function stripEmojis(text) {
+  return text.replace(/\p{Extended_Pictographic}\uFE0F?\s*/gu, '').trim();
+}
+
 /**
  * Validate hashtag format
  * @param {string} hashtag - Hashtag to validate
@@ -200,12 +243,15 @@ function dedupeHashtagsAndEmojis(tweets) {
 }
 
 module.exports = {
+  cleanHashtag,
+  normalizeHashtag,
   dedupeHashtags,
   dedupeEmojis,
   balanceHashtagsAcrossThread,
   extractHashtagsFromText,
   extractEmojisFromText,
   removeHashtagsAndEmojis,
+  stripEmojis,
   isValidHashtag,
   dedupeHashtagsAndEmojis
 };
\ No newline at end of file
@@ -0,0 +1,103 @@
+/**
+ * Minimal JSON HTTP client
+ * Built on Node's http/https modules so REST integrations work without extra dependencies
+ */
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Send an HTTP request with an optional JSON body and parse the JSON response
+ * @param {string} method - HTTP method
+ * @param {string} url - Absolute request URL
+ * @param {Object} body - Optional JSON body
+ * @param {Object} options - Request options (headers, timeoutMs)
+ * @returns {Promise<Object>} Response with status, headers and parsed data
+ */
+function requestJson(method, url, body, options = {}) {
+  const { headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS } = options;
+
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const payload = body !== undefined && body !== null ? JSON.stringify(body) : null;
+
+    const requestHeaders = {
+      Accept: 'application/json',
+      ...(payload && {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload)
+      }),
+      ...headers
+    };
+
+    const req = transport.request(target, { method, headers: requestHeaders }, (res) => {
+      let raw = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        raw += chunk;
+      });
+      res.on('end', () => {
+        let data = null;
+        if (raw) {
+          try {
+            data = JSON.parse(raw);
+          } catch (error) {
+            data = raw;
+          }
+        }
+
+        if (res.statusCode >= 400) {
+          const error = new Error(`HTTP ${res.statusCode} from ${target.host}`);
+          error.status = res.statusCode;
+          error.headers = res.headers;
+          error.body = data;
+          reject(error);
+          return;
+        }
+
+        resolve({ status: res.statusCode, headers: res.headers, data });
+      });
+    });
+
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(new Error(`Request timed out after ${timeoutMs}ms`));
+    });
+    req.on('error', reject);
+
+    if (payload) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+/**
+ * POST a JSON body and parse the JSON response
+ * @param {string} url - Absolute request URL
+ * @param {Object} body - JSON body
+ * @param {Object} options - Request options (headers, timeoutMs)
+ * @returns {Promise<Object>} Response with status, headers and parsed data
+ */
+function postJson(url, body, options = {}) {
+  return requestJson('POST', url, body, options);
+}
+
+/**
+ * GET a URL and parse the JSON response
+ * @param {string} url - Absolute request URL
+ * @param {Object} options - Request options (headers, timeoutMs)
+ * @returns {Promise<Object>} Response with status, headers and parsed data
+ */
+function getJson(url, options = {}) {
+  return requestJson('GET', url, null, options);
+}
+
+module.exports = {
+  requestJson,
+  postJson,
+  getJson
+};
@@ -4,6 +4,14 @@
  */
 
 const CONSTANTS = require('../config/constants');
+const { PLATFORM_IDS, getPlatformProfile } = require('../config/platforms');
+const { STYLE_ID_PATTERN, STYLE_LANGUAGES, getStyleIds } = require('../config/styles');
+const { isValidTimeZone, resolveLocalTime } = require('./timezone');
+const { isValidHashtag, cleanHashtag, normalizeHashtag } = require('./dedupe');
+
+const BRAND_VOICE_ID_PATTERN = /^[a-z][a-z0-9-]{1,39}$/;
+const HASHTAG_TOPIC_ID_PATTERN = /^[a-z][a-z0-9-]{1,39}$/;
+const HASHTAG_LANGUAGES = ['en', 'ar'];
 
 /**
  * Sanitize text input by removing dangerous content
@@ -82,9 +90,11 @@ function sanitizeInput(input, options = {}) {
 /**
  * Validate input parameters for thread generation
  * @param {Object} params - Request parameters
+ * @param {Object} preferences - Preferences of the requesting user; they supply the default
+ * tweet count and the hashtag, emoji and CTA settings the generators honor
  * @returns {Object} Validation result
  */
-function validateParameters(params) {
+function validateParameters(params, preferences = {}) {
   const errors = [];
   const warnings = [];
 
@@ -104,23 +114,59 @@ function validateParameters(params) {
   }
 
   // Validate style
-  const validStyles = ['educational', 'technical', 'concise', 'engaging', 'professional'];
+  const validStyles = getStyleIds();
   if (params.style && !validStyles.includes(params.style)) {
     errors.push(`Style must be one of: ${validStyles.join(', ')}`);
   }
 
+  // Validate provider
+  if (params.provider && !CONSTANTS.LLM_PROVIDERS.includes(params.provider)) {
+    errors.push(`Provider must be one of: ${CONSTANTS.LLM_PROVIDERS.join(', ')}`);
+  }
+
+  // Validate platform
+  if (params.platform && !PLATFORM_IDS.includes(params.platform)) {
+    errors.push(`Platform must be one of: ${PLATFORM_IDS.join(', ')}`);
+  }
+  const profile = getPlatformProfile(params.platform);
+
   // Validate maxTweets
   if (params.maxTweets !== undefined) {
-    const maxTweets = parseInt(params.maxTweets);
-    const maxAllowed = parseInt(process.env.MAX_TWEETS_PER_THREAD) || CONSTANTS.MAX_TWEETS_PER_THREAD;
+    const maxTweets = parseInt(params.maxTweets, 10);
+    const maxAllowed = parseInt(process.env.MAX_TWEETS_PER_THREAD, 10) || CONSTANTS.MAX_TWEETS_PER_THREAD;
     
-    if (isNaN(maxTweets) || maxTweets < 1) {
+    if (Number.isNaN(maxTweets) || maxTweets < 1) {
       errors.push('maxTweets must be a positive integer');
     } else if (maxTweets > maxAllowed) {
       errors.push(`maxTweets cannot exceed ${maxAllowed}`);
     } else if (maxTweets > 10) {
       warnings.push('Large thread counts may reduce engagement');
     }
+
+    if (maxTweets > profile.maxPosts) {
+      warnings.push(`${profile.name} threads are limited to ${profile.maxPosts} posts; maxTweets was reduced`);
+    }
+  }
+
+  // Validate variants
+  if (params.variants !== undefined) {
+    const variants = parseInt(params.variants, 10);
+
+    if (Number.isNaN(variants) || variants < 1) {
+      errors.push('variants must be a positive integer');
+    } else if (variants > CONSTANTS.MAX_THREAD_VARIANTS) {
+      errors.push(`variants cannot exceed ${CONSTANTS.MAX_THREAD_VARIANTS}`);
+    }
+  }
+
+  // Validate hook
+  if (params.hook && !CONSTANTS.THREAD_HOOKS.includes(params.hook)) {
+    errors.push(`Hook must be one of: ${CONSTANTS.THREAD_HOOKS.join(', ')}`);
+  }
+
+  // Validate brand voice (the server checks that the profile exists)
+  if (params.brandVoice && (typeof params.brandVoice !== 'string' || !BRAND_VOICE_ID_PATTERN.test(params.brandVoice))) {
+    errors.push('brandVoice must be the id of a brand voice profile');
   }
 
   // Validate boolean flags
@@ -147,10 +193,1045 @@ function validateParameters(params) {
       text: sanitizeInput(params.text || ''),
       language: params.language || CONSTANTS.DEFAULT_LANGUAGE,
       style: params.style || CONSTANTS.DEFAULT_STYLE,
-      maxTweets: Math.min(parseInt(params.maxTweets) || CONSTANTS.DEFAULT_MAX_TWEETS, parseInt(process.env.MAX_TWEETS_PER_THREAD) || CONSTANTS.MAX_TWEETS_PER_THREAD),
+      maxTweets: Math.min(
+        parseInt(params.maxTweets, 10) || preferences.defaultMaxTweets || CONSTANTS.DEFAULT_MAX_TWEETS,
+        parseInt(process.env.MAX_TWEETS_PER_THREAD, 10) || CONSTANTS.MAX_TWEETS_PER_THREAD,
+        profile.maxPosts
+      ),
       includeHashtags: params.includeHashtags !== false,
-      includeImages: params.includeImages === true
+      includeImages: params.includeImages === true,
+      provider: params.provider || null,
+      hook: params.hook || null,
+      variants: parseInt(params.variants, 10) || 1,
+      platform: profile.id,
+      brandVoice: params.brandVoice || null,
+      preferences: {
+        arabicHashtags: preferences.arabicHashtags || 'auto',
+        emojiPreference: preferences.emojiPreference || 'moderate',
+        autoAddCTA: preferences.autoAddCTA !== false
+      }
+    }
+  };
+}
+
+/**
+ * Validate tweet rewrite parameters
+ * @param {Object} params - Parameters to validate
+ * @returns {Object} Validation result
+ */
+function validateRewriteParameters(params) {
+  const errors = [];
+  const maxTweets = parseInt(process.env.MAX_TWEETS_PER_THREAD, 10) || CONSTANTS.MAX_TWEETS_PER_THREAD;
+
+  // Validate thread source: an inline thread or a history entry
+  if (params.historyId !== undefined) {
+    if (typeof params.historyId !== 'string' || !/^[a-zA-Z0-9-_]+$/.test(params.historyId)) {
+      errors.push('historyId must contain only letters, numbers, dashes and underscores');
+    }
+  } else if (!Array.isArray(params.thread) || params.thread.length === 0) {
+    errors.push('Either thread (non-empty array) or historyId is required');
+  } else if (params.thread.length > maxTweets) {
+    errors.push(`thread cannot contain more than ${maxTweets} tweets`);
+  } else {
+    params.thread.forEach((tweet, position) => {
+      const result = checkInlineTweet(tweet, position);
+      if (result.error) errors.push(result.error);
+    });
+  }
+
+  // Validate tweetIndex (1-based, matching tweet.index)
+  const tweetIndex = parseInt(params.tweetIndex, 10);
+  if (Number.isNaN(tweetIndex) || tweetIndex < 1) {
+    errors.push('tweetIndex must be a positive integer');
+  } else if (Array.isArray(params.thread) && params.historyId === undefined && tweetIndex > params.thread.length) {
+    errors.push(`tweetIndex cannot exceed thread length (${params.thread.length})`);
+  }
+
+  // Validate instruction
+  if (params.instruction !== undefined && params.instruction !== null) {
+    if (typeof params.instruction !== 'string') {
+      errors.push('instruction must be a string');
+    } else if (params.instruction.length > CONSTANTS.MAX_REWRITE_INSTRUCTION_LENGTH) {
+      errors.push(`instruction cannot exceed ${CONSTANTS.MAX_REWRITE_INSTRUCTION_LENGTH} characters`);
+    }
+  }
+
+  // Validate style
+  const validStyles = getStyleIds();
+  if (params.style && !validStyles.includes(params.style)) {
+    errors.push(`Style must be one of: ${validStyles.join(', ')}`);
+  }
+
+  // Validate provider
+  if (params.provider && !CONSTANTS.LLM_PROVIDERS.includes(params.provider)) {
+    errors.push(`Provider must be one of: ${CONSTANTS.LLM_PROVIDERS.join(', ')}`);
+  }
+
+  // Validate platform
+  if (params.platform && !PLATFORM_IDS.includes(params.platform)) {
+    errors.push(`Platform must be one of: ${PLATFORM_IDS.join(', ')}`);
+  }
+
+  // Validate brand voice (the server checks that the profile exists)
+  if (params.brandVoice && (typeof params.brandVoice !== 'string' || !BRAND_VOICE_ID_PATTERN.test(params.brandVoice))) {
+    errors.push('brandVoice must be the id of a brand voice profile');
+  }
+
+  if (errors.length > 0) {
+    return {
+      error: errors.join('; '),
+      code: CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      details: { errors }
+    };
+  }
+
+  return {
+    success: true,
+    sanitized: {
+      historyId: params.historyId || null,
+      thread: params.historyId === undefined
+        ? params.thread.map((tweet, position) => checkInlineTweet(tweet, position).value)
+        : null,
+      tweetIndex,
+      instruction: params.instruction ? sanitizeInput(params.instruction) : '',
+      style: params.style || null,
+      provider: params.provider || null,
+      platform: params.platform || null,
+      brandVoice: params.brandVoice || null
+    }
+  };
+}
+
+/**
+ * Check and sanitize a tweet of an inline rewrite thread
+ * Only the fields the rewrite reads are kept, each sanitized like generated text
+ * @param {*} tweet - Tweet as sent by the client
+ * @param {number} position - Zero-based position in the thread
+ * @returns {Object} { value } with the sanitized tweet, or { error }
+ */
+function checkInlineTweet(tweet, position) {
+  const label = `thread[${position}]`;
+  const clean = (value) => sanitizeInput(value, { preserveNewlines: false });
+
+  if (!tweet || typeof tweet !== 'object' || Array.isArray(tweet)) {
+    return { error: `${label} must be a tweet object` };
+  }
+  const text = sanitizeInput(tweet.text, { maxLength: CONSTANTS.MAX_EDITED_TWEET_LENGTH });
+  if (!text) {
+    return { error: `${label}.text must be non-empty text` };
+  }
+  if (tweet.text.length > CONSTANTS.MAX_EDITED_TWEET_LENGTH) {
+    return { error: `${label}.text cannot exceed ${CONSTANTS.MAX_EDITED_TWEET_LENGTH} characters` };
+  }
+  if (tweet.hashtags !== undefined && !(Array.isArray(tweet.hashtags)
+    && tweet.hashtags.every((tag) => typeof tag === 'string' && tag.length <= CONSTANTS.MAX_HASHTAG_LENGTH))) {
+    return {
+      error: `${label}.hashtags must be a list of hashtags of at most ${CONSTANTS.MAX_HASHTAG_LENGTH} characters`
+    };
+  }
+  if (tweet.cta !== undefined && tweet.cta !== null
+    && (typeof tweet.cta !== 'string' || tweet.cta.length > CONSTANTS.MAX_EDITED_TWEET_LENGTH)) {
+    return { error: `${label}.cta must be null or text of at most ${CONSTANTS.MAX_EDITED_TWEET_LENGTH} characters` };
+  }
+  if (tweet.emoji_suggestions !== undefined && !(Array.isArray(tweet.emoji_suggestions)
+    && tweet.emoji_suggestions.every((emoji) => typeof emoji === 'string'))) {
+    return { error: `${label}.emoji_suggestions must be a list of emojis` };
+  }
+
+  return {
+    value: {
+      index: position + 1,
+      text,
+      hashtags: (tweet.hashtags || []).map(clean).filter(Boolean),
+      cta: tweet.cta ? clean(tweet.cta) || null : null,
+      emoji_suggestions: (tweet.emoji_suggestions || [])
+        .map(clean)
+        .filter(Boolean)
+        .slice(0, CONSTANTS.MAX_EMOJIS_PER_TWEET)
+    }
+  };
+}
+
+/**
+ * Validate a thread edit request (the tweet index comes from the URL, the author from the signed-in user)
+ * @param {string} type - Edit operation: edit, reorder, split or merge
+ * @param {Object} params - Request body
+ * @returns {Object} Validation result with the sanitized operation
+ */
+function validateThreadEdit(type, params) {
+  const errors = [];
+
+  if (type === 'edit') {
+    if (typeof params.text !== 'string' || params.text.trim().length === 0) {
+      errors.push('text is required');
+    } else if (params.text.length > CONSTANTS.MAX_EDITED_TWEET_LENGTH) {
+      errors.push(`text cannot exceed ${CONSTANTS.MAX_EDITED_TWEET_LENGTH} characters`);
+    }
+  }
+
+  if (type === 'reorder' && (!Array.isArray(params.order) || !params.order.every(Number.isInteger))) {
+    errors.push('order must be an array of tweet indexes');
+  }
+
+  if (type === 'split' && params.at !== undefined && (!Number.isInteger(params.at) || params.at < 1)) {
+    errors.push('at must be a positive integer');
+  }
+
+  if (errors.length > 0) {
+    return {
+      error: errors.join('; '),
+      code: CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      details: { errors }
+    };
+  }
+
+  return {
+    success: true,
+    sanitized: {
+      type,
+      text: type === 'edit' ? sanitizeInput(params.text, { maxLength: CONSTANTS.MAX_EDITED_TWEET_LENGTH }) : undefined,
+      order: type === 'reorder' ? params.order : undefined,
+      at: type === 'split' ? params.at : undefined
+    }
+  };
+}
+
+/**
+ * Validate history search query parameters
+ * List filters accept comma-separated values (e.g. style=technical,concise)
+ * @param {Object} query - Request query string parameters
+ * @returns {Object} Validation result with the sanitized query
+ */
+function validateHistoryQuery(query) {
+  const errors = [];
+  const toList = (value) => (value === undefined
+    ? []
+    : String(value).split(',').map((item) => item.trim()).filter(Boolean));
+
+  const filters = {
+    style: toList(query.style),
+    language: toList(query.language),
+    direction: toList(query.direction),
+    platform: toList(query.platform),
+    hashtags: toList(query.hashtags).map((tag) => (tag.startsWith('#') ? tag : `#${tag}`).toLowerCase()),
+    tags: toList(query.tags).map((tag) => tag.toLowerCase())
+  };
+  const allowed = {
+    style: getStyleIds(),
+    language: ['ar', 'en', 'mixed', 'auto'],
+    direction: ['ltr', 'rtl', 'mixed'],
+    platform: PLATFORM_IDS
+  };
+
+  Object.keys(allowed).forEach((name) => {
+    const invalid = filters[name].filter((value) => !allowed[name].includes(value));
+    if (invalid.length > 0) {
+      errors.push(`${name} must be one of: ${allowed[name].join(', ')}`);
+    }
+  });
+
+  if (query.q !== undefined && String(query.q).length > CONSTANTS.MAX_HISTORY_QUERY_LENGTH) {
+    errors.push(`q cannot exceed ${CONSTANTS.MAX_HISTORY_QUERY_LENGTH} characters`);
+  }
+
+  const toNumber = (name) => {
+    if (query[name] === undefined || query[name] === '') return null;
+    const value = Number(query[name]);
+    if (Number.isNaN(value)) {
+      errors.push(`${name} must be a number`);
+    }
+    return value;
+  };
+  const minScore = toNumber('minScore');
+  const maxScore = toNumber('maxScore');
+
+  const toTime = (name) => {
+    if (!query[name]) return null;
+    const time = new Date(query[name]).getTime();
+    if (Number.isNaN(time)) {
+      errors.push(`${name} must be a valid date`);
+    }
+    return time;
+  };
+  const from = toTime('from');
+  const to = toTime('to');
+
+  const toFlag = (name) => {
+    if (query[name] === undefined || query[name] === '') return null;
+    if (!['true', 'false'].includes(String(query[name]))) {
+      errors.push(`${name} must be true or false`);
+    }
+    return String(query[name]) === 'true';
+  };
+  const favorite = toFlag('favorite');
+  const pinned = toFlag('pinned');
+
+  if (query.batchId !== undefined && !/^[a-zA-Z0-9-_]+$/.test(query.batchId)) {
+    errors.push('batchId must contain only letters, numbers, dashes and underscores');
+  }
+
+  if (query.sort !== undefined && !CONSTANTS.HISTORY_SORT_FIELDS.includes(query.sort)) {
+    errors.push(`sort must be one of: ${CONSTANTS.HISTORY_SORT_FIELDS.join(', ')}`);
+  }
+  if (query.order !== undefined && !['asc', 'desc'].includes(query.order)) {
+    errors.push('order must be asc or desc');
+  }
+
+  if (errors.length > 0) {
+    return {
+      error: errors.join('; '),
+      code: CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      details: { errors }
+    };
+  }
+
+  return {
+    success: true,
+    sanitized: {
+      q: query.q ? sanitizeInput(String(query.q), { preserveNewlines: false }) : '',
+      ...filters,
+      minScore,
+      maxScore,
+      from,
+      to,
+      favorite,
+      pinned,
+      batchId: query.batchId || null,
+      sort: query.sort || null,
+      order: query.order || 'desc',
+      page: Math.max(parseInt(query.page, 10) || 1, 1),
+      limit: Math.min(
+        Math.max(parseInt(query.limit, 10) || CONSTANTS.DEFAULT_HISTORY_PAGE_SIZE, 1),
+        CONSTANTS.MAX_HISTORY_PAGE_SIZE
+      )
+    }
+  };
+}
+
+/**
+ * Validate an update to a history entry's tags, favorite and pinned flags
+ * @param {Object} params - Request body
+ * @returns {Object} Validation result with only the fields being changed
+ */
+function validateHistoryUpdate(params) {
+  const errors = [];
+  const sanitized = {};
+
+  if (params.tags !== undefined) {
+    if (!Array.isArray(params.tags) || !params.tags.every((tag) => typeof tag === 'string')) {
+      errors.push('tags must be an array of strings');
+    } else {
+      // Tags are case-insensitive labels; a leading # or extra spaces are not part of them
+      const tags = [...new Set(params.tags
+        .map((tag) => sanitizeInput(tag, { preserveNewlines: false }).replace(/^#+/, '').toLowerCase())
+        .filter(Boolean))];
+
+      if (tags.length > CONSTANTS.MAX_TAGS_PER_ENTRY) {
+        errors.push(`tags cannot contain more than ${CONSTANTS.MAX_TAGS_PER_ENTRY} entries`);
+      } else if (tags.some((tag) => tag.length > CONSTANTS.MAX_TAG_LENGTH || tag.includes(','))) {
+        errors.push(`each tag must be at most ${CONSTANTS.MAX_TAG_LENGTH} characters and cannot contain commas`);
+      }
+      sanitized.tags = tags;
+    }
+  }
+
+  ['favorite', 'pinned'].forEach((flag) => {
+    if (params[flag] === undefined) return;
+    if (typeof params[flag] !== 'boolean') {
+      errors.push(`${flag} must be a boolean`);
+    }
+    sanitized[flag] = params[flag];
+  });
+
+  if (errors.length === 0 && Object.keys(sanitized).length === 0) {
+    errors.push('At least one of tags, favorite or pinned is required');
+  }
+
+  if (errors.length > 0) {
+    return {
+      error: errors.join('; '),
+      code: CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      details: { errors }
+    };
+  }
+
+  return { success: true, sanitized };
+}
+
+/**
+ * Validate the ids of a bulk history operation (delete, export)
+ * @param {Object} params - Request body ({ ids })
+ * @returns {Object} Validation result with the unique ids
+ */
+function validateHistoryIds(params) {
+  const errors = [];
+  const { ids } = params;
+
+  if (!Array.isArray(ids) || ids.length === 0) {
+    errors.push('ids must be a non-empty array');
+  } else if (ids.length > CONSTANTS.MAX_BULK_HISTORY_IDS) {
+    errors.push(`ids cannot contain more than ${CONSTANTS.MAX_BULK_HISTORY_IDS} entries`);
+  } else if (!ids.every((id) => typeof id === 'string' && /^[a-zA-Z0-9-_]+$/.test(id))) {
+    errors.push('ids must contain only letters, numbers, dashes and underscores');
+  }
+
+  if (errors.length > 0) {
+    return {
+      error: errors.join('; '),
+      code: CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      details: { errors }
+    };
+  }
+
+  return { success: true, sanitized: { ids: [...new Set(ids)] } };
+}
+
+/**
+ * Validate export options
+ * @param {Object} params - Query or body parameters ({ format, scheduledAt })
+ * @returns {Object} Validation result with the format and scheduling time
+ */
+function validateExportOptions(params) {
+  const errors = [];
+  const format = params.format || CONSTANTS.DEFAULT_EXPORT_FORMAT;
+
+  if (!CONSTANTS.EXPORT_FORMATS.includes(format)) {
+    errors.push(`format must be one of: ${CONSTANTS.EXPORT_FORMATS.join(', ')}`);
+  }
+
+  let scheduledAt = null;
+  if (params.scheduledAt !== undefined && params.scheduledAt !== '') {
+    const time = new Date(params.scheduledAt);
+    if (typeof params.scheduledAt !== 'string' || Number.isNaN(time.getTime())) {
+      errors.push('scheduledAt must be an ISO 8601 date');
+    } else {
+      scheduledAt = time.toISOString();
+    }
+  }
+
+  if (errors.length > 0) {
+    return {
+      error: errors.join('; '),
+      code: CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      details: { errors }
+    };
+  }
+
+  return { success: true, sanitized: { format, scheduledAt } };
+}
+
+/**
+ * Validate a thread import request
+ * @param {Object} params - Request body {content, format, platform, style, rehashtag, save}
+ * @returns {Object} Validation result
+ */
+function validateImportParameters(params) {
+  const errors = [];
+
+  if (typeof params.content !== 'string' || params.content.trim().length === 0) {
+    errors.push('content is required and must be a non-empty string');
+  } else if (params.content.length > CONSTANTS.MAX_IMPORT_LENGTH) {
+    errors.push(`content cannot exceed ${CONSTANTS.MAX_IMPORT_LENGTH} characters`);
+  }
+
+  if (params.format !== undefined && !CONSTANTS.IMPORT_FORMATS.includes(params.format)) {
+    errors.push(`format must be one of: ${CONSTANTS.IMPORT_FORMATS.join(', ')}`);
+  }
+
+  if (params.platform && !PLATFORM_IDS.includes(params.platform)) {
+    errors.push(`Platform must be one of: ${PLATFORM_IDS.join(', ')}`);
+  }
+
+  const styleIds = getStyleIds();
+  if (params.style && !styleIds.includes(params.style)) {
+    errors.push(`Style must be one of: ${styleIds.join(', ')}`);
+  }
+
+  ['rehashtag', 'save'].forEach((flag) => {
+    if (params[flag] !== undefined && typeof params[flag] !== 'boolean') {
+      errors.push(`${flag} must be a boolean`);
+    }
+  });
+
+  if (errors.length > 0) {
+    return {
+      error: errors.join('; '),
+      code: CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      details: { errors }
+    };
+  }
+
+  return {
+    success: true,
+    sanitized: {
+      content: params.content,
+      format: params.format || 'auto',
+      platform: params.platform || null,
+      style: params.style || null,
+      rehashtag: params.rehashtag === true,
+      save: params.save === true
+    }
+  };
+}
+
+/**
+ * Validate a batch generation request. Items are only checked for shape here; each one is
+ * validated like a single generation request so a bad item does not sink the batch
+ * @param {Object} params - Request body {items, defaults}
+ * @returns {Object} Validation result; sanitized.items have the defaults merged in
+ */
+function validateBatchRequest(params) {
+  const errors = [];
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  if (!Array.isArray(params.items) || params.items.length === 0) {
+    errors.push('items must be a non-empty array');
+  } else if (params.items.length > CONSTANTS.MAX_BATCH_ITEMS) {
+    errors.push(`items cannot contain more than ${CONSTANTS.MAX_BATCH_ITEMS} entries`);
+  } else if (!params.items.every(isObject)) {
+    errors.push('each item must be an object');
+  }
+
+  if (params.defaults !== undefined && !isObject(params.defaults)) {
+    errors.push('defaults must be an object');
+  }
+
+  if (errors.length > 0) {
+    return {
+      error: errors.join('; '),
+      code: CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      details: { errors }
+    };
+  }
+
+  return {
+    success: true,
+    sanitized: {
+      items: params.items.map((item) => ({ ...(params.defaults || {}), ...item }))
+    }
+  };
+}
+
+/**
+ * Validate a request to schedule or reschedule a thread
+ * @param {Object} params - Request body {historyId, publishAt, timezone, publisher, dryRun}
+ * @param {Object} options - {requireHistoryId, requirePublishAt, timezone (default zone for local times)}
+ * @returns {Object} Validation result; publishAt is sanitized to a timestamp (null when omitted)
+ */
+function validateScheduleRequest(params, options = {}) {
+  const errors = [];
+
+  if (options.requireHistoryId || params.historyId !== undefined) {
+    if (typeof params.historyId !== 'string' || !/^[a-zA-Z0-9-_]+$/.test(params.historyId)) {
+      errors.push('historyId must contain only letters, numbers, dashes and underscores');
+    }
+  }
+
+  if (params.timezone !== undefined && !isValidTimeZone(params.timezone)) {
+    errors.push('timezone must be an IANA time zone such as Asia/Riyadh');
+  }
+
+  if (params.publisher !== undefined && !CONSTANTS.PUBLISHERS.includes(params.publisher)) {
+    errors.push(`publisher must be one of: ${CONSTANTS.PUBLISHERS.join(', ')}`);
+  }
+
+  if (params.dryRun !== undefined && typeof params.dryRun !== 'boolean') {
+    errors.push('dryRun must be a boolean');
+  }
+
+  // Times without an offset are wall-clock times in the job's time zone
+  let publishAt = null;
+  if (params.publishAt !== undefined && params.publishAt !== null && params.publishAt !== '') {
+    const timeZone = isValidTimeZone(params.timezone)
+      ? params.timezone
+      : options.timezone || CONSTANTS.DEFAULT_TIMEZONE;
+    publishAt = resolveLocalTime(params.publishAt, timeZone);
+    if (publishAt === null) {
+      errors.push('publishAt must be an ISO 8601 date-time');
+    } else if (publishAt <= Date.now()) {
+      errors.push('publishAt must be in the future');
+    }
+  } else if (options.requirePublishAt) {
+    errors.push('publishAt is required');
+  }
+
+  if (errors.length > 0) {
+    return {
+      error: errors.join('; '),
+      code: CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      details: { errors }
+    };
+  }
+
+  return {
+    success: true,
+    sanitized: {
+      historyId: params.historyId || null,
+      publishAt,
+      timezone: params.timezone || null,
+      publisher: params.publisher || null,
+      dryRun: params.dryRun === true
+    }
+  };
+}
+
+/**
+ * Validate schedule listing filters
+ * @param {Object} query - Query parameters {status, historyId}
+ * @returns {Object} Validation result
+ */
+function validateScheduleQuery(query) {
+  const errors = [];
+
+  if (query.status !== undefined && !CONSTANTS.SCHEDULE_STATUSES.includes(query.status)) {
+    errors.push(`status must be one of: ${CONSTANTS.SCHEDULE_STATUSES.join(', ')}`);
+  }
+
+  if (query.historyId !== undefined && !/^[a-zA-Z0-9-_]+$/.test(query.historyId)) {
+    errors.push('historyId must contain only letters, numbers, dashes and underscores');
+  }
+
+  if (errors.length > 0) {
+    return {
+      error: errors.join('; '),
+      code: CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      details: { errors }
+    };
+  }
+
+  return {
+    success: true,
+    sanitized: {
+      status: query.status || null,
+      historyId: query.historyId || null
+    }
+  };
+}
+
+/**
+ * Validate a preferences update. Only the fields given are changed; style usage
+ * (styleFrequency, recentStyles, preferredStyleChosen) is recorded by the server and cannot be set
+ * @param {Object} params - Preference fields to change
+ * @returns {Object} Validation result; sanitized holds only the fields that were sent
+ */
+function validatePreferences(params) {
+  const errors = [];
+  const sanitized = {};
+  const maxTweetsAllowed = parseInt(process.env.MAX_TWEETS_PER_THREAD, 10) || CONSTANTS.MAX_TWEETS_PER_THREAD;
+  const emojiLevels = Object.keys(CONSTANTS.EMOJI_DENSITY);
+  const styleIds = getStyleIds();
+  const fields = {
+    preferredStyle: (value) => styleIds.includes(value)
+      || `preferredStyle must be one of: ${styleIds.join(', ')}`,
+    arabicHashtags: (value) => CONSTANTS.ARABIC_HASHTAG_MODES.includes(value)
+      || `arabicHashtags must be one of: ${CONSTANTS.ARABIC_HASHTAG_MODES.join(', ')}`,
+    emojiPreference: (value) => emojiLevels.includes(value)
+      || `emojiPreference must be one of: ${emojiLevels.join(', ')}`,
+    autoAddCTA: (value) => typeof value === 'boolean' || 'autoAddCTA must be a boolean',
+    defaultMaxTweets: (value) => (Number.isInteger(value) && value >= 1 && value <= maxTweetsAllowed)
+      || `defaultMaxTweets must be a whole number from 1 to ${maxTweetsAllowed}`,
+    darkMode: (value) => typeof value === 'boolean' || 'darkMode must be a boolean',
+    autoSaveToLocalStorage: (value) => typeof value === 'boolean' || 'autoSaveToLocalStorage must be a boolean',
+    personalNote: (value) => (typeof value === 'string' && value.length <= CONSTANTS.MAX_PERSONAL_NOTE_LENGTH)
+      || `personalNote must be a string of at most ${CONSTANTS.MAX_PERSONAL_NOTE_LENGTH} characters`
+  };
+
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    errors.push('Preferences must be an object');
+  } else {
+    const unknown = Object.keys(params).filter((key) => !fields[key]);
+    if (unknown.length > 0) {
+      errors.push(`Unknown or read-only preferences: ${unknown.join(', ')}`);
+    }
+
+    Object.entries(fields).forEach(([key, check]) => {
+      if (params[key] === undefined) {
+        return;
+      }
+      const result = check(params[key]);
+      if (result === true) {
+        sanitized[key] = key === 'personalNote' ? sanitizeInput(params[key]) : params[key];
+      } else {
+        errors.push(result);
+      }
+    });
+
+    if (errors.length === 0 && Object.keys(sanitized).length === 0) {
+      errors.push(`Give at least one of: ${Object.keys(fields).join(', ')}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return {
+      error: errors.join('; '),
+      code: CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      details: { errors }
+    };
+  }
+
+  return {
+    success: true,
+    sanitized
+  };
+}
+
+/**
+ * Validate a style definition (see config/styles.js)
+ * Text fields are given per language ({ en, ar }); a new style needs both languages of every
+ * field except tips, while an edit may change any field, or one language of it
+ * @param {Object} params - Style definition or fields to change
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Validate an edit of an existing style rather than a new style
+ * @returns {Object} Validation result; sanitized holds the fields that were sent
+ */
+function validateStyleDefinition(params, { partial = false } = {}) {
+  const errors = [];
+  const sanitized = {};
+  const clean = (value) => sanitizeInput(value, { preserveNewlines: false });
+
+  // Each check returns { value } with the sanitized value, or { error }
+  const text = (maxLength) => (value, field) => (
+    (typeof value === 'string' && value.length <= maxLength && clean(value))
+    ? { value: clean(value) }
+    : { error: `${field} must be a non-empty string of at most ${maxLength} characters` });
+  const list = (maxLength, minItems) => (value, field) => {
+    const maxItems = CONSTANTS.MAX_STYLE_ITEMS;
+    const valid = Array.isArray(value) && value.length >= minItems && value.length <= maxItems
+      && value.every((item) => typeof item === 'string' && item.length <= maxLength && clean(item));
+    return valid
+      ? { value: value.map(clean) }
+      : { error: `${field} must be a list of ${minItems} to ${maxItems} strings of at most ${maxLength} characters` };
+  };
+  const bilingual = (check, required) => (value, field) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)
+      || Object.keys(value).some((language) => !STYLE_LANGUAGES.includes(language))) {
+      return { error: `${field} must be an object with ${STYLE_LANGUAGES.join(' and ')} values` };
     }
+
+    const given = STYLE_LANGUAGES.filter((language) => value[language] !== undefined);
+    if (given.length === 0 || (required && given.length < STYLE_LANGUAGES.length)) {
+      return { error: `${field} needs ${STYLE_LANGUAGES.join(required ? ' and ' : ' or ')} values` };
+    }
+
+    const results = given.map((language) => [language, check(value[language], `${field}.${language}`)]);
+    const failed = results.find(([, result]) => result.error);
+    return failed
+      ? failed[1]
+      : { value: Object.fromEntries(results.map(([language, result]) => [language, result.value])) };
+  };
+
+  const fields = {
+    name: bilingual(text(CONSTANTS.MAX_STYLE_NAME_LENGTH), !partial),
+    prefixes: bilingual(list(CONSTANTS.MAX_STYLE_ITEM_LENGTH, 1), !partial),
+    emojis: list(CONSTANTS.MAX_STYLE_EMOJI_LENGTH, 1),
+    ctas: bilingual(list(CONSTANTS.MAX_STYLE_ITEM_LENGTH, 1), !partial),
+    structure: bilingual(text(CONSTANTS.MAX_STYLE_TEXT_LENGTH), !partial),
+    prompt: bilingual(text(CONSTANTS.MAX_STYLE_TEXT_LENGTH), !partial),
+    engagementWeight: (value) => ((typeof value === 'number' && value >= -1 && value <= 1)
+      ? { value }
+      : { error: 'engagementWeight must be a number from -1 to 1' }),
+    tips: bilingual(list(CONSTANTS.MAX_STYLE_ITEM_LENGTH, 0), false)
+  };
+
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    errors.push('Style must be an object');
+  } else {
+    if (!partial) {
+      if (typeof params.id !== 'string' || !STYLE_ID_PATTERN.test(params.id)) {
+        errors.push('id must be 2 to 40 lowercase letters, digits or dashes, starting with a letter');
+      } else {
+        sanitized.id = params.id;
+      }
+    }
+
+    const unknown = Object.keys(params).filter((key) => !fields[key] && (partial || key !== 'id'));
+    if (unknown.length > 0) {
+      errors.push(`Unknown or read-only style fields: ${unknown.join(', ')}`);
+    }
+
+    Object.entries(fields).forEach(([key, check]) => {
+      if (params[key] === undefined) {
+        if (!partial && key !== 'tips') {
+          errors.push(`${key} is required`);
+        }
+        return;
+      }
+      const result = check(params[key], key);
+      if (result.error) {
+        errors.push(result.error);
+      } else {
+        sanitized[key] = result.value;
+      }
+    });
+
+    if (partial && errors.length === 0 && Object.keys(sanitized).length === 0) {
+      errors.push(`Give at least one of: ${Object.keys(fields).join(', ')}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return {
+      error: errors.join('; '),
+      code: CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      details: { errors }
+    };
+  }
+
+  return {
+    success: true,
+    sanitized
+  };
+}
+
+/**
+ * Validate a brand voice profile
+ * A new profile needs an id and a name; every other field has a default
+ * @param {Object} params - Profile or fields to change
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Validate an edit of an existing profile rather than a new one
+ * @returns {Object} Validation result; sanitized holds the fields that were sent
+ */
+function validateBrandVoice(params, { partial = false } = {}) {
+  const errors = [];
+  const sanitized = {};
+  const clean = (value) => sanitizeInput(value, { preserveNewlines: false });
+  const emojiLevels = Object.keys(CONSTANTS.EMOJI_DENSITY);
+
+  // Each check returns { value } with the sanitized value, or { error }
+  const text = (maxLength, allowEmpty) => (value, field) => {
+    if (allowEmpty && (value === null || value === '')) {
+      return { value: null };
+    }
+    return (typeof value === 'string' && value.length <= maxLength && clean(value))
+      ? { value: clean(value) }
+      : { error: `${field} must be a non-empty string of at most ${maxLength} characters` };
+  };
+  const list = (maxItems, maxLength, normalize = clean) => (value, field) => {
+    const items = Array.isArray(value) && value.length <= maxItems
+      && value.every((item) => typeof item === 'string' && item.length <= maxLength)
+      ? value.map(normalize)
+      : null;
+    // Duplicates are dropped regardless of case; the first spelling is kept
+    const isFirst = (item, index) => items.findIndex((other) => other.toLowerCase() === item.toLowerCase()) === index;
+    return items && items.every(Boolean)
+      ? { value: items.filter(isFirst) }
+      : { error: `${field} must be a list of at most ${maxItems} strings of at most ${maxLength} characters` };
+  };
+  const hashtag = (value) => {
+    const tag = `#${value.trim().replace(/^#+/, '')}`;
+    return isValidHashtag(tag) ? tag : null;
+  };
+
+  const fields = {
+    name: text(CONSTANTS.MAX_BRAND_NAME_LENGTH, false),
+    description: text(CONSTANTS.MAX_BRAND_DESCRIPTION_LENGTH, true),
+    preferredWords: list(CONSTANTS.MAX_BRAND_WORDS, CONSTANTS.MAX_BRAND_WORD_LENGTH),
+    bannedWords: list(CONSTANTS.MAX_BRAND_WORDS, CONSTANTS.MAX_BRAND_WORD_LENGTH),
+    formality: (value) => (CONSTANTS.BRAND_FORMALITY_LEVELS.includes(value)
+      ? { value }
+      : { error: `formality must be one of: ${CONSTANTS.BRAND_FORMALITY_LEVELS.join(', ')}` }),
+    emojiPolicy: (value) => (emojiLevels.includes(value)
+      ? { value }
+      : { error: `emojiPolicy must be one of: ${emojiLevels.join(', ')}` }),
+    signatureCTA: text(CONSTANTS.MAX_BRAND_CTA_LENGTH, true),
+    mandatoryHashtags: (value, field) => {
+      const result = list(CONSTANTS.MAX_BRAND_HASHTAGS, CONSTANTS.MAX_BRAND_WORD_LENGTH, hashtag)(value, field);
+      return result.error ? { error: `${result.error}, each a valid hashtag` } : result;
+    },
+    examples: list(CONSTANTS.MAX_BRAND_EXAMPLES, CONSTANTS.MAX_EDITED_TWEET_LENGTH)
+  };
+
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    errors.push('Brand voice must be an object');
+  } else {
+    if (!partial) {
+      if (typeof params.id !== 'string' || !BRAND_VOICE_ID_PATTERN.test(params.id)) {
+        errors.push('id must be 2 to 40 lowercase letters, digits or dashes, starting with a letter');
+      } else {
+        sanitized.id = params.id;
+      }
+    }
+
+    const unknown = Object.keys(params).filter((key) => !fields[key] && (partial || key !== 'id'));
+    if (unknown.length > 0) {
+      errors.push(`Unknown or read-only brand voice fields: ${unknown.join(', ')}`);
+    }
+
+    Object.entries(fields).forEach(([key, check]) => {
+      if (params[key] === undefined) {
+        if (!partial && key === 'name') {
+          errors.push('name is required');
+        }
+        return;
+      }
+      const result = check(params[key], key);
+      if (result.error) {
+        errors.push(result.error);
+      } else {
+        sanitized[key] = result.value;
+      }
+    });
+
+    if (partial && errors.length === 0 && Object.keys(sanitized).length === 0) {
+      errors.push(`Give at least one of: ${Object.keys(fields).join(', ')}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return {
+      error: errors.join('; '),
+      code: CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      details: { errors }
+    };
+  }
+
+  return {
+    success: true,
+    sanitized
+  };
+}
+
+/**
+ * Clean a list of hashtags
+ * Tags are written without spaces or diacritics and with one leading # (see cleanHashtag);
+ * spelling variants of a tag already listed are dropped
+ * @param {*} value - Hashtags
+ * @param {string} field - Field name for the error message
+ * @param {number} maxItems - Most hashtags allowed
+ * @returns {Object} { value } with the cleaned hashtags, or { error }
+ */
+function checkHashtagList(value, field, maxItems) {
+  const tags = Array.isArray(value) && value.length <= maxItems
+    && value.every((tag) => typeof tag === 'string' && tag.length <= CONSTANTS.MAX_HASHTAG_LENGTH)
+    ? value.map(cleanHashtag)
+    : null;
+
+  if (!tags || !tags.every(isValidHashtag)) {
+    return {
+      error: `${field} must be a list of at most ${maxItems} hashtags of at most ${CONSTANTS.MAX_HASHTAG_LENGTH} `
+        + 'characters, each a valid hashtag'
+    };
+  }
+
+  const keys = tags.map(normalizeHashtag);
+  return { value: tags.filter((tag, index) => keys.indexOf(keys[index]) === index) };
+}
+
+/**
+ * Validate a hashtag dictionary topic (see services/hashtagDictionary.js)
+ * Tags and keywords are given per language ({ en, ar }); a new topic needs an id and tags in
+ * at least one language, while an edit may change either field, or one language of it
+ * @param {Object} params - Topic or fields to change
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Validate an edit of an existing topic rather than a new topic
+ * @returns {Object} Validation result; sanitized holds the fields that were sent
+ */
+function validateHashtagTopic(params, { partial = false } = {}) {
+  const errors = [];
+  const sanitized = {};
+  const clean = (value) => sanitizeInput(value, { preserveNewlines: false });
+
+  // Each check returns { value } with the sanitized value, or { error }
+  const keywords = (value, field) => {
+    const maxItems = CONSTANTS.MAX_TOPIC_KEYWORDS;
+    const maxLength = CONSTANTS.MAX_TOPIC_KEYWORD_LENGTH;
+    const valid = Array.isArray(value) && value.length <= maxItems
+      && value.every((item) => typeof item === 'string' && item.length <= maxLength && clean(item));
+    const items = valid ? value.map((item) => clean(item).toLowerCase()) : [];
+    return valid
+      ? { value: items.filter((item, index) => items.indexOf(item) === index) }
+      : { error: `${field} must be a list of at most ${maxItems} strings of at most ${maxLength} characters` };
+  };
+  const bilingual = (check) => (value, field) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value) || Object.keys(value).length === 0
+      || Object.keys(value).some((language) => !HASHTAG_LANGUAGES.includes(language))) {
+      return { error: `${field} must be an object with ${HASHTAG_LANGUAGES.join(' and/or ')} values` };
+    }
+
+    const results = Object.keys(value).map((language) => [language, check(value[language], `${field}.${language}`)]);
+    const failed = results.find(([, result]) => result.error);
+    return failed
+      ? failed[1]
+      : { value: Object.fromEntries(results.map(([language, result]) => [language, result.value])) };
+  };
+
+  const fields = {
+    tags: bilingual((value, field) => checkHashtagList(value, field, CONSTANTS.MAX_TOPIC_HASHTAGS)),
+    keywords: bilingual(keywords)
+  };
+
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    errors.push('Hashtag topic must be an object');
+  } else {
+    if (!partial) {
+      if (typeof params.id !== 'string' || !HASHTAG_TOPIC_ID_PATTERN.test(params.id)) {
+        errors.push('id must be 2 to 40 lowercase letters, digits or dashes, starting with a letter');
+      } else {
+        sanitized.id = params.id;
+      }
+    }
+
+    const unknown = Object.keys(params).filter((key) => !fields[key] && (partial || key !== 'id'));
+    if (unknown.length > 0) {
+      errors.push(`Unknown or read-only hashtag topic fields: ${unknown.join(', ')}`);
+    }
+
+    Object.entries(fields).forEach(([key, check]) => {
+      if (params[key] === undefined) {
+        if (!partial && key === 'tags') {
+          errors.push('tags is required');
+        }
+        return;
+      }
+      const result = check(params[key], key);
+      if (result.error) {
+        errors.push(result.error);
+      } else {
+        sanitized[key] = result.value;
+      }
+    });
+
+    if (partial && errors.length === 0 && Object.keys(sanitized).length === 0) {
+      errors.push(`Give at least one of: ${Object.keys(fields).join(', ')}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return {
+      error: errors.join('; '),
+      code: CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      details: { errors }
+    };
+  }
+
+  return {
+    success: true,
+    sanitized
+  };
+}
+
+/**
+ * Validate a replacement for one of the hashtag dictionary's lists
+ * @param {Object} params - Request body ({ hashtags })
+ * @param {number} maxItems - Most hashtags the list holds
+ * @returns {Object} Validation result; sanitized.hashtags holds the cleaned tags
+ */
+function validateHashtagList(params, maxItems) {
+  const result = params && typeof params === 'object' && !Array.isArray(params)
+    ? checkHashtagList(params.hashtags, 'hashtags', maxItems)
+    : { error: 'Request body must be an object with a hashtags list' };
+
+  if (result.error) {
+    return {
+      error: result.error,
+      code: CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      details: { errors: [result.error] }
+    };
+  }
+
+  return {
+    success: true,
+    sanitized: { hashtags: result.value }
   };
 }
 
@@ -283,6 +1364,21 @@ function extractMetadata(text) {
 module.exports = {
   sanitizeInput,
   validateParameters,
+  validateRewriteParameters,
+  validateThreadEdit,
+  validateHistoryQuery,
+  validateHistoryUpdate,
+  validateHistoryIds,
+  validateExportOptions,
+  validateImportParameters,
+  validateBatchRequest,
+  validateScheduleRequest,
+  validateScheduleQuery,
+  validatePreferences,
+  validateStyleDefinition,
+  validateBrandVoice,
+  validateHashtagTopic,
+  validateHashtagList,
   securityCheck,
   normalizeText,
   extractMetadata
@@ -0,0 +1,125 @@
+/**
+ * Atomic JSON file writes
+ * Files are written to a temp file and renamed into place so a crash never leaves
+ * half a file, and a writer runs its writes one at a time in the order they were queued
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Serialize a value the way every JSON file here is written
+ * @param {*} data - Value to write
+ * @param {Object} options - {space (indentation, defaults to 2)}
+ * @returns {string} JSON text
+ */
+function serialize(data, options) {
+  return JSON.stringify(data, null, options.space === undefined ? 2 : options.space);
+}
+
+/**
+ * Write text to a temp file and rename it into place
+ * @param {string} filePath - Destination file
+ * @param {string} contents - File contents
+ * @param {Object} options - {mode (file mode of the written file)}
+ * @returns {Promise} Resolves once the file is in place
+ */
+async function replaceFile(filePath, contents, options) {
+  const tempPath = `${filePath}.tmp`;
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(tempPath, contents, options.mode === undefined ? {} : { mode: options.mode });
+  await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Write a value as JSON, swapping the file in atomically
+ * The value is serialized when called, so later changes to it are not written
+ * @param {string} filePath - Destination file
+ * @param {*} data - Value to write
+ * @param {Object} options - {space (indentation, defaults to 2), mode (file mode of the written file)}
+ * @returns {Promise} Resolves once the file is in place
+ */
+function writeJsonAtomic(filePath, data, options = {}) {
+  return replaceFile(filePath, serialize(data, options), options);
+}
+
+/**
+ * Create a writer that serializes its file changes
+ * Every write snapshots its data when queued. A failed write rejects the promise
+ * it returned and is kept until the next flush(), so callers that do not wait
+ * for their writes still learn about it
+ * @param {Object} options - Options passed to writeJsonAtomic ({space, mode})
+ * @returns {Object} Writer exposing write, remove, isPending and flush
+ */
+function createJsonWriter(options = {}) {
+  let queue = Promise.resolve();
+  let pending = 0;
+  let failure = null;
+
+  /**
+   * Run a task after every queued one has finished
+   * @param {Function} task - Async task
+   * @returns {Promise} Task result
+   */
+  function enqueue(task) {
+    pending += 1;
+    const done = queue.then(task).finally(() => {
+      pending -= 1;
+    });
+
+    queue = done.catch((error) => {
+      failure = error;
+    });
+    return done;
+  }
+
+  return {
+    /**
+     * Queue a write of data to filePath
+     * @param {string} filePath - Destination file
+     * @param {*} data - Value to write
+     * @returns {Promise} Resolves once written; rejects when the write failed
+     */
+    write(filePath, data) {
+      const snapshot = serialize(data, options);
+      return enqueue(() => replaceFile(filePath, snapshot, options));
+    },
+
+    /**
+     * Queue the removal of filePath (a missing file is not an error)
+     * @param {string} filePath - File to remove
+     * @returns {Promise} Resolves once removed
+     */
+    remove(filePath) {
+      return enqueue(() => fs.promises.rm(filePath, { force: true }));
+    },
+
+    /**
+     * Tell whether writes are queued or running
+     * @returns {boolean} True while a write has not finished
+     */
+    isPending() {
+      return pending > 0;
+    },
+
+    /**
+     * Wait for queued writes
+     * @returns {Promise} Resolves once written; rejects with the error of a write that failed since the last flush
+     */
+    flush() {
+      return queue.then(() => {
+        if (failure) {
+          const error = failure;
+          failure = null;
+          throw error;
+        }
+      });
+    }
+  };
+}
+
+module.exports = {
+  writeJsonAtomic,
+  createJsonWriter
+};
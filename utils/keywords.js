@@ -0,0 +1,160 @@
+/**
+ * Keyword extraction
+ * Finds the noun phrases of Arabic and English text and ranks them across a set of posts
+ * with RAKE (Rapid Automatic Keyword Extraction) word degrees
+ */
+
+const {
+  splitSentences,
+  stripArabicDiacritics,
+  normalizeArabic,
+  stemWord,
+  isStopWord
+} = require('./tokenizer');
+
+/**
+ * English words that end a noun phrase: common verbs and vague modifiers
+ */
+const PHRASE_BREAK_WORDS = new Set([
+  'make', 'makes', 'made', 'help', 'helps', 'helped', 'get', 'gets', 'got', 'use', 'uses', 'used', 'using',
+  'need', 'needs', 'want', 'wants', 'start', 'starts', 'keep', 'keeps', 'take', 'takes', 'took', 'give', 'gives',
+  'know', 'knows', 'think', 'thinks', 'say', 'says', 'said', 'see', 'sees', 'let', 'lets', 'matter', 'matters',
+  'change', 'changes', 'changed', 'become', 'becomes', 'show', 'shows', 'try', 'tries', 'find', 'finds', 'go',
+  'goes', 'come', 'comes', 'look', 'looks', 'put', 'puts', 'bring', 'brings', 'allow', 'allows', 'lead', 'leads',
+  'way', 'ways', 'thing', 'things', 'lot', 'lots', 'many', 'much', 'new', 'good', 'great', 'best', 'better',
+  'every', 'like', 'even', 'still', 'well', 'instead', 'today', 'one', 'first', 'last', 'next', 'really',
+  'ship', 'ships', 'save', 'saves', 'replace', 'replaces', 'pick', 'picks', 'works', 'collaborate', 'collaborates'
+]);
+
+const MAX_PHRASE_WORDS = 2;
+const DEFAULT_KEYWORD_LIMIT = 10;
+
+/**
+ * Find candidate noun phrases in text
+ * English phrases are runs of content words, ended by stop words, common verbs, adverbs and
+ * punctuation; the last words are kept, as the head of an English noun phrase comes last.
+ * Arabic phrases are runs of definite words (ال), such as a noun and its adjectives
+ * @param {string} text - Text to search
+ * @returns {Array<Object>} Phrases {words, arabic}, in reading order
+ */
+function findNounPhrases(text) {
+  const phrases = [];
+  let run = [];
+  let runIsArabic = false;
+
+  if (!text || typeof text !== 'string') {
+    return phrases;
+  }
+
+  const close = () => {
+    if (run.length > 0) {
+      const words = runIsArabic ? run.slice(0, MAX_PHRASE_WORDS) : run.slice(-MAX_PHRASE_WORDS);
+      phrases.push({ words, arabic: runIsArabic });
+    }
+    run = [];
+  };
+  const add = (word, arabic) => {
+    if (run.length > 0 && runIsArabic !== arabic) {
+      close();
+    }
+    run.push(word);
+    runIsArabic = arabic;
+  };
+
+  // Links, mentions and existing hashtags are not phrases
+  const plain = stripArabicDiacritics(text).replace(/https?:\/\/\S+|[#@][\p{L}\p{N}_]+/gu, ' , ');
+
+  splitSentences(plain).forEach((sentence) => {
+    const tokens = sentence.match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*|[^\s\p{L}\p{N}]+/gu) || [];
+
+    tokens.forEach((token) => {
+      if (/[\u0600-\u06FF]/.test(token)) {
+        // Conjunctions and prepositions attached to a definite word: والتعلم, بالذكاء, للتعلم
+        const word = token.replace(/^[وفبك](?=ال)/, '').replace(/^لل(?=\S{2})/, 'ال');
+        if (word.startsWith('ال') && word.length >= 4 && !isStopWord(word)) {
+          // A conjunction starts a new phrase: الذكاء الاصطناعي والتعلم الآلي
+          if (/^[وف]ال/.test(token)) {
+            close();
+          }
+          add(word, true);
+          return;
+        }
+      } else if (/^\p{L}/u.test(token)) {
+        const lower = token.toLowerCase();
+        if (!isStopWord(lower) && !PHRASE_BREAK_WORDS.has(lower) && !/ly$/.test(lower)) {
+          add(token, false);
+          return;
+        }
+      }
+      close();
+    });
+    close();
+  });
+
+  // Short single words are rarely worth a tag, acronyms aside
+  return phrases.filter(({ words, arabic }) => arabic || words.length > 1 || words[0].length >= 4
+    || /^[A-Z]{2,}$/.test(words[0]));
+}
+
+/**
+ * Extract the key phrases of a set of posts, ranked by salience
+ * A word's RAKE degree counts its occurrences plus the words it shares phrases with, so
+ * words that recur across the posts, and in longer phrases, score highest; a phrase scores
+ * the sum of its words' degrees. Inflected and variant spellings count as the same word
+ * @param {Array<string>|string} texts - Posts (or a single text)
+ * @param {Object} options - Extraction options
+ * @param {number} options.limit - Most phrases to return (default 10)
+ * @returns {Array<Object>} Keywords {phrase, words, arabic, score (0-1), count, posts (1-based)}, best first
+ */
+function extractKeywords(texts, { limit = DEFAULT_KEYWORD_LIMIT } = {}) {
+  const posts = Array.isArray(texts) ? texts : [texts];
+  const candidates = new Map();
+  const degree = new Map();
+
+  posts.forEach((text, postIndex) => {
+    findNounPhrases(text).forEach(({ words, arabic }) => {
+      const stems = words.map((word) => stemWord(normalizeArabic(word.toLowerCase())));
+      const key = stems.join(' ');
+      stems.forEach((stem) => degree.set(stem, (degree.get(stem) || 0) + stems.length));
+
+      // The first spelling met is the one shown
+      const candidate = candidates.get(key) || {
+        phrase: words.join(' '),
+        words,
+        arabic,
+        stems,
+        count: 0,
+        posts: [],
+        order: candidates.size
+      };
+      candidate.count += 1;
+      if (!candidate.posts.includes(postIndex + 1)) {
+        candidate.posts.push(postIndex + 1);
+      }
+      candidates.set(key, candidate);
+    });
+  });
+
+  const scored = [...candidates.values()].map((candidate) => ({
+    ...candidate,
+    raw: candidate.stems.reduce((sum, stem) => sum + degree.get(stem), 0)
+  }));
+  const top = Math.max(0, ...scored.map((candidate) => candidate.raw));
+
+  return scored
+    .sort((a, b) => b.raw - a.raw || a.order - b.order)
+    .slice(0, limit)
+    .map((candidate) => ({
+      phrase: candidate.phrase,
+      words: candidate.words,
+      arabic: candidate.arabic,
+      score: Math.round((candidate.raw / top) * 100) / 100,
+      count: candidate.count,
+      posts: candidate.posts
+    }));
+}
+
+module.exports = {
+  findNounPhrases,
+  extractKeywords
+};
@@ -0,0 +1,216 @@
+/**
+ * Markdown outline parser
+ * Turns Markdown input into a flat list of structural blocks (headings,
+ * paragraphs, lists, quotes and code) so the fallback segmenter can split
+ * along the document's own structure instead of raw punctuation
+ */
+
+const HEADING_REGEX = /^ {0,3}(#{1,6})\s+(.+?)\s*#*\s*$/;
+const SETEXT_UNDERLINE_REGEX = /^ {0,3}(=+|-+)\s*$/;
+const FENCE_REGEX = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const LIST_ITEM_REGEX = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const QUOTE_REGEX = /^ {0,3}>\s?(.*)$/;
+const THEMATIC_BREAK_REGEX = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+
+/**
+ * Check whether text looks like Markdown worth parsing structurally
+ * @param {string} text - Input text
+ * @returns {boolean} True when the text has headings, lists, quotes or fenced code
+ */
+function isMarkdown(text) {
+  if (!text || typeof text !== 'string') {
+    return false;
+  }
+
+  const lines = text.split('\n');
+  let listItems = 0;
+
+  for (const line of lines) {
+    if (HEADING_REGEX.test(line) || FENCE_REGEX.test(line) || QUOTE_REGEX.test(line)) {
+      return true;
+    }
+    if (LIST_ITEM_REGEX.test(line)) {
+      listItems += 1;
+    }
+  }
+
+  // A single "1. " or "- " line is just as likely to be prose
+  return listItems >= 2;
+}
+
+/**
+ * Strip inline Markdown formatting from a line of text
+ * @param {string} text - Markdown text
+ * @returns {string} Plain text
+ */
+function stripInlineMarkdown(text) {
+  if (!text) {
+    return '';
+  }
+
+  return text
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '') // Images carry no tweetable text
+    .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (match, label, url) => (label === url ? url : `${label} (${url})`))
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+    .replace(/(^|[^\w*])\*(?=\S)([^*]+?)(?<=\S)\*(?!\w)/g, '$1$2')
+    .replace(/(^|[^\w])_(?=\S)([^_]+?)(?<=\S)_(?!\w)/g, '$1$2')
+    .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse Markdown into structural blocks
+ * @param {string} text - Markdown text
+ * @returns {Array<Object>} Blocks: heading {level, text}, paragraph {text},
+ *   list {ordered, items: [{text, depth, marker}]}, quote {text} and code {language, code}
+ */
+function parseMarkdownOutline(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+  let quote = null;
+
+  // Paragraphs and quotes end at a blank line; lists may continue after one
+  const flushText = () => {
+    if (paragraph.length > 0) {
+      const content = stripInlineMarkdown(paragraph.join(' '));
+      if (content) blocks.push({ type: 'paragraph', text: content });
+      paragraph = [];
+    }
+    if (quote) {
+      const content = stripInlineMarkdown(quote.join(' '));
+      if (content) blocks.push({ type: 'quote', text: content });
+      quote = null;
+    }
+  };
+
+  const flush = () => {
+    flushText();
+    if (list) {
+      blocks.push(list);
+      list = null;
+    }
+  };
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+
+    // Fenced code runs until the matching fence (or the end of the input)
+    const fence = line.match(FENCE_REGEX);
+    if (fence) {
+      flush();
+      const codeLines = [];
+      const closing = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+      i += 1;
+      while (i < lines.length && !closing.test(lines[i])) {
+        codeLines.push(lines[i]);
+        i += 1;
+      }
+      blocks.push({ type: 'code', language: fence[2] || null, code: codeLines.join('\n') });
+      continue;
+    }
+
+    if (!line.trim()) {
+      flushText();
+      continue;
+    }
+
+    const heading = line.match(HEADING_REGEX);
+    if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: heading[1].length, text: stripInlineMarkdown(heading[2]) });
+      continue;
+    }
+
+    // "Title\n=====" style headings
+    if (paragraph.length === 1 && SETEXT_UNDERLINE_REGEX.test(line)) {
+      const title = stripInlineMarkdown(paragraph[0]);
+      paragraph = [];
+      flush();
+      blocks.push({ type: 'heading', level: line.trim()[0] === '=' ? 1 : 2, text: title });
+      continue;
+    }
+
+    if (THEMATIC_BREAK_REGEX.test(line)) {
+      flush();
+      continue;
+    }
+
+    const quoteLine = line.match(QUOTE_REGEX);
+    if (quoteLine) {
+      if (!quote) {
+        flush();
+        quote = [];
+      }
+      quote.push(quoteLine[1]);
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM_REGEX);
+    if (item) {
+      const ordered = /\d/.test(item[2]);
+      // Input whitespace is collapsed by the sanitizer, so any indent means nesting
+      const depth = item[1].length > 0 ? 1 : 0;
+      if (!list || (depth === 0 && list.ordered !== ordered)) {
+        flush();
+        list = { type: 'list', ordered, items: [] };
+      }
+      list.items.push({ text: stripInlineMarkdown(item[3]), depth, marker: ordered ? item[2] : '•' });
+      continue;
+    }
+
+    // Indented lines after a list item continue that item
+    if (list && /^\s/.test(line) && paragraph.length === 0) {
+      const last = list.items[list.items.length - 1];
+      last.text = `${last.text} ${stripInlineMarkdown(line)}`.trim();
+      continue;
+    }
+
+    if (list || quote) {
+      flush();
+    }
+    paragraph.push(line.trim());
+  }
+
+  flush();
+  return blocks;
+}
+
+/**
+ * Render a block as tweetable plain text
+ * @param {Object} block - Parsed block
+ * @returns {string} Plain text ('' for code, which is not tweeted as text)
+ */
+function renderBlock(block) {
+  switch (block.type) {
+    case 'heading':
+    case 'paragraph':
+      return block.text;
+    case 'quote':
+      return `“${block.text}”`;
+    case 'list':
+      return block.items
+        .map((item) => {
+          const indent = item.depth > 0 ? '  ' : '';
+          const marker = item.depth > 0 && !block.ordered ? '◦' : item.marker;
+          return `${indent}${marker} ${item.text}`;
+        })
+        .join('\n');
+    default:
+      return '';
+  }
+}
+
+module.exports = {
+  isMarkdown,
+  parseMarkdownOutline,
+  stripInlineMarkdown,
+  renderBlock
+};
@@ -0,0 +1,40 @@
+/**
+ * Server-Sent Events helpers
+ * Streams named JSON events over a plain Express response
+ */
+
+/**
+ * Prepare a response for event streaming
+ * @param {Object} res - Express response
+ */
+function initEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+}
+
+/**
+ * Write a named event with a JSON payload
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ * @returns {boolean} False when the stream is already closed
+ */
+function sendEvent(res, event, data) {
+  if (res.writableEnded || res.destroyed) {
+    return false;
+  }
+
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  return true;
+}
+
+module.exports = {
+  initEventStream,
+  sendEvent
+};
@@ -0,0 +1,159 @@
+/**
+ * Extractive summarization
+ * Ranks sentences with TextRank and keeps the most important ones, in
+ * document order, within a length budget
+ */
+
+const { splitSentences, tokenize } = require('./tokenizer');
+
+const DAMPING_FACTOR = 0.85;
+const MAX_ITERATIONS = 50;
+const CONVERGENCE_THRESHOLD = 0.0001;
+const REDUNDANCY_THRESHOLD = 0.8; // Word overlap (Jaccard) above which a sentence repeats one already kept
+
+/**
+ * Score sentences with TextRank (PageRank over a sentence similarity graph)
+ * @param {Array<string>} sentences - Sentences to rank
+ * @returns {Array<number>} Score per sentence
+ */
+function rankSentences(sentences) {
+  return rankTokenSets(sentences.map((sentence) => new Set(tokenize(sentence))));
+}
+
+/**
+ * Run TextRank over tokenized sentences
+ * @param {Array<Set<string>>} tokenSets - Tokens per sentence
+ * @returns {Array<number>} Score per sentence
+ */
+function rankTokenSets(tokenSets) {
+  const count = tokenSets.length;
+
+  // Similarity from the original TextRank paper: shared words normalized by sentence lengths
+  const weights = tokenSets.map((a, i) => tokenSets.map((b, j) => {
+    if (i === j || a.size === 0 || b.size === 0) return 0;
+    return countOverlap(a, b) / (Math.log(a.size + 1) + Math.log(b.size + 1));
+  }));
+  const outgoing = weights.map((row) => row.reduce((sum, weight) => sum + weight, 0));
+
+  // One iteration: every sentence passes its score on to the sentences it resembles
+  const iterate = (current) => current.map((_, i) => {
+    const incoming = current.reduce((sum, score, j) => (
+      weights[j][i] > 0 ? sum + (weights[j][i] / outgoing[j]) * score : sum
+    ), 0);
+    return (1 - DAMPING_FACTOR) + DAMPING_FACTOR * incoming;
+  });
+
+  let scores = new Array(count).fill(1);
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration += 1) {
+    const previous = scores;
+    scores = iterate(previous);
+
+    const delta = Math.max(...scores.map((score, i) => Math.abs(score - previous[i])));
+    if (delta < CONVERGENCE_THRESHOLD) break;
+  }
+
+  return scores;
+}
+
+/**
+ * Count tokens two sentences share
+ * @param {Set<string>} a - Tokens of the first sentence
+ * @param {Set<string>} b - Tokens of the second sentence
+ * @returns {number} Shared token count
+ */
+function countOverlap(a, b) {
+  let overlap = 0;
+  a.forEach((token) => {
+    if (b.has(token)) overlap += 1;
+  });
+  return overlap;
+}
+
+/**
+ * Summarize text down to a length budget by keeping its most important sentences
+ * The document is split into equal regions and each region contributes its best
+ * sentence first, so the summary covers the whole text and not just one part
+ * @param {string} text - Input text
+ * @param {number} maxLength - Length budget for the summary
+ * @param {Object} options - {regions: number of regions to cover, measure: length function}
+ * @returns {Object} {text, sentences (kept, in order), summarized, sentences_total, sentences_selected}
+ */
+function summarizeText(text, maxLength, options = {}) {
+  const { regions = 1, measure = (value) => value.length } = options;
+
+  // Remember which paragraph each sentence came from to rebuild paragraph breaks
+  const sentences = [];
+  (text || '').split(/\n\s*\n/).forEach((paragraph, paragraphIndex) => {
+    splitSentences(paragraph).forEach((sentence) => {
+      sentences.push({ text: sentence, paragraph: paragraphIndex, length: measure(sentence) });
+    });
+  });
+
+  const totalLength = sentences.reduce((sum, sentence) => sum + sentence.length + 1, 0);
+  if (sentences.length <= 1 || totalLength <= maxLength) {
+    return {
+      text,
+      sentences: sentences.map((sentence) => sentence.text),
+      summarized: false,
+      sentences_total: sentences.length,
+      sentences_selected: sentences.length
+    };
+  }
+
+  const tokenSets = sentences.map((sentence) => new Set(tokenize(sentence.text)));
+  const scores = rankTokenSets(tokenSets);
+  const byScore = (a, b) => scores[b] - scores[a] || a - b;
+  const selected = new Set();
+  let used = 0;
+
+  // Repeated sentences rank equally high, so only the first copy is kept
+  const isRedundant = (index) => [...selected].some((kept) => {
+    const shared = countOverlap(tokenSets[index], tokenSets[kept]);
+    const union = tokenSets[index].size + tokenSets[kept].size - shared;
+    return union > 0 && shared / union >= REDUNDANCY_THRESHOLD;
+  });
+
+  const trySelect = (index) => {
+    const cost = sentences[index].length + 1;
+    if (selected.has(index) || used + cost > maxLength || isRedundant(index)) return;
+    selected.add(index);
+    used += cost;
+  };
+
+  // Best sentence of each region first, then fill the budget by overall rank
+  const regionCount = Math.max(1, Math.min(regions, sentences.length));
+  const regionSize = sentences.length / regionCount;
+  for (let region = 0; region < regionCount; region += 1) {
+    const start = Math.floor(region * regionSize);
+    const end = Math.floor((region + 1) * regionSize);
+    const indexes = Array.from({ length: end - start }, (_, offset) => start + offset);
+    const remaining = maxLength - used;
+    const best = indexes.sort(byScore).find((index) => sentences[index].length + 1 <= remaining && !isRedundant(index));
+    if (best !== undefined) trySelect(best);
+  }
+  sentences.map((_, index) => index).sort(byScore).forEach(trySelect);
+
+  // Keep document order and the original paragraph breaks
+  const kept = [...selected].sort((a, b) => a - b).map((index) => sentences[index]);
+  const paragraphs = [];
+  kept.forEach((sentence, i) => {
+    if (i > 0 && kept[i - 1].paragraph === sentence.paragraph) {
+      paragraphs[paragraphs.length - 1] += ` ${sentence.text}`;
+    } else {
+      paragraphs.push(sentence.text);
+    }
+  });
+
+  return {
+    text: paragraphs.join('\n\n'),
+    sentences: kept.map((sentence) => sentence.text),
+    summarized: true,
+    sentences_total: sentences.length,
+    sentences_selected: kept.length
+  };
+}
+
+module.exports = {
+  rankSentences,
+  summarizeText
+};
@@ -0,0 +1,166 @@
+/**
+ * Time zone helpers
+ * Converts wall-clock times in IANA time zones (e.g. "Asia/Riyadh") to UTC and back
+ * using the Intl API, so scheduled posts go out at the author's local time
+ */
+
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+// "21:00 GMT+3", the format of publishing_recommendations.best_time
+const GMT_TIME = /^([0-1]?[0-9]|2[0-3]):([0-5][0-9]) GMT([+-][0-9]{1,2})$/;
+
+/**
+ * Check whether a time zone name is known to the runtime
+ * @param {string} timeZone - IANA time zone name
+ * @returns {boolean} True when valid
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+
+  try {
+    // The formatter throws a RangeError for zones the runtime does not know
+    return Boolean(new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock fields of an instant in a time zone
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} {year, month, day, hour, minute, second}
+ */
+function getZonedParts(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp));
+
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second')
+  };
+}
+
+/**
+ * Get a time zone's offset from UTC at an instant
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const {
+    year,
+    month,
+    day,
+    hour,
+    minute,
+    second
+  } = getZonedParts(timestamp, timeZone);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a UTC timestamp
+ * @param {string} localDateTime - "YYYY-MM-DDTHH:mm[:ss]" without an offset
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number|null} Timestamp in milliseconds, or null when the input is malformed
+ */
+function zonedTimeToUtc(localDateTime, timeZone) {
+  const match = LOCAL_DATE_TIME.exec(localDateTime);
+  if (!match) {
+    return null;
+  }
+
+  const [year, month, day, hour, minute, second] = match.slice(1).map((value) => Number(value || 0));
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // The offset at the guessed instant can differ across a DST change; a second pass settles it
+  const guess = wallClock - getTimeZoneOffset(wallClock, timeZone);
+  return wallClock - getTimeZoneOffset(guess, timeZone);
+}
+
+/**
+ * Format an instant as wall-clock time in a time zone
+ * @param {number|string} time - Timestamp or ISO date
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} "YYYY-MM-DDTHH:mm"
+ */
+function formatInTimeZone(time, timeZone) {
+  const {
+    year,
+    month,
+    day,
+    hour,
+    minute
+  } = getZonedParts(new Date(time).getTime(), timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}`;
+}
+
+/**
+ * Resolve a requested publish time to a UTC timestamp. Times with an offset or "Z" are
+ * absolute; times without one are read as wall-clock time in the given time zone
+ * @param {string} value - ISO 8601 date-time
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number|null} Timestamp in milliseconds, or null when the value is not a date
+ */
+function resolveLocalTime(value, timeZone) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  if (LOCAL_DATE_TIME.test(value.trim())) {
+    return zonedTimeToUtc(value.trim(), timeZone);
+  }
+
+  const timestamp = Date.parse(value);
+  return /\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/i.test(value.trim()) && !Number.isNaN(timestamp) ? timestamp : null;
+}
+
+/**
+ * Get the next occurrence of a recommended posting time such as "21:00 GMT+3"
+ * @param {string} bestTime - Time with a GMT offset
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {number|null} Timestamp of the next occurrence, or null when unparseable
+ */
+function nextOccurrence(bestTime, now) {
+  const match = GMT_TIME.exec(typeof bestTime === 'string' ? bestTime.trim() : '');
+  if (!match) {
+    return null;
+  }
+
+  const [hour, minute, offset] = match.slice(1).map(Number);
+  const today = new Date(now);
+  let timestamp = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate(), hour - offset, minute);
+
+  while (timestamp <= now) {
+    timestamp += 24 * 60 * 60 * 1000;
+  }
+  while (timestamp - 24 * 60 * 60 * 1000 > now) {
+    timestamp -= 24 * 60 * 60 * 1000;
+  }
+  return timestamp;
+}
+
+module.exports = {
+  isValidTimeZone,
+  zonedTimeToUtc,
+  formatInTimeZone,
+  resolveLocalTime,
+  nextOccurrence
+};
@@ -0,0 +1,140 @@
+/**
+ * Arabic- and English-aware text tokenization
+ * Sentence splitting, word tokenization, light stemming and stop words
+ * shared by the local text analysis features
+ */
+
+const ENGLISH_STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can', 'could', 'did', 'do',
+  'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further', 'had', 'has', 'have', 'having', 'he',
+  'her', 'here', 'hers', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'more', 'most',
+  'my', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'out', 'over',
+  'own', 'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them', 'then',
+  'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'us', 'very', 'was',
+  'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'you',
+  'your', 'yours'
+]);
+
+// Stored in normalized form (see normalizeArabic)
+const ARABIC_STOP_WORDS = new Set([
+  'في', 'من', 'الي', 'على', 'عن', 'مع', 'هذا', 'هذه', 'ذلك', 'تلك', 'التي', 'الذي', 'الذين', 'اللذين', 'هو', 'هي',
+  'هم', 'هن', 'انا', 'نحن', 'انت', 'انتم', 'كان', 'كانت', 'يكون', 'تكون', 'ان', 'او', 'ثم', 'لا', 'لم', 'لن', 'ما',
+  'ماذا', 'متي', 'اين', 'كيف', 'قد', 'لقد', 'كل', 'بعض', 'غير', 'بين', 'عند', 'عندما', 'حتي', 'اذا', 'لكن', 'بل',
+  'ايضا', 'فقط', 'كما', 'منذ', 'خلال', 'بعد', 'قبل', 'حول', 'دون', 'تحت', 'فوق', 'هناك', 'هنا', 'وهو', 'وهي', 'به',
+  'بها', 'له', 'لها', 'لهم', 'فيه', 'فيها', 'منه', 'منها', 'عليه', 'عليها', 'الا', 'اي', 'و', 'ف', 'ب', 'ل', 'ك'
+]);
+
+// Tashkeel (harakat, tanween, shadda, sukun, dagger alef) and tatweel
+const ARABIC_DIACRITICS_REGEX = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g;
+
+const ARABIC_PREFIXES = ['وال', 'بال', 'كال', 'فال', 'لل', 'ال'];
+const ARABIC_SUFFIXES = ['هما', 'كما', 'ات', 'ون', 'ين', 'ها', 'هم', 'ية', 'ة'];
+const ENGLISH_SUFFIXES = [
+  'ational', 'ization', 'fulness', 'ousness', 'iveness', 'ments', 'ment', 'ness', 'ing', 'ies', 'ed', 'ly', 'es', 's'
+];
+
+/**
+ * Remove tashkeel and tatweel, leaving the spelling otherwise untouched
+ * @param {string} text - Text to clean
+ * @returns {string} Text without Arabic diacritics
+ */
+function stripArabicDiacritics(text) {
+  if (!text || typeof text !== 'string') {
+    return '';
+  }
+
+  return text.replace(ARABIC_DIACRITICS_REGEX, '');
+}
+
+/**
+ * Normalize Arabic spelling variants so equivalent words compare equal
+ * @param {string} text - Text to normalize
+ * @returns {string} Text with unified alef, yaa and hamza seat forms and no diacritics
+ */
+function normalizeArabic(text) {
+  if (!text || typeof text !== 'string') {
+    return '';
+  }
+
+  return stripArabicDiacritics(text)
+    .replace(/[\u0622\u0623\u0625\u0671]/g, '\u0627') // Alef with hamza or madda
+    .replace(/\u0649/g, '\u064A') // Alef maqsura
+    .replace(/\u0624/g, '\u0648')
+    .replace(/\u0626/g, '\u064A');
+}
+
+/**
+ * Split text into sentences on Latin and Arabic sentence punctuation and line breaks
+ * @param {string} text - Input text
+ * @returns {Array<string>} Sentences with their punctuation kept
+ */
+function splitSentences(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  return text
+    .split(/\n+|(?<=[.!?؟。…])\s+/)
+    .map((sentence) => sentence.trim())
+    .filter((sentence) => sentence.length > 0);
+}
+
+/**
+ * Reduce a word to a rough stem so inflected forms match
+ * @param {string} word - Lowercased, normalized word
+ * @returns {string} Stem
+ */
+function stemWord(word) {
+  if (/[\u0600-\u06FF]/.test(word)) {
+    let stem = word;
+    const prefix = ARABIC_PREFIXES.find((p) => stem.startsWith(p) && stem.length - p.length >= 3);
+    if (prefix) stem = stem.slice(prefix.length);
+    const suffix = ARABIC_SUFFIXES.find((s) => stem.endsWith(s) && stem.length - s.length >= 3);
+    if (suffix) stem = stem.slice(0, -suffix.length);
+    return stem;
+  }
+
+  const suffix = ENGLISH_SUFFIXES.find((s) => word.endsWith(s) && word.length - s.length >= 3);
+  return suffix ? word.slice(0, -suffix.length) : word;
+}
+
+/**
+ * Tokenize text into normalized, stemmed content words
+ * @param {string} text - Input text
+ * @param {Object} options - {stem: apply light stemming (default true), keepStopWords (default false)}
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(text, options = {}) {
+  const { stem = true, keepStopWords = false } = options;
+
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const words = normalizeArabic(text.toLowerCase()).match(/[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu) || [];
+
+  return words
+    .filter((word) => word.length > 1 && !/^\d+$/.test(word))
+    .filter((word) => keepStopWords || !isStopWord(word))
+    .map((word) => (stem ? stemWord(word) : word));
+}
+
+/**
+ * Check whether a word is an English or Arabic stop word
+ * @param {string} word - Word to check
+ * @returns {boolean} True for stop words
+ */
+function isStopWord(word) {
+  const normalized = normalizeArabic(word.toLowerCase());
+  return ENGLISH_STOP_WORDS.has(normalized) || ARABIC_STOP_WORDS.has(normalized);
+}
+
+module.exports = {
+  stripArabicDiacritics,
+  normalizeArabic,
+  splitSentences,
+  stemWord,
+  tokenize,
+  isStopWord
+};